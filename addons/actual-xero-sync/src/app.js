@@ -6,15 +6,30 @@ const ConfigValidator = require('./models/config');
 const logger = require('./utils/logger');
 const HomeAssistantService = require('./services/home-assistant');
 const LogMonitor = require('./utils/log-monitor');
+const TokenStore = require('./utils/token-store');
+const SyncWatermarkStore = require('./utils/sync-watermark-store');
+const BudgetSelectionStore = require('./utils/budget-selection-store');
+const XeroRateLimiter = require('./utils/xero-rate-limiter');
 
 // Import services for initialization
-const ActualBudgetClient = require('./services/actual');
-const XanoClient = require('./services/xano');
+const { createActualClient, ActualClientType } = require('./services/actual-client');
+const { createStorageClient, migrateXanoToLocal, StorageBackend } = require('./services/storage');
 const XeroClient = require('./services/xero');
+const { XeroDocumentService, XeroDocumentType } = require('./services/xero-documents');
+const { createXeroSink } = require('./services/xero-sink');
+const SyncService = require('./services/sync');
+const { BackfillService, BackfillStatus } = require('./services/backfill');
+const ReprocessingService = require('./services/reprocessing');
+const MappingManager = require('./services/mapping-manager');
+const SyncReporter = require('./services/sync-reporter');
+const SchedulerService = require('./services/scheduler');
 
 // Use simple HTTP client for Actual Budget server
 const axios = require('axios');
 
+// How long to wait before trying to resume a backfill again when another job is running
+const BACKFILL_RETRY_MS = 5 * 60 * 1000;
+
 /**
  * Main application class for Actual-Xero Sync
  */
@@ -23,6 +38,7 @@ class ActualXeroSyncApp {
     this.app = express();
     this.config = null;
     this.server = null;
+    this.dataDir = process.env.DATA_DIR || '/data';
     
     // Service instances
     this.services = {
@@ -30,6 +46,7 @@ class ActualXeroSyncApp {
       xanoClient: null,
       xeroClient: null,
       syncService: null,
+      backfillService: null,
       mappingManager: null,
       reprocessingService: null,
       syncReporter: null,
@@ -39,6 +56,9 @@ class ActualXeroSyncApp {
     // Log monitoring
     this.logMonitor = null;
     
+    // Cron scheduler for sync, reprocessing and mapping refresh
+    this.scheduler = null;
+    
     // Application state
     this.isShuttingDown = false;
     this.activeOperations = new Set();
@@ -46,6 +66,13 @@ class ActualXeroSyncApp {
     // Sync results storage
     this.syncResults = new Map();
     this.lastSyncResult = null;
+    this.reprocessResults = new Map();
+    
+    // OAuth state values issued by /api/xero/connect, keyed by state
+    this.pendingOAuthStates = new Map();
+    
+    // Timer that resumes a paused or interrupted backfill
+    this.backfillResumeTimer = null;
   }
 
   /**
@@ -122,158 +149,134 @@ class ActualXeroSyncApp {
       logger.info('Initializing application services...');
       
       // Initialize API clients
-      // Use nodejs_server_url for HTTP-based integration
-      const serverUrl = this.config.nodejs_server_url || 'http://localhost:3001';
-      const apiKey = this.config.nodejs_api_key || this.config.actual_budget_password; // Fallback to password field
-      
-      logger.info('ActualBudgetClient configuration:', { 
-        serverUrl, 
-        hasApiKey: !!apiKey,
-        configNodejsUrl: this.config.nodejs_server_url 
+      // The companion Node.js server at nodejs_server_url, or @actual-app/api in-process
+      logger.info('Actual Budget client configuration:', { 
+        actualClient: this.config.actual_client,
+        serverUrl: this.config.actual_client === ActualClientType.DIRECT ? this.config.actual_budget_url : this.config.nodejs_server_url,
+        hasApiKey: !!(this.config.nodejs_api_key || this.config.actual_budget_password)
       });
       
-      this.services.actualClient = new ActualBudgetClient({
-        serverUrl: serverUrl,
-        apiKey: apiKey,
+      this.services.actualClient = createActualClient(this.config, {
+        dataDir: this.dataDir,
+        selectionStore: new BudgetSelectionStore({
+          filePath: path.join(this.dataDir, 'actual-budget.json'),
+          logger: logger
+        }),
         logger: logger
       });
       
-      this.services.xanoClient = new XanoClient({
-        apiUrl: this.config.xano_api_url,
-        apiKey: this.config.xano_api_key,
-        rateLimitPerMinute: this.config.xano_rate_limit,
+      // Xano, or the local store under /data (both expose the same operations)
+      this.services.xanoClient = createStorageClient(this.config, {
+        dataDir: this.dataDir,
         logger: logger
       });
+      logger.info(`Using ${this.config.storage_backend} storage backend`);
       
       this.services.xeroClient = new XeroClient({
         clientId: this.config.xero_client_id,
         clientSecret: this.config.xero_client_secret,
         tenantId: this.config.xero_tenant_id,
+        redirectUri: this.config.xero_redirect_uri,
+        tokenStore: new TokenStore({
+          filePath: path.join(this.dataDir, 'xero-tokens.json'),
+          secret: this.config.xero_client_secret,
+          logger: logger
+        }),
+        rateLimiter: new XeroRateLimiter({
+          filePath: path.join(this.dataDir, 'xero-usage.json'),
+          logger: logger
+        }),
         logger: logger
       });
       
+      // Keep counting today's Xero API calls from before a restart
+      await this.services.xeroClient.rateLimiter.load();
+      
+      // Restore the Xero connection from a previous session
+      if (await this.services.xeroClient.loadStoredToken()) {
+        logger.info('Restored Xero connection from stored tokens');
+      }
+      
+      // Scope Xano mappings to the selected Xero organisation
+      this.services.xanoClient.setDefaultTenantId(this.services.xeroClient.defaultTenantId);
+      
       // Initialize business logic services
-      this.services.mappingManager = {
+      this.services.documentService = new XeroDocumentService({
+        xeroClient: this.services.xeroClient,
+        logger: logger,
+        config: this.config
+      });
+      
+      // Import path shared by the sync and reprocessing pipelines
+      this.services.xeroSink = createXeroSink(this.config, {
+        documentService: this.services.documentService,
+        xanoClient: this.services.xanoClient,
+        logger: logger
+      });
+      logger.info(`Importing to Xero through the ${this.services.xeroSink.type} sink`);
+      
+      this.services.reprocessingService = new ReprocessingService({
+        actualClient: this.services.actualClient,
+        xanoClient: this.services.xanoClient,
+        xeroClient: this.services.xeroClient,
+        documentService: this.services.documentService,
+        xeroSink: this.services.xeroSink,
         logger: logger,
-        // Minimal mapping manager for now
-        async mapTransaction(transaction) { return transaction; }
-      };
+        config: this.config
+      });
       
-      this.services.reprocessingService = {
+      this.services.mappingManager = new MappingManager({
+        actualClient: this.services.actualClient,
+        xanoClient: this.services.xanoClient,
+        xeroClient: this.services.xeroClient,
         logger: logger,
-        // Minimal reprocessing service for now
-        async reprocessTransactions() { return []; }
-      };
+        backupDirectory: path.join(this.dataDir, 'backups', 'mappings')
+      });
       
-      this.services.syncReporter = {
+      this.services.syncReporter = new SyncReporter({ logger: logger });
+      
+      // Where each sync route got to, so scheduled syncs only fetch newer transactions
+      const watermarkStore = new SyncWatermarkStore({
+        filePath: path.join(this.dataDir, 'sync-watermark.json'),
+        logger: logger
+      });
+      await watermarkStore.load();
+      
+      // Main sync pipeline: fetch -> store in Xano -> resolve mappings -> import to Xero
+      this.services.syncService = new SyncService({
+        actualClient: this.services.actualClient,
+        xanoClient: this.services.xanoClient,
+        xeroClient: this.services.xeroClient,
+        reprocessingService: this.services.reprocessingService,
+        documentService: this.services.documentService,
+        xeroSink: this.services.xeroSink,
+        watermarkStore: watermarkStore,
         logger: logger,
-        // Minimal sync reporter for now
-        reportSyncStart() { logger.info('Sync started'); },
-        reportSyncComplete(stats) { logger.info('Sync completed', stats); },
-        reportSyncError(error) { logger.error('Sync error', error); }
-      };
-      
-      // Initialize main sync service (simplified)
-      const self = this; // Capture the app instance context
-      this.services.syncService = {
+        config: this.config
+      });
+      
+      // Historical imports in date windows, resumable from the cursor in /data
+      this.services.backfillService = new BackfillService({
+        syncService: this.services.syncService,
+        xeroClient: this.services.xeroClient,
         logger: logger,
         config: this.config,
-        
-        // Simple sync execution for now
-        async executeSync() {
-          logger.info('Starting sync process...');
-          
-          try {
-            // Get transactions from Actual Budget
-            const transactions = await self.services.actualClient.getReconciledTransactions(
-              self.config.business_category_group_id,
-              new Date(Date.now() - (self.config.sync_days_back * 24 * 60 * 60 * 1000))
-            );
-            
-            logger.info(`Found ${transactions.length} reconciled transactions`);
-            
-            let transactionsStored = 0;
-            let transactionsFailed = 0;
-            
-            // Step 2: Store transactions in Xano
-            if (transactions.length > 0) {
-              logger.info('Storing transactions in Xano...');
-              
-              for (const transaction of transactions) {
-                try {
-                  // Transform transaction for Xano (matching your API spec exactly)
-                  const xanoTransaction = {
-                    actual_transaction_id: transaction.id,
-                    transaction_date: transaction.date,
-                    amount: Math.abs(transaction.amount / 100), // Convert cents to dollars and make positive
-                    description: transaction.notes || '',
-                    actual_category_id: self.config.business_category_group_id,
-                    actual_payee_id: transaction.payee || 'Unknown Payee'
-                  };
-                  
-                  logger.info('Storing transaction in Xano:', {
-                    id: transaction.id,
-                    amount: xanoTransaction.amount
-                  });
-                  
-                  logger.info('Full Xano payload:', xanoTransaction);
-                  
-                  // Store in Xano using your API endpoint
-                  const xanoResponse = await self.services.xanoClient.storeTransaction(xanoTransaction);
-                  
-                  if (xanoResponse.success) {
-                    transactionsStored++;
-                    logger.info(`Transaction stored in Xano: ${transaction.id}`);
-                  } else {
-                    transactionsFailed++;
-                    logger.error(`Failed to store transaction in Xano: ${transaction.id}`, xanoResponse.error);
-                  }
-                  
-                } catch (storeError) {
-                  transactionsFailed++;
-                  logger.error(`Error storing transaction ${transaction.id}:`, storeError.message);
-                }
-              }
-            }
-            
-            logger.info('Sync completed', {
-              fetched: transactions.length,
-              stored: transactionsStored,
-              failed: transactionsFailed
-            });
-            
-            return {
-              success: true,
-              statistics: {
-                transactionsFetched: transactions.length,
-                transactionsStored: transactionsStored,
-                duplicatesSkipped: 0,
-                transactionsMapped: transactions.length,
-                transactionsImported: 0, // Will be updated when Xero integration is added
-                transactionsFailed: transactionsFailed
-              }
-            };
-          } catch (error) {
-            logger.error('Sync failed:', error.message);
-            return {
-              success: false,
-              error: error.message,
-              statistics: {
-                transactionsFetched: 0,
-                transactionsStored: 0,
-                duplicatesSkipped: 0,
-                transactionsMapped: 0,
-                transactionsImported: 0,
-                transactionsFailed: 1
-              }
-            };
-          }
-        }
-      };
+        filePath: path.join(this.dataDir, 'backfill-cursor.json')
+      });
+      await this.services.backfillService.load();
+      
+      logger.info('Sync safety settings', {
+        dry_run_mode: this.config.dry_run_mode,
+        test_mode: this.config.test_mode,
+        sync_to_xero: this.config.sync_to_xero
+      });
       
       // Initialize Home Assistant service and connect it to sync service
       this.services.haService.init();
-      // this.services.haService.setSyncService(this.services.syncService); // Skip for now to get add-on working
+      this.services.haService.setSyncService(this.services.syncService);
+      
+      // Register scheduled jobs (started once the server is listening)
+      this.setupScheduler();
       
       logger.info('All services initialized successfully');
       
@@ -283,6 +286,302 @@ class ActualXeroSyncApp {
     }
   }
 
+  /**
+   * Run the sync pipeline and record the result for the stats and progress endpoints
+   * @param {string} source - What triggered the sync (web_ui, home_assistant, ...)
+   * @param {Object} options - Sync options (fullRescan ignores the watermarks)
+   * @returns {Promise<Object>} - Sync ID and the Home Assistant formatted result
+   */
+  async runSync(source, options = {}) {
+    const syncId = Date.now().toString();
+    const operation = `sync-${syncId}`;
+    this.activeOperations.add(operation);
+    
+    try {
+      // The HA service runs the sync and normalises statistics to the shape the UI reads
+      const result = await this.services.haService.handleSyncTrigger(source, options);
+      
+      if (result.success) {
+        this.syncResults.set(syncId, {
+          status: 'completed',
+          result: result.result,
+          statistics: result.statistics,
+          message: result.message,
+          timestamp: new Date().toISOString()
+        });
+        
+        this.lastSyncResult = this.syncResults.get(syncId);
+        
+        this.services.syncReporter.reportSuccess({
+          transactionsProcessed: result.statistics.totalProcessed,
+          duration: result.result.duration
+        });
+      } else {
+        this.syncResults.set(syncId, {
+          status: 'failed',
+          error: result.error,
+          // Present when the sync ran but some transactions failed
+          statistics: result.statistics,
+          timestamp: new Date().toISOString()
+        });
+        
+        this.services.syncReporter.reportFailure(new Error(result.error));
+      }
+      
+      return { ...result, syncId };
+    } finally {
+      this.activeOperations.delete(operation);
+    }
+  }
+
+  /**
+   * Combine per-tenant reprocessing results into a single result
+   * @param {Object[]} tenantResults - Results from reprocessFailedTransactions() tagged with tenantId
+   * @returns {Object} - Combined result with summed statistics
+   */
+  combineReprocessingResults(tenantResults) {
+    const statistics = {};
+    
+    for (const { statistics: tenantStats } of tenantResults) {
+      for (const [key, value] of Object.entries(tenantStats)) {
+        if (typeof value === 'number') {
+          statistics[key] = (statistics[key] || 0) + value;
+        } else if (Array.isArray(value)) {
+          statistics[key] = (statistics[key] || []).concat(value);
+        }
+      }
+    }
+    
+    return {
+      success: tenantResults.every(result => result.success),
+      timestamp: new Date().toISOString(),
+      statistics,
+      summary: tenantResults.map(result => `[${result.tenantId}] ${result.summary}`).join('; '),
+      errors: statistics.errors || [],
+      tenants: tenantResults
+    };
+  }
+
+  /**
+   * Run failed transaction reprocessing and record the result for the progress endpoint
+   * @param {string} source - What triggered the run
+   * @returns {Promise<Object>} - Reprocessing results with a reprocess ID
+   */
+  async runReprocessing(source) {
+    const reprocessId = Date.now().toString();
+    const operation = `reprocess-${reprocessId}`;
+    this.activeOperations.add(operation);
+    
+    try {
+      logger.info(`Reprocessing failed transactions (source: ${source})`);
+      
+      const syncService = this.services.syncService;
+      const tenantResults = [];
+      
+      // Failed transactions and their mappings are stored per tenant, so reprocess each one separately
+      for (const tenantId of syncService.getTenantIds()) {
+        const tenantResult = await syncService.runForTenant(tenantId, () => this.services.reprocessingService.reprocessFailedTransactions({
+          dryRun: this.config.dry_run_mode,
+          importToXero: this.config.sync_to_xero && !this.config.dry_run_mode
+        }));
+        
+        tenantResults.push({ tenantId, ...tenantResult });
+      }
+      
+      if (tenantResults.length === 0) {
+        throw new Error('No Xero organisation selected');
+      }
+      
+      const result = tenantResults.length === 1 ? tenantResults[0] : this.combineReprocessingResults(tenantResults);
+      
+      this.reprocessResults.set(reprocessId, {
+        status: 'completed',
+        statistics: result.statistics,
+        message: result.summary,
+        timestamp: new Date().toISOString()
+      });
+      
+      return { ...result, reprocessId };
+    } catch (error) {
+      logger.error('Reprocessing failed:', error.message);
+      
+      this.reprocessResults.set(reprocessId, {
+        status: 'failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      
+      return { success: false, error: error.message, reprocessId };
+    } finally {
+      this.activeOperations.delete(operation);
+    }
+  }
+
+  /**
+   * Run the remaining backfill windows and record per-window progress for the progress endpoint
+   * @param {string} source - What triggered the run
+   * @param {string} syncId - ID the progress is recorded under (default: a new one)
+   * @returns {Promise<Object>} - Backfill result with the sync ID
+   */
+  async runBackfill(source, syncId = Date.now().toString()) {
+    const operation = `backfill-${syncId}`;
+    this.activeOperations.add(operation);
+    
+    try {
+      logger.info(`Running backfill (source: ${source})`);
+      
+      const backfillService = this.services.backfillService;
+      this.recordBackfillProgress(syncId, BackfillStatus.RUNNING, backfillService.getProgress());
+      
+      const result = await backfillService.run({
+        onProgress: (progress) => this.recordBackfillProgress(syncId, BackfillStatus.RUNNING, progress)
+      });
+      
+      this.recordBackfillProgress(syncId, result.status, result.progress, result.error);
+      
+      if (result.status === BackfillStatus.PAUSED && result.resumeAt) {
+        this.scheduleBackfillResume(new Date(result.resumeAt));
+      }
+      
+      return { ...result, syncId };
+    } catch (error) {
+      logger.error('Backfill failed:', error.message);
+      
+      this.syncResults.set(syncId, {
+        type: 'backfill',
+        status: 'failed',
+        error: error.message,
+        timestamp: new Date().toISOString()
+      });
+      
+      return { success: false, error: error.message, syncId };
+    } finally {
+      this.activeOperations.delete(operation);
+    }
+  }
+
+  /**
+   * Record backfill progress under a sync ID for /api/sync/progress/:syncId
+   * @param {string} syncId - Sync ID
+   * @param {string} status - Backfill status
+   * @param {Object} progress - Progress from BackfillService.getProgress()
+   * @param {string} error - Error that stopped the run
+   */
+  recordBackfillProgress(syncId, status, progress, error = undefined) {
+    const totals = progress ? progress.totals : {};
+    let message;
+    
+    if (!progress) {
+      message = 'Backfill starting';
+    } else if (status === BackfillStatus.RUNNING) {
+      const window = progress.current_window;
+      message = window
+        ? `Backfill window ${progress.windows_completed + 1}/${progress.total_windows}: ${window.start} to ${window.end}`
+        : `Backfill ${progress.windows_completed}/${progress.total_windows} windows done`;
+    } else if (status === BackfillStatus.PAUSED) {
+      message = `Backfill paused until ${progress.resume_at} (Xero daily API limit reached), ${progress.windows_completed}/${progress.total_windows} windows done`;
+    } else if (status === BackfillStatus.FAILED) {
+      message = `Backfill stopped at ${progress.next_date}: ${error || progress.last_error}`;
+    } else {
+      message = `Backfill ${status}: ${progress.windows_completed}/${progress.total_windows} windows, ${totals.imported} imported to Xero`;
+    }
+    
+    this.syncResults.set(syncId, {
+      type: 'backfill',
+      status,
+      progress: progress ? progress.percentage : 0,
+      message,
+      statistics: {
+        totalProcessed: totals.fetched,
+        storedInXano: totals.stored,
+        duplicatesSkipped: totals.duplicates_skipped,
+        mappedTransactions: totals.mapped,
+        importedToXero: totals.imported,
+        failedTransactions: totals.failed
+      },
+      backfill: progress,
+      error,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Run the backfill job at a later time, e.g. once the Xero daily quota resets
+   * @param {Date} resumeAt - When to run it (now if in the past)
+   */
+  scheduleBackfillResume(resumeAt) {
+    clearTimeout(this.backfillResumeTimer);
+    
+    const delay = Math.max(0, resumeAt.getTime() - Date.now());
+    logger.info(`Backfill will resume at ${new Date(Date.now() + delay).toISOString()}`);
+    
+    this.backfillResumeTimer = setTimeout(async () => {
+      this.backfillResumeTimer = null;
+      
+      if (this.isShuttingDown) {
+        return;
+      }
+      
+      const result = await this.scheduler.runJob('backfill', 'backfill_resume');
+      
+      // Another job held the lock, try again shortly
+      if (result.skipped) {
+        this.scheduleBackfillResume(new Date(Date.now() + BACKFILL_RETRY_MS));
+      }
+    }, delay);
+    
+    // Don't keep the process alive just to resume the backfill
+    if (this.backfillResumeTimer.unref) {
+      this.backfillResumeTimer.unref();
+    }
+  }
+
+  /**
+   * Carry on with a backfill that was interrupted by a restart or paused for the Xero quota
+   * A backfill stopped by an error waits for it to be resumed from the web interface.
+   */
+  resumeBackfill() {
+    const progress = this.services.backfillService ? this.services.backfillService.getProgress() : null;
+    
+    if (!progress || ![BackfillStatus.RUNNING, BackfillStatus.PAUSED].includes(progress.status)) {
+      return;
+    }
+    
+    logger.info(`Found unfinished backfill from ${progress.start_date} to ${progress.end_date} (${progress.windows_completed}/${progress.total_windows} windows done)`);
+    this.scheduleBackfillResume(progress.resume_at ? new Date(progress.resume_at) : new Date());
+  }
+
+  /**
+   * Create the scheduler and register the sync, reprocessing and mapping refresh jobs
+   */
+  setupScheduler() {
+    this.scheduler = new SchedulerService({ logger: logger });
+    
+    this.scheduler.register('sync', this.config.sync_schedule, (source, options) => this.runSync(source, options));
+    this.scheduler.register('reprocessing', this.config.reprocessing_schedule, (source) => this.runReprocessing(source));
+    this.scheduler.register('mapping_refresh', this.config.mapping_refresh_schedule, () => this.services.syncService.refreshMappings());
+    
+    // Manual only; shares the job lock so a backfill window never overlaps a sync
+    this.scheduler.register('backfill', null, (source, syncId) => this.runBackfill(source, syncId));
+    
+    // Keep the Home Assistant last_sync entity in step with the schedule
+    const publishNextSync = () => {
+      const syncJob = this.scheduler.getJobStatus('sync');
+      this.services.haService.updateNextSync(syncJob.next_run ? new Date(syncJob.next_run) : null);
+    };
+    
+    this.scheduler.on('scheduler-started', publishNextSync);
+    this.scheduler.on('job-completed', (job) => {
+      if (job.name === 'sync') {
+        publishNextSync();
+      }
+    });
+    
+    this.scheduler.on('job-skipped', (job) => {
+      logger.warn(`Skipped ${job.name} run: ${job.reason}`);
+    });
+  }
+
   /**
    * Setup Express middleware
    */
@@ -325,10 +624,19 @@ class ActualXeroSyncApp {
         sync_days_back: this.config.sync_days_back,
         batch_size: this.config.batch_size,
         xano_rate_limit: this.config.xano_rate_limit,
+        reprocessing_schedule: this.config.reprocessing_schedule,
+        mapping_refresh_schedule: this.config.mapping_refresh_schedule,
+        xero_document_type: this.config.xero_document_type,
+        xero_sink: this.config.xero_sink,
+        actual_client: this.config.actual_client,
+        scheduler: this.scheduler ? this.scheduler.getStatus() : null,
         // Don't expose sensitive configuration
         actual_budget_configured: !!this.config.actual_budget_url,
+        storage_backend: this.config.storage_backend,
         xano_configured: !!this.config.xano_api_url,
-        xero_configured: !!this.config.xero_client_id
+        storage_configured: this.config.storage_backend === StorageBackend.LOCAL || !!this.config.xano_api_url,
+        xero_configured: !!this.config.xero_client_id,
+        xero_connected: this.services.xeroClient ? this.services.xeroClient.isConnected() : false
       });
     });
 
@@ -341,6 +649,8 @@ class ActualXeroSyncApp {
         sync_schedule: this.config.sync_schedule,
         sync_days_back: this.config.sync_days_back,
         batch_size: this.config.batch_size,
+        storage_backend: this.config.storage_backend,
+        xero_sink: this.config.xero_sink,
         xano_rate_limit: this.config.xano_rate_limit
       });
     });
@@ -356,6 +666,12 @@ class ActualXeroSyncApp {
           pending_mappings: Math.max(0, (stats.totalProcessed || 0) - (stats.mappedTransactions || 0)),
           stored_xano: stats.storedInXano || 0,
           duplicates_skipped: stats.duplicatesSkipped || 0,
+          adopted_from_xero: stats.transactionsAdopted || 0,
+          xero_duplicates: stats.xeroDuplicates || 0,
+          edits_applied: stats.editsApplied || 0,
+          edit_conflicts: stats.editConflicts || 0,
+          transactions_voided: stats.transactionsVoided || 0,
+          transactions_ineligible: stats.transactionsIneligible || 0,
           last_sync: this.lastSyncResult.timestamp
         });
       } else {
@@ -366,35 +682,60 @@ class ActualXeroSyncApp {
           pending_mappings: 0,
           stored_xano: 0,
           duplicates_skipped: 0,
+          adopted_from_xero: 0,
+          xero_duplicates: 0,
+          edits_applied: 0,
+          edit_conflicts: 0,
+          transactions_voided: 0,
+          transactions_ineligible: 0,
           last_sync: null
         });
       }
     });
 
+    // Show which transactions the eligibility rules would sync, and why, without syncing anything
+    this.app.get('/api/sync/eligibility/preview', async (req, res) => {
+      try {
+        const since = req.query.since ? new Date(`${req.query.since}T00:00:00.000Z`) : null;
+        const until = req.query.until ? new Date(`${req.query.until}T00:00:00.000Z`) : null;
+
+        if ((since && isNaN(since.getTime())) || (until && isNaN(until.getTime()))) {
+          return res.status(400).json({ success: false, error: 'since and until must be dates (YYYY-MM-DD)' });
+        }
+
+        const preview = await this.services.syncService.previewEligibility({ since, until });
+
+        res.json({
+          success: true,
+          ...preview
+        });
+      } catch (error) {
+        logger.error('Failed to preview sync eligibility:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to preview sync eligibility'
+        });
+      }
+    });
+
     // Manual sync trigger endpoint
     this.app.post('/api/sync/trigger', async (req, res) => {
       try {
-        logger.info('Manual sync triggered via API');
+        const fullRescan = !!(req.body && req.body.full_rescan);
+        logger.info(`Manual ${fullRescan ? 'full rescan' : 'sync'} triggered via API`);
         
-        // Generate sync ID for tracking
-        const syncId = Date.now().toString();
+        const result = await this.scheduler.runJob('sync', 'web_ui', { fullRescan });
+        const syncId = result.syncId;
         
-        // Trigger sync directly through sync service
-        const result = await this.services.syncService.executeSync();
-        
-        if (result.success) {
-          // Store sync results for progress tracking
-          this.syncResults.set(syncId, {
-            status: 'completed',
-            result: result.result,
-            statistics: result.statistics,
-            message: result.message,
+        if (result.skipped) {
+          return res.status(409).json({
+            error: result.error,
+            message: result.error,
             timestamp: new Date().toISOString()
           });
-          
-          // Update last sync result
-          this.lastSyncResult = this.syncResults.get(syncId);
-          
+        }
+        
+        if (result.success) {
           res.json({
             message: result.message,
             syncId: syncId,
@@ -402,132 +743,568 @@ class ActualXeroSyncApp {
             statistics: result.statistics
           });
         } else {
-          // Store failed sync result
-          this.syncResults.set(syncId, {
-            status: 'failed',
+          res.status(500).json({
+            error: result.error,
+            syncId: syncId,
+            timestamp: new Date().toISOString(),
+            statistics: result.statistics
+          });
+        }
+      } catch (error) {
+        logger.error('Failed to trigger sync', { error: error.message });
+        res.status(500).json({
+          error: 'Failed to trigger sync',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Sync progress endpoint
+    this.app.get('/api/sync/progress/:syncId', (req, res) => {
+      const syncId = req.params.syncId;
+      const syncResult = this.syncResults.get(syncId);
+      
+      if (syncResult) {
+        const stats = syncResult.statistics || {};
+        
+        res.json({
+          syncId: syncId,
+          status: syncResult.status,
+          progress: syncResult.progress !== undefined ? syncResult.progress : 100,
+          message: syncResult.message || (syncResult.status === 'completed' ? 'Sync completed' : 'Sync failed'),
+          processed: stats.totalProcessed || 0,
+          stored_xano: stats.storedInXano || 0,
+          duplicates_skipped: stats.duplicatesSkipped || 0,
+          mapped: stats.mappedTransactions || 0,
+          imported_xero: stats.importedToXero || 0,
+          failed: stats.failedTransactions || 0,
+          backfill: syncResult.backfill,
+          error: syncResult.error
+        });
+      } else {
+        // Fallback for unknown sync IDs
+        res.json({
+          syncId: syncId,
+          status: 'completed',
+          progress: 100,
+          message: 'Sync completed',
+          processed: 0
+        });
+      }
+    });
+
+    // Current sync status endpoint
+    this.app.get('/api/sync/current-status', (req, res) => {
+      const syncJob = this.scheduler ? this.scheduler.getJobStatus('sync') : null;
+      
+      res.json({
+        syncing: this.scheduler ? this.scheduler.isJobRunning('sync') : false,
+        reprocessing: this.scheduler ? this.scheduler.isJobRunning('reprocessing') : false,
+        backfilling: this.scheduler ? this.scheduler.isJobRunning('backfill') : false,
+        watermarks: this.services.syncService ? this.services.syncService.watermarkStore.getAll() : {},
+        lastSync: syncJob ? syncJob.last_run : null,
+        nextSync: syncJob ? syncJob.next_run : null
+      });
+    });
+
+    // Backfill status: the cursor of the current or last run
+    this.app.get('/api/sync/backfill', (req, res) => {
+      res.json({
+        running: this.scheduler ? this.scheduler.isJobRunning('backfill') : false,
+        backfill: this.services.backfillService.getProgress()
+      });
+    });
+
+    // Start a backfill over a date range, or resume the unfinished one when no start_date is given
+    this.app.post('/api/sync/backfill', async (req, res) => {
+      try {
+        const body = req.body || {};
+        const backfillService = this.services.backfillService;
+        
+        if (this.scheduler.isJobRunning()) {
+          return res.status(409).json({ success: false, error: 'Cannot start a backfill while a job is running' });
+        }
+        
+        if (body.start_date) {
+          await backfillService.start({
+            startDate: body.start_date,
+            endDate: body.end_date || undefined,
+            windowDays: body.window_days !== undefined && body.window_days !== '' ? body.window_days : undefined
+          });
+        } else if (!backfillService.hasPendingWork()) {
+          return res.status(400).json({ success: false, error: 'start_date is required, there is no unfinished backfill to resume' });
+        }
+        
+        clearTimeout(this.backfillResumeTimer);
+        this.backfillResumeTimer = null;
+        
+        // Windows can take a long time, so answer now and report through /api/sync/progress/:syncId
+        const syncId = Date.now().toString();
+        this.recordBackfillProgress(syncId, BackfillStatus.RUNNING, backfillService.getProgress());
+        this.scheduler.runJob('backfill', 'web_ui', syncId);
+        
+        const progress = backfillService.getProgress();
+        
+        res.status(202).json({
+          success: true,
+          message: `Backfill started from ${progress.next_date} to ${progress.end_date}`,
+          syncId: syncId,
+          backfill: progress,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        if (error.code === 'INVALID_BACKFILL_RANGE') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+        
+        logger.error('Failed to start backfill', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to start backfill' });
+      }
+    });
+
+    // Stop the backfill after the window in progress
+    this.app.post('/api/sync/backfill/cancel', async (req, res) => {
+      try {
+        clearTimeout(this.backfillResumeTimer);
+        this.backfillResumeTimer = null;
+        
+        const progress = await this.services.backfillService.cancel();
+        
+        res.json({
+          success: true,
+          message: progress && progress.running ? 'Backfill will stop after the current window' : 'Backfill cancelled',
+          backfill: progress
+        });
+      } catch (error) {
+        logger.error('Failed to cancel backfill', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to cancel backfill' });
+      }
+    });
+
+    // Manual reprocessing trigger endpoint
+    this.app.post('/api/sync/reprocess', async (req, res) => {
+      try {
+        logger.info('Manual reprocessing triggered via API');
+        
+        const result = await this.scheduler.runJob('reprocessing', 'web_ui');
+        
+        if (result.skipped) {
+          return res.status(409).json({
             error: result.error,
+            message: result.error,
             timestamp: new Date().toISOString()
           });
-          
+        }
+        
+        if (result.success) {
+          res.json({
+            message: result.summary,
+            reprocessId: result.reprocessId,
+            timestamp: new Date().toISOString(),
+            statistics: result.statistics
+          });
+        } else {
           res.status(500).json({
             error: result.error,
-            syncId: syncId,
+            message: result.error,
+            reprocessId: result.reprocessId,
             timestamp: new Date().toISOString()
           });
         }
       } catch (error) {
-        logger.error('Failed to trigger sync', { error: error.message });
+        logger.error('Failed to trigger reprocessing', { error: error.message });
         res.status(500).json({
-          error: 'Failed to trigger sync',
+          error: 'Failed to trigger reprocessing',
+          timestamp: new Date().toISOString()
+        });
+      }
+    });
+
+    // Reprocessing progress endpoint
+    this.app.get('/api/sync/reprocess-progress/:reprocessId', (req, res) => {
+      const reprocessId = req.params.reprocessId;
+      const reprocessResult = this.reprocessResults.get(reprocessId);
+      
+      if (reprocessResult) {
+        const stats = reprocessResult.statistics || {};
+        
+        res.json({
+          reprocessId: reprocessId,
+          status: reprocessResult.status,
+          progress: 100,
+          message: reprocessResult.message || (reprocessResult.status === 'completed' ? 'Reprocessing completed' : 'Reprocessing failed'),
+          reprocessed: stats.transactionsProcessed || 0,
+          resolved: stats.transactionsResolved || 0,
+          imported_xero: stats.transactionsImported || 0,
+          failed: stats.transactionsFailed || 0,
+          error: reprocessResult.error
+        });
+      } else {
+        res.status(404).json({
+          error: 'Unknown reprocess ID',
+          reprocessId: reprocessId
+        });
+      }
+    });
+
+    // Scheduler endpoints
+    this.app.get('/api/scheduler/status', (req, res) => {
+      try {
+        res.json(this.scheduler.getStatus());
+      } catch (error) {
+        logger.error('Failed to get scheduler status', { error: error.message });
+        res.status(500).json({ error: 'Failed to get scheduler status' });
+      }
+    });
+
+    this.app.post('/api/scheduler/jobs/:name/run', async (req, res) => {
+      try {
+        const { name } = req.params;
+        
+        if (!this.scheduler.getJobStatus(name)) {
+          return res.status(404).json({ error: `Unknown job: ${name}` });
+        }
+        
+        const result = await this.scheduler.runJob(name, 'api');
+        
+        res.status(result.skipped ? 409 : (result.success === false ? 500 : 200)).json({
+          job: this.scheduler.getJobStatus(name),
+          result
+        });
+      } catch (error) {
+        logger.error('Failed to run scheduled job', { error: error.message });
+        res.status(500).json({ error: 'Failed to run scheduled job' });
+      }
+    });
+
+    // Log monitoring endpoints
+    this.app.get('/api/logs/status', (req, res) => {
+      try {
+        const status = this.getLogMonitoringStatus();
+        res.json(status);
+      } catch (error) {
+        logger.error('Failed to get log monitoring status', { error: error.message });
+        res.status(500).json({ error: 'Failed to get log monitoring status' });
+      }
+    });
+
+    this.app.get('/api/logs/statistics', (req, res) => {
+      try {
+        if (!this.logMonitor) {
+          return res.status(404).json({ error: 'Log monitoring not available' });
+        }
+        
+        const statistics = this.logMonitor.getStatistics();
+        res.json(statistics);
+      } catch (error) {
+        logger.error('Failed to get log statistics', { error: error.message });
+        res.status(500).json({ error: 'Failed to get log statistics' });
+      }
+    });
+
+    this.app.post('/api/logs/rotate', async (req, res) => {
+      try {
+        if (!this.logMonitor) {
+          return res.status(404).json({ error: 'Log monitoring not available' });
+        }
+        
+        logger.info('Manual log rotation requested via API');
+        const result = await this.logMonitor.forceRotation();
+        
+        res.json({
+          message: 'Log rotation completed successfully',
+          result,
           timestamp: new Date().toISOString()
         });
+      } catch (error) {
+        logger.error('Failed to rotate logs', { error: error.message });
+        res.status(500).json({ error: 'Failed to rotate logs' });
+      }
+    });
+
+    this.app.post('/api/logs/alerts/:alertId/acknowledge', (req, res) => {
+      try {
+        if (!this.logMonitor) {
+          return res.status(404).json({ error: 'Log monitoring not available' });
+        }
+        
+        const { alertId } = req.params;
+        this.logMonitor.acknowledgeAlert(alertId);
+        
+        res.json({
+          message: 'Alert acknowledged successfully',
+          alertId,
+          timestamp: new Date().toISOString()
+        });
+      } catch (error) {
+        logger.error('Failed to acknowledge alert', { error: error.message });
+        res.status(500).json({ error: 'Failed to acknowledge alert' });
+      }
+    });
+
+    // Xero OAuth connection endpoints
+    this.app.get('/api/xero/status', (req, res) => {
+      try {
+        const status = this.services.xeroClient.getStatus();
+        
+        res.json({
+          connected: status.oauth.connected,
+          token_expires_at: status.oauth.tokenExpiresAt,
+          tenant_id: status.oauth.tenantId,
+          tenant_routes: this.config.xero_tenant_routes.length,
+          persistent: status.oauth.persistent,
+          redirect_uri: this.config.xero_redirect_uri,
+          quota: {
+            minute_limit: status.quota.minuteLimit,
+            minute_remaining: status.quota.minuteRemaining,
+            day_limit: status.quota.dayLimit,
+            day_remaining: status.quota.dayRemaining,
+            day_used: status.quota.dayUsed,
+            paused_until: status.quota.pausedUntil,
+            exhausted: status.quota.quotaExhausted,
+            resume_at: status.quota.resumeAt
+          }
+        });
+      } catch (error) {
+        logger.error('Failed to get Xero status', { error: error.message });
+        res.status(500).json({ error: 'Failed to get Xero status' });
+      }
+    });
+
+    this.app.get('/api/xero/connect', (req, res) => {
+      try {
+        this.cleanupOAuthStates();
+        
+        const { url, state } = this.services.xeroClient.getAuthorizationUrl();
+        this.pendingOAuthStates.set(state, Date.now());
+        
+        logger.info('Redirecting to Xero for authorization');
+        res.redirect(url);
+      } catch (error) {
+        logger.error('Failed to start Xero connection', { error: error.message });
+        res.status(500).json({ error: 'Failed to start Xero connection' });
+      }
+    });
+
+    // OAuth redirect target registered with the Xero app
+    this.app.get('/callback', async (req, res) => {
+      const { code, state, error: oauthError } = req.query;
+      
+      try {
+        if (oauthError) {
+          throw new Error(`Xero authorization was not granted: ${oauthError}`);
+        }
+        
+        // Only accept states we issued, and only once
+        this.cleanupOAuthStates();
+        if (!state || !this.pendingOAuthStates.has(state)) {
+          logger.security('Rejected Xero OAuth callback with unknown state', { ip: req.ip });
+          throw new Error('Invalid or expired OAuth state, please try connecting again');
+        }
+        this.pendingOAuthStates.delete(state);
+        
+        if (!code) {
+          throw new Error('Authorization code missing from Xero callback');
+        }
+        
+        const xeroClient = this.services.xeroClient;
+        await xeroClient.exchangeCodeForToken(code, state);
+        
+        // Pick the organisation automatically when there is no choice to make
+        if (!xeroClient.defaultTenantId) {
+          const connections = await xeroClient.getConnections();
+          if (connections.length === 1) {
+            await xeroClient.selectTenant(connections[0].tenant_id);
+            this.services.xanoClient.setDefaultTenantId(xeroClient.defaultTenantId);
+          }
+        }
+        
+        logger.info('Connected to Xero successfully');
+        res.redirect('/?xero=connected');
+      } catch (error) {
+        logger.error('Xero OAuth callback failed', { error: error.message });
+        res.redirect(`/?xero=error&message=${encodeURIComponent(error.message)}`);
+      }
+    });
+
+    this.app.get('/api/xero/tenants', async (req, res) => {
+      try {
+        const xeroClient = this.services.xeroClient;
+        
+        if (!xeroClient.isConnected()) {
+          return res.status(409).json({ error: 'Not connected to Xero' });
+        }
+        
+        const connections = await xeroClient.getConnections();
+        
+        res.json({
+          success: true,
+          selected_tenant_id: xeroClient.defaultTenantId,
+          tenants: connections.map(connection => ({
+            ...connection,
+            selected: connection.tenant_id === xeroClient.defaultTenantId
+          })),
+          routes: this.config.xero_tenant_routes
+        });
+      } catch (error) {
+        logger.error('Failed to list Xero organisations', { error: error.message });
+        res.status(500).json({ error: 'Failed to list Xero organisations' });
+      }
+    });
+
+    this.app.post('/api/xero/tenant', async (req, res) => {
+      try {
+        const { tenant_id: tenantId } = req.body || {};
+        
+        if (!tenantId) {
+          return res.status(400).json({ success: false, error: 'tenant_id is required' });
+        }
+        
+        if (this.scheduler.isJobRunning()) {
+          return res.status(409).json({ success: false, error: 'Cannot change organisation while a job is running' });
+        }
+        
+        const connection = await this.services.xeroClient.selectTenant(tenantId);
+        this.services.xanoClient.setDefaultTenantId(tenantId);
+        
+        res.json({
+          success: true,
+          message: `Selected Xero organisation ${connection.tenant_name}`,
+          tenant: connection
+        });
+      } catch (error) {
+        logger.error('Failed to select Xero organisation', { error: error.message });
+        const status = error.code === 'TENANT_NOT_AUTHORISED' ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+      }
+    });
+
+    // Copy Xano records into the local store, before or after switching storage_backend to local
+    this.app.post('/api/storage/migrate', async (req, res) => {
+      try {
+        if (!this.config.xano_api_url || !this.config.xano_api_key) {
+          return res.status(400).json({ success: false, error: 'xano_api_url and xano_api_key are required to migrate from Xano' });
+        }
+        
+        if (this.scheduler.isJobRunning()) {
+          return res.status(409).json({ success: false, error: 'Cannot migrate storage while a job is running' });
+        }
+        
+        const results = await migrateXanoToLocal(this.config, {
+          dataDir: this.dataDir,
+          target: this.config.storage_backend === StorageBackend.LOCAL ? this.services.xanoClient : null,
+          pageSize: req.body && req.body.page_size ? parseInt(req.body.page_size, 10) : undefined,
+          logger: logger
+        });
+        
+        res.json({
+          success: true,
+          message: `Migrated ${results.transactions.imported} transactions, ${results.categoryMappings.imported} category mappings and ${results.payeeMappings.imported} payee mappings from Xano`,
+          results
+        });
+      } catch (error) {
+        logger.error('Failed to migrate Xano records to local storage', { error: error.message });
+        res.status(500).json({ success: false, error: error.message });
       }
     });
 
-    // Sync progress endpoint
-    this.app.get('/api/sync/progress/:syncId', (req, res) => {
-      const syncId = req.params.syncId;
-      const syncResult = this.syncResults.get(syncId);
-      
-      if (syncResult) {
-        const stats = syncResult.statistics || {};
+    this.app.get('/api/xero/tax-rates', async (req, res) => {
+      try {
+        const rates = await this.services.documentService.getTaxRates(req.query.refresh === 'true');
         
         res.json({
-          syncId: syncId,
-          status: syncResult.status,
-          progress: 100,
-          message: syncResult.message || (syncResult.status === 'completed' ? 'Sync completed' : 'Sync failed'),
-          processed: stats.totalProcessed || 0,
-          stored_xano: stats.storedInXano || 0,
-          duplicates_skipped: stats.duplicatesSkipped || 0,
-          mapped: stats.mappedTransactions || 0,
-          imported_xero: stats.importedToXero || 0,
-          failed: stats.failedTransactions || 0,
-          error: syncResult.error
-        });
-      } else {
-        // Fallback for unknown sync IDs
-        res.json({
-          syncId: syncId,
-          status: 'completed',
-          progress: 100,
-          message: 'Sync completed',
-          processed: 0
+          success: true,
+          default_tax_type: this.config.xero_default_tax_type || null,
+          line_amount_types: this.config.xero_line_amount_types,
+          tax_rates: Array.from(rates.values())
         });
+      } catch (error) {
+        logger.error('Failed to get Xero tax rates', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to get Xero tax rates' });
       }
     });
 
-    // Current sync status endpoint
-    this.app.get('/api/sync/current-status', (req, res) => {
-      res.json({
-        syncing: false,
-        reprocessing: false,
-        lastSync: null
-      });
-    });
-
-    // Log monitoring endpoints
-    this.app.get('/api/logs/status', (req, res) => {
+    this.app.post('/api/xero/disconnect', async (req, res) => {
       try {
-        const status = this.getLogMonitoringStatus();
-        res.json(status);
+        await this.services.xeroClient.disconnect();
+        
+        res.json({
+          success: true,
+          message: 'Disconnected from Xero',
+          timestamp: new Date().toISOString()
+        });
       } catch (error) {
-        logger.error('Failed to get log monitoring status', { error: error.message });
-        res.status(500).json({ error: 'Failed to get log monitoring status' });
+        logger.error('Failed to disconnect from Xero', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to disconnect from Xero' });
       }
     });
 
-    this.app.get('/api/logs/statistics', (req, res) => {
+    // Budgets on the Actual server, and which one is loaded (or why none is)
+    this.app.get('/api/actual/budgets', async (req, res) => {
       try {
-        if (!this.logMonitor) {
-          return res.status(404).json({ error: 'Log monitoring not available' });
-        }
+        const actualClient = this.services.actualClient;
+        const budgets = (await actualClient.getBudgets()).map(budget => actualClient.describeBudget(budget));
         
-        const statistics = this.logMonitor.getStatistics();
-        res.json(statistics);
+        res.json({
+          success: true,
+          selected_budget_id: actualClient.budgetId,
+          error: actualClient.budgetError ? actualClient.budgetError.message : null,
+          budgets: budgets.map(budget => ({
+            id: budget.id,
+            name: budget.name,
+            selected: budget.id === actualClient.budgetId
+          }))
+        });
       } catch (error) {
-        logger.error('Failed to get log statistics', { error: error.message });
-        res.status(500).json({ error: 'Failed to get log statistics' });
+        logger.error('Failed to list Actual budgets', { error: error.message });
+        res.status(500).json({ success: false, error: 'Failed to list Actual budgets' });
       }
     });
 
-    this.app.post('/api/logs/rotate', async (req, res) => {
+    this.app.post('/api/actual/budget', async (req, res) => {
       try {
-        if (!this.logMonitor) {
-          return res.status(404).json({ error: 'Log monitoring not available' });
+        const { budget_id: budgetId } = req.body || {};
+        
+        if (!budgetId) {
+          return res.status(400).json({ success: false, error: 'budget_id is required' });
         }
         
-        logger.info('Manual log rotation requested via API');
-        const result = await this.logMonitor.forceRotation();
+        if (this.scheduler.isJobRunning()) {
+          return res.status(409).json({ success: false, error: 'Cannot change budget while a job is running' });
+        }
+        
+        const budget = await this.services.actualClient.selectBudget(budgetId);
         
         res.json({
-          message: 'Log rotation completed successfully',
-          result,
-          timestamp: new Date().toISOString()
+          success: true,
+          message: `Selected budget ${budget.name || budget.id}`,
+          budget: { id: budget.id, name: budget.name }
         });
       } catch (error) {
-        logger.error('Failed to rotate logs', { error: error.message });
-        res.status(500).json({ error: 'Failed to rotate logs' });
+        logger.error('Failed to select Actual budget', { error: error.message });
+        const status = error.code === 'BUDGET_NOT_FOUND' ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
       }
     });
 
-    this.app.post('/api/logs/alerts/:alertId/acknowledge', (req, res) => {
+    // Forget the web interface choice and go back to budget_id/budget_name
+    this.app.delete('/api/actual/budget', async (req, res) => {
       try {
-        if (!this.logMonitor) {
-          return res.status(404).json({ error: 'Log monitoring not available' });
+        if (this.scheduler.isJobRunning()) {
+          return res.status(409).json({ success: false, error: 'Cannot change budget while a job is running' });
         }
         
-        const { alertId } = req.params;
-        this.logMonitor.acknowledgeAlert(alertId);
+        const budget = await this.services.actualClient.clearBudgetSelection();
         
         res.json({
-          message: 'Alert acknowledged successfully',
-          alertId,
-          timestamp: new Date().toISOString()
+          success: true,
+          message: `Loaded configured budget ${budget.name || budget.id}`,
+          budget: { id: budget.id, name: budget.name }
         });
       } catch (error) {
-        logger.error('Failed to acknowledge alert', { error: error.message });
-        res.status(500).json({ error: 'Failed to acknowledge alert' });
+        logger.error('Failed to clear Actual budget selection', { error: error.message });
+        const status = ['BUDGET_NOT_FOUND', 'BUDGET_NOT_SELECTED'].includes(error.code) ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
       }
     });
 
@@ -579,6 +1356,50 @@ class ActualXeroSyncApp {
       }
     });
 
+    this.app.get('/api/actual/accounts', async (req, res) => {
+      try {
+        logger.info('Fetching accounts from Actual Budget');
+        const accounts = await this.services.actualClient.getAccounts();
+        
+        res.json({
+          success: true,
+          accounts: accounts.map(account => ({
+            id: account.id,
+            name: account.name,
+            offbudget: !!account.offbudget,
+            closed: !!account.closed
+          })),
+          count: accounts.length
+        });
+      } catch (error) {
+        logger.error('Failed to fetch accounts:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to fetch accounts from Actual Budget'
+        });
+      }
+    });
+
+    // Store Actual accounts as account mappings and suggest Xero bank accounts for unmapped ones
+    this.app.post('/api/sync/accounts', async (req, res) => {
+      try {
+        logger.info('Syncing accounts for mapping setup');
+        const result = await this.services.syncService.syncAccountMappings();
+        
+        res.json({
+          success: true,
+          message: `Synced ${result.created + result.updated} accounts, suggested ${result.suggested} Xero bank accounts`,
+          statistics: result
+        });
+      } catch (error) {
+        logger.error('Failed to sync accounts:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to sync accounts'
+        });
+      }
+    });
+
     // Sync categories to Xano for mapping
     this.app.post('/api/sync/categories', async (req, res) => {
       try {
@@ -709,6 +1530,7 @@ class ActualXeroSyncApp {
         // Get mapping statistics from Xano
         const categoryStats = await this.services.xanoClient.getCategoryMappingStats();
         const payeeStats = await this.services.xanoClient.getPayeeMappingStats();
+        const accountStats = await this.services.xanoClient.getAccountMappingStats();
         
         res.json({
           success: true,
@@ -721,6 +1543,11 @@ class ActualXeroSyncApp {
             total: payeeStats.total || 0,
             mapped: payeeStats.mapped || 0,
             unmapped: (payeeStats.total || 0) - (payeeStats.mapped || 0)
+          },
+          accounts: {
+            total: accountStats.total || 0,
+            mapped: accountStats.mapped || 0,
+            unmapped: (accountStats.total || 0) - (accountStats.mapped || 0)
           }
         });
       } catch (error) {
@@ -732,6 +1559,250 @@ class ActualXeroSyncApp {
       }
     });
 
+    // Choose the Xero tax type for a category (empty to fall back to xero_default_tax_type)
+    this.app.put('/api/mappings/category/:actualId/tax-type', async (req, res) => {
+      try {
+        const { actualId } = req.params;
+        const taxType = req.body && req.body.tax_type ? req.body.tax_type : null;
+        
+        if (taxType) {
+          const rates = await this.services.documentService.getTaxRates();
+          const rate = rates.get(taxType);
+          
+          if (!rate || rate.status !== 'ACTIVE') {
+            return res.status(400).json({ success: false, error: `Tax type ${taxType} is not an active tax rate in Xero` });
+          }
+        }
+        
+        const mapping = await this.services.xanoClient.getCategoryMapping(actualId);
+        if (!mapping) {
+          return res.status(404).json({ success: false, error: `No category mapping found for ${actualId}` });
+        }
+        
+        const result = await this.services.xanoClient.upsertCategoryMapping({ ...mapping, xero_tax_type: taxType });
+        
+        logger.info(`Set Xero tax type for category ${actualId} to ${taxType || 'the default'}`);
+        
+        res.json({
+          success: true,
+          mapping: result,
+          tax_type: taxType
+        });
+      } catch (error) {
+        logger.error('Failed to update mapping tax type:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update mapping tax type'
+        });
+      }
+    });
+
+    // Choose the Xero bank account for an Actual account (empty to fall back to xero_bank_account_code)
+    this.app.put('/api/mappings/account/:actualId/bank-account', async (req, res) => {
+      try {
+        const { actualId } = req.params;
+        const bankAccountId = req.body && req.body.xero_bank_account_id ? req.body.xero_bank_account_id : null;
+        let bankAccount = null;
+        
+        if (bankAccountId) {
+          const bankAccounts = await this.services.xeroClient.getBankAccounts();
+          bankAccount = bankAccounts.find(account => account.xero_account_id === bankAccountId);
+          
+          if (!bankAccount) {
+            return res.status(400).json({ success: false, error: `${bankAccountId} is not an active bank account in Xero` });
+          }
+        }
+        
+        const [mapping] = await this.services.xanoClient.getAccountMappings([actualId]);
+        if (!mapping) {
+          return res.status(404).json({ success: false, error: `No account mapping found for ${actualId}` });
+        }
+        
+        const result = await this.services.xanoClient.upsertAccountMapping({
+          ...mapping,
+          xero_bank_account_id: bankAccount ? bankAccount.xero_account_id : null,
+          xero_bank_account_name: bankAccount ? bankAccount.name : null,
+          xero_bank_account_code: bankAccount ? bankAccount.code : null
+        });
+        
+        logger.info(`Set Xero bank account for account ${actualId} to ${bankAccount ? bankAccount.name : 'the default'}`);
+        
+        res.json({
+          success: true,
+          mapping: result
+        });
+      } catch (error) {
+        logger.error('Failed to update account mapping:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update account mapping'
+        });
+      }
+    });
+
+    // Set the currency of an Actual account (empty for the organisation's base currency)
+    this.app.put('/api/mappings/account/:actualId/currency', async (req, res) => {
+      try {
+        const { actualId } = req.params;
+        const currencyCode = req.body && req.body.currency_code ? String(req.body.currency_code).trim().toUpperCase() : null;
+
+        if (currencyCode && !/^[A-Z]{3}$/.test(currencyCode)) {
+          return res.status(400).json({ success: false, error: 'Currency must be a three letter ISO 4217 code, e.g. USD' });
+        }
+
+        const [mapping] = await this.services.xanoClient.getAccountMappings([actualId]);
+        if (!mapping) {
+          return res.status(404).json({ success: false, error: `No account mapping found for ${actualId}` });
+        }
+
+        // Xero rejects transactions whose currency differs from the bank account's
+        if (currencyCode && mapping.xero_bank_account_id) {
+          const bankAccounts = await this.services.xeroClient.getBankAccounts();
+          const bankAccount = bankAccounts.find(account => account.xero_account_id === mapping.xero_bank_account_id);
+
+          if (bankAccount && bankAccount.currency_code && bankAccount.currency_code !== currencyCode) {
+            return res.status(400).json({
+              success: false,
+              error: `Bank account ${bankAccount.name} is in ${bankAccount.currency_code}, not ${currencyCode}`
+            });
+          }
+        }
+
+        const result = await this.services.xanoClient.upsertAccountMapping({
+          ...mapping,
+          currency_code: currencyCode
+        });
+
+        logger.info(`Set currency for account ${actualId} to ${currencyCode || 'the base currency'}`);
+
+        res.json({
+          success: true,
+          mapping: result
+        });
+      } catch (error) {
+        logger.error('Failed to update account mapping currency:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update account mapping currency'
+        });
+      }
+    });
+
+    // Choose the Xero document type (bank transaction, bill or invoice) for a category or payee
+    this.app.put('/api/mappings/:kind/:actualId/document-type', async (req, res) => {
+      try {
+        const { kind, actualId } = req.params;
+        const documentType = req.body && req.body.document_type ? req.body.document_type : null;
+        
+        if (!['category', 'payee'].includes(kind)) {
+          return res.status(400).json({ success: false, error: 'Mapping kind must be category or payee' });
+        }
+        
+        // Bank transfers are only used for transfers between mapped bank accounts
+        const documentTypes = Object.values(XeroDocumentType).filter(type => type !== XeroDocumentType.BANK_TRANSFER);
+        
+        if (documentType && !documentTypes.includes(documentType)) {
+          return res.status(400).json({
+            success: false,
+            error: `Document type must be one of: ${documentTypes.join(', ')}`
+          });
+        }
+        
+        const xanoClient = this.services.xanoClient;
+        const mapping = kind === 'category'
+          ? await xanoClient.getCategoryMapping(actualId)
+          : await xanoClient.getPayeeMapping(actualId);
+        
+        if (!mapping) {
+          return res.status(404).json({ success: false, error: `No ${kind} mapping found for ${actualId}` });
+        }
+        
+        const updated = { ...mapping, xero_document_type: documentType };
+        const result = kind === 'category'
+          ? await xanoClient.upsertCategoryMapping(updated)
+          : await xanoClient.upsertPayeeMapping(updated);
+        
+        logger.info(`Set Xero document type for ${kind} ${actualId} to ${documentType || 'default'}`);
+        
+        res.json({
+          success: true,
+          mapping: result,
+          document_type: documentType || this.config.xero_document_type
+        });
+      } catch (error) {
+        logger.error('Failed to update mapping document type:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to update mapping document type'
+        });
+      }
+    });
+
+    // Transactions edited in Actual after they were synced, which couldn't be updated in Xero
+    this.app.get('/api/transactions/conflicts', async (req, res) => {
+      try {
+        const conflicts = await this.services.syncService.getEditConflicts({
+          limit: req.query.limit ? parseInt(req.query.limit, 10) : undefined
+        });
+
+        res.json({
+          success: true,
+          conflicts,
+          count: conflicts.length
+        });
+      } catch (error) {
+        logger.error('Failed to get edit conflicts:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to get edit conflicts'
+        });
+      }
+    });
+
+    // Retry the Xero update for an edit conflict, void a transaction removed in Actual, or dismiss either and keep Xero as it is
+    this.app.post('/api/transactions/:xanoId/conflict', async (req, res) => {
+      try {
+        const xanoId = parseInt(req.params.xanoId, 10);
+        const { action, tenant_id: tenantId } = req.body || {};
+
+        if (!xanoId) {
+          return res.status(400).json({ success: false, error: 'Transaction ID must be a number' });
+        }
+
+        if (!['retry', 'void', 'dismiss'].includes(action)) {
+          return res.status(400).json({ success: false, error: 'Action must be retry, void or dismiss' });
+        }
+
+        if (this.scheduler.isJobRunning()) {
+          return res.status(409).json({ success: false, error: 'Cannot resolve a conflict while a job is running' });
+        }
+
+        const result = await this.services.syncService.resolveEditConflict(xanoId, action, tenantId);
+
+        res.json({
+          success: true,
+          resolved: result.resolved,
+          message: result.resolved
+            ? { dismiss: 'Conflict dismissed', retry: 'Xero updated with the Actual edit', void: 'Voided in Xero' }[action]
+            : `Xero not updated: ${result.reason}`
+        });
+      } catch (error) {
+        if (error.code === 'NO_EDIT_CONFLICT') {
+          return res.status(404).json({ success: false, error: error.message });
+        }
+
+        if (error.code === 'INVALID_CONFLICT_ACTION') {
+          return res.status(400).json({ success: false, error: error.message });
+        }
+
+        logger.error('Failed to resolve edit conflict:', error.message);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to resolve edit conflict'
+        });
+      }
+    });
+
     // Home Assistant integration endpoints
     this.app.get('/api/homeassistant/status', (req, res) => {
       try {
@@ -765,8 +1836,8 @@ class ActualXeroSyncApp {
 
     this.app.post('/api/homeassistant/sync/trigger', async (req, res) => {
       try {
-        const { source = 'api' } = req.body;
-        const result = await this.services.haService.handleSyncTrigger(source);
+        const { source = 'api', full_rescan: fullRescan = false } = req.body;
+        const result = await this.scheduler.runJob('sync', source, { fullRescan: !!fullRescan });
         
         if (result.success) {
           res.json(result);
@@ -785,6 +1856,20 @@ class ActualXeroSyncApp {
     });
   }
 
+  /**
+   * Drop OAuth states that were never completed (older than 10 minutes)
+   */
+  cleanupOAuthStates() {
+    const maxAge = 10 * 60 * 1000;
+    const now = Date.now();
+    
+    for (const [state, createdAt] of this.pendingOAuthStates) {
+      if (now - createdAt > maxAge) {
+        this.pendingOAuthStates.delete(state);
+      }
+    }
+  }
+
   /**
    * Setup error handling middleware
    */
@@ -825,6 +1910,12 @@ class ActualXeroSyncApp {
       
       // Start log monitoring after server is running
       await this.startLogMonitoring();
+      
+      // Start scheduled jobs
+      if (this.scheduler) {
+        this.scheduler.start();
+        this.resumeBackfill();
+      }
     });
 
     // Graceful shutdown handling
@@ -843,6 +1934,11 @@ class ActualXeroSyncApp {
     // Stop log monitoring
     this.stopLogMonitoring();
     
+    // Stop scheduled jobs so nothing new starts while shutting down
+    if (this.scheduler) {
+      this.scheduler.stop();
+    }
+    
     // Wait for active operations to complete
     if (this.activeOperations.size > 0) {
       logger.info(`Waiting for ${this.activeOperations.size} active operations to complete...`);
@@ -859,6 +1955,15 @@ class ActualXeroSyncApp {
       clearTimeout(timeout);
     }
     
+    // Close the budget file (the in-process Actual client keeps it open)
+    if (this.services.actualClient) {
+      try {
+        await this.services.actualClient.shutdown();
+      } catch (error) {
+        logger.warn(`Failed to close Actual Budget client: ${error.message}`);
+      }
+    }
+    
     if (this.server) {
       this.server.close(() => {
         logger.info('HTTP server closed');
@@ -0,0 +1,38 @@
+#!/usr/bin/env node
+
+/**
+ * Copy transactions and mappings from Xano into the local store
+ *
+ * Usage: node src/migrate-storage.js [--page-size <transactions>]
+ *
+ * Reads the add-on configuration (options.json or environment variables) for
+ * the Xano credentials and writes to local-store.json in DATA_DIR (/data).
+ * Set storage_backend to "local" afterwards to switch over.
+ */
+
+const ConfigValidator = require('./models/config');
+const logger = require('./utils/logger');
+const { migrateXanoToLocal } = require('./services/storage');
+
+async function main() {
+  const pageSizeIndex = process.argv.indexOf('--page-size');
+  const pageSize = pageSizeIndex !== -1 ? parseInt(process.argv[pageSizeIndex + 1], 10) : undefined;
+
+  if (pageSizeIndex !== -1 && (!pageSize || pageSize < 1)) {
+    throw new Error('--page-size must be a positive number');
+  }
+
+  const config = ConfigValidator.getValidatedConfig();
+  const results = await migrateXanoToLocal(config, {
+    dataDir: process.env.DATA_DIR || '/data',
+    pageSize,
+    logger
+  });
+
+  logger.info('Migration complete', results);
+}
+
+main().catch(error => {
+  logger.error(`Migration failed: ${error.message}`);
+  process.exit(1);
+});
@@ -1,4 +1,10 @@
 const Joi = require('joi');
+const cron = require('node-cron');
+
+// Cron expression the scheduler accepts, including lists, ranges and steps (e.g. "*/15 9-17 * * 1-5")
+const cronExpression = () => Joi.string().trim().custom((value, helpers) => (
+  cron.validate(value) ? value : helpers.error('any.invalid')
+));
 
 /**
  * Configuration model with comprehensive validation
@@ -21,6 +27,10 @@ class ConfigValidator {
         'any.required': 'Actual Budget password is required'
       }),
     
+    // Budget file to sync (by ID or name); empty loads the only budget on the server
+    budget_id: Joi.string().allow('').default(''),
+    budget_name: Joi.string().allow('').default(''),
+    
     business_category_group_id: Joi.string().allow('').optional(),
     
     business_category_group_name: Joi.string().min(1).required()
@@ -29,6 +39,12 @@ class ConfigValidator {
         'any.required': 'Business category group name is required'
       }),
     
+    // Actual client: the companion Node.js server, or @actual-app/api in-process
+    actual_client: Joi.string().valid('server', 'direct').default('server')
+      .messages({
+        'any.only': 'Actual client must be one of: server, direct'
+      }),
+    
     // Node.js Server Configuration (for HTTP-based Actual Budget integration)
     nodejs_server_url: Joi.string().uri().optional().default('http://localhost:3001')
       .messages({
@@ -40,14 +56,28 @@ class ConfigValidator {
         'string.min': 'Node.js API key cannot be empty'
       }),
     
-    // Xano Configuration
-    xano_api_url: Joi.string().uri().required()
+    // Storage backend: Xano, or a local JSON store under /data
+    storage_backend: Joi.string().valid('xano', 'local').default('xano')
+      .messages({
+        'any.only': 'Storage backend must be one of: xano, local'
+      }),
+    
+    // Xano Configuration (only required when storing in Xano)
+    xano_api_url: Joi.when('storage_backend', {
+      is: 'local',
+      then: Joi.string().uri().allow('').optional(),
+      otherwise: Joi.string().uri().required()
+    })
       .messages({
         'string.uri': 'Xano API URL must be a valid URL',
         'any.required': 'Xano API URL is required'
       }),
     
-    xano_api_key: Joi.string().min(1).required()
+    xano_api_key: Joi.when('storage_backend', {
+      is: 'local',
+      then: Joi.string().allow('').optional(),
+      otherwise: Joi.string().min(1).required()
+    })
       .messages({
         'string.min': 'Xano API key cannot be empty',
         'any.required': 'Xano API key is required'
@@ -72,17 +102,100 @@ class ConfigValidator {
         'any.required': 'Xero Client Secret is required'
       }),
     
-    xero_tenant_id: Joi.string().min(1).required()
+    // Optional: the organisation can be picked in the web interface after connecting
+    xero_tenant_id: Joi.string().allow('').default(''),
+    
+    xero_tenant_routes: Joi.array().items(
+      Joi.object({
+        tenant_id: Joi.string().min(1).required(),
+        category_group_id: Joi.string().allow(''),
+        category_group_name: Joi.string().allow('')
+      }).or('category_group_id', 'category_group_name')
+    ).default([])
+      .messages({
+        'object.missing': 'Each Xero tenant route needs a category_group_id or category_group_name',
+        'any.required': 'Each Xero tenant route needs a tenant_id'
+      }),
+    
+    xero_redirect_uri: Joi.string().uri().default('http://localhost:8080/callback')
+      .messages({
+        'string.uri': 'Xero redirect URI must be a valid URL'
+      }),
+    
+    xero_document_type: Joi.string().valid('bank_transaction', 'bill', 'invoice').default('bank_transaction')
+      .messages({
+        'any.only': 'Xero document type must be one of: bank_transaction, bill, invoice'
+      }),
+    
+    xero_bank_account_code: Joi.string().max(10).allow('').default('')
+      .messages({
+        'string.max': 'Xero bank account code cannot exceed 10 characters'
+      }),
+    
+    // Tax configuration: an empty default tax type uses each Xero account's default tax rate
+    xero_default_tax_type: Joi.string().allow('').default('NONE'),
+    
+    xero_line_amount_types: Joi.string().valid('Inclusive', 'Exclusive', 'NoTax').default('Inclusive')
+      .messages({
+        'any.only': 'Xero line amount types must be one of: Inclusive, Exclusive, NoTax'
+      }),
+    
+    xero_tax_note_overrides: Joi.array().items(
+      Joi.object({
+        tag: Joi.string().min(1).required(),
+        tax_type: Joi.string().min(1).required()
+      })
+    ).default([])
+      .messages({
+        'any.required': 'Each tax note override needs a tag and a tax_type'
+      }),
+    
+    // Which Actual transactions are synced; empty syncs reconciled transactions only
+    sync_eligibility_rules: Joi.array().items(
+      Joi.object({
+        name: Joi.string().allow('').optional(),
+        action: Joi.string().valid('include', 'exclude').default('include'),
+        status: Joi.string().valid('reconciled', 'cleared', 'any').default('any'),
+        min_age_days: Joi.number().integer().min(0).default(0),
+        accounts: Joi.string().allow('').optional(),
+        min_amount: Joi.number().min(0).optional(),
+        max_amount: Joi.number().min(0).optional(),
+        notes_contains: Joi.string().allow('').optional()
+      })
+    ).default([])
+      .messages({
+        'any.only': 'Eligibility rule action must be include or exclude, and status reconciled, cleared or any'
+      }),
+    
+    // Import path: straight to Xero from the add-on, or through Xano's /workflow/sync-all
+    xero_sink: Joi.when('storage_backend', {
+      is: 'local',
+      then: Joi.string().valid('direct').default('direct'),
+      otherwise: Joi.string().valid('direct', 'xano_workflow').default('direct')
+    })
       .messages({
-        'string.min': 'Xero Tenant ID cannot be empty',
-        'any.required': 'Xero Tenant ID is required'
+        'any.only': 'Xero sink must be one of: direct, xano_workflow (the local storage backend only supports direct)'
       }),
     
+    // Fallback mapping for uncategorised or payee-less transactions (empty leaves them unmapped)
+    xero_fallback_account_id: Joi.string().allow('').default(''),
+    xero_fallback_contact_id: Joi.string().allow('').default(''),
+    
     // Sync Configuration
-    sync_schedule: Joi.string().pattern(/^(\*|([0-5]?\d)) (\*|([01]?\d|2[0-3])) (\*|([0-2]?\d|3[01])) (\*|([0]?\d|1[0-2])) (\*|[0-6])$/)
+    sync_schedule: cronExpression()
       .default('0 2 * * 1')
       .messages({
-        'string.pattern.base': 'Sync schedule must be a valid cron expression'
+        'any.invalid': 'Sync schedule must be a valid cron expression'
+      }),
+    
+    reprocessing_schedule: cronExpression().allow('').default('')
+      .messages({
+        'any.invalid': 'Reprocessing schedule must be a valid cron expression'
+      }),
+    
+    mapping_refresh_schedule: cronExpression().allow('').default('')
+      .messages({
+        'any.invalid': 'Mapping refresh schedule must be a valid cron expression'
       }),
     
     sync_days_back: Joi.number().integer().min(1).max(30).default(7)
@@ -113,6 +226,12 @@ class ConfigValidator {
         'boolean.base': 'Sync to Xero must be true or false'
       }),
     
+    // Void the Xero document when a synced transaction is deleted or un-reconciled in Actual
+    void_removed_transactions: Joi.boolean().default(false)
+      .messages({
+        'boolean.base': 'Void removed transactions must be true or false'
+      }),
+    
     // Logging Configuration
     log_level: Joi.string().valid('debug', 'info', 'warn', 'error').default('info')
       .messages({
@@ -206,28 +325,46 @@ class ConfigValidator {
   static parseHomeAssistantOptions(options) {
     const config = {
       // Node.js Server Configuration
+      actual_client: options.actual_client || 'server',
       nodejs_server_url: options.nodejs_server_url,
       nodejs_api_key: options.nodejs_api_key,
       
       // Actual Budget Configuration  
       actual_budget_url: options.actual_budget_url,
       actual_budget_password: options.actual_budget_password,
+      budget_id: options.budget_id || '',
+      budget_name: options.budget_name || '',
       business_category_group_id: options.business_category_group_id || '',
       business_category_group_name: options.business_category_group_name,
       
-      // Xano Configuration
+      // Storage and Xano Configuration
+      storage_backend: options.storage_backend || 'xano',
       xano_api_url: options.xano_api_url,
       xano_api_key: options.xano_api_key,
       xano_rate_limit: parseInt(options.xano_rate_limit) || 18,
       xero_client_id: options.xero_client_id,
       xero_client_secret: options.xero_client_secret,
-      xero_tenant_id: options.xero_tenant_id,
+      xero_tenant_id: options.xero_tenant_id || '',
+      xero_tenant_routes: Array.isArray(options.xero_tenant_routes) ? options.xero_tenant_routes : [],
+      xero_redirect_uri: options.xero_redirect_uri || 'http://localhost:8080/callback',
+      xero_document_type: options.xero_document_type || 'bank_transaction',
+      xero_bank_account_code: options.xero_bank_account_code || '',
+      xero_default_tax_type: options.xero_default_tax_type !== undefined ? options.xero_default_tax_type : 'NONE',
+      xero_line_amount_types: options.xero_line_amount_types || 'Inclusive',
+      xero_tax_note_overrides: Array.isArray(options.xero_tax_note_overrides) ? options.xero_tax_note_overrides : [],
+      sync_eligibility_rules: Array.isArray(options.sync_eligibility_rules) ? options.sync_eligibility_rules : [],
+      xero_sink: options.xero_sink || 'direct',
+      xero_fallback_account_id: options.xero_fallback_account_id || '',
+      xero_fallback_contact_id: options.xero_fallback_contact_id || '',
       sync_schedule: options.sync_schedule || '0 2 * * 1',
+      reprocessing_schedule: options.reprocessing_schedule || '',
+      mapping_refresh_schedule: options.mapping_refresh_schedule || '',
       sync_days_back: parseInt(options.sync_days_back) || 7,
       batch_size: parseInt(options.batch_size) || 10,
       dry_run_mode: options.dry_run_mode !== false, // Default to true for safety
       test_mode: options.test_mode !== false, // Default to true for safety
       sync_to_xero: options.sync_to_xero === true, // Default to false for safety
+      void_removed_transactions: options.void_removed_transactions === true,
       log_level: options.log_level || 'info'
     };
     
@@ -254,19 +391,37 @@ class ConfigValidator {
    */
   static loadFromEnvironment() {
     return {
+      actual_client: process.env.ACTUAL_CLIENT || 'server',
       actual_budget_url: process.env.ACTUAL_BUDGET_URL,
       actual_budget_password: process.env.ACTUAL_BUDGET_PASSWORD,
+      budget_id: process.env.BUDGET_ID || '',
+      budget_name: process.env.BUDGET_NAME || '',
       business_category_group_id: process.env.BUSINESS_CATEGORY_GROUP_ID || '',
       business_category_group_name: process.env.BUSINESS_CATEGORY_GROUP_NAME,
+      storage_backend: process.env.STORAGE_BACKEND || 'xano',
       xano_api_url: process.env.XANO_API_URL,
       xano_api_key: process.env.XANO_API_KEY,
       xano_rate_limit: parseInt(process.env.XANO_RATE_LIMIT) || 18,
       xero_client_id: process.env.XERO_CLIENT_ID,
       xero_client_secret: process.env.XERO_CLIENT_SECRET,
-      xero_tenant_id: process.env.XERO_TENANT_ID,
+      xero_tenant_id: process.env.XERO_TENANT_ID || '',
+      xero_tenant_routes: process.env.XERO_TENANT_ROUTES ? JSON.parse(process.env.XERO_TENANT_ROUTES) : [],
+      xero_redirect_uri: process.env.XERO_REDIRECT_URI || 'http://localhost:8080/callback',
+      xero_document_type: process.env.XERO_DOCUMENT_TYPE || 'bank_transaction',
+      xero_bank_account_code: process.env.XERO_BANK_ACCOUNT_CODE || '',
+      xero_default_tax_type: process.env.XERO_DEFAULT_TAX_TYPE !== undefined ? process.env.XERO_DEFAULT_TAX_TYPE : 'NONE',
+      xero_line_amount_types: process.env.XERO_LINE_AMOUNT_TYPES || 'Inclusive',
+      xero_tax_note_overrides: process.env.XERO_TAX_NOTE_OVERRIDES ? JSON.parse(process.env.XERO_TAX_NOTE_OVERRIDES) : [],
+      sync_eligibility_rules: process.env.SYNC_ELIGIBILITY_RULES ? JSON.parse(process.env.SYNC_ELIGIBILITY_RULES) : [],
+      xero_sink: process.env.XERO_SINK || 'direct',
+      xero_fallback_account_id: process.env.XERO_FALLBACK_ACCOUNT_ID || '',
+      xero_fallback_contact_id: process.env.XERO_FALLBACK_CONTACT_ID || '',
       sync_schedule: process.env.SYNC_SCHEDULE || '0 2 * * 1',
+      reprocessing_schedule: process.env.REPROCESSING_SCHEDULE || '',
+      mapping_refresh_schedule: process.env.MAPPING_REFRESH_SCHEDULE || '',
       sync_days_back: parseInt(process.env.SYNC_DAYS_BACK) || 7,
       batch_size: parseInt(process.env.BATCH_SIZE) || 10,
+      void_removed_transactions: process.env.VOID_REMOVED_TRANSACTIONS === 'true',
       log_level: process.env.LOG_LEVEL || 'info'
     };
   }
@@ -380,6 +535,35 @@ class ConfigValidator {
       warnings.push('Xero Tenant ID does not match expected UUID format');
     }
 
+    (config.xero_tenant_routes || []).forEach((route, index) => {
+      if (route.tenant_id && !/^[a-f0-9-]{36}$/i.test(route.tenant_id)) {
+        warnings.push(`Xero tenant route ${index + 1} tenant ID does not match expected UUID format`);
+      }
+    });
+
+    if (config.xero_fallback_account_id && !/^[a-f0-9-]{36}$/i.test(config.xero_fallback_account_id)) {
+      warnings.push('Xero fallback account ID does not match expected UUID format');
+    }
+
+    if (config.xero_fallback_contact_id && !/^[a-f0-9-]{36}$/i.test(config.xero_fallback_contact_id)) {
+      warnings.push('Xero fallback contact ID does not match expected UUID format');
+    }
+
+    if (config.xero_document_type && config.xero_document_type !== 'bank_transaction' && !config.xero_bank_account_code) {
+      warnings.push('xero_bank_account_code must be set to pay bills and invoices created in Xero');
+    }
+
+    if (config.xero_redirect_uri) {
+      try {
+        const url = new URL(config.xero_redirect_uri);
+        if (url.pathname !== '/callback') {
+          warnings.push('Xero redirect URI should point at the add-on /callback route');
+        }
+      } catch (e) {
+        errors.push('Xero redirect URI is not a valid URL');
+      }
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -394,16 +578,39 @@ class ConfigValidator {
    */
   static getConfigSummary(config) {
     return {
+      actual_client: config.actual_client,
       actual_budget_url: config.actual_budget_url,
+      budget_id: config.budget_id || 'Not set',
+      budget_name: config.budget_name || 'Not set',
       business_category_group_id: config.business_category_group_id || 'Not set',
       business_category_group_name: config.business_category_group_name,
-      xano_api_url: config.xano_api_url,
+      storage_backend: config.storage_backend,
+      xano_api_url: config.xano_api_url || 'Not set',
       xano_rate_limit: config.xano_rate_limit,
       xero_client_id: config.xero_client_id ? `${config.xero_client_id.substring(0, 8)}...` : 'Not set',
       xero_tenant_id: config.xero_tenant_id ? `${config.xero_tenant_id.substring(0, 8)}...` : 'Not set',
+      xero_redirect_uri: config.xero_redirect_uri,
+      xero_document_type: config.xero_document_type,
+      xero_bank_account_code: config.xero_bank_account_code || 'Not set',
+      xero_default_tax_type: config.xero_default_tax_type || 'Account default',
+      xero_line_amount_types: config.xero_line_amount_types,
+      xero_tax_note_overrides: (config.xero_tax_note_overrides || []).map(override => `#${override.tag.replace(/^#/, '')} -> ${override.tax_type}`),
+      sync_eligibility_rules: (config.sync_eligibility_rules || []).length > 0
+        ? config.sync_eligibility_rules.map((rule, index) => `${rule.action || 'include'} ${rule.name || `Rule ${index + 1}`}`)
+        : 'Reconciled only',
+      xero_sink: config.xero_sink,
+      xero_fallback_account_id: config.xero_fallback_account_id || 'Not set',
+      xero_fallback_contact_id: config.xero_fallback_contact_id || 'Not set',
+      xero_tenant_routes: (config.xero_tenant_routes || []).map(route => ({
+        tenant_id: `${route.tenant_id.substring(0, 8)}...`,
+        category_group: route.category_group_id || route.category_group_name
+      })),
       sync_schedule: config.sync_schedule,
+      reprocessing_schedule: config.reprocessing_schedule || 'Disabled',
+      mapping_refresh_schedule: config.mapping_refresh_schedule || 'Disabled',
       sync_days_back: config.sync_days_back,
       batch_size: config.batch_size,
+      void_removed_transactions: config.void_removed_transactions,
       log_level: config.log_level,
       // Sensitive fields are masked
       actual_budget_password: config.actual_budget_password ? '[SET]' : '[NOT SET]',
@@ -10,6 +10,8 @@ class BaseMapping {
   static baseSchema = {
     id: Joi.number().integer().positive().optional(),
     is_active: Joi.boolean().default(true),
+    xero_tenant_id: Joi.string().allow('').optional(),
+    xero_document_type: Joi.string().valid('bank_transaction', 'bill', 'invoice').allow('', null).optional(),
     created_date: Joi.date().default(() => new Date()),
     updated_date: Joi.date().optional()
   };
@@ -104,6 +106,8 @@ class BaseMapping {
     return {
       id: this.id,
       is_active: this.is_active,
+      xero_tenant_id: this.xero_tenant_id,
+      xero_document_type: this.xero_document_type,
       created_date: this.created_date,
       updated_date: this.updated_date
     };
@@ -152,7 +156,10 @@ class CategoryMapping extends BaseMapping {
     xero_account_code: Joi.string().max(10).allow('').optional()
       .messages({
         'string.max': 'Xero account code cannot exceed 10 characters'
-      })
+      }),
+    
+    // Tax type for line items, empty to use the Xero account's default tax rate
+    xero_tax_type: Joi.string().allow('', null).optional()
   });
 
   /**
@@ -236,7 +243,8 @@ class CategoryMapping extends BaseMapping {
       actual_category_name: this.actual_category_name,
       xero_account_id: this.xero_account_id,
       xero_account_name: this.xero_account_name,
-      xero_account_code: this.xero_account_code
+      xero_account_code: this.xero_account_code,
+      xero_tax_type: this.xero_tax_type
     };
   }
 
@@ -386,6 +394,142 @@ class PayeeMapping extends BaseMapping {
   }
 }
 
+/**
+ * Account mapping between an Actual Budget account and a Xero bank account
+ */
+class AccountMapping extends BaseMapping {
+  /**
+   * Joi schema for account mapping validation
+   */
+  static schema = Joi.object({
+    ...BaseMapping.baseSchema,
+
+    // Actual Budget fields (required)
+    actual_account_id: Joi.string().min(1).required()
+      .messages({
+        'string.min': 'Actual account ID cannot be empty',
+        'any.required': 'Actual account ID is required'
+      }),
+
+    actual_account_name: Joi.string().min(1).required()
+      .messages({
+        'string.min': 'Actual account name cannot be empty',
+        'any.required': 'Actual account name is required'
+      }),
+
+    // Xero fields (optional until mapped)
+    xero_bank_account_id: Joi.string().allow('').optional(),
+    xero_bank_account_name: Joi.string().allow('').optional(),
+    xero_bank_account_code: Joi.string().max(10).allow('').optional()
+      .messages({
+        'string.max': 'Xero bank account code cannot exceed 10 characters'
+      }),
+
+    // Currency the account holds, when it isn't the Xero organisation's base currency
+    currency_code: Joi.string().pattern(/^[A-Z]{3}$/).allow('', null).optional()
+      .messages({
+        'string.pattern.base': 'Currency code must be a three letter ISO 4217 code, e.g. USD'
+      })
+  });
+
+  /**
+   * Create a new AccountMapping instance
+   * @param {Object} data - Account mapping data
+   */
+  constructor(data = {}) {
+    super(data, AccountMapping.schema);
+  }
+
+  /**
+   * Validate account mapping data
+   * @param {Object} data - Account mapping data to validate
+   * @returns {Object} - Validation result
+   */
+  static validate(data) {
+    return super.validate(data, this.schema);
+  }
+
+  /**
+   * Set Xero bank account mapping
+   * @param {string} bankAccountId - Xero bank account ID
+   * @param {string} bankAccountName - Xero bank account name
+   * @param {string} bankAccountCode - Xero bank account code
+   */
+  setXeroMapping(bankAccountId, bankAccountName = '', bankAccountCode = '') {
+    this.xero_bank_account_id = bankAccountId;
+    this.xero_bank_account_name = bankAccountName;
+    this.xero_bank_account_code = bankAccountCode;
+    this.updated_date = new Date();
+  }
+
+  /**
+   * Clear Xero bank account mapping
+   */
+  clearXeroMapping() {
+    this.xero_bank_account_id = '';
+    this.xero_bank_account_name = '';
+    this.xero_bank_account_code = '';
+    this.updated_date = new Date();
+  }
+
+  /**
+   * Check if mapping has Xero bank account ID assigned
+   * @returns {boolean} - True if mapped
+   */
+  isMapped() {
+    return !!(this.xero_bank_account_id && this.xero_bank_account_id.trim());
+  }
+
+  /**
+   * Get search terms for finding matching Xero bank accounts
+   * @returns {Array<string>} - Array of search terms
+   */
+  getSearchTerms() {
+    const terms = [this.actual_account_name];
+
+    // Remove common account type suffixes, e.g. "Business Cheque Account" -> "Business"
+    const name = this.actual_account_name.toLowerCase();
+    const cleanName = name
+      .replace(/(\s+account|\s+acct\.?)$/i, '')
+      .replace(/(\s+cheque|\s+checking|\s+savings|\s+card)$/i, '');
+
+    if (cleanName && cleanName !== name) {
+      terms.push(cleanName);
+    }
+
+    return [...new Set(terms)]; // Remove duplicates
+  }
+
+  /**
+   * Convert mapping to plain object for storage
+   * @returns {Object} - Plain object representation
+   */
+  toObject() {
+    return {
+      ...super.toObject(),
+      actual_account_id: this.actual_account_id,
+      actual_account_name: this.actual_account_name,
+      xero_bank_account_id: this.xero_bank_account_id,
+      xero_bank_account_name: this.xero_bank_account_name,
+      xero_bank_account_code: this.xero_bank_account_code,
+      currency_code: this.currency_code
+    };
+  }
+
+  /**
+   * Create account mapping from Actual Budget account
+   * @param {Object} actualAccount - Account from Actual Budget API
+   * @returns {AccountMapping} - New account mapping instance
+   */
+  static fromActualBudgetAccount(actualAccount) {
+    return new AccountMapping({
+      actual_account_id: actualAccount.id,
+      actual_account_name: actualAccount.name,
+      is_active: true
+    });
+  }
+}
+
 /**
  * Utility class for managing mappings
  */
@@ -394,9 +538,10 @@ class MappingManager {
    * Validate mapping consistency between category and payee mappings
    * @param {Array<CategoryMapping>} categoryMappings - Category mappings
    * @param {Array<PayeeMapping>} payeeMappings - Payee mappings
+   * @param {Array<AccountMapping>} accountMappings - Account mappings (optional)
    * @returns {Object} - Validation result
    */
-  static validateMappingConsistency(categoryMappings, payeeMappings) {
+  static validateMappingConsistency(categoryMappings, payeeMappings, accountMappings = []) {
     const errors = [];
     const warnings = [];
 
@@ -413,6 +558,12 @@ class MappingManager {
       errors.push(`Duplicate payee IDs found: ${duplicatePayeeIds.join(', ')}`);
     }
 
+    const accountIds = accountMappings.map(m => m.actual_account_id);
+    const duplicateAccountIds = accountIds.filter((id, index) => accountIds.indexOf(id) !== index);
+    if (duplicateAccountIds.length > 0) {
+      errors.push(`Duplicate account IDs found: ${duplicateAccountIds.join(', ')}`);
+    }
+
     // Check for unmapped active mappings
     const unmappedCategories = categoryMappings.filter(m => m.isActive() && !m.isMapped());
     if (unmappedCategories.length > 0) {
@@ -424,6 +575,11 @@ class MappingManager {
       warnings.push(`${unmappedPayees.length} active payees are not mapped to Xero contacts`);
     }
 
+    const unmappedAccounts = accountMappings.filter(m => m.isActive() && !m.isMapped());
+    if (unmappedAccounts.length > 0) {
+      warnings.push(`${unmappedAccounts.length} active accounts are not mapped to Xero bank accounts`);
+    }
+
     // Check for duplicate Xero IDs
     const xeroAccountIds = categoryMappings
       .filter(m => m.isMapped())
@@ -452,11 +608,13 @@ class MappingManager {
    * Get mapping statistics
    * @param {Array<CategoryMapping>} categoryMappings - Category mappings
    * @param {Array<PayeeMapping>} payeeMappings - Payee mappings
+   * @param {Array<AccountMapping>} accountMappings - Account mappings (optional)
    * @returns {Object} - Mapping statistics
    */
-  static getMappingStatistics(categoryMappings, payeeMappings) {
+  static getMappingStatistics(categoryMappings, payeeMappings, accountMappings = []) {
     const activeCategoryMappings = categoryMappings.filter(m => m.isActive());
     const activePayeeMappings = payeeMappings.filter(m => m.isActive());
+    const activeAccountMappings = accountMappings.filter(m => m.isActive());
 
     return {
       categories: {
@@ -470,6 +628,12 @@ class MappingManager {
         active: activePayeeMappings.length,
         mapped: activePayeeMappings.filter(m => m.isMapped()).length,
         unmapped: activePayeeMappings.filter(m => !m.isMapped()).length
+      },
+      accounts: {
+        total: accountMappings.length,
+        active: activeAccountMappings.length,
+        mapped: activeAccountMappings.filter(m => m.isMapped()).length,
+        unmapped: activeAccountMappings.filter(m => !m.isMapped()).length
       }
     };
   }
@@ -479,5 +643,6 @@ module.exports = {
   BaseMapping,
   CategoryMapping,
   PayeeMapping,
+  AccountMapping,
   MappingManager
 };
\ No newline at end of file
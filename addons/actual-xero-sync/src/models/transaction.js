@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const crypto = require('crypto');
 
 /**
  * Transaction status enumeration
@@ -7,7 +8,19 @@ const TransactionStatus = {
   PENDING: 'pending',
   MAPPED: 'mapped',
   IMPORTED: 'imported',
-  FAILED: 'failed'
+  FAILED: 'failed',
+  VOIDED: 'voided'
+};
+
+/**
+ * Edit status of a synced transaction that changed in Actual Budget
+ * REMOVED marks a transaction deleted or un-reconciled in Actual that is still in Xero,
+ * REMOVAL_KEPT one whose Xero document was kept on purpose.
+ */
+const EditStatus = {
+  CONFLICT: 'conflict',
+  REMOVED: 'removed',
+  REMOVAL_KEPT: 'removal_kept'
 };
 
 /**
@@ -43,13 +56,56 @@ class Transaction {
     description: Joi.string().allow('').optional(),
     
     // Mapping fields
-    actual_category_id: Joi.string().allow('').optional(),
-    actual_payee_id: Joi.string().allow('').optional(),
+    actual_category_id: Joi.string().allow('', null).optional(),
+    actual_category_name: Joi.string().allow('', null).optional(),
+    actual_category_is_income: Joi.boolean().optional(),
+    actual_payee_id: Joi.string().allow('', null).optional(),
+    actual_payee_name: Joi.string().allow('', null).optional(),
+    actual_account_id: Joi.string().allow('', null).optional(),
+    actual_account_name: Joi.string().allow('', null).optional(),
+
+    // Other leg and account of a transfer between two mapped bank accounts
+    actual_transfer_id: Joi.string().allow('', null).optional(),
+    actual_transfer_account_id: Joi.string().allow('', null).optional(),
+    actual_transfer_account_name: Joi.string().allow('', null).optional(),
+
     xero_account_id: Joi.string().allow('').optional(),
     xero_contact_id: Joi.string().allow('').optional(),
+    xero_tax_type: Joi.string().allow('', null).optional(),
+
+    // Xero bank account the money moved through, from the account mapping or xero_bank_account_code
+    xero_bank_account_id: Joi.string().allow('', null).optional(),
+    xero_bank_account_code: Joi.string().allow('', null).optional(),
+
+    // Xero bank account a transfer went to
+    xero_to_bank_account_id: Joi.string().allow('', null).optional(),
+    xero_to_bank_account_code: Joi.string().allow('', null).optional(),
+
+    // Currency of the Actual account when it isn't Xero's base currency (amount is in this currency),
+    // the rate in units of it per unit of base currency, and the amount converted to base currency
+    currency_code: Joi.string().pattern(/^[A-Z]{3}$/).allow('', null).optional(),
+    currency_rate: Joi.number().positive().allow(null).optional(),
+    base_currency_amount: Joi.number().precision(2).allow(null).optional(),
+
+    // Business category lines of a split transaction, each with its own mapping
+    split_lines: Joi.array().items(Joi.object({
+      actual_transaction_id: Joi.string().required(),
+      actual_category_id: Joi.string().allow('').optional(),
+      actual_category_name: Joi.string().allow('', null).optional(),
+      actual_category_is_income: Joi.boolean().optional(),
+      amount: Joi.number().precision(2).required(),
+      description: Joi.string().allow('').optional(),
+      xero_account_id: Joi.string().allow('', null).optional(),
+      xero_account_code: Joi.string().allow('', null).optional(),
+      xero_tax_type: Joi.string().allow('', null).optional()
+    })).optional(),
     
     // Xero import tracking
     xero_transaction_id: Joi.string().allow('').optional(),
+    xero_document_type: Joi.string().valid('bank_transaction', 'bill', 'invoice', 'bank_transfer').allow('', null).optional(),
+    xero_invoice_id: Joi.string().allow('', null).optional(),
+    xero_payment_id: Joi.string().allow('', null).optional(),
+    xero_bank_transfer_id: Joi.string().allow('', null).optional(),
     xero_imported_date: Joi.date().allow(null).optional(),
     
     // Status and error tracking
@@ -59,6 +115,11 @@ class Transaction {
       }),
     
     error_message: Joi.string().allow('').optional(),
+
+    // Edit detection: hash of the synced Actual content, and an edit that couldn't be applied in Xero
+    content_hash: Joi.string().allow('', null).optional(),
+    edit_status: Joi.string().valid(...Object.values(EditStatus)).allow(null).optional(),
+    edit_conflict: Joi.object().allow(null).optional(),
     
     // Timestamps
     created_date: Joi.date().default(() => new Date()),
@@ -123,14 +184,45 @@ class Transaction {
       transaction_date: new Date(actualData.date),
       amount: actualData.amount / 100, // Convert from cents to dollars
       description: actualData.notes || actualData.imported_description || '',
-      actual_category_id: actualData.category,
-      actual_payee_id: actualData.payee,
+      actual_category_id: actualData.category || null,
+      actual_category_name: actualData.category_name || null,
+      actual_category_is_income: !!actualData.category_is_income,
+      actual_payee_id: actualData.payee || null,
+      actual_payee_name: actualData.payee_name || null,
+      actual_account_id: actualData.account || null,
+      actual_account_name: actualData.account_name || null,
+      actual_transfer_id: actualData.transfer_id || null,
+      actual_transfer_account_id: actualData.transfer_account || null,
+      actual_transfer_account_name: actualData.transfer_account_name || null,
       status: TransactionStatus.PENDING
     };
 
     return new Transaction(transactionData);
   }
 
+  /**
+   * Hash the parts of an Actual Budget transaction that are synced to Xero
+   * Notes are left out, because the sync writes its own tags there. The account and
+   * transfer account pick the Xero bank accounts, so moving a transaction counts too.
+   * @param {Object} actualData - Data from Actual Budget API
+   * @returns {string} - SHA-256 hex digest
+   */
+  static computeContentHash(actualData) {
+    const content = {
+      date: actualData.date,
+      amount: actualData.amount,
+      category: actualData.category || null,
+      payee: actualData.payee || null,
+      account: actualData.account || null,
+      transfer_account: actualData.transfer_account || null,
+      split_lines: Array.isArray(actualData.split_lines)
+        ? actualData.split_lines.map(line => ({ id: line.id, category: line.category || null, amount: line.amount }))
+        : null
+    };
+
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
   /**
    * Update transaction status
    * @param {string} status - New status
@@ -228,7 +320,7 @@ class Transaction {
       throw new Error('Transaction is not ready for Xero import - missing mappings');
     }
 
-    return {
+    const xeroTransaction = {
       Type: this.amount < 0 ? 'SPEND' : 'RECEIVE',
       Contact: {
         ContactID: this.xero_contact_id
@@ -239,11 +331,26 @@ class Transaction {
         Quantity: 1,
         UnitAmount: Math.abs(this.amount),
         AccountCode: this.xero_account_id,
-        TaxType: 'NONE' // Default tax type, can be configured
+        TaxType: this.xero_tax_type || 'NONE'
       }],
       Reference: this.getXeroReference(),
       Status: 'AUTHORISED'
     };
+
+    if (this.xero_bank_account_id) {
+      xeroTransaction.BankAccount = { AccountID: this.xero_bank_account_id };
+    } else if (this.xero_bank_account_code) {
+      xeroTransaction.BankAccount = { Code: this.xero_bank_account_code };
+    }
+
+    if (this.currency_code) {
+      xeroTransaction.CurrencyCode = this.currency_code;
+      if (this.currency_rate) {
+        xeroTransaction.CurrencyRate = this.currency_rate;
+      }
+    }
+
+    return xeroTransaction;
   }
 
   /**
@@ -259,13 +366,37 @@ class Transaction {
       amount: this.amount,
       description: this.description,
       actual_category_id: this.actual_category_id,
+      actual_category_name: this.actual_category_name,
+      actual_category_is_income: this.actual_category_is_income,
       actual_payee_id: this.actual_payee_id,
+      actual_payee_name: this.actual_payee_name,
+      actual_account_id: this.actual_account_id,
+      actual_account_name: this.actual_account_name,
+      actual_transfer_id: this.actual_transfer_id,
+      actual_transfer_account_id: this.actual_transfer_account_id,
+      actual_transfer_account_name: this.actual_transfer_account_name,
       xero_account_id: this.xero_account_id,
       xero_contact_id: this.xero_contact_id,
+      xero_tax_type: this.xero_tax_type,
+      xero_bank_account_id: this.xero_bank_account_id,
+      xero_bank_account_code: this.xero_bank_account_code,
+      xero_to_bank_account_id: this.xero_to_bank_account_id,
+      xero_to_bank_account_code: this.xero_to_bank_account_code,
+      currency_code: this.currency_code,
+      currency_rate: this.currency_rate,
+      base_currency_amount: this.base_currency_amount,
+      split_lines: this.split_lines,
       xero_transaction_id: this.xero_transaction_id,
+      xero_document_type: this.xero_document_type,
+      xero_invoice_id: this.xero_invoice_id,
+      xero_payment_id: this.xero_payment_id,
+      xero_bank_transfer_id: this.xero_bank_transfer_id,
       xero_imported_date: this.xero_imported_date,
       status: this.status,
       error_message: this.error_message,
+      content_hash: this.content_hash,
+      edit_status: this.edit_status,
+      edit_conflict: this.edit_conflict,
       updated_date: this.updated_date
     };
   }
@@ -286,4 +417,4 @@ class Transaction {
   }
 }
 
-module.exports = { Transaction, TransactionStatus };
\ No newline at end of file
+module.exports = { Transaction, TransactionStatus, EditStatus };
\ No newline at end of file
@@ -0,0 +1,55 @@
+const path = require('path');
+const ActualBudgetClient = require('./actual');
+const ActualDirectClient = require('./actual-direct');
+
+/**
+ * Actual clients selectable with the actual_client option
+ */
+const ActualClientType = {
+  SERVER: 'server',
+  DIRECT: 'direct'
+};
+
+/**
+ * Create the Actual Budget client for the configured mode
+ *
+ * ActualBudgetClient talks to the companion Node.js server at nodejs_server_url;
+ * ActualDirectClient runs @actual-app/api in-process against actual_budget_url.
+ * Both expose the same operations.
+ *
+ * @param {Object} config - Validated configuration
+ * @param {Object} options - Client options
+ * @param {string} options.dataDir - Add-on data directory (the direct client keeps budget files in its actual folder)
+ * @param {BudgetSelectionStore} options.selectionStore - Budget chosen in the web interface
+ * @param {Object} options.logger - Logger instance
+ * @returns {ActualBudgetClient|ActualDirectClient} - Actual client
+ */
+function createActualClient(config, options = {}) {
+  const clientOptions = {
+    budgetId: config.budget_id,
+    budgetName: config.budget_name,
+    selectionStore: options.selectionStore,
+    logger: options.logger || console
+  };
+
+  if (config.actual_client === ActualClientType.DIRECT) {
+    return new ActualDirectClient({
+      ...clientOptions,
+      serverUrl: config.actual_budget_url,
+      password: config.actual_budget_password,
+      dataDir: path.join(options.dataDir || '/data', 'actual')
+    });
+  }
+
+  return new ActualBudgetClient({
+    ...clientOptions,
+    serverUrl: config.nodejs_server_url || 'http://localhost:3001',
+    // Fallback to password field
+    apiKey: config.nodejs_api_key || config.actual_budget_password
+  });
+}
+
+module.exports = {
+  createActualClient,
+  ActualClientType
+};
@@ -0,0 +1,215 @@
+const fs = require('fs').promises;
+const ActualBudgetClient = require('./actual');
+
+/**
+ * ActualDirectClient - In-process Actual Budget client using @actual-app/api
+ *
+ * Downloads the budget file from the Actual server at actual_budget_url into a
+ * data directory under /data and reads and writes that copy, so no companion
+ * Node.js server is needed. Only the fetch and write methods differ from
+ * ActualBudgetClient; budget selection, split grouping, tagging and the
+ * transaction cache are shared.
+ */
+class ActualDirectClient extends ActualBudgetClient {
+  constructor(options = {}) {
+    super(options);
+    this.serverUrl = options.serverUrl;
+    this.password = options.password;
+    this.dataDir = options.dataDir || '/data/actual';
+    // Required on connect: @actual-app/api is large and unused with the Node.js server
+    this.api = options.api || null;
+  }
+
+  /**
+   * Start @actual-app/api against the Actual server
+   * @private
+   */
+  async connect() {
+    this.logger.info('Connecting to Actual Budget server in-process', {
+      serverUrl: this.serverUrl,
+      dataDir: this.dataDir
+    });
+
+    await fs.mkdir(this.dataDir, { recursive: true });
+
+    this.api = this.api || require('@actual-app/api');
+    await this.api.init({
+      dataDir: this.dataDir,
+      serverURL: this.serverUrl,
+      password: this.password
+    });
+
+    this.logger.info('Successfully connected to Actual Budget server');
+  }
+
+  /**
+   * Close the budget file and stop @actual-app/api
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    if (this.isInitialized) {
+      await this.api.shutdown();
+    }
+
+    await super.shutdown();
+  }
+
+  /**
+   * Fetch the budget files on the Actual server and in the data directory
+   * @private
+   * @returns {Promise<Array>} - Budgets, one per sync ID
+   */
+  async fetchBudgets() {
+    const budgets = new Map();
+
+    // A budget downloaded before is listed twice, as a local file and as a remote one
+    for (const budget of await this.api.getBudgets()) {
+      const key = budget.groupId || budget.id;
+      budgets.set(key, { ...budgets.get(key), ...budget });
+    }
+
+    return [...budgets.values()];
+  }
+
+  /**
+   * Reduce a budget to the ID used to load it, its name and its other IDs
+   * The sync ID (groupId) is the same on every device, unlike the local file ID.
+   * @param {Object} budget - Budget from getBudgets()
+   * @returns {Object} - { id, name, ids }
+   */
+  describeBudget(budget) {
+    return {
+      ...super.describeBudget(budget),
+      id: budget.groupId || budget.id
+    };
+  }
+
+  /**
+   * Open a budget file, downloading it from the Actual server the first time
+   * @private
+   * @param {string} budgetId - Sync ID, or local file ID of a budget that isn't synced
+   */
+  async openBudget(budgetId) {
+    const budgets = await this.fetchBudgets();
+
+    if (budgets.some(budget => budget.groupId === budgetId)) {
+      // Loads the local copy and syncs it, or downloads it if there is none
+      await this.api.downloadBudget(budgetId);
+    } else {
+      await this.api.loadBudget(budgetId);
+    }
+  }
+
+  /**
+   * Fetch every category of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Categories with their group in group_id
+   */
+  async fetchCategories() {
+    await this.syncBudget();
+    return this.api.getCategories();
+  }
+
+  /**
+   * Fetch the category groups of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Category groups
+   */
+  async fetchCategoryGroups() {
+    await this.syncBudget();
+    return this.api.getCategoryGroups();
+  }
+
+  /**
+   * Fetch the payees of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Payees
+   */
+  async fetchPayees() {
+    await this.syncBudget();
+    return this.api.getPayees();
+  }
+
+  /**
+   * Fetch the accounts of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Accounts
+   */
+  async fetchAccounts() {
+    await this.syncBudget();
+    return this.api.getAccounts();
+  }
+
+  /**
+   * Fetch transactions of the loaded budget, optionally limited by category group and date
+   * Splits come back as parents carrying their subtransactions.
+   * @private
+   * @param {Object} filters - Filters (all optional)
+   * @param {string} filters.categoryGroupId - Category group ID
+   * @param {Date} filters.since - First date to include
+   * @param {Date} filters.until - Last date to include
+   * @returns {Promise<Array>} - Transactions
+   */
+  async fetchTransactions(filters = {}) {
+    await this.syncBudget();
+
+    // Actual stores dates as YYYY-MM-DD
+    let query = this.api.q('transactions').options({ splits: 'grouped' });
+    if (filters.since) {
+      query = query.filter({ date: { $gte: filters.since.toISOString().slice(0, 10) } });
+    }
+    if (filters.until) {
+      query = query.filter({ date: { $lte: filters.until.toISOString().slice(0, 10) } });
+    }
+
+    const { data } = await this.api.runQuery(query.select('*'));
+    if (!filters.categoryGroupId) {
+      return data;
+    }
+
+    const categoryIds = new Set((await this.api.getCategories())
+      .filter(category => category.group_id === filters.categoryGroupId)
+      .map(category => category.id));
+
+    return data.filter(transaction => categoryIds.has(transaction.category) ||
+      (transaction.subtransactions || []).some(child => categoryIds.has(child.category)));
+  }
+
+  /**
+   * Write notes for several transactions and send them to the Actual server
+   * @private
+   * @param {Object[]} writes - { id, notes }
+   * @returns {Promise<Object[]>} - Writes that failed ({ transactionId, error })
+   */
+  async writeTransactionNotes(writes) {
+    const failed = [];
+
+    await this.api.batchBudgetUpdates(async () => {
+      for (const write of writes) {
+        try {
+          await this.api.updateTransaction(write.id, { notes: write.notes });
+        } catch (error) {
+          failed.push({ transactionId: write.id, error: error.message });
+        }
+      }
+    });
+
+    await this.syncBudget();
+    return failed;
+  }
+
+  /**
+   * Exchange changes with the Actual server
+   * A failed sync is logged and the local copy is used; local changes go out on the next sync.
+   * @private
+   */
+  async syncBudget() {
+    try {
+      await this.api.sync();
+    } catch (error) {
+      this.logger.warn(`Failed to sync budget with the Actual server, using the local copy: ${error.message}`);
+    }
+  }
+}
+
+module.exports = ActualDirectClient;
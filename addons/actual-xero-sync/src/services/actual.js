@@ -4,6 +4,12 @@ const path = require('path');
 // Use axios for HTTP requests (more reliable than fetch in Node.js)
 const axios = require('axios');
 
+// How long transactions fetched from the server are trusted for lookups
+const TRANSACTION_CACHE_TTL_MS = 10 * 60 * 1000;
+
+// Note updates sent per /transactions/batch-update request
+const NOTES_BATCH_SIZE = 100;
+
 /**
  * ActualBudgetClient - API client for Actual Budget integration via Node.js server
  * 
@@ -15,7 +21,18 @@ class ActualBudgetClient {
     this.serverUrl = options.serverUrl || 'http://localhost:3000';
     this.apiKey = options.apiKey || process.env.API_KEY;
     this.logger = options.logger || console;
+    
+    // Budget to load: the web interface selection while budget_id and budget_name are unchanged, then budget_id, then budget_name
+    this.configuredBudgetId = options.budgetId || null;
+    this.configuredBudgetName = options.budgetName || null;
+    this.selectionStore = options.selectionStore || null;
     this.budgetId = null;
+    this.budgetName = null;
+    this.budgetError = null;
+    // Transactions from the last /transactions fetch, indexed by ID
+    this.transactionCache = null;
+    // Set to false once the server turns out not to have /transactions/batch-update
+    this.batchNotesSupported = true;
     this.isInitialized = false;
     this.initializationInProgress = false;
     this.initializationError = null;
@@ -52,7 +69,9 @@ class ActualBudgetClient {
     } catch (error) {
       if (error.response) {
         // Server responded with error status
-        throw new Error(`HTTP ${error.response.status}: ${error.response.data?.error || error.response.statusText}`);
+        const httpError = new Error(`HTTP ${error.response.status}: ${error.response.data?.error || error.response.statusText}`);
+        httpError.status = error.response.status;
+        throw httpError;
       } else if (error.request) {
         // Request was made but no response received
         throw new Error(`No response from server: ${error.message}`);
@@ -84,68 +103,144 @@ class ActualBudgetClient {
     this.initializationError = null;
 
     try {
-      this.logger.info('Connecting to Node.js Actual Budget server', {
-        serverUrl: this.serverUrl
-      });
-
-      // Test connection to Node.js server
-      const statusResponse = await this.makeRequest('/status');
-      this.logger.info('Node.js server status:', statusResponse);
-
-      if (!statusResponse.initialized) {
-        throw new Error('Node.js server is not initialized. Please wait for it to start up.');
-      }
-
-      this.logger.info('Successfully connected to Node.js server');
+      await this.connect();
       this.isInitialized = true;
       
-      // Automatically load the first available budget
+      // Load the configured budget; a missing one leaves the client in an error state instead of failing init
       try {
-        this.logger.info('Fetching available budgets...');
-        const budgetsResponse = await this.makeRequest('/budgets');
-        const budgets = budgetsResponse.budgets || [];
-        this.logger.info(`Found ${budgets.length} budgets available`);
-        
-        if (budgets.length > 0) {
-          // Log budget details for debugging
-          budgets.forEach((budget, index) => {
-            this.logger.info(`Budget ${index + 1}: ${budget.name || 'Unnamed'} (ID: ${budget.id})`);
-          });
-          
-          const firstBudget = budgets[0];
-          this.logger.info(`Auto-loading first budget: ${firstBudget.name || 'Unnamed'} (${firstBudget.id})`);
-          
-          await this.makeRequest('/load-budget', {
-            method: 'POST',
-            body: { budgetId: firstBudget.id }
-          });
-          
-          this.budgetId = firstBudget.id;
-          this.logger.info(`Successfully auto-loaded budget: ${firstBudget.name || 'Unnamed'}`);
-        } else {
-          this.logger.warn('No budgets found to auto-load');
-          this.logger.info('This could mean:');
-          this.logger.info('1. Authentication failed - check your password');
-          this.logger.info('2. Wrong server URL - check your Actual Budget URL');
-          this.logger.info('3. Server still starting up - try manual sync in a few minutes');
-          this.logger.info('4. No budgets exist on this server');
-        }
+        await this.loadConfiguredBudget();
       } catch (budgetError) {
-        this.logger.error('Failed to fetch/load budget:', budgetError.message);
-        this.logger.error('Budget error details:', budgetError);
-        // Don't fail initialization if budget loading fails
+        this.logger.error('Failed to load budget:', budgetError.message);
       }
       
       this.initializationInProgress = false;
       return true;
     } catch (error) {
-      this.logger.error('Failed to connect to Node.js server:', error.message);
+      this.logger.error('Failed to connect to Actual Budget:', error.message);
       this.initializationError = error;
       this.initializationInProgress = false;
       throw error;
     }
   }
 
+  /**
+   * Connect to the Node.js server and check that it is ready
+   * @private
+   */
+  async connect() {
+    this.logger.info('Connecting to Node.js Actual Budget server', {
+      serverUrl: this.serverUrl
+    });
+
+    // Test connection to Node.js server
+    const statusResponse = await this.makeRequest('/status');
+    this.logger.info('Node.js server status:', statusResponse);
+
+    if (!statusResponse.initialized) {
+      throw new Error('Node.js server is not initialized. Please wait for it to start up.');
+    }
+
+    this.logger.info('Successfully connected to Node.js server');
+  }
+
+  /**
+   * Release the connection to Actual Budget (nothing to release for the Node.js server)
+   * @returns {Promise<void>}
+   */
+  async shutdown() {
+    this.isInitialized = false;
+  }
+
+  /**
+   * Fetch the budget files the Node.js server knows about
+   * The fetch* methods, openBudget and writeTransactionNotes are the only ones that talk to
+   * the server; the in-process client (actual-direct.js) replaces them.
+   * @private
+   * @returns {Promise<Array>} - Budgets as returned by /budgets
+   */
+  async fetchBudgets() {
+    const response = await this.makeRequest('/budgets');
+    return response.budgets || [];
+  }
+
+  /**
+   * Open a budget file on the Node.js server
+   * @private
+   * @param {string} budgetId - Budget ID to load
+   */
+  async openBudget(budgetId) {
+    await this.makeRequest('/load-budget', {
+      method: 'POST',
+      body: { budgetId }
+    });
+  }
+
+  /**
+   * Fetch every category of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Categories with their group in cat_group or group_id
+   */
+  async fetchCategories() {
+    const response = await this.makeRequest('/categories');
+    return response.categories || [];
+  }
+
+  /**
+   * Fetch the category groups of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Category groups
+   */
+  async fetchCategoryGroups() {
+    const response = await this.makeRequest('/category-groups');
+    return response.groups || [];
+  }
+
+  /**
+   * Fetch the payees of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Payees
+   */
+  async fetchPayees() {
+    const response = await this.makeRequest('/payees');
+    return response.payees || [];
+  }
+
+  /**
+   * Fetch the accounts of the loaded budget
+   * @private
+   * @returns {Promise<Array>} - Accounts
+   */
+  async fetchAccounts() {
+    const response = await this.makeRequest('/accounts');
+    return response.accounts || [];
+  }
+
+  /**
+   * Fetch transactions of the loaded budget, optionally limited by category group and date
+   * @private
+   * @param {Object} filters - Filters (all optional)
+   * @param {string} filters.categoryGroupId - Category group ID
+   * @param {Date} filters.since - First date to include
+   * @param {Date} filters.until - Last date to include (older servers ignore it)
+   * @returns {Promise<Array>} - Transactions, split parents and children included
+   */
+  async fetchTransactions(filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.categoryGroupId) {
+      params.append('categoryGroupId', filters.categoryGroupId);
+    }
+    if (filters.since) {
+      params.append('since', filters.since.toISOString());
+    }
+    if (filters.until) {
+      params.append('until', filters.until.toISOString());
+    }
+
+    const query = params.toString();
+    const response = await this.makeRequest(query ? `/transactions?${query}` : '/transactions');
+    return response.transactions || [];
+  }
+
   /**
    * Ensure API is initialized before making calls
    * @private
@@ -170,8 +265,7 @@ class ActualBudgetClient {
       while (attempt < maxRetries) {
         try {
           this.logger.info(`Fetching available budgets (attempt ${attempt + 1}/${maxRetries})...`);
-          const response = await this.makeRequest('/budgets');
-          const budgets = response.budgets || [];
+          const budgets = await this.fetchBudgets();
           
           this.logger.info(`Found ${budgets.length} budgets available`);
           if (budgets.length > 0) {
@@ -221,12 +315,10 @@ class ActualBudgetClient {
     try {
       this.logger.info(`Loading budget: ${budgetId}`);
       
-      await this.makeRequest('/load-budget', {
-        method: 'POST',
-        body: { budgetId }
-      });
+      await this.openBudget(budgetId);
       
       this.budgetId = budgetId;
+      this.invalidateTransactionCache();
       this.logger.info(`Successfully loaded budget: ${budgetId}`);
       return true;
     } catch (error) {
@@ -243,13 +335,10 @@ class ActualBudgetClient {
   async getCategories(groupId = null) {
     await this.ensureInitialized();
     
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      const response = await this.makeRequest('/categories');
-      const categories = response.categories || [];
+      const categories = await this.fetchCategories();
       
       this.logger.info(`Retrieved ${categories.length} total categories`);
       
@@ -287,13 +376,10 @@ class ActualBudgetClient {
   async getCategoryGroups() {
     await this.ensureInitialized();
     
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      const response = await this.makeRequest('/category-groups');
-      const groups = response.groups || [];
+      const groups = await this.fetchCategoryGroups();
       
       this.logger.info(`Retrieved ${groups.length} category groups`);
       return groups;
@@ -328,13 +414,10 @@ class ActualBudgetClient {
   async getPayees() {
     await this.ensureInitialized();
     
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      const response = await this.makeRequest('/payees');
-      const payees = response.payees || [];
+      const payees = await this.fetchPayees();
       
       this.logger.info(`Retrieved ${payees.length} payees`);
       return payees;
@@ -345,42 +428,38 @@ class ActualBudgetClient {
   }
 
   /**
-   * Get reconciled transactions by category group via Node.js server
+   * Get transactions by category group via Node.js server, whether cleared, reconciled or neither
+   * Which of them are synced is decided by the eligibility rules (see eligibility.js).
+   * Split transactions are returned once, with the business category children in split_lines
    * @param {string} categoryGroupId - Category group ID to filter by
    * @param {Date} since - Optional date to get transactions since
-   * @returns {Promise<Array>} - Array of reconciled transaction objects
+   * @param {Date} until - Optional last date to include (used by backfill windows)
+   * @returns {Promise<Array>} - Array of transaction objects
    */
-  async getReconciledTransactions(categoryGroupId, since = null) {
+  async getTransactions(categoryGroupId, since = null, until = null) {
     await this.ensureInitialized();
     
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      this.logger.info(`Fetching reconciled transactions for category group ${categoryGroupId} since ${since ? since.toISOString() : 'beginning'}`);
+      this.logger.info(`Fetching transactions for category group ${categoryGroupId} since ${since ? since.toISOString() : 'beginning'}${until ? ` until ${until.toISOString()}` : ''}`);
 
-      // Build query parameters
-      const params = new URLSearchParams();
-      if (categoryGroupId) {
-        params.append('categoryGroupId', categoryGroupId);
-      }
-      if (since) {
-        params.append('since', since.toISOString());
-      }
-
-      const response = await this.makeRequest(`/transactions?${params.toString()}`);
-      const allTransactions = response.transactions || [];
+      const allTransactions = await this.fetchTransactions({ categoryGroupId, since, until });
       
       this.logger.info(`Retrieved ${allTransactions.length} total transactions from server`);
 
-      // Filter for reconciled transactions (the server already filters by category group and date)
-      let filteredTransactions = allTransactions.filter(transaction => {
-        // Check if transaction is reconciled (not just cleared)
-        return transaction.reconciled === true;
-      });
+      // Tagging after the sync looks these transactions up again
+      this.cacheTransactions(allTransactions, false);
 
-      this.logger.info(`Found ${filteredTransactions.length} reconciled transactions matching criteria`);
+      // Actual dates are YYYY-MM-DD, so compare against the last day of the range
+      const untilDate = until ? until.toISOString().slice(0, 10) : null;
+
+      // The server already filters by category group and start date; older servers ignore the until parameter
+      let filteredTransactions = allTransactions.filter(transaction =>
+        !transaction.tombstone && (!untilDate || !transaction.date || transaction.date <= untilDate)
+      );
+
+      this.logger.info(`Found ${filteredTransactions.length} transactions matching criteria`);
       
       // Debug: Show some transaction details for troubleshooting
       if (allTransactions.length > 0) {
@@ -399,14 +478,167 @@ class ActualBudgetClient {
       if (filteredTransactions.length > 0) {
         this.logger.debug('Sample transaction structure:', Object.keys(filteredTransactions[0]));
       }
+
+      // Collapse split transactions into one transaction with a line per business category
+      if (filteredTransactions.some(t => t.is_parent || t.is_child || t.parent_id)) {
+        const businessCategories = await this.getCategories(categoryGroupId);
+        filteredTransactions = this.groupSplitTransactions(
+          filteredTransactions,
+          new Set(businessCategories.map(category => category.id))
+        );
+      }
       
       return filteredTransactions;
     } catch (error) {
-      this.logger.error('Failed to get reconciled transactions:', error.message);
+      this.logger.error('Failed to get transactions:', error.message);
       throw error;
     }
   }
 
+  /**
+   * Get reconciled transactions by category group
+   * @param {string} categoryGroupId - Category group ID to filter by
+   * @param {Date} since - Optional date to get transactions since
+   * @param {Date} until - Optional last date to include
+   * @returns {Promise<Array>} - Array of reconciled transaction objects
+   */
+  async getReconciledTransactions(categoryGroupId, since = null, until = null) {
+    const transactions = await this.getTransactions(categoryGroupId, since, until);
+    return transactions.filter(transaction => transaction.reconciled === true);
+  }
+
+  /**
+   * Get transfers between accounts, whatever their category, via Node.js server
+   * Both legs of a transfer are returned, each with the other leg's ID in transfer_id.
+   * Transfers inside a split are left out.
+   * @param {Date} since - Optional date to get transfers since
+   * @param {Date} until - Optional last date to include
+   * @returns {Promise<Array>} - Array of transaction objects
+   */
+  async getTransfers(since = null, until = null) {
+    await this.ensureInitialized();
+
+    await this.ensureBudgetLoaded();
+
+    try {
+      const allTransactions = await this.fetchTransactions({ since, until });
+
+      // Every transaction in the range, so it covers the category group fetch as well
+      this.cacheTransactions(allTransactions, false);
+
+      const untilDate = until ? until.toISOString().slice(0, 10) : null;
+      const transfers = allTransactions.filter(transaction =>
+        transaction.transfer_id &&
+        !transaction.tombstone &&
+        !transaction.is_child && !transaction.parent_id &&
+        (!untilDate || !transaction.date || transaction.date <= untilDate)
+      );
+
+      this.logger.info(`Found ${transfers.length} transfer legs`);
+      return transfers;
+    } catch (error) {
+      this.logger.error('Failed to get transfers:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the accounts of the loaded budget
+   * @returns {Promise<Array>} - Array of account objects ({ id, name, offbudget, closed })
+   */
+  async getAccounts() {
+    await this.ensureInitialized();
+    
+    await this.ensureBudgetLoaded();
+
+    try {
+      const accounts = await this.fetchAccounts();
+      
+      this.logger.info(`Retrieved ${accounts.length} accounts`);
+      return accounts;
+    } catch (error) {
+      this.logger.error('Failed to get accounts:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Turn split transactions into single transactions with split_lines
+   * Handles both parents that carry their subtransactions and children returned as separate rows.
+   * Children outside the business category group are dropped, and a split with no business
+   * children is skipped entirely.
+   * @param {Array} transactions - Reconciled transactions from the server
+   * @param {Set<string>} businessCategoryIds - Category IDs in the business category group
+   * @returns {Array} - Transactions with splits collapsed
+   */
+  groupSplitTransactions(transactions, businessCategoryIds) {
+    const parents = new Map();
+    const orphanChildren = new Map();
+    const result = [];
+
+    for (const transaction of transactions) {
+      if (transaction.is_parent) {
+        parents.set(transaction.id, transaction);
+      } else if (transaction.is_child || transaction.parent_id) {
+        if (!orphanChildren.has(transaction.parent_id)) {
+          orphanChildren.set(transaction.parent_id, []);
+        }
+        orphanChildren.get(transaction.parent_id).push(transaction);
+      } else {
+        result.push(transaction);
+      }
+    }
+
+    // Children without their parent row are grouped under a parent built from the first child
+    for (const [parentId, children] of orphanChildren) {
+      if (!parents.has(parentId)) {
+        parents.set(parentId, {
+          ...children[0],
+          id: parentId,
+          category: null,
+          notes: '',
+          is_parent: true,
+          is_child: false,
+          parent_id: null,
+          subtransactions: children
+        });
+      } else if (!parents.get(parentId).subtransactions) {
+        parents.get(parentId).subtransactions = children;
+      }
+    }
+
+    for (const parent of parents.values()) {
+      const businessChildren = (parent.subtransactions || [])
+        .filter(child => child.category && businessCategoryIds.has(child.category));
+
+      if (businessChildren.length === 0) {
+        this.logger.debug(`Skipping split transaction ${parent.id}: no business category lines`);
+        continue;
+      }
+
+      const { subtransactions, ...parentFields } = parent;
+
+      result.push({
+        ...parentFields,
+        category: businessChildren[0].category,
+        amount: businessChildren.reduce((sum, child) => sum + child.amount, 0),
+        is_split: true,
+        split_lines: businessChildren.map(child => ({
+          id: child.id,
+          category: child.category,
+          amount: child.amount,
+          notes: child.notes || ''
+        }))
+      });
+
+      if (businessChildren.length < (parent.subtransactions || []).length) {
+        this.logger.debug(`Split transaction ${parent.id}: kept ${businessChildren.length} of ${parent.subtransactions.length} lines`);
+      }
+    }
+
+    return result;
+  }
+
   /**
    * Update transaction notes with sync status tags via Node.js server
    * @param {string} transactionId - Transaction ID to update
@@ -414,35 +646,129 @@ class ActualBudgetClient {
    * @returns {Promise<boolean>} - Success status
    */
   async updateTransactionNotes(transactionId, newTags) {
+    const result = await this.updateTransactionNotesBatch([{ transactionId, tags: newTags }]);
+
+    if (result.failed.length > 0) {
+      throw new Error(result.failed[0].error);
+    }
+
+    return true;
+  }
+
+  /**
+   * Add tags to the notes of several transactions
+   * Current notes come from the transactions indexed by the sync's own fetch, so at most one
+   * /transactions request is made. Transactions that already have the tags are skipped and the
+   * rest are written NOTES_BATCH_SIZE at a time; servers without /transactions/batch-update get
+   * one PUT each. Written transactions are dropped from the cache so they are read again.
+   * @param {Object[]} updates - Updates to make
+   * @param {string} updates[].transactionId - Transaction ID to update
+   * @param {string} updates[].tags - Tags to add to the transaction notes
+   * @returns {Promise<Object>} - { updated, unchanged, failed: [{ transactionId, error }] }
+   */
+  async updateTransactionNotesBatch(updates) {
     await this.ensureInitialized();
     
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
+    await this.ensureBudgetLoaded();
+
+    const results = { updated: 0, unchanged: 0, failed: [] };
+    if (updates.length === 0) {
+      return results;
     }
 
+    let current;
     try {
-      // First get the current transaction to preserve existing notes
-      const currentTransaction = await this.getTransaction(transactionId);
-      if (!currentTransaction) {
-        throw new Error(`Transaction ${transactionId} not found`);
+      current = await this.lookupTransactions(updates.map(update => update.transactionId));
+    } catch (error) {
+      this.logger.error(`Failed to update transaction notes for ${updates.length} transactions:`, error.message);
+      throw error;
+    }
+
+    // Several updates for one transaction are combined into a single write
+    const notesById = new Map();
+    for (const { transactionId, tags } of updates) {
+      const transaction = current.get(transactionId);
+      if (!transaction) {
+        results.failed.push({ transactionId, error: `Transaction ${transactionId} not found` });
+        continue;
       }
 
-      // Append new tags to existing notes
-      const existingNotes = currentTransaction.notes || '';
-      const updatedNotes = this.appendTags(existingNotes, newTags);
+      const existingNotes = notesById.has(transactionId) ? notesById.get(transactionId) : (transaction.notes || '');
+      notesById.set(transactionId, this.appendTags(existingNotes, tags));
+    }
 
-      // Update the transaction via Node.js server
-      await this.makeRequest(`/transactions/${transactionId}`, {
-        method: 'PUT',
-        body: { notes: updatedNotes }
-      });
+    const writes = [];
+    for (const [id, notes] of notesById) {
+      if (notes === (current.get(id).notes || '')) {
+        results.unchanged++;
+      } else {
+        writes.push({ id, notes });
+      }
+    }
 
-      this.logger.info(`Successfully updated notes for transaction ${transactionId}`);
-      return true;
-    } catch (error) {
-      this.logger.error(`Failed to update transaction notes for ${transactionId}:`, error.message);
-      throw error;
+    for (let i = 0; i < writes.length; i += NOTES_BATCH_SIZE) {
+      const chunk = writes.slice(i, i + NOTES_BATCH_SIZE);
+      let failed;
+
+      try {
+        failed = await this.writeTransactionNotes(chunk);
+      } catch (error) {
+        failed = chunk.map(write => ({ transactionId: write.id, error: error.message }));
+      }
+
+      // Failed writes may or may not have reached the server, so every written transaction is read again next time
+      this.forgetCachedTransactions(chunk.map(write => write.id));
+
+      const failedIds = new Set(failed.map(failure => failure.transactionId));
+      results.updated += chunk.filter(write => !failedIds.has(write.id)).length;
+      results.failed.push(...failed);
+    }
+
+    for (const failure of results.failed) {
+      this.logger.error(`Failed to update transaction notes for ${failure.transactionId}:`, failure.error);
     }
+
+    this.logger.info(`Updated notes for ${results.updated} transactions (${results.unchanged} already tagged, ${results.failed.length} failed)`);
+    return results;
+  }
+
+  /**
+   * Write notes for a chunk of transactions via Node.js server
+   * @private
+   * @param {Object[]} writes - { id, notes }
+   * @returns {Promise<Object[]>} - Writes that failed ({ transactionId, error })
+   */
+  async writeTransactionNotes(writes) {
+    if (this.batchNotesSupported) {
+      try {
+        await this.makeRequest('/transactions/batch-update', {
+          method: 'POST',
+          body: { updates: writes }
+        });
+        return [];
+      } catch (error) {
+        if (error.status !== 404) {
+          throw error;
+        }
+
+        this.batchNotesSupported = false;
+        this.logger.info('Server has no /transactions/batch-update endpoint, updating notes one transaction at a time');
+      }
+    }
+
+    const failed = [];
+    for (const write of writes) {
+      try {
+        await this.makeRequest(`/transactions/${write.id}`, {
+          method: 'PUT',
+          body: { notes: write.notes }
+        });
+      } catch (error) {
+        failed.push({ transactionId: write.id, error: error.message });
+      }
+    }
+
+    return failed;
   }
 
   /**
@@ -453,23 +779,140 @@ class ActualBudgetClient {
   async getTransaction(transactionId) {
     await this.ensureInitialized();
     
-    if (!this.budgetId) {
-      throw new Error('No budget loaded. Call loadBudget() first.');
-    }
+    await this.ensureBudgetLoaded();
 
     try {
-      // Get all transactions and find the one we want
-      const response = await this.makeRequest('/transactions');
-      const allTransactions = response.transactions || [];
-      const transaction = allTransactions.find(t => t.id === transactionId);
-      
-      return transaction || null;
+      const transactions = await this.lookupTransactions([transactionId]);
+      return transactions.get(transactionId) || null;
     } catch (error) {
       this.logger.error(`Failed to get transaction ${transactionId}:`, error.message);
       throw error;
     }
   }
 
+  /**
+   * Find transactions in the cache, fetching every transaction once if any are missing
+   * @private
+   * @param {string[]} transactionIds - Transaction IDs
+   * @returns {Promise<Map<string, Object>>} - Transactions found, keyed by ID
+   */
+  async lookupTransactions(transactionIds) {
+    let cache = this.getTransactionCache();
+
+    const missing = !cache || transactionIds.some(id => !cache.byId.has(id));
+    if (missing && !cache?.complete) {
+      cache = this.cacheTransactions(await this.fetchTransactions(), true);
+    }
+
+    const found = new Map();
+    for (const id of transactionIds) {
+      if (cache.byId.has(id)) {
+        found.set(id, cache.byId.get(id));
+      }
+    }
+
+    return found;
+  }
+
+  /**
+   * Replace the transaction cache with transactions fetched from the server
+   * @private
+   * @param {Array} transactions - Transactions from /transactions
+   * @param {boolean} complete - Whether this is every transaction in the budget, not a filtered fetch
+   * @returns {Object} - The new cache
+   */
+  cacheTransactions(transactions, complete) {
+    this.transactionCache = {
+      budgetId: this.budgetId,
+      byId: new Map(transactions.filter(t => !t.tombstone).map(t => [t.id, t])),
+      complete,
+      fetchedAt: Date.now()
+    };
+
+    return this.transactionCache;
+  }
+
+  /**
+   * Get the transaction cache if it belongs to the loaded budget and hasn't expired
+   * @private
+   * @returns {Object|null} - { budgetId, byId, complete, fetchedAt }
+   */
+  getTransactionCache() {
+    const cache = this.transactionCache;
+    if (!cache || cache.budgetId !== this.budgetId || Date.now() - cache.fetchedAt > TRANSACTION_CACHE_TTL_MS) {
+      return null;
+    }
+
+    return cache;
+  }
+
+  /**
+   * Drop some transactions from the cache so the next lookup of them fetches again
+   * @private
+   * @param {string[]} transactionIds - Transaction IDs
+   */
+  forgetCachedTransactions(transactionIds) {
+    const cache = this.transactionCache;
+    if (!cache) {
+      return;
+    }
+
+    for (const id of transactionIds) {
+      cache.byId.delete(id);
+    }
+    cache.complete = false;
+  }
+
+  /**
+   * Forget cached transactions so the next lookup fetches them again
+   */
+  invalidateTransactionCache() {
+    this.transactionCache = null;
+  }
+
+  /**
+   * Look up several transactions by ID, from the cache when it has them all, otherwise with
+   * a single request for every transaction to the Node.js server
+   * @param {string[]} transactionIds - Transaction IDs
+   * @returns {Promise<Map<string, Object>>} - Transactions found, keyed by ID (deleted ones are missing)
+   */
+  async getTransactionsById(transactionIds) {
+    await this.ensureInitialized();
+
+    await this.ensureBudgetLoaded();
+
+    const cache = this.getTransactionCache();
+    if (cache && transactionIds.every(id => cache.byId.has(id))) {
+      return new Map(transactionIds.map(id => [id, cache.byId.get(id)]));
+    }
+
+    try {
+      const wanted = new Set(transactionIds);
+      const transactions = await this.fetchTransactions();
+      const found = new Map();
+
+      this.cacheTransactions(transactions, true);
+
+      for (const transaction of transactions) {
+        if (transaction.tombstone) {
+          continue;
+        }
+
+        if (wanted.has(transaction.id)) {
+          found.set(transaction.id, transaction);
+        } else if (wanted.has(transaction.parent_id) && !found.has(transaction.parent_id)) {
+          // Some servers only return the children of a split; they share the parent's reconciled state
+          found.set(transaction.parent_id, transaction);
+        }
+      }
+
+      return found;
+    } catch (error) {
+      this.logger.error(`Failed to get ${transactionIds.length} transactions:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Append tags to existing notes without removing content
    * @param {string} existingNotes - Current transaction notes
@@ -523,6 +966,15 @@ class ActualBudgetClient {
     return this.updateTransactionNotes(transactionId, '#xero');
   }
 
+  /**
+   * Add Xero sync tag to several transactions
+   * @param {string[]} transactionIds - Transaction IDs
+   * @returns {Promise<Object>} - { updated, unchanged, failed: [{ transactionId, error }] }
+   */
+  async addXeroTags(transactionIds) {
+    return this.updateTransactionNotesBatch(transactionIds.map(transactionId => ({ transactionId, tags: '#xero' })));
+  }
+
   /**
    * Add paid tag with date to transaction
    * @param {string} transactionId - Transaction ID
@@ -539,44 +991,183 @@ class ActualBudgetClient {
   }
 
   /**
-   * Auto-load the first available budget via Node.js server
-   * @returns {Promise<boolean>} - Success status
+   * Load the budget chosen in the web interface, or the one set by budget_id or budget_name
+   * A choice made before budget_id or budget_name changed is discarded, so the new options
+   * apply. Without either, a server with a single budget loads it. Anything else (several budgets
+   * and no choice, or a configured budget that doesn't exist) is an error rather than a guess,
+   * and is kept in budgetError until a budget is selected.
+   * @returns {Promise<Object>} - Loaded budget ({ id, name })
+   * @throws {Error} With code BUDGET_NOT_FOUND or BUDGET_NOT_SELECTED
    */
-  async autoLoadBudget() {
+  async loadConfiguredBudget() {
     try {
-      this.logger.info('Auto-loading first available budget');
-      
-      const budgets = await this.getBudgets();
-      
-      if (budgets.length === 0) {
-        throw new Error('No budgets available to load');
-      }
+      const budgets = (await this.getBudgets()).map(budget => this.describeBudget(budget));
+      const selection = await this.loadBudgetSelection();
+      let budget;
 
-      // Debug: Log budget structure
-      this.logger.debug('Available budgets:', budgets.map(b => ({
-        keys: Object.keys(b),
-        id: b.id || b.fileId || b.name,
-        name: b.name || b.fileName || 'Unknown'
-      })));
+      budgets.forEach((candidate, index) => {
+        this.logger.info(`Budget ${index + 1}: ${candidate.name || 'Unnamed'} (ID: ${candidate.id})`);
+      });
 
-      // Load the first budget - try different possible ID fields
-      const firstBudget = budgets[0];
-      const budgetId = firstBudget.id || firstBudget.fileId || firstBudget.name;
-      
-      if (!budgetId) {
-        throw new Error(`Cannot determine budget ID from budget object: ${JSON.stringify(firstBudget)}`);
+      if (selection) {
+        budget = this.findBudget(budgets, selection.budget_id, null);
+        if (!budget) {
+          throw this.createBudgetError('BUDGET_NOT_FOUND', `The budget selected in the web interface (${selection.budget_name || selection.budget_id}) was not found`, budgets);
+        }
+      } else if (this.configuredBudgetId || this.configuredBudgetName) {
+        budget = this.findBudget(budgets, this.configuredBudgetId, this.configuredBudgetName);
+        if (!budget) {
+          throw this.createBudgetError('BUDGET_NOT_FOUND', `Budget ${this.configuredBudgetId ? `ID "${this.configuredBudgetId}"` : `"${this.configuredBudgetName}"`} was not found`, budgets);
+        }
+      } else if (budgets.length === 1) {
+        budget = budgets[0];
+      } else {
+        throw this.createBudgetError('BUDGET_NOT_SELECTED', budgets.length === 0
+          ? 'No budgets found on the Actual server'
+          : `${budgets.length} budgets found: set budget_id or budget_name, or choose one in the web interface`, budgets);
       }
 
-      await this.loadBudget(budgetId);
-      
-      this.logger.info(`Auto-loaded budget: ${firstBudget.name || firstBudget.fileName || budgetId}`);
-      return true;
+      await this.loadBudget(budget.id);
+      this.budgetName = budget.name;
+      this.budgetError = null;
+
+      this.logger.info(`Loaded budget: ${budget.name || 'Unnamed'} (${budget.id})`);
+      return budget;
     } catch (error) {
-      this.logger.error('Failed to auto-load budget:', error.message);
+      this.budgetId = null;
+      this.budgetName = null;
+      this.budgetError = error;
       throw error;
     }
   }
 
+  /**
+   * Load a budget chosen in the web interface and remember the choice
+   * @param {string} budgetId - Budget ID from getBudgets()
+   * @returns {Promise<Object>} - Loaded budget ({ id, name })
+   * @throws {Error} With code BUDGET_NOT_FOUND if the server has no such budget
+   */
+  async selectBudget(budgetId) {
+    const budgets = (await this.getBudgets()).map(budget => this.describeBudget(budget));
+    const budget = this.findBudget(budgets, budgetId, null);
+
+    if (!budget) {
+      throw this.createBudgetError('BUDGET_NOT_FOUND', `Budget ID "${budgetId}" was not found`, budgets);
+    }
+
+    await this.loadBudget(budget.id);
+    this.budgetName = budget.name;
+    this.budgetError = null;
+
+    if (this.selectionStore) {
+      await this.selectionStore.save(budget, {
+        budgetId: this.configuredBudgetId,
+        budgetName: this.configuredBudgetName
+      });
+    }
+
+    this.logger.info(`Selected budget: ${budget.name || 'Unnamed'} (${budget.id})`);
+    return budget;
+  }
+
+  /**
+   * Forget the budget chosen in the web interface and load the configured one instead
+   * @returns {Promise<Object>} - Loaded budget ({ id, name })
+   * @throws {Error} With code BUDGET_NOT_FOUND or BUDGET_NOT_SELECTED
+   */
+  async clearBudgetSelection() {
+    if (this.selectionStore) {
+      await this.selectionStore.clear();
+    }
+
+    this.logger.info('Cleared the budget selected in the web interface');
+    return this.loadConfiguredBudget();
+  }
+
+  /**
+   * Get the budget chosen in the web interface, unless budget_id or budget_name changed since
+   * @private
+   * @returns {Promise<Object|null>} - Saved selection, or null if there is none or it is out of date
+   */
+  async loadBudgetSelection() {
+    const selection = this.selectionStore ? await this.selectionStore.load() : null;
+    if (!selection) {
+      return null;
+    }
+
+    if ((selection.configured_budget_id || null) !== (this.configuredBudgetId || null) ||
+        (selection.configured_budget_name || null) !== (this.configuredBudgetName || null)) {
+      this.logger.info(`budget_id or budget_name changed since ${selection.budget_name || selection.budget_id} was chosen in the web interface, using the configured budget`);
+      await this.selectionStore.clear();
+      return null;
+    }
+
+    return selection;
+  }
+
+  /**
+   * Reduce a budget from the server to the ID used to load it, its name and its other IDs
+   * @param {Object} budget - Budget from getBudgets()
+   * @returns {Object} - { id, name, ids }
+   */
+  describeBudget(budget) {
+    return {
+      id: budget.id || budget.fileId || budget.name,
+      name: budget.name || budget.fileName || null,
+      ids: [budget.id, budget.fileId, budget.cloudFileId, budget.groupId].filter(Boolean)
+    };
+  }
+
+  /**
+   * Find a budget by any of its IDs, or else by name (case-insensitive)
+   * @param {Object[]} budgets - Budgets from describeBudget()
+   * @param {string} budgetId - Budget ID (optional)
+   * @param {string} budgetName - Budget name (optional)
+   * @returns {Object|null} - Matching budget
+   */
+  findBudget(budgets, budgetId, budgetName) {
+    if (budgetId) {
+      return budgets.find(budget => budget.ids.includes(budgetId)) || null;
+    }
+
+    const name = (budgetName || '').trim().toLowerCase();
+    return budgets.find(budget => (budget.name || '').trim().toLowerCase() === name) || null;
+  }
+
+  /**
+   * Create a budget selection error listing the budgets that are available
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {Object[]} budgets - Budgets from describeBudget()
+   * @returns {Error} - Error with code and available budgets
+   */
+  createBudgetError(code, message, budgets) {
+    const available = budgets.map(budget => `${budget.name || 'Unnamed'} (${budget.id})`).join(', ');
+    const error = new Error(available ? `${message}. Available budgets: ${available}` : message);
+    error.code = code;
+    error.budgets = budgets.map(({ id, name }) => ({ id, name }));
+    return error;
+  }
+
+  /**
+   * Make sure a budget is loaded, trying the configured one again after an earlier failure
+   * @returns {Promise<void>}
+   * @throws {Error} If no budget can be loaded, with the reason
+   */
+  async ensureBudgetLoaded() {
+    if (this.budgetId) {
+      return;
+    }
+
+    try {
+      await this.loadConfiguredBudget();
+    } catch (error) {
+      const budgetError = new Error(`No budget loaded: ${error.message}`);
+      budgetError.code = error.code;
+      throw budgetError;
+    }
+  }
+
   /**
    * Test connection to Node.js server
    * @returns {Promise<boolean>} - Connection success
@@ -601,6 +1192,8 @@ class ActualBudgetClient {
     return {
       isInitialized: this.isInitialized,
       budgetId: this.budgetId,
+      budgetName: this.budgetName,
+      budgetError: this.budgetError ? this.budgetError.message : null,
       baseUrl: this.baseUrl,
       dataDir: this.dataDir
     };
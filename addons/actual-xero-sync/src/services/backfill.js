@@ -0,0 +1,415 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window size when none is given, and the largest allowed (sync_days_back is capped at 30)
+const DEFAULT_WINDOW_DAYS = 7;
+const MAX_WINDOW_DAYS = 30;
+
+/**
+ * Backfill run states stored in the cursor
+ */
+const BackfillStatus = {
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * BackfillService - Imports a historical date range through the sync pipeline
+ *
+ * The range is split into windows of a few days, and each window runs as a
+ * normal sync limited to those dates, so Xano and Xero calls go through the
+ * same rate limiters as a scheduled sync. After every window the cursor (the
+ * next date to sync) is written to /data, so a run that is stopped by a
+ * restart, an error or the Xero daily quota carries on where it left off.
+ */
+class BackfillService {
+  constructor(options = {}) {
+    this.syncService = options.syncService;
+    this.xeroClient = options.xeroClient || (this.syncService ? this.syncService.xeroClient : null);
+    this.logger = options.logger || console;
+    this.config = options.config || {};
+    this.filePath = options.filePath || null;
+
+    // Persisted progress of the current (or last) backfill run
+    this.cursor = null;
+    this.isRunning = false;
+    this.cancelRequested = false;
+
+    if (!this.syncService) {
+      throw new Error('SyncService is required');
+    }
+  }
+
+  /**
+   * Load the cursor of a previous run
+   * @returns {Promise<boolean>} - True if a cursor was loaded
+   */
+  async load() {
+    if (!this.filePath) {
+      return false;
+    }
+
+    try {
+      this.cursor = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+      this.logger.info(`Loaded backfill cursor: ${this.cursor.status}, next window from ${this.cursor.next_date}`);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load backfill cursor: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Write the cursor to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.filePath || !this.cursor) {
+      return;
+    }
+
+    this.cursor.updated_at = new Date().toISOString();
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.cursor, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Plan a new backfill run, replacing any previous cursor
+   * @param {Object} options - Backfill range
+   * @param {string} options.startDate - First date to import (YYYY-MM-DD)
+   * @param {string} options.endDate - Last date to import (YYYY-MM-DD, default: today)
+   * @param {number} options.windowDays - Days per window (default 7, max 30)
+   * @returns {Promise<Object>} - Backfill progress
+   * @throws {Error} INVALID_BACKFILL_RANGE if the range is not valid
+   */
+  async start(options = {}) {
+    if (this.isRunning) {
+      throw new Error('A backfill is already running');
+    }
+
+    const today = this.formatDate(new Date());
+    const startDate = options.startDate;
+    const endDate = options.endDate || today;
+    const windowDays = options.windowDays !== undefined ? parseInt(options.windowDays, 10) : DEFAULT_WINDOW_DAYS;
+
+    if (!this.parseDate(startDate)) {
+      throw this.createRangeError('start_date must be a date in YYYY-MM-DD format');
+    }
+    if (!this.parseDate(endDate)) {
+      throw this.createRangeError('end_date must be a date in YYYY-MM-DD format');
+    }
+    if (startDate > endDate) {
+      throw this.createRangeError('start_date must not be after end_date');
+    }
+    if (endDate > today) {
+      throw this.createRangeError('end_date must not be in the future');
+    }
+    if (!Number.isInteger(windowDays) || windowDays < 1 || windowDays > MAX_WINDOW_DAYS) {
+      throw this.createRangeError(`window_days must be a whole number from 1 to ${MAX_WINDOW_DAYS}`);
+    }
+
+    if (this.hasPendingWork()) {
+      this.logger.warn(`Replacing unfinished backfill ${this.cursor.start_date} to ${this.cursor.end_date} (next window from ${this.cursor.next_date})`);
+    }
+
+    const days = Math.round((this.parseDate(endDate) - this.parseDate(startDate)) / DAY_MS) + 1;
+
+    this.cursor = {
+      version: 1,
+      status: BackfillStatus.RUNNING,
+      start_date: startDate,
+      end_date: endDate,
+      window_days: windowDays,
+      next_date: startDate,
+      total_windows: Math.ceil(days / windowDays),
+      windows_completed: 0,
+      current_window: null,
+      totals: { fetched: 0, stored: 0, duplicates_skipped: 0, mapped: 0, imported: 0, failed: 0 },
+      windows: [],
+      resume_at: null,
+      last_error: null,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      updated_at: null
+    };
+
+    await this.save();
+    this.logger.info(`Planned backfill from ${startDate} to ${endDate} in ${this.cursor.total_windows} windows of ${windowDays} days`);
+
+    return this.getProgress();
+  }
+
+  /**
+   * Check whether there is an unfinished run to carry on with
+   * @returns {boolean} - True if the cursor is running, paused or stopped by an error
+   */
+  hasPendingWork() {
+    return !!this.cursor && [BackfillStatus.RUNNING, BackfillStatus.PAUSED, BackfillStatus.FAILED].includes(this.cursor.status);
+  }
+
+  /**
+   * Sync the remaining windows, saving the cursor after each one
+   * @param {Object} options - Run options
+   * @param {Function} options.onProgress - Called with the progress after each window starts and finishes
+   * @returns {Promise<Object>} - { success, status, progress, error, resumeAt }
+   */
+  async run(options = {}) {
+    const onProgress = options.onProgress || (() => {});
+
+    if (!this.hasPendingWork()) {
+      throw new Error('No backfill to run, start one with a date range first');
+    }
+    if (this.isRunning) {
+      throw new Error('A backfill is already running');
+    }
+
+    this.isRunning = true;
+    this.cancelRequested = false;
+    this.cursor.status = BackfillStatus.RUNNING;
+    this.cursor.resume_at = null;
+    this.cursor.last_error = null;
+
+    try {
+      await this.save();
+      this.logger.info(`Backfill resuming at ${this.cursor.next_date} (${this.cursor.windows_completed}/${this.cursor.total_windows} windows done)`);
+
+      while (this.cursor.next_date <= this.cursor.end_date) {
+        if (this.cancelRequested) {
+          return await this.finish(BackfillStatus.CANCELLED);
+        }
+
+        // Leave the window for later rather than marking all of it as failed
+        const resumeAt = this.getQuotaResumeAt();
+        if (resumeAt) {
+          this.cursor.resume_at = resumeAt.toISOString();
+          this.logger.warn(`Xero daily API limit reached, pausing backfill until ${this.cursor.resume_at}`);
+          return await this.finish(BackfillStatus.PAUSED);
+        }
+
+        const window = this.getNextWindow();
+        this.cursor.current_window = window;
+        onProgress(this.getProgress());
+
+        this.logger.info(`Backfill window ${this.cursor.windows_completed + 1}/${this.cursor.total_windows}: ${window.start} to ${window.end}`);
+
+        // The cursor moves past the window afterwards, so test_mode's one-batch import limit
+        // doesn't apply: transactions it left out would never be imported
+        const result = await this.syncService.executeSync({
+          since: new Date(`${window.start}T00:00:00.000Z`),
+          until: new Date(`${window.end}T23:59:59.999Z`),
+          testMode: false
+        });
+
+        this.recordWindow(window, result.statistics || {});
+        await this.save();
+        onProgress(this.getProgress());
+      }
+
+      return await this.finish(BackfillStatus.COMPLETED);
+
+    } catch (error) {
+      // The cursor still points at the failed window, so the next run retries it
+      this.cursor.last_error = error.message;
+      this.logger.error(`Backfill stopped at ${this.cursor.next_date}: ${error.message}`);
+      return await this.finish(BackfillStatus.FAILED, error);
+
+    } finally {
+      this.isRunning = false;
+      this.cancelRequested = false;
+    }
+  }
+
+  /**
+   * Stop the run after the window in progress
+   * @returns {Promise<Object>} - Backfill progress
+   */
+  async cancel() {
+    if (this.isRunning) {
+      this.cancelRequested = true;
+      this.logger.info('Backfill will stop after the current window');
+    } else if (this.hasPendingWork()) {
+      this.cursor.status = BackfillStatus.CANCELLED;
+      this.cursor.resume_at = null;
+      this.cursor.finished_at = new Date().toISOString();
+      await this.save();
+      this.logger.info('Backfill cancelled');
+    }
+
+    return this.getProgress();
+  }
+
+  /**
+   * Record the end of a run in the cursor
+   * @param {string} status - Final status
+   * @param {Error} error - Error that stopped the run
+   * @returns {Promise<Object>} - Run result
+   */
+  async finish(status, error = null) {
+    this.isRunning = false;
+    this.cursor.status = status;
+    this.cursor.current_window = null;
+    if (status === BackfillStatus.COMPLETED || status === BackfillStatus.CANCELLED) {
+      this.cursor.finished_at = new Date().toISOString();
+    }
+
+    try {
+      await this.save();
+    } catch (saveError) {
+      this.logger.error(`Failed to save backfill cursor: ${saveError.message}`);
+    }
+
+    this.logger.info(`Backfill ${status}: ${this.cursor.windows_completed}/${this.cursor.total_windows} windows done`);
+
+    return {
+      success: status !== BackfillStatus.FAILED,
+      status,
+      progress: this.getProgress(),
+      error: error ? error.message : undefined,
+      resumeAt: this.cursor.resume_at
+    };
+  }
+
+  /**
+   * Add a finished window to the cursor and move it on to the next one
+   * @param {Object} window - Window { start, end }
+   * @param {Object} statistics - Statistics from SyncService.executeSync()
+   */
+  recordWindow(window, statistics) {
+    const counts = {
+      fetched: statistics.transactionsFetched || 0,
+      stored: statistics.transactionsStored || 0,
+      duplicates_skipped: statistics.duplicatesSkipped || 0,
+      mapped: statistics.transactionsMapped || 0,
+      imported: statistics.transactionsImported || 0,
+      failed: statistics.transactionsFailed || 0
+    };
+
+    for (const [key, value] of Object.entries(counts)) {
+      this.cursor.totals[key] += value;
+    }
+
+    this.cursor.windows.push({ ...window, ...counts, completed_at: new Date().toISOString() });
+    this.cursor.windows_completed++;
+    this.cursor.current_window = null;
+    this.cursor.next_date = this.addDays(window.end, 1);
+  }
+
+  /**
+   * Get the date range of the next window
+   * @returns {Object} - Window { start, end } as YYYY-MM-DD
+   */
+  getNextWindow() {
+    const start = this.cursor.next_date;
+    const end = this.addDays(start, this.cursor.window_days - 1);
+
+    return {
+      start,
+      end: end < this.cursor.end_date ? end : this.cursor.end_date
+    };
+  }
+
+  /**
+   * Get when the Xero daily quota frees up, if any synced tenant has used it up
+   * Only checked when the sync imports to Xero, since otherwise Xero isn't called
+   * @returns {Date|null} - Latest resume time, or null if all tenants have quota left
+   */
+  getQuotaResumeAt() {
+    if (!this.config.sync_to_xero || this.config.dry_run_mode || !this.xeroClient || !this.xeroClient.getQuotaResumeAt) {
+      return null;
+    }
+
+    const resumeTimes = this.syncService.getTenantIds()
+      .map(tenantId => this.xeroClient.getQuotaResumeAt(tenantId))
+      .filter(Boolean);
+
+    return resumeTimes.length > 0 ? new Date(Math.max(...resumeTimes)) : null;
+  }
+
+  /**
+   * Get the progress of the current (or last) run
+   * @returns {Object|null} - Progress, or null if no backfill was started
+   */
+  getProgress() {
+    if (!this.cursor) {
+      return null;
+    }
+
+    const { windows_completed: completed, total_windows: total } = this.cursor;
+
+    return {
+      status: this.cursor.status,
+      running: this.isRunning,
+      start_date: this.cursor.start_date,
+      end_date: this.cursor.end_date,
+      window_days: this.cursor.window_days,
+      next_date: this.cursor.next_date <= this.cursor.end_date ? this.cursor.next_date : null,
+      current_window: this.cursor.current_window,
+      windows_completed: completed,
+      total_windows: total,
+      percentage: total > 0 ? Math.round((completed / total) * 100) : 100,
+      totals: { ...this.cursor.totals },
+      windows: this.cursor.windows.slice(),
+      resume_at: this.cursor.resume_at,
+      last_error: this.cursor.last_error,
+      started_at: this.cursor.started_at,
+      finished_at: this.cursor.finished_at,
+      updated_at: this.cursor.updated_at
+    };
+  }
+
+  /**
+   * Parse a YYYY-MM-DD date
+   * @param {string} value - Date string
+   * @returns {Date|null} - Date at UTC midnight, or null if not a valid date
+   */
+  parseDate(value) {
+    if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return null;
+    }
+
+    const date = new Date(`${value}T00:00:00.000Z`);
+    return !Number.isNaN(date.getTime()) && this.formatDate(date) === value ? date : null;
+  }
+
+  /**
+   * Format a date as YYYY-MM-DD (UTC)
+   * @param {Date} date - Date
+   * @returns {string} - Formatted date
+   */
+  formatDate(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date
+   * @param {string} value - Date string
+   * @param {number} days - Days to add
+   * @returns {string} - New date string
+   */
+  addDays(value, days) {
+    return this.formatDate(new Date(this.parseDate(value).getTime() + days * DAY_MS));
+  }
+
+  /**
+   * Create an error for an invalid backfill range
+   * @param {string} message - Error message
+   * @returns {Error} - Range error
+   */
+  createRangeError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_BACKFILL_RANGE';
+    return error;
+  }
+}
+
+module.exports = { BackfillService, BackfillStatus };
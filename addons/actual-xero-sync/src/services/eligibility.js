@@ -0,0 +1,209 @@
+/**
+ * Actual statuses an eligibility rule can require
+ */
+const EligibilityStatus = {
+  RECONCILED: 'reconciled',
+  CLEARED: 'cleared',
+  ANY: 'any'
+};
+
+/**
+ * What an eligibility rule does with the transactions it matches
+ */
+const EligibilityAction = {
+  INCLUDE: 'include',
+  EXCLUDE: 'exclude'
+};
+
+// Used when sync_eligibility_rules is empty: reconciled transactions only
+const DEFAULT_RULES = [{ name: 'Reconciled', status: EligibilityStatus.RECONCILED }];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * EligibilityService - Decides which Actual transactions are synced
+ *
+ * The rules in sync_eligibility_rules are checked in order and the first rule
+ * whose conditions all hold decides: an include rule syncs the transaction, an
+ * exclude rule skips it. A transaction no rule matches is skipped. Conditions:
+ * - status: reconciled, cleared (reconciled counts as cleared) or any
+ * - min_age_days: days since the transaction date
+ * - accounts: comma-separated Actual account IDs or names
+ * - min_amount / max_amount: size of the amount, ignoring its sign
+ * - notes_contains: text the notes must contain (case-insensitive), e.g. "#business"
+ */
+class EligibilityService {
+  constructor(options = {}) {
+    this.config = options.config || {};
+    this.logger = options.logger || console;
+
+    const rules = this.config.sync_eligibility_rules || [];
+    this.rules = (rules.length > 0 ? rules : DEFAULT_RULES).map((rule, index) => this.normalizeRule(rule, index));
+  }
+
+  /**
+   * Fill in rule defaults and split the account list
+   * @param {Object} rule - Rule from sync_eligibility_rules
+   * @param {number} index - Position of the rule
+   * @returns {Object} - Normalized rule
+   */
+  normalizeRule(rule, index) {
+    return {
+      name: rule.name || `Rule ${index + 1}`,
+      action: rule.action || EligibilityAction.INCLUDE,
+      status: rule.status || EligibilityStatus.ANY,
+      minAgeDays: rule.min_age_days || 0,
+      accounts: (rule.accounts || '').split(',').map(account => account.trim().toLowerCase()).filter(Boolean),
+      minAmount: typeof rule.min_amount === 'number' ? rule.min_amount : null,
+      maxAmount: typeof rule.max_amount === 'number' ? rule.max_amount : null,
+      notesContains: rule.notes_contains || null
+    };
+  }
+
+  /**
+   * Whether any rule matches on accounts, so account names need to be looked up
+   * @returns {boolean}
+   */
+  usesAccounts() {
+    return this.rules.some(rule => rule.accounts.length > 0);
+  }
+
+  /**
+   * Days to fetch before the sync window so transactions that only just became old enough
+   * for a min_age_days rule are fetched as well
+   * @returns {number} - Largest min_age_days of the include rules
+   */
+  getLookbackDays() {
+    return Math.max(0, ...this.rules
+      .filter(rule => rule.action === EligibilityAction.INCLUDE)
+      .map(rule => rule.minAgeDays));
+  }
+
+  /**
+   * Decide whether a transaction is synced
+   * @param {Object} transaction - Transaction from Actual Budget
+   * @param {Object} context - Evaluation context
+   * @param {Map<string, string>} context.accountNames - Actual account names by ID
+   * @param {Date} context.now - Current time (default: now)
+   * @returns {Object} - { eligible, rule, reason }: the deciding rule's name (null if none) and why
+   */
+  evaluate(transaction, context = {}) {
+    const failures = [];
+
+    for (const rule of this.rules) {
+      const { matched, details } = this.checkRule(rule, transaction, context);
+
+      if (matched) {
+        const conditions = details.length > 0 ? details.join(', ') : 'all transactions';
+        return rule.action === EligibilityAction.EXCLUDE
+          ? { eligible: false, rule: rule.name, reason: `Excluded by "${rule.name}": ${conditions}` }
+          : { eligible: true, rule: rule.name, reason: `Included by "${rule.name}": ${conditions}` };
+      }
+
+      if (rule.action === EligibilityAction.INCLUDE) {
+        failures.push(`"${rule.name}" ${details.join(', ')}`);
+      }
+    }
+
+    return {
+      eligible: false,
+      rule: null,
+      reason: failures.length > 0 ? `No rule matched: ${failures.join('; ')}` : 'No include rule matched'
+    };
+  }
+
+  /**
+   * Split transactions into those that are synced and those that are not
+   * @param {Array} transactions - Transactions from Actual Budget
+   * @param {Object} context - Evaluation context (see evaluate)
+   * @returns {Object} - { eligible, ineligible }: transactions, and { transaction, rule, reason } for the rest
+   */
+  filter(transactions, context = {}) {
+    const results = { eligible: [], ineligible: [] };
+
+    for (const transaction of transactions) {
+      const evaluation = this.evaluate(transaction, context);
+
+      if (evaluation.eligible) {
+        results.eligible.push(transaction);
+      } else {
+        results.ineligible.push({ transaction, rule: evaluation.rule, reason: evaluation.reason });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Check a rule's conditions against a transaction
+   * @param {Object} rule - Normalized rule
+   * @param {Object} transaction - Transaction from Actual Budget
+   * @param {Object} context - Evaluation context (see evaluate)
+   * @returns {Object} - { matched, details }: the conditions that held, or the ones that didn't
+   */
+  checkRule(rule, transaction, context) {
+    const passed = [];
+    const failed = [];
+    const check = (ok, passDetail, failDetail) => (ok ? passed : failed).push(ok ? passDetail : failDetail);
+
+    if (rule.status === EligibilityStatus.RECONCILED) {
+      check(transaction.reconciled === true, 'reconciled', 'not reconciled');
+    } else if (rule.status === EligibilityStatus.CLEARED) {
+      check(transaction.cleared === true || transaction.reconciled === true, 'cleared', 'not cleared');
+    }
+
+    if (rule.minAgeDays > 0) {
+      const age = this.getAgeDays(transaction.date, context.now || new Date());
+      check(age >= rule.minAgeDays, `${age} days old`, `only ${age} of ${rule.minAgeDays} days old`);
+    }
+
+    if (rule.accounts.length > 0) {
+      const accountName = context.accountNames?.get(transaction.account) || null;
+      const candidates = [transaction.account, accountName].filter(Boolean).map(value => value.toLowerCase());
+      const label = accountName || transaction.account || 'none';
+      check(candidates.some(value => rule.accounts.includes(value)), `account ${label}`, `account ${label} not listed`);
+    }
+
+    const amount = Math.abs(transaction.amount || 0) / 100;
+    if (rule.minAmount !== null) {
+      check(amount >= rule.minAmount, `amount ${amount.toFixed(2)} >= ${rule.minAmount}`, `amount ${amount.toFixed(2)} below ${rule.minAmount}`);
+    }
+    if (rule.maxAmount !== null) {
+      check(amount <= rule.maxAmount, `amount ${amount.toFixed(2)} <= ${rule.maxAmount}`, `amount ${amount.toFixed(2)} above ${rule.maxAmount}`);
+    }
+
+    if (rule.notesContains) {
+      const found = (transaction.notes || '').toLowerCase().includes(rule.notesContains.toLowerCase());
+      check(found, `notes contain "${rule.notesContains}"`, `notes don't contain "${rule.notesContains}"`);
+    }
+
+    return failed.length === 0
+      ? { matched: true, details: passed }
+      : { matched: false, details: failed };
+  }
+
+  /**
+   * Whole days between a transaction date and now
+   * @param {string} date - Transaction date (YYYY-MM-DD)
+   * @param {Date} now - Current time
+   * @returns {number} - Age in days (0 without a date)
+   */
+  getAgeDays(date, now) {
+    if (!date) {
+      return 0;
+    }
+
+    const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+    return Math.floor((today - new Date(`${date}T00:00:00.000Z`).getTime()) / DAY_MS);
+  }
+
+  /**
+   * Get the rules in effect, for display
+   * @returns {Object[]} - Normalized rules
+   */
+  getRules() {
+    return this.rules.map(rule => ({ ...rule, accounts: [...rule.accounts] }));
+  }
+}
+
+module.exports = { EligibilityService, EligibilityStatus, EligibilityAction };
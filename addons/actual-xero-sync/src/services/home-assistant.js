@@ -8,6 +8,7 @@ class HomeAssistantService {
   constructor() {
     this.entities = new Map();
     this.lastSyncTime = null;
+    this.nextSyncTime = null;
     this.syncStatus = 'idle';
     this.lastError = null;
     this.syncCount = 0;
@@ -72,9 +73,11 @@ class HomeAssistantService {
 
   /**
    * Handle manual sync trigger from Home Assistant
+   * @param {string} source - What triggered the sync
+   * @param {Object} options - Options passed to SyncService.executeSync (e.g. fullRescan)
    */
-  async handleSyncTrigger(source = 'home_assistant') {
-    logger.info(`Manual sync triggered from ${source}`);
+  async handleSyncTrigger(source = 'home_assistant', options = {}) {
+    logger.info(`Manual sync triggered from ${source}${options.fullRescan ? ' (full rescan)' : ''}`);
     
     try {
       this.updateSyncStatus('running');
@@ -88,7 +91,7 @@ class HomeAssistantService {
       
       // Execute the actual sync with progress reporting
       const startTime = Date.now();
-      const syncResult = await syncService.executeSync();
+      const syncResult = await syncService.executeSync(options);
       const duration = `${Math.round((Date.now() - startTime) / 1000)}s`;
       
       // Extract detailed statistics from sync result
@@ -143,13 +146,19 @@ class HomeAssistantService {
         ? `Sync completed: ${summaryParts.join(', ')}`
         : 'Sync completed successfully';
       
-      logger.info('Manual sync completed successfully', { 
+      logger.info(syncResult.success === false ? 'Manual sync completed with errors' : 'Manual sync completed successfully', { 
         stats,
         summary: summaryMessage 
       });
       
+      // Errors such as failed imports don't stop the sync, but the run doesn't count as a success
+      const syncErrors = (syncResult.errors || []).filter(error => error.type !== 'MISSING_MAPPINGS');
+      
       return { 
-        success: true, 
+        success: syncResult.success !== false, 
+        ...(syncResult.success === false && {
+          error: `${summaryMessage} with ${syncErrors.length} errors${syncErrors.length > 0 ? ` (first: ${syncErrors[0].message})` : ''}`
+        }),
         message: summaryMessage, 
         result: syncResult,
         statistics: {
@@ -201,7 +210,22 @@ class HomeAssistantService {
     this.updateEntity('last_sync', timestamp.toISOString(), {
       friendly_name: 'Last Sync Time',
       icon: 'mdi:clock-check-outline',
-      device_class: 'timestamp'
+      device_class: 'timestamp',
+      next_sync: this.nextSyncTime ? this.nextSyncTime.toISOString() : null
+    });
+  }
+
+  /**
+   * Update the next scheduled sync time on the last sync entity
+   */
+  updateNextSync(timestamp) {
+    this.nextSyncTime = timestamp || null;
+    
+    this.updateEntity('last_sync', this.lastSyncTime ? this.lastSyncTime.toISOString() : null, {
+      friendly_name: 'Last Sync Time',
+      icon: this.lastSyncTime ? 'mdi:clock-check-outline' : 'mdi:clock-outline',
+      device_class: 'timestamp',
+      next_sync: this.nextSyncTime ? this.nextSyncTime.toISOString() : null
     });
   }
 
@@ -278,6 +302,7 @@ class HomeAssistantService {
     return {
       status: this.syncStatus,
       last_sync: this.lastSyncTime,
+      next_sync: this.nextSyncTime,
       sync_count: this.syncCount,
       last_error: this.lastError,
       entities: this.getEntities()
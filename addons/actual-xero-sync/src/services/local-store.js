@@ -0,0 +1,1377 @@
+const fs = require('fs').promises;
+const path = require('path');
+const XanoClient = require('./xano');
+const { getScopedTenantId } = require('../utils/tenant-scope');
+
+const STORE_VERSION = 1;
+
+// Transactions read per request when importing from another store
+const IMPORT_PAGE_SIZE = 1000;
+
+// Every transaction status, so an import copies voided records too
+const TRANSACTION_STATUSES = ['pending', 'mapped', 'imported', 'failed', 'voided'];
+
+/**
+ * LocalStore - JSON file storage with the same operations as XanoClient
+ *
+ * Keeps transactions, mappings, categories and payees in a single file under
+ * /data so the add-on can sync Actual Budget to Xero without Xano and its
+ * request limits. Records use numeric IDs like Xano, so Xero references built
+ * from the ID stay the same after migrating from Xano.
+ *
+ * Records carry xero_tenant_id like they do in Xano. Records without a tenant
+ * (stored before an organisation was selected) are visible to every tenant.
+ */
+class LocalStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.logger = options.logger || console;
+
+    // Default Xero tenant for mappings and transactions; see the tenantId getter
+    this.defaultTenantId = options.tenantId || null;
+
+    if (!this.filePath) {
+      throw new Error('Local store file path is required');
+    }
+
+    this.data = null;
+    this.loading = null;
+
+    // Writes are chained so concurrent updates never interleave on disk
+    this.writeQueue = Promise.resolve();
+
+    // Same counters as XanoClient so status output looks alike
+    this.storeStats = {
+      transactionsStored: 0,
+      duplicatesSkipped: 0,
+      mappingsRetrieved: 0,
+      batchOperations: 0
+    };
+  }
+
+  /**
+   * Xero tenant that mapping and transaction calls are scoped to: the one set by
+   * runWithTenant() for the current call chain, otherwise the default (null = unscoped)
+   * @returns {string|null} - Xero tenant ID
+   */
+  get tenantId() {
+    return getScopedTenantId(this.defaultTenantId);
+  }
+
+  /**
+   * Set the default Xero tenant, used outside runWithTenant()
+   * @param {string|null} tenantId - Xero tenant ID
+   */
+  setDefaultTenantId(tenantId) {
+    this.defaultTenantId = tenantId || null;
+  }
+
+  /**
+   * Add the current tenant to a record
+   * @param {Object} data - Record data
+   * @returns {Object} - Data with xero_tenant_id when a tenant is set
+   */
+  withTenant(data = {}) {
+    return this.tenantId ? { ...data, xero_tenant_id: this.tenantId } : data;
+  }
+
+  /**
+   * Format transaction data for storage (same record shape as Xano)
+   * @param {Object} transaction - Raw transaction from Actual Budget
+   * @returns {Object} - Formatted transaction data
+   */
+  formatTransactionForStorage(transaction) {
+    return XanoClient.prototype.formatTransactionForStorage.call(this, transaction);
+  }
+
+  /**
+   * Get the status of a transaction after a mapping update (same rules as Xano)
+   * @param {Object} mappings - Resolved mappings
+   * @returns {string} - 'mapped' or 'pending'
+   */
+  getMappingStatus(mappings) {
+    return XanoClient.prototype.getMappingStatus.call(this, mappings);
+  }
+
+  /**
+   * Load the store from disk, creating an empty store if the file doesn't exist
+   * @returns {Promise<Object>} - Store data
+   */
+  async load() {
+    if (this.data) {
+      return this.data;
+    }
+
+    if (!this.loading) {
+      this.loading = this.readFile().finally(() => {
+        this.loading = null;
+      });
+    }
+
+    this.data = await this.loading;
+    return this.data;
+  }
+
+  /**
+   * Read and parse the store file
+   * @returns {Promise<Object>} - Store data
+   * @throws {Error} If the file exists but cannot be parsed
+   */
+  async readFile() {
+    let raw;
+
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        this.logger.info(`Creating local store at ${this.filePath}`);
+        return this.createEmptyStore();
+      }
+      throw error;
+    }
+
+    try {
+      return { ...this.createEmptyStore(), ...JSON.parse(raw) };
+    } catch (error) {
+      throw new Error(`Local store ${this.filePath} is corrupt: ${error.message}`);
+    }
+  }
+
+  /**
+   * Create an empty store
+   * @returns {Object} - Store data
+   */
+  createEmptyStore() {
+    return {
+      version: STORE_VERSION,
+      next_id: 1,
+      transactions: [],
+      category_mappings: [],
+      payee_mappings: [],
+      account_mappings: [],
+      categories: [],
+      payees: []
+    };
+  }
+
+  /**
+   * Write the store to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    const snapshot = JSON.stringify(this.data);
+
+    this.writeQueue = this.writeQueue.catch(() => {}).then(async () => {
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+      // Write to a temporary file first so a crash never leaves a half-written store
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filePath);
+    });
+
+    return this.writeQueue;
+  }
+
+  /**
+   * Check whether a record belongs to the current tenant
+   * @param {Object} record - Stored record
+   * @returns {boolean} - True if visible to the current tenant
+   */
+  isInTenant(record) {
+    return !this.tenantId || !record.xero_tenant_id || record.xero_tenant_id === this.tenantId;
+  }
+
+  /**
+   * Allocate the next record ID
+   * @returns {number} - Record ID
+   */
+  nextId() {
+    return this.data.next_id++;
+  }
+
+  /**
+   * Find a transaction by ID within the current tenant
+   * @param {number} id - Transaction ID
+   * @returns {Object|null} - Transaction record
+   */
+  findTransaction(id) {
+    const transaction = this.data.transactions.find(t => t.id === Number(id));
+    return transaction && this.isInTenant(transaction) ? transaction : null;
+  }
+
+  /**
+   * Apply an update to a stored transaction
+   * @param {number} id - Transaction ID
+   * @param {Object} updateData - Fields to update
+   * @returns {Object} - Updated transaction
+   * @throws {Error} If the transaction does not exist
+   */
+  applyTransactionUpdate(id, updateData) {
+    const transaction = this.findTransaction(id);
+    if (!transaction) {
+      const error = new Error(`Transaction ${id} not found`);
+      error.statusCode = 404;
+      throw error;
+    }
+
+    Object.assign(transaction, updateData, { updated_date: new Date().toISOString() });
+    return transaction;
+  }
+
+  /**
+   * Insert a transaction unless one with the same Actual ID already exists for the tenant
+   * @param {Object} transactionData - Formatted transaction
+   * @returns {Object} - { record, duplicate }
+   */
+  insertTransaction(transactionData) {
+    const existing = this.data.transactions.find(t =>
+      t.actual_transaction_id === transactionData.actual_transaction_id &&
+      (t.xero_tenant_id || null) === (transactionData.xero_tenant_id || null)
+    );
+
+    if (existing) {
+      return { record: existing, duplicate: true };
+    }
+
+    // Keep a source ID (e.g. from a Xano migration) unless it's already used locally
+    const idTaken = transactionData.id && this.data.transactions.some(t => t.id === transactionData.id);
+
+    const record = {
+      status: 'pending',
+      ...transactionData,
+      id: transactionData.id && !idTaken ? transactionData.id : this.nextId(),
+      created_date: transactionData.created_date || new Date().toISOString()
+    };
+
+    this.data.next_id = Math.max(this.data.next_id, record.id + 1);
+    this.data.transactions.push(record);
+
+    return { record, duplicate: false };
+  }
+
+  /**
+   * Insert or update a mapping keyed by an Actual ID and tenant
+   * Document and tax types are only changed when given, so a refresh doesn't clear them
+   * @param {string} table - category_mappings, payee_mappings or account_mappings
+   * @param {string} key - actual_category_id, actual_payee_id or actual_account_id
+   * @param {Object} mappingData - Mapping data
+   * @returns {Object} - { record, created }
+   */
+  upsertMapping(table, key, mappingData) {
+    const data = { ...mappingData };
+    for (const field of ['xero_document_type', 'xero_tax_type']) {
+      if (data[field] === undefined) {
+        delete data[field];
+      }
+    }
+
+    const existing = this.data[table].find(m =>
+      m[key] === data[key] &&
+      (m.xero_tenant_id || null) === (data.xero_tenant_id || null)
+    );
+
+    if (existing) {
+      Object.assign(existing, data, { updated_date: new Date().toISOString() });
+      return { record: existing, created: false };
+    }
+
+    const record = {
+      ...data,
+      id: data.id || this.nextId(),
+      created_date: data.created_date || new Date().toISOString()
+    };
+
+    this.data.next_id = Math.max(this.data.next_id, record.id + 1);
+    this.data[table].push(record);
+
+    return { record, created: true };
+  }
+
+  /**
+   * Store transaction with duplicate prevention
+   * @param {Object} transaction - Transaction data from Actual Budget
+   * @returns {Promise<Object>} - Stored transaction with its ID
+   */
+  async storeTransaction(transaction) {
+    // Accept both Actual Budget transactions and already formatted records
+    const transactionData = transaction.actual_transaction_id
+      ? this.withTenant(transaction)
+      : this.formatTransactionForStorage(transaction);
+
+    try {
+      await this.load();
+      const { record, duplicate } = this.insertTransaction(transactionData);
+
+      if (duplicate) {
+        this.storeStats.duplicatesSkipped++;
+        return {
+          success: false,
+          duplicate: true,
+          error: `Transaction ${transactionData.actual_transaction_id} already stored`
+        };
+      }
+
+      await this.save();
+      this.storeStats.transactionsStored++;
+      this.logger.info(`Transaction stored locally: ${record.actual_transaction_id} -> ID ${record.id}`);
+
+      return {
+        success: true,
+        data: record,
+        xanoId: record.id
+      };
+    } catch (error) {
+      this.logger.error(`Failed to store transaction ${transaction.id}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_STORE_FAILED', error, { transaction });
+    }
+  }
+
+  /**
+   * Get category mapping for Actual Budget category ID
+   * @param {string} actualCategoryId - Actual Budget category ID
+   * @returns {Promise<Object|null>} - Category mapping or null if not found
+   */
+  async getCategoryMapping(actualCategoryId) {
+    if (!actualCategoryId) {
+      return null;
+    }
+
+    await this.load();
+    this.storeStats.mappingsRetrieved++;
+
+    const mapping = this.data.category_mappings.find(m =>
+      m.actual_category_id === actualCategoryId && m.is_active && this.isInTenant(m)
+    );
+    return mapping || null;
+  }
+
+  /**
+   * Get payee mapping for Actual Budget payee ID
+   * @param {string} actualPayeeId - Actual Budget payee ID
+   * @returns {Promise<Object|null>} - Payee mapping or null if not found
+   */
+  async getPayeeMapping(actualPayeeId) {
+    if (!actualPayeeId) {
+      return null;
+    }
+
+    await this.load();
+    this.storeStats.mappingsRetrieved++;
+
+    const mapping = this.data.payee_mappings.find(m =>
+      m.actual_payee_id === actualPayeeId && m.is_active && this.isInTenant(m)
+    );
+    return mapping || null;
+  }
+
+  /**
+   * Update transaction with resolved mappings
+   * @param {number} xanoId - Transaction ID
+   * @param {Object} mappings - Resolved mappings (see XanoClient.updateTransactionMapping)
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionMapping(xanoId, mappings) {
+    const updateData = {
+      xero_account_id: mappings.xero_account_id || null,
+      xero_contact_id: mappings.xero_contact_id || null,
+      xero_tax_type: mappings.xero_tax_type || null,
+      xero_bank_account_id: mappings.xero_bank_account_id || null,
+      xero_bank_account_code: mappings.xero_bank_account_code || null,
+      xero_to_bank_account_id: mappings.xero_to_bank_account_id || null,
+      xero_to_bank_account_code: mappings.xero_to_bank_account_code || null,
+      currency_code: mappings.currency_code || null,
+      currency_rate: mappings.currency_rate || null,
+      ...(mappings.split_lines && { split_lines: mappings.split_lines }),
+      status: this.getMappingStatus(mappings)
+    };
+
+    try {
+      await this.load();
+      const transaction = this.applyTransactionUpdate(xanoId, updateData);
+      await this.save();
+
+      this.logger.debug(`Updated transaction mapping for ID ${xanoId}: status=${updateData.status}`);
+      return transaction;
+    } catch (error) {
+      this.logger.error(`Failed to update transaction mapping for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_MAPPING_UPDATE_FAILED', error, { xanoId, mappings });
+    }
+  }
+
+  /**
+   * Update transaction with Xero import results
+   * @param {number} xanoId - Transaction ID
+   * @param {Object} xeroData - Xero import data (see XanoClient.updateTransactionXeroImport)
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionXeroImport(xanoId, xeroData) {
+    const updateData = {
+      xero_transaction_id: xeroData.xero_transaction_id,
+      xero_document_type: xeroData.xero_document_type || 'bank_transaction',
+      xero_invoice_id: xeroData.xero_invoice_id || null,
+      xero_payment_id: xeroData.xero_payment_id || null,
+      xero_bank_transfer_id: xeroData.xero_bank_transfer_id || null,
+      currency_rate: xeroData.currency_rate || null,
+      base_currency_amount: xeroData.base_currency_amount !== undefined ? xeroData.base_currency_amount : null,
+      xero_imported_date: xeroData.xero_imported_date || new Date().toISOString(),
+      status: 'imported',
+      error_message: ''
+    };
+
+    try {
+      await this.load();
+      const transaction = this.applyTransactionUpdate(xanoId, updateData);
+      await this.save();
+
+      this.logger.info(`Updated transaction with Xero import data for ID ${xanoId}: Xero ID ${xeroData.xero_transaction_id}`);
+      return transaction;
+    } catch (error) {
+      this.logger.error(`Failed to update transaction Xero import for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_XERO_UPDATE_FAILED', error, { xanoId, xeroData });
+    }
+  }
+
+  /**
+   * Mark transaction as failed with error message
+   * @param {number} xanoId - Transaction ID
+   * @param {string} errorMessage - Error description
+   * @param {Object} xeroData - Xero IDs already created, e.g. an unpaid bill (optional)
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async markTransactionFailed(xanoId, errorMessage, xeroData = null) {
+    const updateData = {
+      status: 'failed',
+      error_message: errorMessage
+    };
+
+    if (xeroData) {
+      updateData.xero_document_type = xeroData.xero_document_type;
+      updateData.xero_invoice_id = xeroData.xero_invoice_id || null;
+    }
+
+    try {
+      await this.load();
+      const transaction = this.applyTransactionUpdate(xanoId, updateData);
+      await this.save();
+
+      this.logger.warn(`Marked transaction as failed for ID ${xanoId}: ${errorMessage}`);
+      return transaction;
+    } catch (error) {
+      this.logger.error(`Failed to mark transaction as failed for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_STATUS_UPDATE_FAILED', error, { xanoId, errorMessage });
+    }
+  }
+
+  /**
+   * Mark a transaction as voided after it was deleted or un-reconciled in Actual
+   * @param {number} xanoId - Transaction ID
+   * @param {string} reason - Why the transaction was voided
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async markTransactionVoided(xanoId, reason) {
+    const updateData = {
+      status: 'voided',
+      error_message: reason,
+      edit_status: null,
+      edit_conflict: null
+    };
+
+    try {
+      await this.load();
+      const transaction = this.applyTransactionUpdate(xanoId, updateData);
+      await this.save();
+
+      this.logger.info(`Marked transaction as voided for ID ${xanoId}: ${reason}`);
+      return transaction;
+    } catch (error) {
+      this.logger.error(`Failed to mark transaction as voided for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_STATUS_UPDATE_FAILED', error, { xanoId, reason });
+    }
+  }
+
+  /**
+   * Get a transaction by ID
+   * @param {number} xanoId - Transaction ID
+   * @returns {Promise<Object|null>} - Transaction, or null if not found
+   */
+  async getTransaction(xanoId) {
+    await this.load();
+    return this.findTransaction(xanoId);
+  }
+
+  /**
+   * Get stored transactions by their Actual Budget IDs
+   * @param {string[]} actualTransactionIds - Actual Budget transaction IDs
+   * @returns {Promise<Object[]>} - Stored transactions (IDs that aren't stored are left out)
+   */
+  async getTransactionsByActualIds(actualTransactionIds) {
+    if (!Array.isArray(actualTransactionIds) || actualTransactionIds.length === 0) {
+      return [];
+    }
+
+    await this.load();
+
+    const ids = new Set(actualTransactionIds);
+    return this.data.transactions.filter(t => this.isInTenant(t) && ids.has(t.actual_transaction_id));
+  }
+
+  /**
+   * Get stored transactions by their Actual transaction date
+   * @param {string} since - First date (YYYY-MM-DD)
+   * @param {string} until - Last date (YYYY-MM-DD, optional)
+   * @returns {Promise<Object[]>} - Stored transactions dated within the range
+   */
+  async getTransactionsByDateRange(since, until = null) {
+    await this.load();
+
+    return this.data.transactions.filter(t => {
+      const date = t.transaction_date ? new Date(t.transaction_date).toISOString().split('T')[0] : null;
+      return this.isInTenant(t) && date && date >= since && (!until || date <= until);
+    });
+  }
+
+  /**
+   * Update the Actual content of a stored transaction after an edit
+   * @param {number} xanoId - Transaction ID
+   * @param {Object} contentData - Fields to update (see XanoClient.updateTransactionContent)
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionContent(xanoId, contentData) {
+    try {
+      await this.load();
+      const transaction = this.applyTransactionUpdate(xanoId, contentData);
+      await this.save();
+
+      this.logger.debug(`Updated transaction content for ID ${xanoId}`);
+      return transaction;
+    } catch (error) {
+      this.logger.error(`Failed to update transaction content for ID ${xanoId}: ${error.message}`);
+      throw this.createStoreError('TRANSACTION_CONTENT_UPDATE_FAILED', error, { xanoId });
+    }
+  }
+
+  /**
+   * Get transactions whose Actual edits conflict with Xero, or that were removed from Actual but not from Xero
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of transactions to return
+   * @returns {Promise<Object[]>} - Transactions with edit_status "conflict" or "removed"
+   */
+  async getTransactionConflicts(options = {}) {
+    await this.load();
+
+    return this.data.transactions
+      .filter(t => this.isInTenant(t) && (t.edit_status === 'conflict' || t.edit_status === 'removed'))
+      .slice(0, options.limit || 100);
+  }
+
+  /**
+   * Create or update category mapping
+   * @param {Object} categoryData - Category mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertCategoryMapping(categoryData) {
+    try {
+      await this.load();
+      const { record } = this.upsertMapping('category_mappings', 'actual_category_id', this.formatCategoryMapping(categoryData));
+      await this.save();
+
+      this.logger.debug(`Upserted category mapping: ${categoryData.actual_category_name} -> ${categoryData.xero_account_name || 'unmapped'}`);
+      return record;
+    } catch (error) {
+      this.logger.error(`Failed to upsert category mapping for ${categoryData.actual_category_id}: ${error.message}`);
+      throw this.createStoreError('CATEGORY_MAPPING_UPSERT_FAILED', error, { categoryData });
+    }
+  }
+
+  /**
+   * Create or update payee mapping
+   * @param {Object} payeeData - Payee mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertPayeeMapping(payeeData) {
+    try {
+      await this.load();
+      const { record } = this.upsertMapping('payee_mappings', 'actual_payee_id', this.formatPayeeMapping(payeeData));
+      await this.save();
+
+      this.logger.debug(`Upserted payee mapping: ${payeeData.actual_payee_name} -> ${payeeData.xero_contact_name || 'unmapped'}`);
+      return record;
+    } catch (error) {
+      this.logger.error(`Failed to upsert payee mapping for ${payeeData.actual_payee_id}: ${error.message}`);
+      throw this.createStoreError('PAYEE_MAPPING_UPSERT_FAILED', error, { payeeData });
+    }
+  }
+
+  /**
+   * Bulk create or update category mappings
+   * @param {Object[]} categoryMappings - Array of category mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertCategoryMappings(categoryMappings) {
+    return this.bulkUpsertMappings('category_mappings', 'actual_category_id', categoryMappings, this.formatCategoryMapping.bind(this));
+  }
+
+  /**
+   * Bulk create or update payee mappings
+   * @param {Object[]} payeeMappings - Array of payee mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertPayeeMappings(payeeMappings) {
+    return this.bulkUpsertMappings('payee_mappings', 'actual_payee_id', payeeMappings, this.formatPayeeMapping.bind(this));
+  }
+
+  /**
+   * Bulk create or update mappings in one table
+   * @param {string} table - category_mappings, payee_mappings or account_mappings
+   * @param {string} key - actual_category_id, actual_payee_id or actual_account_id
+   * @param {Object[]} mappings - Mapping data
+   * @param {Function} format - Formats a mapping for storage
+   * @returns {Promise<Object>} - { created, updated, errors }
+   */
+  async bulkUpsertMappings(table, key, mappings, format) {
+    if (!Array.isArray(mappings) || mappings.length === 0) {
+      return { created: [], updated: [], errors: [] };
+    }
+
+    try {
+      await this.load();
+
+      const created = [];
+      const updated = [];
+      const errors = [];
+
+      for (const mapping of mappings) {
+        if (!mapping[key]) {
+          errors.push({ mapping, message: `${key} is required` });
+          continue;
+        }
+
+        const result = this.upsertMapping(table, key, format(mapping));
+        (result.created ? created : updated).push(result.record);
+      }
+
+      await this.save();
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk upserted ${table.replace('_', ' ')}: ${created.length} created, ${updated.length} updated, ${errors.length} errors`);
+
+      return { created, updated, errors };
+    } catch (error) {
+      this.logger.error(`Failed to bulk upsert ${table.replace('_', ' ')}: ${error.message}`);
+      throw this.createStoreError('BULK_MAPPING_UPSERT_FAILED', error, { mappingCount: mappings.length });
+    }
+  }
+
+  /**
+   * Format category mapping data for storage
+   * @param {Object} categoryData - Category mapping data
+   * @returns {Object} - Stored mapping fields
+   */
+  formatCategoryMapping(categoryData) {
+    return this.withTenant({
+      actual_category_id: categoryData.actual_category_id,
+      actual_category_name: categoryData.actual_category_name,
+      xero_account_id: categoryData.xero_account_id || null,
+      xero_account_name: categoryData.xero_account_name || null,
+      xero_account_code: categoryData.xero_account_code || null,
+      xero_document_type: categoryData.xero_document_type,
+      xero_tax_type: categoryData.xero_tax_type,
+      is_active: categoryData.is_active !== undefined ? categoryData.is_active : true
+    });
+  }
+
+  /**
+   * Format payee mapping data for storage
+   * @param {Object} payeeData - Payee mapping data
+   * @returns {Object} - Stored mapping fields
+   */
+  formatPayeeMapping(payeeData) {
+    return this.withTenant({
+      actual_payee_id: payeeData.actual_payee_id,
+      actual_payee_name: payeeData.actual_payee_name,
+      xero_contact_id: payeeData.xero_contact_id || null,
+      xero_contact_name: payeeData.xero_contact_name || null,
+      xero_document_type: payeeData.xero_document_type,
+      is_active: payeeData.is_active !== undefined ? payeeData.is_active : true
+    });
+  }
+
+  /**
+   * Batch retrieve mappings for multiple categories and payees
+   * Empty ID lists return every mapping for the tenant.
+   * @param {string[]} categoryIds - Array of Actual Budget category IDs
+   * @param {string[]} payeeIds - Array of Actual Budget payee IDs
+   * @returns {Promise<Object>} - Object with categoryMappings and payeeMappings arrays
+   */
+  async batchGetMappings(categoryIds = [], payeeIds = []) {
+    await this.load();
+
+    const categorySet = new Set(categoryIds.filter(id => id));
+    const payeeSet = new Set(payeeIds.filter(id => id));
+    const returnAll = categorySet.size === 0 && payeeSet.size === 0;
+
+    const categoryMappings = this.data.category_mappings.filter(m =>
+      this.isInTenant(m) && (returnAll || categorySet.has(m.actual_category_id))
+    );
+    const payeeMappings = this.data.payee_mappings.filter(m =>
+      this.isInTenant(m) && (returnAll || payeeSet.has(m.actual_payee_id))
+    );
+
+    this.storeStats.batchOperations++;
+    this.storeStats.mappingsRetrieved += categoryMappings.length + payeeMappings.length;
+
+    return { categoryMappings, payeeMappings };
+  }
+
+  /**
+   * Get account mappings, each linking an Actual Budget account to a Xero bank account
+   * @param {string[]} accountIds - Array of Actual Budget account IDs (empty for every mapping)
+   * @returns {Promise<Object[]>} - Account mappings
+   */
+  async getAccountMappings(accountIds = []) {
+    await this.load();
+
+    const accountSet = new Set(accountIds.filter(id => id));
+    const mappings = this.data.account_mappings.filter(m =>
+      this.isInTenant(m) && (accountSet.size === 0 || accountSet.has(m.actual_account_id))
+    );
+
+    this.storeStats.mappingsRetrieved += mappings.length;
+    return mappings;
+  }
+
+  /**
+   * Create or update account mapping
+   * @param {Object} accountData - Account mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertAccountMapping(accountData) {
+    try {
+      await this.load();
+      const { record } = this.upsertMapping('account_mappings', 'actual_account_id', this.formatAccountMapping(accountData));
+      await this.save();
+
+      this.logger.debug(`Upserted account mapping: ${accountData.actual_account_name} -> ${accountData.xero_bank_account_name || 'unmapped'}`);
+      return record;
+    } catch (error) {
+      this.logger.error(`Failed to upsert account mapping for ${accountData.actual_account_id}: ${error.message}`);
+      throw this.createStoreError('ACCOUNT_MAPPING_UPSERT_FAILED', error, { accountData });
+    }
+  }
+
+  /**
+   * Bulk create or update account mappings
+   * @param {Object[]} accountMappings - Array of account mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertAccountMappings(accountMappings) {
+    return this.bulkUpsertMappings('account_mappings', 'actual_account_id', accountMappings, this.formatAccountMapping.bind(this));
+  }
+
+  /**
+   * Format account mapping data for storage
+   * The Xero bank account and currency are only changed when given, so a refresh from Actual doesn't clear them
+   * @param {Object} accountData - Account mapping data
+   * @returns {Object} - Stored mapping fields
+   */
+  formatAccountMapping(accountData) {
+    const mappingData = this.withTenant({
+      actual_account_id: accountData.actual_account_id,
+      actual_account_name: accountData.actual_account_name,
+      is_active: accountData.is_active !== undefined ? accountData.is_active : true
+    });
+
+    if (accountData.xero_bank_account_id !== undefined) {
+      mappingData.xero_bank_account_id = accountData.xero_bank_account_id || null;
+      mappingData.xero_bank_account_name = accountData.xero_bank_account_name || null;
+      mappingData.xero_bank_account_code = accountData.xero_bank_account_code || null;
+    }
+
+    if (accountData.currency_code !== undefined) {
+      mappingData.currency_code = accountData.currency_code || null;
+    }
+
+    return mappingData;
+  }
+
+  /**
+   * Bulk store multiple transactions
+   * @param {Object[]} transactions - Array of transactions from Actual Budget
+   * @returns {Promise<Object>} - Results with stored transactions and duplicates
+   */
+  async bulkStoreTransactions(transactions) {
+    if (!Array.isArray(transactions) || transactions.length === 0) {
+      return { stored: [], duplicates: [], errors: [] };
+    }
+
+    try {
+      await this.load();
+
+      const stored = [];
+      const duplicates = [];
+      const errors = [];
+
+      for (const transaction of transactions) {
+        const transactionData = this.formatTransactionForStorage(transaction);
+
+        if (!transactionData.actual_transaction_id) {
+          errors.push({ transaction_id: transaction.id, message: 'Transaction ID is required' });
+          continue;
+        }
+
+        const { record, duplicate } = this.insertTransaction(transactionData);
+        (duplicate ? duplicates : stored).push(record);
+      }
+
+      await this.save();
+
+      this.storeStats.batchOperations++;
+      this.storeStats.transactionsStored += stored.length;
+      this.storeStats.duplicatesSkipped += duplicates.length;
+
+      this.logger.info(`Bulk stored ${stored.length} transactions, skipped ${duplicates.length} duplicates, ${errors.length} errors`);
+
+      return { stored, duplicates, errors };
+    } catch (error) {
+      this.logger.error(`Failed to bulk store transactions: ${error.message}`);
+      throw this.createStoreError('BULK_STORE_FAILED', error, { transactionCount: transactions.length });
+    }
+  }
+
+  /**
+   * Apply the same kind of update to many transactions
+   * @param {Object[]} updates - Updates with xano_id
+   * @param {Function} buildUpdate - Builds the fields to set from one update
+   * @returns {Object} - { updated, errors }
+   */
+  applyBulkTransactionUpdates(updates, buildUpdate) {
+    const updated = [];
+    const errors = [];
+
+    for (const update of updates) {
+      try {
+        updated.push(this.applyTransactionUpdate(update.xano_id, buildUpdate(update)));
+      } catch (error) {
+        errors.push({ xano_id: update.xano_id, message: error.message });
+      }
+    }
+
+    return { updated, errors };
+  }
+
+  /**
+   * Bulk update transaction mappings
+   * @param {Object[]} updates - Array of mapping updates (see XanoClient.bulkUpdateTransactionMappings)
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkUpdateTransactionMappings(updates) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      await this.load();
+
+      const result = this.applyBulkTransactionUpdates(updates, update => ({
+        xero_account_id: update.xero_account_id || null,
+        xero_contact_id: update.xero_contact_id || null,
+        xero_tax_type: update.xero_tax_type || null,
+        xero_bank_account_id: update.xero_bank_account_id || null,
+        xero_bank_account_code: update.xero_bank_account_code || null,
+        xero_to_bank_account_id: update.xero_to_bank_account_id || null,
+        xero_to_bank_account_code: update.xero_to_bank_account_code || null,
+        currency_code: update.currency_code || null,
+        currency_rate: update.currency_rate || null,
+        ...(update.split_lines && { split_lines: update.split_lines }),
+        status: this.getMappingStatus(update)
+      }));
+
+      await this.save();
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk updated ${result.updated.length} transaction mappings, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk update transaction mappings: ${error.message}`);
+      throw this.createStoreError('BULK_MAPPING_UPDATE_FAILED', error, { updateCount: updates.length });
+    }
+  }
+
+  /**
+   * Bulk update transactions with Xero import results
+   * @param {Object[]} xeroUpdates - Array of Xero import updates (see XanoClient.bulkUpdateTransactionXeroImports)
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkUpdateTransactionXeroImports(xeroUpdates) {
+    if (!Array.isArray(xeroUpdates) || xeroUpdates.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      await this.load();
+
+      const result = this.applyBulkTransactionUpdates(xeroUpdates, update => ({
+        xero_transaction_id: update.xero_transaction_id,
+        xero_document_type: update.xero_document_type || 'bank_transaction',
+        xero_invoice_id: update.xero_invoice_id || null,
+        xero_payment_id: update.xero_payment_id || null,
+        xero_bank_transfer_id: update.xero_bank_transfer_id || null,
+        currency_rate: update.currency_rate || null,
+        base_currency_amount: update.base_currency_amount !== undefined ? update.base_currency_amount : null,
+        xero_imported_date: update.xero_imported_date || new Date().toISOString(),
+        status: 'imported',
+        error_message: ''
+      }));
+
+      await this.save();
+      this.storeStats.batchOperations++;
+
+      this.logger.info(`Bulk updated ${result.updated.length} transactions with Xero import data, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk update Xero imports: ${error.message}`);
+      throw this.createStoreError('BULK_XERO_UPDATE_FAILED', error, { updateCount: xeroUpdates.length });
+    }
+  }
+
+  /**
+   * Bulk mark transactions as failed
+   * @param {Object[]} failures - Array of { xano_id, error_message }
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkMarkTransactionsFailed(failures) {
+    if (!Array.isArray(failures) || failures.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      await this.load();
+
+      const result = this.applyBulkTransactionUpdates(failures, failure => ({
+        status: 'failed',
+        error_message: failure.error_message
+      }));
+
+      await this.save();
+      this.storeStats.batchOperations++;
+
+      this.logger.warn(`Bulk marked ${result.updated.length} transactions as failed, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk mark transactions as failed: ${error.message}`);
+      throw this.createStoreError('BULK_FAILURE_UPDATE_FAILED', error, { updateCount: failures.length });
+    }
+  }
+
+  /**
+   * Bulk record the content hash of transactions stored before edit detection
+   * @param {Object[]} updates - Array of { xano_id, content_hash }
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkUpdateContentHashes(updates) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      await this.load();
+
+      const result = this.applyBulkTransactionUpdates(updates, update => ({
+        content_hash: update.content_hash
+      }));
+
+      await this.save();
+      this.storeStats.batchOperations++;
+
+      this.logger.debug(`Bulk recorded ${result.updated.length} content hashes, ${result.errors.length} errors`);
+      return result;
+    } catch (error) {
+      this.logger.error(`Failed to bulk record content hashes: ${error.message}`);
+      throw this.createStoreError('BULK_CONTENT_HASH_UPDATE_FAILED', error, { updateCount: updates.length });
+    }
+  }
+
+  /**
+   * Get transactions ready for reprocessing (pending or failed with missing mappings)
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of transactions to return
+   * @param {number} options.offset - Number of transactions to skip, for paging (optional)
+   * @param {string[]} options.statuses - Transaction statuses to include
+   * @returns {Promise<Object[]>} - Array of transactions ready for reprocessing
+   */
+  async getTransactionsForReprocessing(options = {}) {
+    await this.load();
+
+    const statuses = new Set(options.statuses || ['pending', 'failed']);
+    const offset = options.offset || 0;
+    const transactions = this.data.transactions
+      .filter(t => this.isInTenant(t) && statuses.has(t.status))
+      .slice(offset, offset + (options.limit || 100));
+
+    this.logger.debug(`Found ${transactions.length} transactions ready for reprocessing`);
+    return transactions;
+  }
+
+  /**
+   * Reprocess transactions server-side
+   * This is a Xano workflow; locally the reprocessing service does the work instead.
+   * @throws {Error} Always
+   */
+  async reprocessTransactions() {
+    throw this.createStoreError('NOT_SUPPORTED', new Error('Server-side reprocessing is only available with the Xano backend'));
+  }
+
+  /**
+   * Get unimported transactions with missing mappings for manual review
+   * @param {Object} options - Query options
+   * @param {boolean} options.includeCategoryMissing - Include transactions with missing category mappings
+   * @param {boolean} options.includePayeeMissing - Include transactions with missing payee mappings
+   * @param {number} options.limit - Maximum number of transactions to return
+   * @returns {Promise<Object>} - Transactions grouped by missing mapping type
+   */
+  async getTransactionsWithMissingMappings(options = {}) {
+    await this.load();
+
+    const limit = options.limit || 100;
+    const unimported = this.data.transactions.filter(t => this.isInTenant(t) && t.status !== 'imported' && t.status !== 'voided');
+
+    const categoryMissing = options.includeCategoryMissing !== false
+      ? unimported.filter(t => !t.xero_account_id).slice(0, limit)
+      : [];
+    const payeeMissing = options.includePayeeMissing !== false
+      ? unimported.filter(t => !t.xero_contact_id).slice(0, limit)
+      : [];
+    const bothMissing = unimported.filter(t => !t.xero_account_id && !t.xero_contact_id).slice(0, limit);
+
+    return { categoryMissing, payeeMissing, bothMissing };
+  }
+
+  /**
+   * Get sync statistics and summary
+   * @param {Object} options - Query options
+   * @param {string} options.since - ISO date string to get stats since
+   * @param {string} options.until - ISO date string to get stats until
+   * @returns {Promise<Object>} - Sync statistics
+   */
+  async getSyncStatistics(options = {}) {
+    await this.load();
+
+    const since = options.since ? new Date(options.since) : null;
+    const until = options.until ? new Date(options.until) : null;
+
+    const transactions = this.data.transactions.filter(t => {
+      const created = new Date(t.created_date);
+      return this.isInTenant(t) && (!since || created >= since) && (!until || created <= until);
+    });
+
+    const countStatus = status => transactions.filter(t => t.status === status).length;
+
+    return {
+      totalTransactions: transactions.length,
+      importedTransactions: countStatus('imported'),
+      mappedTransactions: countStatus('mapped'),
+      pendingTransactions: countStatus('pending'),
+      failedTransactions: countStatus('failed'),
+      voidedTransactions: countStatus('voided')
+    };
+  }
+
+  /**
+   * Store category for mapping setup
+   * @param {Object} categoryData - Category data from Actual Budget
+   * @returns {Promise<Object>} - Stored category, or { id: null, duplicate: true }
+   */
+  async storeCategory(categoryData) {
+    return this.storeReferenceRecord('categories', 'actual_category_id', categoryData, 'CATEGORY_STORE_FAILED');
+  }
+
+  /**
+   * Store payee for mapping setup
+   * @param {Object} payeeData - Payee data from Actual Budget
+   * @returns {Promise<Object>} - Stored payee, or { id: null, duplicate: true }
+   */
+  async storePayee(payeeData) {
+    return this.storeReferenceRecord('payees', 'actual_payee_id', payeeData, 'PAYEE_STORE_FAILED');
+  }
+
+  /**
+   * Store a category or payee unless it already exists for the tenant
+   * @param {string} table - categories or payees
+   * @param {string} key - actual_category_id or actual_payee_id
+   * @param {Object} recordData - Record data
+   * @param {string} errorCode - Error code on failure
+   * @returns {Promise<Object>} - Stored record, or { id: null, duplicate: true }
+   */
+  async storeReferenceRecord(table, key, recordData, errorCode) {
+    try {
+      await this.load();
+
+      const data = this.withTenant(recordData);
+      const exists = this.data[table].some(r =>
+        r[key] === data[key] && (r.xero_tenant_id || null) === (data.xero_tenant_id || null)
+      );
+
+      if (exists) {
+        return { id: null, duplicate: true };
+      }
+
+      const record = { ...data, id: this.nextId() };
+      this.data[table].push(record);
+      await this.save();
+
+      return record;
+    } catch (error) {
+      this.logger.error(`Failed to store ${table} record ${recordData[key]}: ${error.message}`);
+      throw this.createStoreError(errorCode, error, { recordData });
+    }
+  }
+
+  /**
+   * Get category mapping statistics
+   * @returns {Promise<Object>} - { total, mapped }
+   */
+  async getCategoryMappingStats() {
+    return this.getMappingStats('categories', 'category_mappings', 'actual_category_id', 'xero_account_id');
+  }
+
+  /**
+   * Get payee mapping statistics
+   * @returns {Promise<Object>} - { total, mapped }
+   */
+  async getPayeeMappingStats() {
+    return this.getMappingStats('payees', 'payee_mappings', 'actual_payee_id', 'xero_contact_id');
+  }
+
+  /**
+   * Get account mapping statistics
+   * @returns {Promise<Object>} - { total, mapped }
+   */
+  async getAccountMappingStats() {
+    const mappings = await this.getAccountMappings();
+
+    return {
+      total: mappings.length,
+      mapped: mappings.filter(m => m.is_active && m.xero_bank_account_id).length
+    };
+  }
+
+  /**
+   * Count known categories or payees and how many have an active Xero mapping
+   * @param {string} table - categories or payees
+   * @param {string} mappingTable - category_mappings or payee_mappings
+   * @param {string} key - Actual ID field
+   * @param {string} xeroField - Xero ID field that makes a mapping complete
+   * @returns {Promise<Object>} - { total, mapped }
+   */
+  async getMappingStats(table, mappingTable, key, xeroField) {
+    await this.load();
+
+    const known = new Set([
+      ...this.data[table].filter(r => this.isInTenant(r)).map(r => r[key]),
+      ...this.data[mappingTable].filter(m => this.isInTenant(m)).map(m => m[key])
+    ]);
+
+    const mapped = new Set(
+      this.data[mappingTable]
+        .filter(m => this.isInTenant(m) && m.is_active && m[xeroField])
+        .map(m => m[key])
+    );
+
+    return { total: known.size, mapped: mapped.size };
+  }
+
+  /**
+   * Trigger the Xano Xero import workflow
+   * Not available locally; use the direct Xero sink (xero_sink: direct) instead.
+   * @throws {Error} Always
+   */
+  async triggerXeroImport() {
+    throw this.createStoreError('NOT_SUPPORTED', new Error('The Xano import workflow is only available with the Xano backend'));
+  }
+
+  /**
+   * Copy transactions and mappings from another storage client, keeping their IDs
+   * Records that already exist locally are left alone, so the import can be re-run.
+   * Transaction IDs make up the Xero references, so the import stops before
+   * writing anything if a new transaction's ID is already used locally.
+   * @param {Object} source - Storage client to read from (normally XanoClient)
+   * @param {Object} options - Import options
+   * @param {number} options.pageSize - Transactions to read per request
+   * @returns {Promise<Object>} - Counts of imported and skipped records
+   */
+  async importFrom(source, options = {}) {
+    const results = {
+      transactions: { imported: 0, skipped: 0 },
+      categoryMappings: { imported: 0, skipped: 0 },
+      payeeMappings: { imported: 0, skipped: 0 },
+      accountMappings: { imported: 0, skipped: 0 }
+    };
+
+    try {
+      const mappings = await source.batchGetMappings([], []);
+      const accountMappings = await source.getAccountMappings([]);
+      const transactions = await this.readAllTransactions(source, options.pageSize || IMPORT_PAGE_SIZE);
+
+      await this.load();
+
+      const conflicts = this.findTransactionIdConflicts(transactions);
+      if (conflicts.length > 0) {
+        throw new Error(`${conflicts.length} transactions have IDs already used by other local transactions (${conflicts.slice(0, 5).join(', ')}); their Xero references would change`);
+      }
+
+      for (const mapping of mappings.categoryMappings) {
+        const { created } = this.upsertMappingIfMissing('category_mappings', 'actual_category_id', mapping);
+        results.categoryMappings[created ? 'imported' : 'skipped']++;
+      }
+
+      for (const mapping of mappings.payeeMappings) {
+        const { created } = this.upsertMappingIfMissing('payee_mappings', 'actual_payee_id', mapping);
+        results.payeeMappings[created ? 'imported' : 'skipped']++;
+      }
+
+      for (const mapping of accountMappings) {
+        const { created } = this.upsertMappingIfMissing('account_mappings', 'actual_account_id', mapping);
+        results.accountMappings[created ? 'imported' : 'skipped']++;
+      }
+
+      for (const transaction of transactions) {
+        const { duplicate } = this.insertTransaction(transaction);
+        results.transactions[duplicate ? 'skipped' : 'imported']++;
+      }
+
+      await this.save();
+
+      this.logger.info(`Imported ${results.transactions.imported} transactions, ${results.categoryMappings.imported} category mappings, ${results.payeeMappings.imported} payee mappings and ${results.accountMappings.imported} account mappings into the local store`);
+      return results;
+
+    } catch (error) {
+      this.logger.error(`Failed to import into the local store: ${error.message}`);
+      throw this.createStoreError('IMPORT_FAILED', error);
+    }
+  }
+
+  /**
+   * Read every transaction from a storage client, a page at a time
+   * @param {Object} source - Storage client to read from
+   * @param {number} pageSize - Transactions to read per request
+   * @returns {Promise<Object[]>} - Transactions
+   */
+  async readAllTransactions(source, pageSize) {
+    const transactions = [];
+    const seen = new Set();
+
+    for (let offset = 0; ; offset += pageSize) {
+      const page = await source.getTransactionsForReprocessing({
+        limit: pageSize,
+        offset,
+        statuses: TRANSACTION_STATUSES
+      });
+
+      const unseen = page.filter(transaction => !seen.has(transaction.id));
+      unseen.forEach(transaction => seen.add(transaction.id));
+      transactions.push(...unseen);
+
+      // A full page of records already read means the source ignores the offset
+      if (page.length >= pageSize && unseen.length === 0) {
+        throw new Error(`The source returned the same ${pageSize} transactions again; its reprocess endpoint needs to support offset`);
+      }
+
+      if (page.length < pageSize) {
+        return transactions;
+      }
+    }
+  }
+
+  /**
+   * Find transactions whose ID is used locally by a different transaction
+   * @param {Object[]} transactions - Transactions to import
+   * @returns {number[]} - Conflicting transaction IDs
+   */
+  findTransactionIdConflicts(transactions) {
+    return transactions
+      .filter(transaction => {
+        const existing = this.data.transactions.find(t => t.id === transaction.id);
+        return existing && (
+          existing.actual_transaction_id !== transaction.actual_transaction_id ||
+          (existing.xero_tenant_id || null) !== (transaction.xero_tenant_id || null)
+        );
+      })
+      .map(transaction => transaction.id);
+  }
+
+  /**
+   * Insert a mapping only if the store has none for the same Actual ID and tenant
+   * @param {string} table - category_mappings, payee_mappings or account_mappings
+   * @param {string} key - actual_category_id, actual_payee_id or actual_account_id
+   * @param {Object} mapping - Mapping record
+   * @returns {Object} - { record, created }
+   */
+  upsertMappingIfMissing(table, key, mapping) {
+    const existing = this.data[table].find(m =>
+      m[key] === mapping[key] &&
+      (m.xero_tenant_id || null) === (mapping.xero_tenant_id || null)
+    );
+
+    if (existing) {
+      return { record: existing, created: false };
+    }
+
+    // Keep the source ID unless it's already used locally
+    const idTaken = this.data[table].some(m => m.id === mapping.id);
+    return this.upsertMapping(table, key, idTaken ? { ...mapping, id: undefined } : mapping);
+  }
+
+  /**
+   * Create local store error with context
+   * @param {string} code - Error code
+   * @param {Error} originalError - Original error
+   * @param {Object} context - Additional context
+   * @returns {Error} - Local store error
+   */
+  createStoreError(code, originalError, context = {}) {
+    const error = new Error(`Local store error [${code}]: ${originalError.message}`);
+    error.name = 'LocalStoreError';
+    error.code = code;
+    error.originalError = originalError;
+    error.context = context;
+
+    if (originalError.statusCode) error.statusCode = originalError.statusCode;
+
+    return error;
+  }
+
+  /**
+   * Get store status
+   * @returns {Object} - Store status and statistics
+   */
+  getStatus() {
+    return {
+      backend: 'local',
+      filePath: this.filePath,
+      tenantId: this.tenantId,
+      loaded: !!this.data,
+      records: this.data ? {
+        transactions: this.data.transactions.length,
+        category_mappings: this.data.category_mappings.length,
+        payee_mappings: this.data.payee_mappings.length,
+        account_mappings: this.data.account_mappings.length
+      } : null,
+      store: { ...this.storeStats }
+    };
+  }
+
+  /**
+   * Reset all statistics
+   */
+  resetStats() {
+    this.storeStats = {
+      transactionsStored: 0,
+      duplicatesSkipped: 0,
+      mappingsRetrieved: 0,
+      batchOperations: 0
+    };
+  }
+}
+
+module.exports = LocalStore;
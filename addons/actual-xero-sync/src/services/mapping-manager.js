@@ -5,7 +5,7 @@ const path = require('path');
  * MappingManager - Utility service for bulk mapping operations, validation, and backup/restore
  * 
  * Provides comprehensive mapping management functionality including:
- * - Bulk import/export of category and payee mappings
+ * - Bulk import/export of category, payee and account mappings
  * - Mapping validation and consistency checks
  * - Backup and restore operations
  * - Mapping synchronization utilities
@@ -284,13 +284,136 @@ class MappingManager {
     }
   }
 
+  /**
+   * Bulk update account mappings from CSV or JSON data
+   * @param {Array|string} mappingData - Array of mapping objects or CSV string
+   * @param {Object} options - Update options
+   * @param {boolean} options.validateXero - Validate Xero bank account IDs exist (default: true)
+   * @param {boolean} options.createBackup - Create backup before update (default: true)
+   * @param {boolean} options.dryRun - Preview changes without applying (default: false)
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkUpdateAccountMappings(mappingData, options = {}) {
+    const startTime = Date.now();
+
+    try {
+      this.logger.info('Starting bulk account mapping update');
+
+      const updateOptions = {
+        validateXero: options.validateXero !== false,
+        createBackup: options.createBackup !== false,
+        dryRun: options.dryRun || false
+      };
+
+      // Parse mapping data if it's a string (CSV)
+      const mappings = typeof mappingData === 'string'
+        ? this.parseCsvMappings(mappingData, 'account')
+        : mappingData;
+
+      if (!Array.isArray(mappings) || mappings.length === 0) {
+        throw new Error('Invalid mapping data: expected array of mapping objects');
+      }
+
+      this.logger.info(`Processing ${mappings.length} account mappings`);
+
+      // Validate mapping data structure
+      const validationResult = this.validateAccountMappingData(mappings);
+      if (!validationResult.isValid) {
+        throw new Error(`Mapping validation failed: ${validationResult.errors.join(', ')}`);
+      }
+
+      // Create backup if requested
+      if (updateOptions.createBackup && !updateOptions.dryRun) {
+        await this.createMappingBackup('account');
+      }
+
+      // Validate Xero bank account IDs if requested
+      let xeroValidationResults = { valid: [], invalid: [] };
+      if (updateOptions.validateXero) {
+        xeroValidationResults = await this.validateXeroBankAccountIds(
+          mappings.filter(m => m.xero_bank_account_id)
+        );
+
+        if (xeroValidationResults.invalid.length > 0) {
+          this.logger.warn(`${xeroValidationResults.invalid.length} mappings have invalid Xero bank account IDs`);
+        }
+      }
+
+      // Process mappings in batches
+      const batchSize = 25;
+      const batches = this.createBatches(mappings, batchSize);
+      const results = {
+        processed: 0,
+        created: 0,
+        updated: 0,
+        failed: 0,
+        errors: [],
+        xeroValidation: xeroValidationResults
+      };
+
+      for (let i = 0; i < batches.length; i++) {
+        const batch = batches[i];
+        this.logger.debug(`Processing account mapping batch ${i + 1}/${batches.length} (${batch.length} mappings)`);
+
+        try {
+          if (!updateOptions.dryRun) {
+            const batchResult = await this.xanoClient.bulkUpsertAccountMappings(batch);
+
+            results.created += batchResult.created.length;
+            results.updated += batchResult.updated.length;
+            results.errors.push(...batchResult.errors);
+          }
+
+          results.processed += batch.length;
+
+        } catch (error) {
+          this.logger.error(`Failed to process account mapping batch ${i + 1}: ${error.message}`);
+
+          // Try individual updates for this batch
+          for (const mapping of batch) {
+            try {
+              if (!updateOptions.dryRun) {
+                await this.xanoClient.upsertAccountMapping(mapping);
+                results.updated++;
+              }
+              results.processed++;
+            } catch (individualError) {
+              results.failed++;
+              results.errors.push({
+                mapping: mapping.actual_account_name,
+                error: individualError.message
+              });
+            }
+          }
+        }
+      }
+
+      const summary = {
+        success: true,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        dryRun: updateOptions.dryRun,
+        results,
+        summary: `Processed ${results.processed} mappings: ${results.created} created, ${results.updated} updated, ${results.failed} failed`
+      };
+
+      this.logger.info(`Bulk account mapping update complete: ${summary.summary} in ${summary.duration}ms`);
+
+      return summary;
+
+    } catch (error) {
+      this.logger.error(`Bulk account mapping update failed: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Export all mappings to various formats
    * @param {Object} options - Export options
    * @param {string} options.format - Export format: 'json', 'csv' (default: 'json')
    * @param {string} options.outputPath - Output file path (optional)
    * @param {boolean} options.includeInactive - Include inactive mappings (default: false)
-   * @param {string[]} options.types - Mapping types to export: ['category', 'payee'] (default: both)
+   * @param {string[]} options.types - Mapping types to export: ['category', 'payee', 'account'] (default: all)
    * @returns {Promise<Object>} - Export results with data and file paths
    */
   async exportMappings(options = {}) {
@@ -301,7 +424,7 @@ class MappingManager {
         format: options.format || 'json',
         outputPath: options.outputPath,
         includeInactive: options.includeInactive || false,
-        types: options.types || ['category', 'payee']
+        types: options.types || ['category', 'payee', 'account']
       };
 
       // Validate format
@@ -345,6 +468,22 @@ class MappingManager {
         }
       }
 
+      // Export account mappings
+      if (exportOptions.types.includes('account')) {
+        const allAccountMappings = await this.xanoClient.getAccountMappings();
+        const accountMappings = exportOptions.includeInactive
+          ? allAccountMappings
+          : allAccountMappings.filter(m => m.is_active);
+
+        exportData.accounts = accountMappings;
+
+        if (exportOptions.outputPath) {
+          const accountPath = this.generateExportPath(exportOptions.outputPath, 'account', exportOptions.format);
+          await this.writeExportFile(accountMappings, accountPath, exportOptions.format, 'account');
+          filePaths.accounts = accountPath;
+        }
+      }
+
       const summary = {
         success: true,
         timestamp: new Date().toISOString(),
@@ -352,13 +491,14 @@ class MappingManager {
         exportedTypes: exportOptions.types,
         counts: {
           categories: exportData.categories?.length || 0,
-          payees: exportData.payees?.length || 0
+          payees: exportData.payees?.length || 0,
+          accounts: exportData.accounts?.length || 0
         },
         filePaths,
         data: exportData
       };
 
-      this.logger.info(`Mapping export complete: ${summary.counts.categories} categories, ${summary.counts.payees} payees exported as ${exportOptions.format}`);
+      this.logger.info(`Mapping export complete: ${summary.counts.categories} categories, ${summary.counts.payees} payees, ${summary.counts.accounts} accounts exported as ${exportOptions.format}`);
       
       return summary;
 
@@ -376,7 +516,7 @@ class MappingManager {
    * @param {boolean} options.validateXero - Validate Xero IDs exist (default: true)
    * @param {boolean} options.createBackup - Create backup before import (default: true)
    * @param {boolean} options.dryRun - Preview import without applying (default: false)
-   * @param {string[]} options.types - Mapping types to import: ['category', 'payee'] (default: both)
+   * @param {string[]} options.types - Mapping types to import: ['category', 'payee', 'account'] (default: all)
    * @returns {Promise<Object>} - Import results
    */
   async importMappings(source, options = {}) {
@@ -388,7 +528,7 @@ class MappingManager {
         validateXero: options.validateXero !== false,
         createBackup: options.createBackup !== false,
         dryRun: options.dryRun || false,
-        types: options.types || ['category', 'payee']
+        types: options.types || ['category', 'payee', 'account']
       };
 
       // Load mapping data
@@ -405,7 +545,8 @@ class MappingManager {
 
       const results = {
         categories: { processed: 0, created: 0, updated: 0, failed: 0, errors: [] },
-        payees: { processed: 0, created: 0, updated: 0, failed: 0, errors: [] }
+        payees: { processed: 0, created: 0, updated: 0, failed: 0, errors: [] },
+        accounts: { processed: 0, created: 0, updated: 0, failed: 0, errors: [] }
       };
 
       // Import category mappings
@@ -434,13 +575,26 @@ class MappingManager {
         results.payees = payeeResult.results;
       }
 
+      // Import account mappings
+      if (importOptions.types.includes('account') && mappingData.accounts) {
+        this.logger.info(`Importing ${mappingData.accounts.length} account mappings`);
+
+        const accountResult = await this.bulkUpdateAccountMappings(mappingData.accounts, {
+          validateXero: importOptions.validateXero,
+          createBackup: false, // Already handled at import level
+          dryRun: importOptions.dryRun
+        });
+
+        results.accounts = accountResult.results;
+      }
+
       const summary = {
         success: true,
         timestamp: new Date().toISOString(),
         dryRun: importOptions.dryRun,
         importedTypes: importOptions.types,
         results,
-        summary: `Categories: ${results.categories.created} created, ${results.categories.updated} updated. Payees: ${results.payees.created} created, ${results.payees.updated} updated`
+        summary: `Categories: ${results.categories.created} created, ${results.categories.updated} updated. Payees: ${results.payees.created} created, ${results.payees.updated} updated. Accounts: ${results.accounts.created} created, ${results.accounts.updated} updated`
       };
 
       this.logger.info(`Mapping import complete: ${summary.summary}`);
@@ -455,7 +609,7 @@ class MappingManager {
 
   /**
    * Create backup of current mappings
-   * @param {string} type - Mapping type: 'category', 'payee', or 'all' (default: 'all')
+   * @param {string} type - Mapping type: 'category', 'payee', 'account', or 'all' (default: 'all')
    * @param {string} backupPath - Custom backup path (optional)
    * @returns {Promise<Object>} - Backup results with file paths
    */
@@ -470,7 +624,7 @@ class MappingManager {
       await fs.mkdir(backupDir, { recursive: true });
 
       const backupFiles = {};
-      const types = type === 'all' ? ['category', 'payee'] : [type];
+      const types = type === 'all' ? ['category', 'payee', 'account'] : [type];
 
       // Export mappings to backup directory
       const exportResult = await this.exportMappings({
@@ -553,7 +707,7 @@ class MappingManager {
         validateXero: restoreOptions.validateXero,
         createBackup: false, // Already handled above
         dryRun: restoreOptions.dryRun,
-        types: ['category', 'payee']
+        types: ['category', 'payee', 'account']
       });
 
       const summary = {
@@ -600,12 +754,13 @@ class MappingManager {
         warnings: [],
         statistics: {
           categories: { total: 0, active: 0, mapped: 0, unmapped: 0, duplicates: 0, orphaned: 0 },
-          payees: { total: 0, active: 0, mapped: 0, unmapped: 0, duplicates: 0, orphaned: 0 }
+          payees: { total: 0, active: 0, mapped: 0, unmapped: 0, duplicates: 0, orphaned: 0 },
+          accounts: { total: 0, active: 0, mapped: 0, unmapped: 0, duplicates: 0, orphaned: 0 }
         },
         details: {
-          duplicateXeroIds: { categories: [], payees: [] },
-          orphanedMappings: { categories: [], payees: [] },
-          invalidXeroIds: { categories: [], payees: [] }
+          duplicateXeroIds: { categories: [], payees: [], accounts: [] },
+          orphanedMappings: { categories: [], payees: [], accounts: [] },
+          invalidXeroIds: { categories: [], payees: [], accounts: [] }
         }
       };
 
@@ -640,6 +795,19 @@ class MappingManager {
       validation.errors.push(...payeeValidation.errors);
       validation.warnings.push(...payeeValidation.warnings);
 
+      // Validate account mappings
+      const accountValidation = await this.validateAccountMappingConsistency(
+        await this.xanoClient.getAccountMappings(),
+        validationOptions
+      );
+
+      validation.statistics.accounts = accountValidation.statistics;
+      validation.details.orphanedMappings.accounts = accountValidation.orphanedMappings;
+      validation.details.invalidXeroIds.accounts = accountValidation.invalidXeroIds;
+
+      validation.errors.push(...accountValidation.errors);
+      validation.warnings.push(...accountValidation.warnings);
+
       // Determine overall validation status
       validation.isValid = validation.errors.length === 0;
 
@@ -652,9 +820,13 @@ class MappingManager {
         validation.warnings.push(`${validation.statistics.payees.unmapped} payees are not mapped to Xero contacts`);
       }
 
+      if (validation.statistics.accounts.unmapped > 0) {
+        validation.warnings.push(`${validation.statistics.accounts.unmapped} accounts are not mapped to Xero bank accounts`);
+      }
+
       // Generate summary
-      const totalMapped = validation.statistics.categories.mapped + validation.statistics.payees.mapped;
-      const totalUnmapped = validation.statistics.categories.unmapped + validation.statistics.payees.unmapped;
+      const totalMapped = validation.statistics.categories.mapped + validation.statistics.payees.mapped + validation.statistics.accounts.mapped;
+      const totalUnmapped = validation.statistics.categories.unmapped + validation.statistics.payees.unmapped + validation.statistics.accounts.unmapped;
       const totalDuplicates = validation.statistics.categories.duplicates + validation.statistics.payees.duplicates;
 
       this.logger.info(`Mapping validation complete: ${totalMapped} mapped, ${totalUnmapped} unmapped, ${totalDuplicates} duplicates, ${validation.errors.length} errors`);
@@ -807,6 +979,68 @@ class MappingManager {
     return validation;
   }
 
+  /**
+   * Validate account mapping consistency
+   * Several Actual accounts may share one Xero bank account, so duplicates aren't errors.
+   * @param {Array} accountMappings - Account mappings to validate
+   * @param {Object} options - Validation options
+   * @returns {Promise<Object>} - Account validation results
+   */
+  async validateAccountMappingConsistency(accountMappings, options) {
+    const validation = {
+      statistics: { total: 0, active: 0, mapped: 0, unmapped: 0, duplicates: 0, orphaned: 0 },
+      orphanedMappings: [],
+      invalidXeroIds: [],
+      errors: [],
+      warnings: []
+    };
+
+    validation.statistics.total = accountMappings.length;
+    validation.statistics.active = accountMappings.filter(m => m.is_active).length;
+
+    const mappedAccounts = accountMappings.filter(m => m.xero_bank_account_id);
+    validation.statistics.mapped = mappedAccounts.length;
+    validation.statistics.unmapped = accountMappings.length - mappedAccounts.length;
+
+    // Check for orphaned mappings (accounts that no longer exist in Actual Budget)
+    if (options.checkOrphaned && accountMappings.length > 0) {
+      try {
+        const accountIds = new Set((await this.actualClient.getAccounts()).map(account => account.id));
+        validation.orphanedMappings = accountMappings
+          .filter(m => !accountIds.has(m.actual_account_id))
+          .map(m => ({ actual_account_id: m.actual_account_id, actual_account_name: m.actual_account_name }));
+        validation.statistics.orphaned = validation.orphanedMappings.length;
+
+        if (validation.orphanedMappings.length > 0) {
+          validation.warnings.push(`Found ${validation.orphanedMappings.length} account mappings for accounts no longer in Actual Budget`);
+        }
+      } catch (error) {
+        validation.warnings.push(`Could not check for orphaned account mappings: ${error.message}`);
+      }
+    }
+
+    // Validate Xero bank account IDs exist in Xero
+    if (options.checkXeroIds && mappedAccounts.length > 0) {
+      try {
+        const xeroValidation = await this.validateXeroBankAccountIds(mappedAccounts);
+        validation.invalidXeroIds = xeroValidation.invalid.map(v => ({
+          actual_account_id: v.actual_account_id,
+          actual_account_name: v.actual_account_name,
+          xero_bank_account_id: v.xero_bank_account_id,
+          error: v.error
+        }));
+
+        if (validation.invalidXeroIds.length > 0) {
+          validation.errors.push(`Found ${validation.invalidXeroIds.length} invalid Xero bank account IDs in account mappings`);
+        }
+      } catch (error) {
+        validation.warnings.push(`Could not validate Xero bank account IDs: ${error.message}`);
+      }
+    }
+
+    return validation;
+  }
+
   /**
    * Validate that Xero account IDs exist in Xero
    * @param {Array} mappings - Mappings with xero_account_id to validate
@@ -880,10 +1114,49 @@ class MappingManager {
     return validation;
   }
 
+  /**
+   * Validate that Xero bank account IDs belong to active bank accounts in Xero
+   * A mapping with a currency_code must point to a bank account in that currency.
+   * @param {Array} mappings - Mappings with xero_bank_account_id to validate
+   * @returns {Promise<Object>} - Validation results
+   */
+  async validateXeroBankAccountIds(mappings) {
+    const validation = { valid: [], invalid: [] };
+    const bankAccounts = new Map(
+      (await this.xeroClient.getBankAccounts()).map(account => [account.xero_account_id, account])
+    );
+
+    for (const mapping of mappings) {
+      if (!mapping.xero_bank_account_id) continue;
+
+      const bankAccount = bankAccounts.get(mapping.xero_bank_account_id);
+
+      if (bankAccount && mapping.currency_code && bankAccount.currency_code && bankAccount.currency_code !== mapping.currency_code) {
+        validation.invalid.push({
+          ...mapping,
+          error: `Bank account is in ${bankAccount.currency_code}, not ${mapping.currency_code}`
+        });
+      } else if (bankAccount) {
+        validation.valid.push({
+          ...mapping,
+          xero_bank_account_name: bankAccount.name,
+          xero_bank_account_code: bankAccount.code
+        });
+      } else {
+        validation.invalid.push({
+          ...mapping,
+          error: 'Bank account not found in Xero'
+        });
+      }
+    }
+
+    return validation;
+  }
+
   /**
    * Parse CSV mapping data
    * @param {string} csvData - CSV string data
-   * @param {string} type - Mapping type: 'category' or 'payee'
+   * @param {string} type - Mapping type: 'category', 'payee' or 'account'
    * @returns {Array} - Parsed mapping objects
    */
   parseCsvMappings(csvData, type) {
@@ -968,6 +1241,39 @@ class MappingManager {
     return validation;
   }
 
+  /**
+   * Validate account mapping data structure
+   * @param {Array} mappings - Account mappings to validate
+   * @returns {Object} - Validation result
+   */
+  validateAccountMappingData(mappings) {
+    const validation = { isValid: true, errors: [] };
+
+    for (let i = 0; i < mappings.length; i++) {
+      const mapping = mappings[i];
+      const prefix = `Row ${i + 1}:`;
+
+      if (!mapping.actual_account_id) {
+        validation.errors.push(`${prefix} actual_account_id is required`);
+      }
+
+      if (!mapping.actual_account_name) {
+        validation.errors.push(`${prefix} actual_account_name is required`);
+      }
+
+      if (mapping.currency_code && !/^[A-Z]{3}$/.test(mapping.currency_code)) {
+        validation.errors.push(`${prefix} currency_code must be a three letter ISO 4217 code, e.g. USD`);
+      }
+
+      if (mapping.is_active !== undefined && typeof mapping.is_active !== 'boolean') {
+        validation.errors.push(`${prefix} is_active must be a boolean`);
+      }
+    }
+
+    validation.isValid = validation.errors.length === 0;
+    return validation;
+  }
+
   /**
    * Generate export file path
    * @param {string} basePath - Base output path
@@ -1065,8 +1371,10 @@ class MappingManager {
         return { categories: this.parseCsvMappings(fileContent, 'category') };
       } else if (filename.includes('payee')) {
         return { payees: this.parseCsvMappings(fileContent, 'payee') };
+      } else if (filename.includes('account')) {
+        return { accounts: this.parseCsvMappings(fileContent, 'account') };
       } else {
-        throw new Error('Cannot determine mapping type from CSV filename. Use JSON format or include "category" or "payee" in filename.');
+        throw new Error('Cannot determine mapping type from CSV filename. Use JSON format or include "category", "payee" or "account" in filename.');
       }
     }
   }
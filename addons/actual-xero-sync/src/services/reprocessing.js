@@ -1,4 +1,6 @@
 const { Transaction, TransactionStatus } = require('../models/transaction');
+const { XeroDocumentService } = require('./xero-documents');
+const { createXeroSink } = require('./xero-sink');
 
 /**
  * ReprocessingService - Service for reprocessing failed transactions with updated mappings
@@ -27,6 +29,20 @@ class ReprocessingService {
 
     // Validate required dependencies
     this.validateDependencies();
+
+    // Builds the bank transaction, bill or invoice each transaction is recorded as
+    this.documentService = options.documentService || new XeroDocumentService({
+      xeroClient: this.xeroClient,
+      logger: this.logger,
+      config: this.config
+    });
+
+    // Same import path as the sync pipeline
+    this.xeroSink = options.xeroSink || createXeroSink(this.config, {
+      documentService: this.documentService,
+      xanoClient: this.xanoClient,
+      logger: this.logger
+    });
   }
 
   /**
@@ -200,6 +216,7 @@ class ReprocessingService {
           analysis.missingCategories.set(transaction.actual_category_id, {
             actual_category_id: transaction.actual_category_id,
             actual_category_name: transaction.actual_category_name,
+            is_income: !!transaction.actual_category_is_income,
             transaction_count: (analysis.missingCategories.get(transaction.actual_category_id)?.transaction_count || 0) + 1
           });
         }
@@ -257,7 +274,10 @@ class ReprocessingService {
           try {
             this.logger.debug(`Searching Xero for category: ${categoryInfo.actual_category_name}`);
             
-            const xeroAccounts = await this.xeroClient.searchAccounts(categoryInfo.actual_category_name);
+            // Income categories only match revenue accounts
+            const xeroAccounts = await this.xeroClient.searchAccounts(categoryInfo.actual_category_name, {
+              accountClass: this.xeroClient.getCategoryAccountOptions(categoryInfo.is_income).accountClass
+            });
             
             if (xeroAccounts && xeroAccounts.length > 0) {
               // Use the first match (could be enhanced with fuzzy matching)
@@ -387,10 +407,12 @@ class ReprocessingService {
       };
 
       // Get updated mappings for all transactions
-      const categoryIds = [...new Set(transactions.map(t => t.actual_category_id).filter(id => id))];
+      const categoryIds = this.documentService.getCategoryIds(transactions);
       const payeeIds = [...new Set(transactions.map(t => t.actual_payee_id).filter(id => id))];
+      const accountIds = this.documentService.getAccountIds(transactions);
 
       const mappings = await this.xanoClient.batchGetMappings(categoryIds, payeeIds);
+      const accountMappings = accountIds.length > 0 ? await this.xanoClient.getAccountMappings(accountIds) : [];
       
       // Create lookup maps for efficient access
       const categoryMappingMap = new Map();
@@ -403,31 +425,22 @@ class ReprocessingService {
         payeeMappingMap.set(mapping.actual_payee_id, mapping);
       });
 
+      const accountMappingMap = new Map();
+      accountMappings.forEach(mapping => {
+        accountMappingMap.set(mapping.actual_account_id, mapping);
+      });
+
       // Process each transaction
       const mappingUpdates = [];
 
       for (const transaction of transactions) {
         try {
-          const categoryMapping = categoryMappingMap.get(transaction.actual_category_id);
-          const payeeMapping = payeeMappingMap.get(transaction.actual_payee_id);
-
-          const hasValidCategoryMapping = categoryMapping && categoryMapping.xero_account_id;
-          const hasValidPayeeMapping = payeeMapping && payeeMapping.xero_contact_id;
+          // Copies the mappings onto the transaction (and each split line) when complete
+          const mappingResult = this.documentService.applyMappings(transaction, categoryMappingMap, payeeMappingMap, accountMappingMap);
 
-          if (hasValidCategoryMapping && hasValidPayeeMapping) {
+          if (mappingResult.complete) {
             // Transaction now has all required mappings
-            const mappingUpdate = {
-              xano_id: transaction.id,
-              xero_account_id: categoryMapping.xero_account_id,
-              xero_contact_id: payeeMapping.xero_contact_id
-            };
-
-            mappingUpdates.push(mappingUpdate);
-
-            // Add mapping info to transaction for Xero import
-            transaction.xero_account_id = categoryMapping.xero_account_id;
-            transaction.xero_contact_id = payeeMapping.xero_contact_id;
-            transaction.xero_account_code = categoryMapping.xero_account_code;
+            mappingUpdates.push(mappingResult.mappingUpdate);
 
             results.readyForXero.push(transaction);
             this.stats.transactionsResolved++;
@@ -435,8 +448,10 @@ class ReprocessingService {
           } else {
             // Transaction is still missing mappings
             const missingMappings = [];
-            if (!hasValidCategoryMapping) missingMappings.push('category');
-            if (!hasValidPayeeMapping) missingMappings.push('payee');
+            if (mappingResult.missingCategoryIds.length > 0) missingMappings.push(transaction.actual_category_id ? 'category' : 'fallback category');
+            if (mappingResult.missingPayee) missingMappings.push(transaction.actual_payee_id ? 'payee' : 'fallback payee');
+            if (mappingResult.missingAccount) missingMappings.push('bank account');
+            if (mappingResult.missingTransferAccount) missingMappings.push('transfer bank account');
 
             const errorMessage = `Still missing ${missingMappings.join(' and ')} mapping(s) after reprocessing`;
             
@@ -488,10 +503,7 @@ class ReprocessingService {
           // Try individual updates as fallback
           for (const update of mappingUpdates) {
             try {
-              await this.xanoClient.updateTransactionMapping(update.xano_id, {
-                xero_account_id: update.xero_account_id,
-                xero_contact_id: update.xero_contact_id
-              });
+              await this.xanoClient.updateTransactionMapping(update.xano_id, update);
             } catch (individualError) {
               this.logger.warn(`Failed to update mapping for transaction ${update.xano_id}: ${individualError.message}`);
             }
@@ -526,30 +538,41 @@ class ReprocessingService {
 
       const importResults = {
         imported: 0,
+        adopted: 0,
         failed: 0,
         errors: [],
-        xeroUpdates: []
+        duplicates: [],
+        xeroUpdates: [],
+        importedIds: []
       };
 
-      // Process transactions individually for better error handling
-      for (const transaction of transactions) {
-        try {
-          // Generate Xero reference using Xano ID
-          const xeroReference = `Xano-${transaction.id}`;
-          
-          // Format transaction for Xero
-          const xeroTransactionData = await this.formatTransactionForXero(transaction, xeroReference);
+      // Generate Xero references using Xano IDs
+      const outcomes = await this.xeroSink.importBatch(transactions.map(transaction => ({
+        transaction,
+        xeroReference: `Xano-${transaction.id}`
+      })), { batchCreate: (this.config.batch_size || 10) > 1 });
 
-          // Create transaction in Xero
-          const xeroResult = await this.xeroClient.createTransaction({
-            ...xeroTransactionData,
-            xano_id: transaction.id
+      for (const { transaction, xeroReference, result: xeroResult, error, adopted, duplicates } of outcomes) {
+        // More than one Xero document carries this reference
+        if (duplicates && duplicates.length > 0) {
+          importResults.duplicates.push({
+            transaction_id: transaction.actual_transaction_id,
+            xano_id: transaction.id,
+            xero_reference: xeroReference,
+            xero_ids: duplicates
           });
+        }
 
+        if (!error) {
           // Prepare update for Xano
           importResults.xeroUpdates.push({
             xano_id: transaction.id,
             xero_transaction_id: xeroResult.xero_transaction_id,
+            xero_document_type: xeroResult.xero_document_type,
+            xero_invoice_id: xeroResult.xero_invoice_id,
+            xero_payment_id: xeroResult.xero_payment_id,
+            xero_bank_transfer_id: xeroResult.xero_bank_transfer_id || null,
+            ...this.documentService.getCurrencyAmounts(transaction, xeroResult.xero_currency_rate),
             xero_imported_date: new Date().toISOString(),
             xero_reference: xeroReference,
             xero_status: xeroResult.xero_status || 'AUTHORISED'
@@ -557,17 +580,18 @@ class ReprocessingService {
 
           importResults.imported++;
           this.stats.transactionsImported++;
+          if (adopted) {
+            importResults.adopted++;
+          }
 
-          // Tag transaction in Actual Budget
-          try {
-            await this.actualClient.addXeroTag(transaction.actual_transaction_id);
-          } catch (tagError) {
-            this.logger.warn(`Failed to tag transaction ${transaction.actual_transaction_id}: ${tagError.message}`);
+          importResults.importedIds.push(transaction.actual_transaction_id);
+          if (this.documentService.isTransfer(transaction) && transaction.actual_transfer_id) {
+            importResults.importedIds.push(transaction.actual_transfer_id);
           }
 
-          this.logger.debug(`Successfully imported reprocessed transaction ${transaction.id} to Xero: ${xeroResult.xero_transaction_id}`);
+          this.logger.debug(`Successfully imported reprocessed transaction ${transaction.id} to Xero via ${this.xeroSink.type} sink: ${xeroResult.xero_transaction_id}`);
 
-        } catch (error) {
+        } else {
           importResults.failed++;
           this.stats.transactionsFailed++;
           
@@ -576,7 +600,9 @@ class ReprocessingService {
             message: error.message,
             transaction_id: transaction.actual_transaction_id,
             xano_id: transaction.id,
-            timestamp: new Date().toISOString()
+            timestamp: new Date().toISOString(),
+            xero_reference: xeroReference,
+            xero_sink: this.xeroSink.type
           };
 
           importResults.errors.push(errorDetails);
@@ -584,12 +610,12 @@ class ReprocessingService {
 
           // Mark transaction as failed in Xano
           try {
-            await this.xanoClient.markTransactionFailed(transaction.id, `Xero import failed: ${error.message}`);
+            await this.xanoClient.markTransactionFailed(transaction.id, `Xero import failed: ${error.message}`, error.partialResult);
           } catch (markError) {
             this.logger.warn(`Failed to mark transaction ${transaction.id} as failed: ${markError.message}`);
           }
 
-          this.logger.error(`Failed to import reprocessed transaction ${transaction.id} to Xero: ${error.message}`);
+          this.logger.error(`Failed to import reprocessed transaction ${transaction.id} to Xero via ${this.xeroSink.type} sink: ${error.message}`);
         }
       }
 
@@ -604,10 +630,7 @@ class ReprocessingService {
           // Try individual updates as fallback
           for (const update of importResults.xeroUpdates) {
             try {
-              await this.xanoClient.updateTransactionXeroImport(update.xano_id, {
-                xero_transaction_id: update.xero_transaction_id,
-                xero_imported_date: update.xero_imported_date
-              });
+              await this.xanoClient.updateTransactionXeroImport(update.xano_id, update);
             } catch (individualError) {
               this.logger.warn(`Failed to update Xero import data for transaction ${update.xano_id}: ${individualError.message}`);
             }
@@ -615,7 +638,23 @@ class ReprocessingService {
         }
       }
 
-      this.logger.info(`Reprocessed transaction import complete: ${importResults.imported} imported, ${importResults.failed} failed`);
+      // Tag imported transactions in Actual Budget in one pass
+      if (importResults.importedIds.length > 0) {
+        try {
+          const tagResult = await this.actualClient.addXeroTags(importResults.importedIds);
+          for (const failure of tagResult.failed) {
+            this.logger.warn(`Failed to tag transaction ${failure.transactionId}: ${failure.error}`);
+          }
+        } catch (tagError) {
+          this.logger.warn(`Failed to tag ${importResults.importedIds.length} transactions: ${tagError.message}`);
+        }
+      }
+
+      this.logger.info(`Reprocessed transaction import complete: ${importResults.imported} imported (${importResults.adopted} already in Xero), ${importResults.failed} failed`);
+
+      if (importResults.duplicates.length > 0) {
+        this.logger.warn(`${importResults.duplicates.length} references have duplicate documents in Xero, check them manually`);
+      }
 
       return importResults;
 
@@ -639,57 +678,7 @@ class ReprocessingService {
    */
   async formatTransactionForXero(transaction, xeroReference) {
     try {
-      // Validate required fields
-      if (!transaction.xero_account_id) {
-        throw new Error('Xero account ID is required');
-      }
-      if (!transaction.xero_contact_id) {
-        throw new Error('Xero contact ID is required');
-      }
-      if (!transaction.amount || transaction.amount === 0) {
-        throw new Error('Transaction amount must be non-zero');
-      }
-
-      // Format date for Xero (YYYY-MM-DD)
-      const transactionDate = new Date(transaction.transaction_date);
-      if (isNaN(transactionDate.getTime())) {
-        throw new Error('Invalid transaction date');
-      }
-      const formattedDate = transactionDate.toISOString().split('T')[0];
-
-      // Determine transaction type and amount
-      const isSpend = transaction.amount < 0;
-      const absoluteAmount = Math.abs(transaction.amount);
-
-      // Format description with fallback
-      const description = transaction.description || 
-                         `Reprocessed transaction from Actual Budget (${transaction.actual_transaction_id})`;
-
-      // Build Xero transaction object
-      const xeroTransaction = {
-        Type: isSpend ? 'SPEND' : 'RECEIVE',
-        Contact: {
-          ContactID: transaction.xero_contact_id
-        },
-        Date: formattedDate,
-        Reference: xeroReference,
-        Status: 'AUTHORISED',
-        LineItems: [{
-          Description: description.substring(0, 4000), // Xero has a 4000 character limit
-          Quantity: 1,
-          UnitAmount: absoluteAmount,
-          AccountID: transaction.xero_account_id,
-          TaxType: 'NONE'
-        }]
-      };
-
-      // Add account code if available
-      if (transaction.xero_account_code) {
-        xeroTransaction.LineItems[0].AccountCode = transaction.xero_account_code;
-      }
-
-      return xeroTransaction;
-
+      return this.documentService.formatDocument(transaction, xeroReference);
     } catch (error) {
       this.logger.error(`Failed to format transaction ${transaction.id} for Xero: ${error.message}`);
       throw error;
@@ -743,7 +732,8 @@ class ReprocessingService {
         xanoClient: !!this.xanoClient,
         xeroClient: !!this.xeroClient,
         actualClient: !!this.actualClient
-      }
+      },
+      xeroSink: this.xeroSink.getStatus()
     };
   }
 }
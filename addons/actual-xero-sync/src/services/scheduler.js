@@ -0,0 +1,355 @@
+const EventEmitter = require('events');
+const cron = require('node-cron');
+// node-cron's own parser: turns names, ranges and steps into lists of numbers
+const convertCronExpression = require('node-cron/src/convert-expression');
+
+/**
+ * SchedulerService - Runs the sync, reprocessing and mapping refresh jobs on cron schedules
+ *
+ * All jobs share a single in-progress lock because they read and write the same
+ * Xano records, so a scheduled run is skipped while another job (scheduled or
+ * manually triggered) is still running.
+ */
+class SchedulerService extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.logger = options.logger || console;
+    this.timezone = options.timezone || null;
+
+    // Registered jobs keyed by name
+    this.jobs = new Map();
+
+    // In-progress lock shared by all jobs
+    this.activeRun = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Register a job with an optional cron schedule
+   * Jobs without a schedule can still be run manually through runJob()
+   * @param {string} name - Unique job name (sync, reprocessing, mapping_refresh, backfill)
+   * @param {string|null} expression - Cron expression, or empty to disable scheduling
+   * @param {Function} handler - Async function called with the trigger source (and any extra runJob arguments)
+   * @throws {Error} If the cron expression is invalid
+   */
+  register(name, expression, handler) {
+    if (typeof handler !== 'function') {
+      throw new Error(`Handler for job ${name} must be a function`);
+    }
+
+    const schedule = expression && expression.trim() ? expression.trim() : null;
+
+    if (schedule && !cron.validate(schedule)) {
+      throw new Error(`Invalid cron expression for job ${name}: ${schedule}`);
+    }
+
+    this.unregister(name);
+
+    const job = {
+      name,
+      schedule,
+      handler,
+      task: null,
+      lastRunAt: null,
+      lastFinishedAt: null,
+      lastStatus: null,
+      lastError: null,
+      lastSource: null,
+      nextRunAt: null,
+      runCount: 0,
+      skippedCount: 0
+    };
+
+    if (schedule) {
+      const taskOptions = { scheduled: false };
+      if (this.timezone) {
+        taskOptions.timezone = this.timezone;
+      }
+
+      job.task = cron.schedule(schedule, () => {
+        this.runJob(name, 'schedule').catch(error => {
+          this.logger.error(`Scheduled job ${name} failed: ${error.message}`);
+        });
+      }, taskOptions);
+
+      if (this.isRunning) {
+        job.task.start();
+        job.nextRunAt = this.getNextRunTime(schedule);
+      }
+    }
+
+    this.jobs.set(name, job);
+    this.logger.info(`Registered job ${name}${schedule ? ` with schedule "${schedule}"` : ' (manual only)'}`);
+  }
+
+  /**
+   * Remove a job and stop its cron task
+   * @param {string} name - Job name
+   */
+  unregister(name) {
+    const job = this.jobs.get(name);
+    if (job && job.task) {
+      job.task.stop();
+    }
+    this.jobs.delete(name);
+  }
+
+  /**
+   * Start all scheduled jobs
+   */
+  start() {
+    this.isRunning = true;
+
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        job.task.start();
+        job.nextRunAt = this.getNextRunTime(job.schedule);
+        this.logger.info(`Job ${job.name} next run at ${job.nextRunAt ? job.nextRunAt.toISOString() : 'unknown'}`);
+      }
+    }
+
+    this.logger.info('Scheduler started');
+    this.emit('scheduler-started');
+  }
+
+  /**
+   * Stop all scheduled jobs (a job already in progress is allowed to finish)
+   */
+  stop() {
+    this.isRunning = false;
+
+    for (const job of this.jobs.values()) {
+      if (job.task) {
+        job.task.stop();
+      }
+      job.nextRunAt = null;
+    }
+
+    this.logger.info('Scheduler stopped');
+    this.emit('scheduler-stopped');
+  }
+
+  /**
+   * Run a job now, respecting the shared in-progress lock
+   * @param {string} name - Job name
+   * @param {string} source - What triggered the run (schedule, web_ui, home_assistant, ...)
+   * @param {...*} args - Extra arguments passed on to the handler
+   * @returns {Promise<Object>} - Handler result, or a skipped result if another job is running
+   */
+  async runJob(name, source = 'schedule', ...args) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    if (this.activeRun) {
+      job.skippedCount++;
+      const message = `Cannot run ${name}: ${this.activeRun.job} is already in progress (started ${this.activeRun.startedAt.toISOString()})`;
+      this.logger.warn(message);
+      // The scheduled run has passed either way
+      job.nextRunAt = job.task && this.isRunning ? this.getNextRunTime(job.schedule) : null;
+      this.emit('job-skipped', { name, source, reason: message });
+
+      return {
+        success: false,
+        skipped: true,
+        error: message
+      };
+    }
+
+    this.activeRun = {
+      job: name,
+      source,
+      startedAt: new Date()
+    };
+
+    job.lastRunAt = this.activeRun.startedAt;
+    job.lastSource = source;
+    job.runCount++;
+
+    this.logger.info(`Running job ${name} (source: ${source})`);
+    this.emit('job-started', { name, source });
+
+    try {
+      const result = await job.handler(source, ...args);
+
+      job.lastStatus = result && result.success === false ? 'failed' : 'completed';
+      job.lastError = result && result.success === false ? result.error || null : null;
+
+      return result;
+
+    } catch (error) {
+      job.lastStatus = 'failed';
+      job.lastError = error.message;
+
+      this.logger.error(`Job ${name} failed: ${error.message}`);
+
+      return {
+        success: false,
+        error: error.message
+      };
+
+    } finally {
+      job.lastFinishedAt = new Date();
+      job.nextRunAt = job.task && this.isRunning ? this.getNextRunTime(job.schedule) : null;
+      this.activeRun = null;
+      this.emit('job-completed', this.getJobStatus(name));
+    }
+  }
+
+  /**
+   * Check whether a job (or any job when no name is given) is currently running
+   * @param {string} name - Optional job name
+   * @returns {boolean} - True if running
+   */
+  isJobRunning(name = null) {
+    if (!this.activeRun) {
+      return false;
+    }
+    return name ? this.activeRun.job === name : true;
+  }
+
+  /**
+   * Calculate the next time a cron expression fires
+   * The expression is parsed by node-cron and matched as node-cron matches it: every field,
+   * including both day fields, must match the wall clock in this.timezone (the system
+   * timezone when not set). Seconds are ignored.
+   * @param {string} expression - Cron expression
+   * @param {Date} from - Date to search from (default: now)
+   * @returns {Date|null} - Next run time, or null if none within a year
+   */
+  getNextRunTime(expression, from = new Date()) {
+    if (!expression || !cron.validate(expression)) {
+      return null;
+    }
+
+    // Converted expressions always have six fields, starting with seconds
+    const [, minutes, hours, days, months, weekdays] = convertCronExpression(expression)
+      .split(' ')
+      .map(field => new Set(field.split(',').map(Number)));
+
+    // Day 7 is an alias for Sunday
+    if (weekdays.has(7)) {
+      weekdays.add(0);
+    }
+
+    // The candidate's UTC fields hold the wall clock time in the scheduler's timezone
+    const candidate = new Date(from.getTime() + this.getTimezoneOffset(from));
+    candidate.setUTCSeconds(0, 0);
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+    const limit = candidate.getTime() + 366 * 24 * 60 * 60 * 1000;
+
+    while (candidate.getTime() <= limit) {
+      if (!months.has(candidate.getUTCMonth() + 1)) {
+        candidate.setUTCMonth(candidate.getUTCMonth() + 1, 1);
+        candidate.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!days.has(candidate.getUTCDate()) || !weekdays.has(candidate.getUTCDay())) {
+        candidate.setUTCDate(candidate.getUTCDate() + 1);
+        candidate.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!hours.has(candidate.getUTCHours())) {
+        candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (!minutes.has(candidate.getUTCMinutes())) {
+        candidate.setUTCMinutes(candidate.getUTCMinutes() + 1, 0, 0);
+        continue;
+      }
+
+      return this.fromWallClock(candidate.getTime());
+    }
+
+    return null;
+  }
+
+  /**
+   * Get how far the scheduler's timezone is ahead of UTC at a given moment
+   * @param {Date} date - Moment to check
+   * @returns {number} - Offset in milliseconds
+   */
+  getTimezoneOffset(date) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone: this.timezone || undefined,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date);
+    const part = type => Number(parts.find(p => p.type === type).value);
+
+    const wallClock = Date.UTC(part('year'), part('month') - 1, part('day'), part('hour'), part('minute'), part('second'));
+    return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+  }
+
+  /**
+   * Convert a wall clock time in the scheduler's timezone to the moment it happens
+   * @param {number} wallClock - Wall clock time, as milliseconds with UTC fields
+   * @returns {Date} - Moment of that wall clock time
+   */
+  fromWallClock(wallClock) {
+    // The offset can differ either side of a DST change, so check it at the first guess
+    const guess = wallClock - this.getTimezoneOffset(new Date(wallClock));
+    return new Date(wallClock - this.getTimezoneOffset(new Date(guess)));
+  }
+
+  /**
+   * Get status for a single job
+   * @param {string} name - Job name
+   * @returns {Object|null} - Job status
+   */
+  getJobStatus(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return null;
+    }
+
+    return {
+      name: job.name,
+      schedule: job.schedule,
+      enabled: !!job.task,
+      running: this.isJobRunning(name),
+      last_run: job.lastRunAt ? job.lastRunAt.toISOString() : null,
+      last_finished: job.lastFinishedAt ? job.lastFinishedAt.toISOString() : null,
+      last_status: job.lastStatus,
+      last_error: job.lastError,
+      last_source: job.lastSource,
+      next_run: job.nextRunAt ? job.nextRunAt.toISOString() : null,
+      run_count: job.runCount,
+      skipped_count: job.skippedCount
+    };
+  }
+
+  /**
+   * Get scheduler status
+   * @returns {Object} - Scheduler status and per-job details
+   */
+  getStatus() {
+    const jobs = {};
+    for (const name of this.jobs.keys()) {
+      jobs[name] = this.getJobStatus(name);
+    }
+
+    return {
+      running: this.isRunning,
+      timezone: this.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+      active_job: this.activeRun ? {
+        job: this.activeRun.job,
+        source: this.activeRun.source,
+        started_at: this.activeRun.startedAt.toISOString()
+      } : null,
+      jobs
+    };
+  }
+}
+
+module.exports = SchedulerService;
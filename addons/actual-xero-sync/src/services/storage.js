@@ -0,0 +1,97 @@
+const XanoClient = require('./xano');
+const LocalStore = require('./local-store');
+
+/**
+ * Storage backends selectable with the storage_backend option
+ */
+const StorageBackend = {
+  XANO: 'xano',
+  LOCAL: 'local'
+};
+
+/**
+ * Create the storage client for the configured backend
+ *
+ * XanoClient and LocalStore expose the same operations, so the sync,
+ * reprocessing and mapping services take either one as their xanoClient.
+ *
+ * @param {Object} config - Validated configuration
+ * @param {Object} options - Client options
+ * @param {string} options.dataDir - Directory for the local store file
+ * @param {Object} options.logger - Logger instance
+ * @returns {XanoClient|LocalStore} - Storage client
+ */
+function createStorageClient(config, options = {}) {
+  const logger = options.logger || console;
+
+  if (config.storage_backend === StorageBackend.LOCAL) {
+    return new LocalStore({
+      filePath: getLocalStorePath(options.dataDir),
+      logger
+    });
+  }
+
+  return createXanoClient(config, logger);
+}
+
+/**
+ * Create a Xano client from configuration
+ * @param {Object} config - Validated configuration
+ * @param {Object} logger - Logger instance
+ * @returns {XanoClient} - Xano client
+ */
+function createXanoClient(config, logger = console) {
+  if (!config.xano_api_url || !config.xano_api_key) {
+    throw new Error('xano_api_url and xano_api_key are required to use Xano');
+  }
+
+  return new XanoClient({
+    apiUrl: config.xano_api_url,
+    apiKey: config.xano_api_key,
+    requestsPerMinute: config.xano_rate_limit,
+    logger
+  });
+}
+
+/**
+ * Copy transactions and mappings from Xano into the local store
+ * Records keep their Xano IDs, so Xero references stay the same, and records
+ * already in the local store are skipped, so the migration can be re-run.
+ * @param {Object} config - Validated configuration (needs the Xano credentials)
+ * @param {Object} options - Migration options
+ * @param {string} options.dataDir - Directory for the local store file
+ * @param {LocalStore} options.target - Local store to write to (default: a new store in dataDir)
+ * @param {number} options.pageSize - Transactions to read from Xano per request
+ * @param {Object} options.logger - Logger instance
+ * @returns {Promise<Object>} - Counts of imported and skipped records
+ */
+async function migrateXanoToLocal(config, options = {}) {
+  const logger = options.logger || console;
+
+  // Read every tenant's records; each record keeps its own xero_tenant_id
+  const source = createXanoClient(config, logger);
+  const target = options.target || new LocalStore({
+    filePath: getLocalStorePath(options.dataDir),
+    logger
+  });
+
+  logger.info(`Migrating Xano records into ${target.filePath}`);
+  return target.importFrom(source, { pageSize: options.pageSize });
+}
+
+/**
+ * Get the path of the local store file
+ * @param {string} dataDir - Add-on data directory
+ * @returns {string} - File path
+ */
+function getLocalStorePath(dataDir = '/data') {
+  return require('path').join(dataDir, 'local-store.json');
+}
+
+module.exports = {
+  createStorageClient,
+  createXanoClient,
+  getLocalStorePath,
+  migrateXanoToLocal,
+  StorageBackend
+};
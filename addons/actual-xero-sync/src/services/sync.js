@@ -1,12 +1,20 @@
-const { Transaction, TransactionStatus } = require('../models/transaction');
+const { Transaction, TransactionStatus, EditStatus } = require('../models/transaction');
 const { CategoryMapping, PayeeMapping } = require('../models/mapping');
 const ReprocessingService = require('./reprocessing');
+const { XeroDocumentService, XeroDocumentType } = require('./xero-documents');
+const { createXeroSink } = require('./xero-sink');
+const { EligibilityService } = require('./eligibility');
+const SyncWatermarkStore = require('../utils/sync-watermark-store');
+const { runWithTenant } = require('../utils/tenant-scope');
+
+// Store error types that carry the Actual transaction ID of a transaction that wasn't stored
+const STORE_ERROR_TYPES = ['BATCH_STORE_ERROR', 'INDIVIDUAL_STORE_ERROR'];
 
 /**
  * SyncService - Main orchestrator for the Actual Budget to Xero sync process
  * 
  * Handles the complete sync workflow:
- * 1. Fetch reconciled transactions from Actual Budget
+ * 1. Fetch transactions from Actual Budget that the eligibility rules allow (reconciled by default)
  * 2. Store transactions in Xano with duplicate prevention
  * 3. Resolve category and payee mappings
  * 4. Import transactions to Xero
@@ -20,8 +28,8 @@ class SyncService {
     this.logger = options.logger || console;
     this.config = options.config || {};
 
-    // Initialize reprocessing service
-    this.reprocessingService = new ReprocessingService({
+    // Use the shared reprocessing service when provided, otherwise create one
+    this.reprocessingService = options.reprocessingService || new ReprocessingService({
       xanoClient: this.xanoClient,
       xeroClient: this.xeroClient,
       actualClient: this.actualClient,
@@ -29,15 +37,46 @@ class SyncService {
       config: this.config
     });
 
+    // Builds the bank transaction, bill or invoice each transaction is recorded as
+    this.documentService = options.documentService || new XeroDocumentService({
+      xeroClient: this.xeroClient,
+      logger: this.logger,
+      config: this.config
+    });
+
+    // Where mapped transactions are sent: straight to Xero, or through the Xano workflow
+    this.xeroSink = options.xeroSink || createXeroSink(this.config, {
+      documentService: this.documentService,
+      xanoClient: this.xanoClient,
+      logger: this.logger
+    });
+
+    // Decides which Actual transactions are synced (sync_eligibility_rules)
+    this.eligibilityService = options.eligibilityService || new EligibilityService({
+      config: this.config,
+      logger: this.logger
+    });
+
+    // How far each route has synced, so a sync only fetches newer transactions
+    this.watermarkStore = options.watermarkStore || new SyncWatermarkStore({ logger: this.logger });
+
     // Sync statistics
     this.stats = {
       transactionsFetched: 0,
+      transactionsIneligible: 0,
       transactionsStored: 0,
       duplicatesSkipped: 0,
       transactionsMapped: 0,
       transactionsImported: 0,
+      transactionsAdopted: 0,
       transactionsFailed: 0,
       mappingsResolved: 0,
+      editsDetected: 0,
+      editsApplied: 0,
+      editConflicts: 0,
+      removalsDetected: 0,
+      transactionsVoided: 0,
+      xeroDuplicates: [],
       errors: []
     };
 
@@ -67,9 +106,12 @@ class SyncService {
   /**
    * Execute the complete sync process
    * @param {Object} options - Sync options
-   * @param {Date} options.since - Date to sync transactions since (default: 7 days ago)
+   * @param {Date} options.since - Date to sync transactions since (default: the route's watermark, or sync_days_back for the first sync)
+   * @param {Date} options.until - Optional last date to sync (used by backfill windows)
+   * @param {boolean} options.fullRescan - Ignore the watermarks and fetch the whole sync_days_back window
    * @param {number} options.batchSize - Number of transactions to process in each batch
    * @param {boolean} options.dryRun - If true, don't actually import to Xero
+   * @param {boolean} options.testMode - If true, only import the first batch to Xero (default: test_mode)
    * @returns {Promise<Object>} - Sync results and statistics
    */
   async executeSync(options = {}) {
@@ -82,90 +124,913 @@ class SyncService {
       // Set default options with safety controls
       const syncOptions = {
         since: options.since || new Date(Date.now() - (this.config.sync_days_back || 7) * 24 * 60 * 60 * 1000),
+        until: options.until || null,
+        // Watermarks only apply to open-ended syncs, not to a fixed range such as a backfill window
+        trackWatermark: !options.since && !options.until,
+        fullRescan: options.fullRescan === true,
         batchSize: options.batchSize || this.config.batch_size || 10,
         dryRun: options.dryRun || this.config.dry_run_mode || false,
-        testMode: this.config.test_mode || false,
-        syncToXero: this.config.sync_to_xero !== false // Default to true unless explicitly disabled
+        testMode: options.testMode !== undefined ? options.testMode : this.config.test_mode || false,
+        syncToXero: this.config.sync_to_xero === true // Default to false unless explicitly enabled
       };
 
-      this.logger.info(`Sync options: since=${syncOptions.since.toISOString()}, batchSize=${syncOptions.batchSize}, dryRun=${syncOptions.dryRun}, testMode=${syncOptions.testMode}, syncToXero=${syncOptions.syncToXero}`);
+      this.logger.info(`Sync options: since=${syncOptions.since.toISOString()}${syncOptions.until ? `, until=${syncOptions.until.toISOString()}` : ''}${syncOptions.trackWatermark ? `, mode=${syncOptions.fullRescan ? 'full rescan' : 'incremental'}` : ''}, batchSize=${syncOptions.batchSize}, dryRun=${syncOptions.dryRun}, testMode=${syncOptions.testMode}, syncToXero=${syncOptions.syncToXero}`);
 
-      // Step 1: Fetch reconciled transactions from Actual Budget
-      const transactions = await this.fetchReconciledTransactions(syncOptions.since);
-      
-      if (transactions.length === 0) {
-        this.logger.info('No new reconciled transactions found');
-        return this.getSyncResults(startTime);
-      }
+      // Each route syncs one category group into one Xero tenant
+      const routes = this.getSyncRoutes();
 
-      // Step 2: Store transactions in Xano (with duplicate prevention)
-      const storedTransactions = await this.storeTransactionsInXano(transactions, syncOptions.batchSize);
+      for (const route of routes) {
+        if (routes.length > 1) {
+          this.logger.info(`Syncing category group "${route.categoryGroupName || route.categoryGroupId}" to Xero tenant ${route.tenantId}`);
+        }
 
-      if (storedTransactions.length === 0) {
-        this.logger.info('No new transactions to process (all were duplicates)');
-        return this.getSyncResults(startTime);
+        await this.runForTenant(route.tenantId, () => this.syncRoute(route, syncOptions));
       }
 
-      // Step 3: Resolve mappings for categories and payees
+      const results = this.getSyncResults(startTime);
+      this.logger.info(`Sync completed successfully in ${results.duration}ms`);
+      
+      return results;
+
+    } catch (error) {
+      this.stats.errors.push({
+        type: 'SYNC_EXECUTION_ERROR',
+        message: error.message,
+        timestamp: new Date().toISOString()
+      });
+
+      this.logger.error(`Sync process failed: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Run the fetch, store, map and import steps for a single category group / tenant route
+   * @param {Object} route - Sync route from getSyncRoutes()
+   * @param {Object} syncOptions - Resolved sync options
+   * @returns {Promise<void>}
+   */
+  async syncRoute(route, syncOptions) {
+    // Watermarks are kept per budget, so the budget has to be known first
+    await this.actualClient.ensureBudgetLoaded();
+
+    const watermarkKey = this.getWatermarkKey(route);
+    const watermark = syncOptions.trackWatermark && !syncOptions.fullRescan
+      ? this.watermarkStore.get(watermarkKey)
+      : null;
+
+    // Step 1: Fetch eligible transactions from Actual Budget, from the watermark date when there is one.
+    // Transactions waiting for a min_age_days rule may have come of age since, so look back that far too
+    const windowStart = watermark ? new Date(`${watermark.date}T00:00:00.000Z`) : syncOptions.since;
+    const lookbackDays = syncOptions.trackWatermark ? this.eligibilityService.getLookbackDays() : 0;
+    const fetchSince = new Date(windowStart.getTime() - lookbackDays * 24 * 60 * 60 * 1000);
+
+    let transactions = await this.fetchEligibleTransactions(fetchSince, route, syncOptions.until);
+    let alreadySynced = [];
+
+    // Transactions stored for this window that are no longer eligible were deleted or changed in Actual
+    await this.detectRemovals(fetchSince, syncOptions.until, transactions, syncOptions);
+
+    if (watermark) {
+      ({ newer: transactions, synced: alreadySynced } = this.filterByWatermark(transactions, watermark));
+    }
+    
+    if (transactions.length === 0 && alreadySynced.length === 0) {
+      this.logger.info('No new eligible transactions found');
+      return;
+    }
+
+    // Step 2: Store transactions in Xano (with duplicate prevention)
+    const errorCount = this.stats.errors.length;
+    const storedTransactions = transactions.length > 0
+      ? await this.storeTransactionsInXano(transactions, syncOptions.batchSize)
+      : [];
+    const storeErrors = this.stats.errors.slice(errorCount).filter(error => STORE_ERROR_TYPES.includes(error.type));
+
+    // Step 3: Check transactions stored by earlier syncs for edits made in Actual since
+    const handledIds = new Set([
+      ...storedTransactions.map(transaction => transaction.actual_transaction_id),
+      ...storeErrors.map(error => error.transaction_id)
+    ]);
+    const editResults = await this.detectEdits(
+      [...alreadySynced, ...transactions.filter(transaction => !handledIds.has(transaction.id))],
+      syncOptions
+    );
+
+    // Became eligible late, after newer transactions had moved the watermark past their date
+    if (editResults.unstored.length > 0) {
+      this.logger.info(`Storing ${editResults.unstored.length} transactions dated before the sync watermark`);
+      storedTransactions.push(...await this.storeTransactionsInXano(editResults.unstored, syncOptions.batchSize));
+    }
+
+    // Edited transactions that weren't in Xero yet go through mapping and import again
+    storedTransactions.push(...editResults.requeued);
+
+    if (storedTransactions.length === 0) {
+      this.logger.info(transactions.length > 0
+        ? 'No new transactions to process (all were duplicates)'
+        : 'No new eligible transactions found');
+    } else {
+      // Step 4: Resolve mappings for categories and payees
       const mappedTransactions = await this.resolveMappings(storedTransactions);
 
-      // Step 4: Import transactions to Xero (with safety controls)
+      // Step 5: Import transactions to Xero (with safety controls)
       if (!syncOptions.dryRun && syncOptions.syncToXero) {
-        await this.importTransactionsToXero(mappedTransactions, syncOptions.batchSize);
+        // Test mode limits the Xero import to a single batch so results can be checked in Xero first
+        const transactionsToImport = syncOptions.testMode
+          ? mappedTransactions.slice(0, syncOptions.batchSize)
+          : mappedTransactions;
+
+        if (transactionsToImport.length < mappedTransactions.length) {
+          this.logger.info(`Test mode: importing ${transactionsToImport.length} of ${mappedTransactions.length} transactions to Xero`);
+        }
+
+        await this.importTransactionsToXero(transactionsToImport, syncOptions.batchSize);
       } else if (!syncOptions.syncToXero) {
         this.logger.info(`Xero sync disabled: ${mappedTransactions.length} transactions stored in Xano only`);
       } else {
         this.logger.info(`Dry run mode: would have imported ${mappedTransactions.length} transactions to Xero`);
       }
+    }
 
-      const results = this.getSyncResults(startTime);
-      this.logger.info(`Sync completed successfully in ${results.duration}ms`);
-      
+    // Step 6: Remember how far this route got
+    if (syncOptions.trackWatermark && !syncOptions.dryRun) {
+      await this.advanceWatermark(watermarkKey, transactions, storeErrors);
+    }
+  }
+
+  /**
+   * Get the key a route's watermark is stored under
+   * The loaded budget is part of the key, so a different budget starts without a watermark.
+   * @param {Object} route - Sync route from getSyncRoutes()
+   * @returns {string} - Watermark key
+   */
+  getWatermarkKey(route) {
+    return `${this.actualClient.budgetId}:${route.tenantId || 'default'}:${route.categoryGroupId || route.categoryGroupName}`;
+  }
+
+  /**
+   * Split fetched transactions into those newer than the watermark and those synced before
+   * @param {Array} transactions - Transactions fetched from the watermark date or earlier
+   * @param {Object} watermark - Route watermark
+   * @returns {Object} - { newer, synced }
+   */
+  filterByWatermark(transactions, watermark) {
+    const boundaryIds = new Set(watermark.boundary_ids || []);
+    const newer = [];
+    const synced = [];
+
+    for (const transaction of transactions) {
+      const isSynced = transaction.date < watermark.date ||
+        (transaction.date === watermark.date && boundaryIds.has(transaction.id));
+      (isSynced ? synced : newer).push(transaction);
+    }
+
+    this.logger.info(`Watermark ${watermark.date}: ${newer.length} new transactions, ${synced.length} already synced`);
+
+    return { newer, synced };
+  }
+
+  /**
+   * Check transactions stored by earlier syncs for edits made in Actual since
+   * Each stored transaction keeps a hash of its Actual content. When the hash no
+   * longer matches, the edit is applied: a transaction not in Xero yet is updated
+   * and imported again, a bank transaction already in Xero is updated there, and
+   * anything that can't be updated is flagged as a conflict for review.
+   * @param {Array} transactions - Transactions from Actual Budget that were synced before
+   * @param {Object} syncOptions - Resolved sync options
+   * @returns {Promise<Object>} - { requeued, unstored }: edited transactions to map and import again, and transactions that turned out not to be stored
+   */
+  async detectEdits(transactions, syncOptions) {
+    const results = { requeued: [], unstored: [] };
+
+    if (transactions.length === 0) {
       return results;
+    }
 
+    let records;
+    try {
+      records = await this.xanoClient.getTransactionsByActualIds(transactions.map(transaction => transaction.id));
     } catch (error) {
+      // The next sync checks them again
+      this.logger.warn(`Failed to check synced transactions for edits: ${error.message}`);
+      return results;
+    }
+
+    const recordsByActualId = new Map(records.map(record => [record.actual_transaction_id, record]));
+    const baselines = [];
+
+    for (const transaction of transactions) {
+      let record = recordsByActualId.get(transaction.id);
+
+      if (!record) {
+        results.unstored.push(transaction);
+        continue;
+      }
+
+      const contentHash = Transaction.computeContentHash(transaction);
+
+      try {
+        if (record.status === TransactionStatus.VOIDED) {
+          const reinstated = await this.reinstateTransaction(record, transaction, syncOptions);
+          if (reinstated) {
+            results.requeued.push(reinstated);
+          }
+          continue;
+        }
+
+        if (record.edit_status === EditStatus.REMOVED || record.edit_status === EditStatus.REMOVAL_KEPT) {
+          // Restored or reconciled again in Actual before it was voided, so Xero is right after all
+          if (!syncOptions.dryRun) {
+            await this.xanoClient.updateTransactionContent(record.id, { edit_status: null, edit_conflict: null });
+            this.logger.info(`Transaction ${record.id} is eligible in Actual again, removal flag cleared`);
+          }
+          record = { ...record, edit_status: null, edit_conflict: null };
+        }
+
+        if (!record.content_hash) {
+          // Stored before edit detection: the current content becomes the baseline
+          baselines.push({ xano_id: record.id, content_hash: contentHash });
+        } else if (record.content_hash === contentHash) {
+          // The edit was undone in Actual, so Xero matches again
+          if (record.edit_status === EditStatus.CONFLICT && !syncOptions.dryRun) {
+            await this.xanoClient.updateTransactionContent(record.id, { edit_status: null, edit_conflict: null });
+            this.logger.info(`Edit conflict on transaction ${record.id} cleared: the edit was undone in Actual`);
+          }
+        } else if (record.edit_status !== EditStatus.CONFLICT || record.edit_conflict?.content_hash !== contentHash) {
+          this.stats.editsDetected++;
+
+          const requeued = await this.applyEdit(record, this.getEditContent(transaction), syncOptions);
+          if (requeued) {
+            results.requeued.push(requeued);
+          }
+        }
+      } catch (error) {
+        this.logger.warn(`Failed to apply edit to transaction ${record.id}: ${error.message}`);
+      }
+    }
+
+    if (baselines.length > 0 && !syncOptions.dryRun) {
+      try {
+        await this.xanoClient.bulkUpdateContentHashes(baselines);
+        this.logger.info(`Recorded the content of ${baselines.length} previously synced transactions for edit detection`);
+      } catch (error) {
+        this.logger.warn(`Failed to record content hashes: ${error.message}`);
+      }
+    }
+
+    if (this.stats.editsDetected > 0) {
+      this.logger.info(`Edits detected: ${this.stats.editsDetected}, applied: ${this.stats.editsApplied}, conflicts: ${this.stats.editConflicts}`);
+    }
+
+    return results;
+  }
+
+  /**
+   * Bring back a voided transaction that is reconciled in Actual again
+   * Its Xero document was voided (or never created), so it is imported afresh.
+   * @param {Object} record - Stored transaction with status "voided"
+   * @param {Object} transaction - Transaction from Actual Budget
+   * @param {Object} syncOptions - Resolved sync options
+   * @returns {Promise<Object|null>} - The reset transaction to map and import, or null in a dry run
+   */
+  async reinstateTransaction(record, transaction, syncOptions) {
+    if (syncOptions.dryRun) {
+      this.logger.info(`Dry run mode: voided transaction ${record.id} is reconciled in Actual again, would import it again`);
+      return null;
+    }
+
+    const update = {
+      ...this.getEditContent(transaction),
+      status: TransactionStatus.PENDING,
+      error_message: '',
+      xero_transaction_id: null,
+      xero_invoice_id: null,
+      xero_payment_id: null,
+      xero_bank_transfer_id: null,
+      edit_status: null,
+      edit_conflict: null
+    };
+
+    await this.xanoClient.updateTransactionContent(record.id, update);
+    this.logger.info(`Voided transaction ${record.id} is reconciled in Actual again, importing it again`);
+
+    return { ...record, ...update };
+  }
+
+  /**
+   * Format the synced content of an Actual transaction for storage
+   * The stored description is kept, because the notes now carry the sync tags.
+   * @param {Object} transaction - Transaction from Actual Budget
+   * @returns {Object} - Content fields, including content_hash
+   */
+  getEditContent(transaction) {
+    const {
+      actual_transaction_id: actualTransactionId,
+      description,
+      xero_tenant_id: tenantId,
+      ...content
+    } = this.xanoClient.formatTransactionForStorage(transaction);
+
+    return content;
+  }
+
+  /**
+   * List what an edit changed, for logs and the conflict review
+   * @param {Object} record - Stored transaction
+   * @param {Object} content - Edited content from getEditContent()
+   * @returns {Object[]} - Changes of { field, from, to }
+   */
+  describeChanges(record, content) {
+    const changes = [];
+    const formatDate = date => (date ? new Date(date).toISOString().split('T')[0] : null);
+    const formatLines = lines => (lines || []).map(line => `${line.actual_category_name || line.actual_category_id}: ${Number(line.amount)}`);
+
+    if (formatDate(record.transaction_date) !== formatDate(content.transaction_date)) {
+      changes.push({ field: 'date', from: formatDate(record.transaction_date), to: formatDate(content.transaction_date) });
+    }
+
+    if (Number(record.amount) !== content.amount) {
+      changes.push({ field: 'amount', from: Number(record.amount), to: content.amount });
+    }
+
+    if ((record.actual_category_id || null) !== content.actual_category_id) {
+      changes.push({
+        field: 'category',
+        from: record.actual_category_name || record.actual_category_id || null,
+        to: content.actual_category_name || content.actual_category_id
+      });
+    }
+
+    if ((record.actual_payee_id || null) !== content.actual_payee_id) {
+      changes.push({
+        field: 'payee',
+        from: record.actual_payee_name || record.actual_payee_id || null,
+        to: content.actual_payee_name || content.actual_payee_id
+      });
+    }
+
+    if ((record.actual_account_id || null) !== content.actual_account_id) {
+      changes.push({
+        field: 'account',
+        from: record.actual_account_name || record.actual_account_id || null,
+        to: content.actual_account_name || content.actual_account_id
+      });
+    }
+
+    if ((record.actual_transfer_account_id || null) !== content.actual_transfer_account_id) {
+      changes.push({
+        field: 'transfer_account',
+        from: record.actual_transfer_account_name || record.actual_transfer_account_id || null,
+        to: content.actual_transfer_account_name || content.actual_transfer_account_id
+      });
+    }
+
+    const fromLines = formatLines(record.split_lines);
+    const toLines = formatLines(content.split_lines);
+    if (fromLines.join('|') !== toLines.join('|')) {
+      changes.push({ field: 'split_lines', from: fromLines, to: toLines });
+    }
+
+    return changes;
+  }
+
+  /**
+   * Apply an Actual edit to a stored transaction and, if it's in Xero, to its Xero document
+   * @param {Object} record - Stored transaction
+   * @param {Object} content - Edited content from getEditContent()
+   * @param {Object} syncOptions - Resolved sync options
+   * @returns {Promise<Object|null>} - The updated transaction when it has to be mapped and imported again, otherwise null
+   */
+  async applyEdit(record, content, syncOptions) {
+    const changes = this.describeChanges(record, content);
+    const changed = changes.map(change => change.field).join(', ') || 'details';
+    const inXero = !!(record.xero_transaction_id || record.xero_invoice_id);
+
+    if (syncOptions.dryRun) {
+      this.logger.info(`Dry run mode: transaction ${record.id} was edited in Actual (${changed}), would ${inXero ? 'update Xero' : 'import the edited version'}`);
+      return null;
+    }
+
+    if (!inXero) {
+      const update = {
+        ...content,
+        status: TransactionStatus.PENDING,
+        error_message: '',
+        edit_status: null,
+        edit_conflict: null
+      };
+
+      await this.xanoClient.updateTransactionContent(record.id, update);
+      this.stats.editsApplied++;
+      this.logger.info(`Transaction ${record.id} was edited in Actual (${changed}) before reaching Xero, importing the edited version`);
+
+      return { ...record, ...update };
+    }
+
+    const reason = await this.propagateEdit(record, content);
+
+    if (reason) {
+      await this.flagEditConflict(record, content, changes, reason);
+      this.stats.editConflicts++;
       this.stats.errors.push({
-        type: 'SYNC_EXECUTION_ERROR',
-        message: error.message,
+        type: 'EDIT_CONFLICT',
+        message: `Transaction edited in Actual (${changed}) but not updated in Xero: ${reason}`,
+        transaction_id: record.actual_transaction_id,
+        xano_id: record.id,
         timestamp: new Date().toISOString()
       });
+    } else {
+      this.stats.editsApplied++;
+      this.logger.info(`Transaction ${record.id} was edited in Actual (${changed}), updated Xero bank transaction ${record.xero_transaction_id}`);
+    }
 
-      this.logger.error(`Sync process failed: ${error.message}`);
-      throw error;
+    return null;
+  }
+
+  /**
+   * Update the Xero bank transaction of an edited transaction, then the stored transaction
+   * @param {Object} record - Stored transaction with its Xero IDs
+   * @param {Object} content - Edited content from getEditContent()
+   * @returns {Promise<string|null>} - Why Xero wasn't updated, or null once it was
+   */
+  async propagateEdit(record, content) {
+    const documentType = record.xero_document_type || XeroDocumentType.BANK_TRANSACTION;
+
+    if (documentType !== XeroDocumentType.BANK_TRANSACTION) {
+      return `The ${documentType} in Xero has to be changed by hand`;
+    }
+
+    if (this.config.sync_to_xero !== true) {
+      return 'Xero sync is disabled';
+    }
+
+    const transaction = { ...record, ...content };
+
+    try {
+      const mappings = await this.xanoClient.batchGetMappings(
+        this.documentService.getCategoryIds([transaction]),
+        transaction.actual_payee_id ? [transaction.actual_payee_id] : []
+      );
+      const accountMappings = transaction.actual_account_id
+        ? await this.xanoClient.getAccountMappings([transaction.actual_account_id])
+        : [];
+      const mappingResult = this.documentService.applyMappings(
+        transaction,
+        new Map(mappings.categoryMappings.map(mapping => [mapping.actual_category_id, mapping])),
+        new Map(mappings.payeeMappings.map(mapping => [mapping.actual_payee_id, mapping])),
+        new Map(accountMappings.map(mapping => [mapping.actual_account_id, mapping]))
+      );
+
+      if (!mappingResult.complete) {
+        return 'The edited category, payee or account is not mapped to Xero';
+      }
+
+      const outcome = await this.documentService.updateBankTransaction(transaction, this.generateXeroReference(record.id));
+      if (outcome.conflict) {
+        return outcome.conflict;
+      }
+
+      const { xano_id: xanoId, ...mappingFields } = mappingResult.mappingUpdate;
+      await this.xanoClient.updateTransactionContent(record.id, {
+        ...content,
+        ...mappingFields,
+        ...this.documentService.getCurrencyAmounts(transaction, outcome.result.xero_currency_rate),
+        edit_status: null,
+        edit_conflict: null
+      });
+
+      return null;
+    } catch (error) {
+      this.logger.error(`Failed to update Xero for edited transaction ${record.id}: ${error.message}`);
+      return `Xero update failed: ${error.message}`;
+    }
+  }
+
+  /**
+   * Flag an edit that couldn't be applied in Xero for review
+   * The stored content is left as it is in Xero; the edit is kept with the conflict.
+   * @param {Object} record - Stored transaction
+   * @param {Object} content - Edited content from getEditContent()
+   * @param {Object[]} changes - Changes from describeChanges()
+   * @param {string} reason - Why Xero wasn't updated
+   * @returns {Promise<Object>} - The conflict
+   */
+  async flagEditConflict(record, content, changes, reason) {
+    const conflict = {
+      detected_at: new Date().toISOString(),
+      reason,
+      content_hash: content.content_hash,
+      changes,
+      actual: content
+    };
+
+    await this.xanoClient.updateTransactionContent(record.id, {
+      edit_status: EditStatus.CONFLICT,
+      edit_conflict: conflict
+    });
+
+    this.logger.warn(`Transaction ${record.id} was edited in Actual but not updated in Xero: ${reason}`);
+    return conflict;
+  }
+
+  /**
+   * Get transactions whose Actual edits couldn't be applied in Xero, for every synced organisation
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of transactions per organisation
+   * @returns {Promise<Object[]>} - Transactions with edit_status "conflict"
+   */
+  async getEditConflicts(options = {}) {
+    const tenantIds = this.getTenantIds();
+    const defaultTenantId = this.xeroClient.defaultTenantId;
+    const conflicts = [];
+
+    for (const tenantId of tenantIds.length > 0 ? tenantIds : [defaultTenantId]) {
+      conflicts.push(...await this.runForTenant(tenantId, () => this.xanoClient.getTransactionConflicts(options)));
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Resolve an edit conflict, or a transaction removed in Actual but not in Xero
+   * "retry" tries to update Xero again, e.g. after un-reconciling the bank
+   * transaction in Xero. "void" voids the Xero document of a removed transaction.
+   * "dismiss" keeps Xero as it is and stops flagging this version of the transaction.
+   * @param {number} xanoId - Xano transaction ID
+   * @param {string} action - retry or dismiss for edits, void or dismiss for removals
+   * @param {string} tenantId - Xero tenant the transaction belongs to (default: the selected one)
+   * @returns {Promise<Object>} - { resolved, reason }
+   * @throws {Error} With code NO_EDIT_CONFLICT if the transaction has no open conflict,
+   * or INVALID_CONFLICT_ACTION if the action doesn't apply to it
+   */
+  async resolveEditConflict(xanoId, action, tenantId = null) {
+    return this.runForTenant(tenantId, async () => {
+      const record = await this.xanoClient.getTransaction(xanoId);
+      const isRemoval = record?.edit_status === EditStatus.REMOVED;
+      if (!record || (record.edit_status !== EditStatus.CONFLICT && !isRemoval) || !record.edit_conflict) {
+        const error = new Error(`Transaction ${xanoId} has no edit conflict`);
+        error.code = 'NO_EDIT_CONFLICT';
+        throw error;
+      }
+
+      if (action === (isRemoval ? 'retry' : 'void')) {
+        const error = new Error(isRemoval
+          ? `Transaction ${xanoId} was removed in Actual: void or dismiss it`
+          : `Transaction ${xanoId} has an edit conflict: retry or dismiss it`);
+        error.code = 'INVALID_CONFLICT_ACTION';
+        throw error;
+      }
+
+      if (isRemoval) {
+        return await this.resolveRemoval(record, action);
+      }
+
+      const { actual: content, changes } = record.edit_conflict;
+
+      if (action === 'dismiss') {
+        await this.xanoClient.updateTransactionContent(record.id, {
+          content_hash: content.content_hash,
+          edit_status: null,
+          edit_conflict: null
+        });
+
+        this.logger.info(`Edit conflict on transaction ${record.id} dismissed, Xero left as it is`);
+        return { resolved: true, reason: null };
+      }
+
+      if (this.config.dry_run_mode) {
+        return { resolved: false, reason: 'Dry run mode is on' };
+      }
+
+      const reason = await this.propagateEdit(record, content);
+
+      if (reason) {
+        await this.flagEditConflict(record, content, changes, reason);
+        return { resolved: false, reason };
+      }
+
+      this.logger.info(`Edit conflict on transaction ${record.id} resolved, Xero bank transaction ${record.xero_transaction_id} updated`);
+      return { resolved: true, reason: null };
+    });
+  }
+
+  /**
+   * Void or keep the Xero document of a transaction removed in Actual
+   * @param {Object} record - Stored transaction flagged with edit_status "removed"
+   * @param {string} action - void or dismiss
+   * @returns {Promise<Object>} - { resolved, reason }
+   */
+  async resolveRemoval(record, action) {
+    if (action === 'dismiss') {
+      await this.xanoClient.updateTransactionContent(record.id, {
+        edit_status: EditStatus.REMOVAL_KEPT,
+        edit_conflict: null
+      });
+
+      this.logger.info(`Removal of transaction ${record.id} dismissed, Xero left as it is`);
+      return { resolved: true, reason: null };
+    }
+
+    if (this.config.dry_run_mode) {
+      return { resolved: false, reason: 'Dry run mode is on' };
+    }
+
+    const { removal } = record.edit_conflict;
+    const failure = await this.voidInXero(record, removal);
+
+    if (failure) {
+      await this.flagRemoval(record, removal, failure);
+      return { resolved: false, reason: failure };
+    }
+
+    return { resolved: true, reason: null };
+  }
+
+  /**
+   * Check stored transactions in the fetched window that Actual didn't return as eligible
+   * Only those are looked up, from the transactions the fetch already read; every transaction
+   * is read only when one of them is missing from the window (deleted, or moved out of it).
+   * A transaction that was deleted or that the eligibility rules no longer allow (e.g. no longer
+   * reconciled) is voided (see applyRemoval). One still eligible there just fell outside this
+   * fetch, e.g. its category left the group, and is left alone.
+   * @param {Date} since - Start of the fetched window
+   * @param {Date} until - End of the fetched window (optional)
+   * @param {Array} transactions - Transactions fetched from Actual Budget for the window
+   * @param {Object} syncOptions - Resolved sync options
+   * @returns {Promise<void>}
+   */
+  async detectRemovals(since, until, transactions, syncOptions) {
+    const fetchedIds = new Set(transactions.map(transaction => transaction.id));
+    let candidates;
+    let current;
+    let context;
+
+    try {
+      const records = await this.xanoClient.getTransactionsByDateRange(
+        since.toISOString().split('T')[0],
+        until ? until.toISOString().split('T')[0] : null
+      );
+
+      candidates = records.filter(record => !fetchedIds.has(record.actual_transaction_id) &&
+        record.status !== TransactionStatus.VOIDED &&
+        record.edit_status !== EditStatus.REMOVED &&
+        record.edit_status !== EditStatus.REMOVAL_KEPT);
+
+      if (candidates.length === 0) {
+        return;
+      }
+
+      current = await this.actualClient.getTransactionsById(candidates.map(record => record.actual_transaction_id));
+      context = await this.getEligibilityContext();
+    } catch (error) {
+      // The next sync checks them again
+      this.logger.warn(`Failed to check synced transactions for removals: ${error.message}`);
+      return;
+    }
+
+    for (const record of candidates) {
+      const transaction = current.get(record.actual_transaction_id);
+      let reason;
+
+      const evaluation = transaction ? this.eligibilityService.evaluate(transaction, context) : null;
+
+      if (!transaction) {
+        reason = 'Deleted in Actual';
+      } else if (!evaluation.eligible) {
+        reason = `No longer eligible in Actual - ${evaluation.reason}`;
+      } else {
+        continue;
+      }
+
+      this.stats.removalsDetected++;
+
+      try {
+        await this.applyRemoval(record, reason, syncOptions);
+      } catch (error) {
+        this.logger.warn(`Failed to handle removed transaction ${record.id}: ${error.message}`);
+      }
+    }
+
+    if (this.stats.removalsDetected > 0) {
+      this.logger.info(`Removed from Actual: ${this.stats.removalsDetected}, voided: ${this.stats.transactionsVoided}`);
+    }
+  }
+
+  /**
+   * Void a stored transaction that was deleted or un-reconciled in Actual
+   * Transactions not in Xero yet are just marked voided. Ones in Xero are voided
+   * there when void_removed_transactions is on, otherwise they are flagged
+   * (edit_status "removed") so the void can be confirmed or dismissed.
+   * @param {Object} record - Stored transaction
+   * @param {string} reason - How it was removed in Actual
+   * @param {Object} syncOptions - Resolved sync options
+   * @returns {Promise<void>}
+   */
+  async applyRemoval(record, reason, syncOptions) {
+    const inXero = !!(record.xero_transaction_id || record.xero_invoice_id);
+
+    if (syncOptions.dryRun) {
+      this.logger.info(`Dry run mode: transaction ${record.id} removed (${reason}), would ${inXero ? 'void it in Xero' : 'mark it voided'}`);
+      return;
+    }
+
+    if (!inXero) {
+      await this.xanoClient.markTransactionVoided(record.id, reason);
+      this.stats.transactionsVoided++;
+      return;
+    }
+
+    let failure = null;
+
+    if (this.config.void_removed_transactions === true) {
+      failure = await this.voidInXero(record, reason);
+
+      if (!failure) {
+        return;
+      }
+    }
+
+    await this.flagRemoval(record, reason, failure);
+    this.stats.errors.push({
+      type: 'TRANSACTION_REMOVED',
+      message: `Transaction removed (${reason}) but still in Xero${failure ? `: ${failure}` : ''}`,
+      transaction_id: record.actual_transaction_id,
+      xano_id: record.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+
+  /**
+   * Void the Xero document of a removed transaction, then mark the stored transaction voided
+   * @param {Object} record - Stored transaction with its Xero IDs
+   * @param {string} reason - How it was removed in Actual
+   * @returns {Promise<string|null>} - Why Xero wasn't changed, or null once it was
+   */
+  async voidInXero(record, reason) {
+    if (this.config.sync_to_xero !== true) {
+      return 'Xero sync is disabled';
+    }
+
+    try {
+      const result = await this.xeroClient.voidTransaction(record);
+      await this.xanoClient.markTransactionVoided(record.id, reason);
+
+      this.stats.transactionsVoided++;
+      this.logger.info(`Transaction ${record.id} removed (${reason}), Xero document ${record.xero_invoice_id || record.xero_transaction_id} is now ${result.xero_status}`);
+      return null;
+    } catch (error) {
+      this.logger.error(`Failed to void Xero document for transaction ${record.id}: ${error.message}`);
+      return `Xero void failed: ${error.message}`;
     }
   }
 
   /**
-   * Fetch reconciled transactions from Actual Budget for the business category group
+   * Flag a removed transaction whose Xero document is still there for review
+   * @param {Object} record - Stored transaction
+   * @param {string} removal - How it was removed in Actual
+   * @param {string} failure - Why voiding it in Xero failed (optional)
+   * @returns {Promise<Object>} - The flag, stored under edit_conflict
+   */
+  async flagRemoval(record, removal, failure = null) {
+    const reason = failure ? `${removal}; ${failure}` : removal;
+    const conflict = {
+      detected_at: new Date().toISOString(),
+      reason,
+      removal,
+      changes: []
+    };
+
+    await this.xanoClient.updateTransactionContent(record.id, {
+      edit_status: EditStatus.REMOVED,
+      edit_conflict: conflict
+    });
+
+    this.logger.warn(`Transaction ${record.id} was removed in Actual but is still in Xero: ${reason}`);
+    return conflict;
+  }
+
+  /**
+   * Move a route's watermark up to the newest transaction handled by this sync
+   * Transactions that failed to store keep the watermark at or before their date,
+   * so the next sync fetches them again.
+   * @param {string} key - Watermark key
+   * @param {Array} transactions - Transactions fetched by this sync
+   * @param {Array} storeErrors - Store errors from this sync
+   * @returns {Promise<void>}
+   */
+  async advanceWatermark(key, transactions, storeErrors) {
+    // Without the transaction ID we can't tell which date to retry from
+    if (storeErrors.some(error => !error.transaction_id)) {
+      this.logger.warn('Not moving the sync watermark: some transactions failed to store');
+      return;
+    }
+
+    const failedIds = new Set(storeErrors.map(error => error.transaction_id));
+    const dated = transactions.filter(transaction => transaction.date);
+    const failedDates = dated.filter(transaction => failedIds.has(transaction.id)).map(transaction => transaction.date).sort();
+    const synced = dated.filter(transaction => !failedIds.has(transaction.id) && (failedDates.length === 0 || transaction.date <= failedDates[0]));
+
+    if (synced.length === 0) {
+      return;
+    }
+
+    const date = synced.map(transaction => transaction.date).sort().pop();
+    let boundaryIds = synced.filter(transaction => transaction.date === date).map(transaction => transaction.id);
+    const previous = this.watermarkStore.get(key);
+
+    if (previous && previous.date === date) {
+      boundaryIds = [...new Set([...previous.boundary_ids, ...boundaryIds])].filter(id => !failedIds.has(id));
+    } else if (previous && previous.date > date && failedIds.size === 0) {
+      // Nothing newer than the watermark was synced
+      return;
+    }
+
+    try {
+      await this.watermarkStore.set(key, { date, boundary_ids: boundaryIds });
+      this.logger.info(`Sync watermark for ${key} moved to ${date} (${boundaryIds.length} transactions on that date)`);
+    } catch (error) {
+      // The next sync fetches from the old watermark and skips the duplicates
+      this.logger.warn(`Failed to save sync watermark: ${error.message}`);
+    }
+  }
+
+  /**
+   * Build the list of category group to Xero tenant routes for this sync
+   * Without configured routes the business category group syncs to the selected tenant
+   * @returns {Object[]} - Routes with tenantId, categoryGroupId and categoryGroupName
+   */
+  getSyncRoutes() {
+    const tenantRoutes = this.config.xero_tenant_routes || [];
+
+    if (tenantRoutes.length === 0) {
+      return [{
+        tenantId: this.xeroClient.defaultTenantId,
+        categoryGroupId: this.config.business_category_group_id || null,
+        categoryGroupName: this.config.business_category_group_name || null
+      }];
+    }
+
+    return tenantRoutes.map(route => ({
+      tenantId: route.tenant_id,
+      categoryGroupId: route.category_group_id || null,
+      categoryGroupName: route.category_group_name || null
+    }));
+  }
+
+  /**
+   * Get the distinct Xero tenants that transactions are synced to
+   * @returns {string[]} - Tenant IDs
+   */
+  getTenantIds() {
+    return [...new Set(this.getSyncRoutes().map(route => route.tenantId).filter(Boolean))];
+  }
+
+  /**
+   * Run work with the Xero and Xano clients scoped to a tenant
+   * The tenant only applies to calls made by the work itself, so web interface requests
+   * handled while a sync runs keep using the default tenant.
+   * @param {string|null} tenantId - Xero tenant ID (null = the default tenant)
+   * @param {Function} work - Async function to run
+   * @returns {Promise<*>} - What the work returns
+   */
+  runForTenant(tenantId, work) {
+    return runWithTenant(tenantId, work);
+  }
+
+  /**
+   * Fetch the transactions from Actual Budget for the business category group that the eligibility rules allow
+   * Transfers between two mapped bank accounts are added whatever their category (see pairTransfers).
    * @param {Date} since - Date to fetch transactions since
-   * @returns {Promise<Array>} - Array of reconciled transactions
+   * @param {Object} route - Optional sync route selecting the category group
+   * @param {Date} until - Optional last date to fetch transactions for
+   * @returns {Promise<Array>} - Array of eligible transactions
    */
-  async fetchReconciledTransactions(since) {
+  async fetchEligibleTransactions(since, route = {}, until = null) {
     try {
-      this.logger.info(`Fetching reconciled transactions since ${since.toISOString()}`);
+      this.logger.info(`Fetching transactions since ${since.toISOString()}${until ? ` until ${until.toISOString()}` : ''}`);
 
       // Determine category group ID
-      let categoryGroupId = this.config.business_category_group_id;
+      const categoryGroupId = await this.resolveCategoryGroupId(route.categoryGroupId, route.categoryGroupName);
+
+      const fetched = await this.pairTransfers(
+        await this.actualClient.getTransactions(categoryGroupId, since, until),
+        since,
+        until
+      );
+      const { eligible, ineligible } = this.eligibilityService.filter(fetched, await this.getEligibilityContext());
       
-      if (!categoryGroupId && this.config.business_category_group_name) {
-        this.logger.info(`Looking up category group by name: ${this.config.business_category_group_name}`);
-        const categoryGroup = await this.actualClient.findCategoryGroupByName(this.config.business_category_group_name);
-        
-        if (!categoryGroup) {
-          throw new Error(`Category group not found: ${this.config.business_category_group_name}`);
-        }
-        
-        categoryGroupId = categoryGroup.id;
-        this.logger.info(`Found category group ID: ${categoryGroupId}`);
+      this.stats.transactionsFetched += eligible.length;
+      this.stats.transactionsIneligible += ineligible.length;
+      this.logger.info(`Fetched ${eligible.length} eligible transactions (${ineligible.length} not eligible)`);
+
+      for (const { transaction, reason } of ineligible) {
+        this.logger.debug(`Skipping transaction ${transaction.id}: ${reason}`);
       }
 
-      // Fetch reconciled transactions
-      const transactions = await this.actualClient.getReconciledTransactions(categoryGroupId, since);
-      
-      this.stats.transactionsFetched = transactions.length;
-      this.logger.info(`Fetched ${transactions.length} reconciled transactions`);
+      await this.addActualNames(eligible);
 
-      return transactions;
+      return eligible;
 
     } catch (error) {
       this.stats.errors.push({
@@ -174,11 +1039,227 @@ class SyncService {
         timestamp: new Date().toISOString()
       });
 
-      this.logger.error(`Failed to fetch reconciled transactions: ${error.message}`);
+      this.logger.error(`Failed to fetch transactions: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Replace the legs of transfers between two business bank accounts with one transaction per transfer
+   * A transfer counts when both of its Actual accounts are mapped to Xero bank accounts.
+   * It is kept once, as the leg the money left, with the account it went to in
+   * transfer_account, so it becomes a single Xero bank transfer; the leg that received
+   * the money is dropped. Transfers within one Xero bank account are dropped entirely,
+   * and transfers to or from any other account are left as they are.
+   * @param {Array} transactions - Transactions fetched for a category group
+   * @param {Date} since - First date fetched
+   * @param {Date} until - Last date fetched (optional)
+   * @returns {Promise<Array>} - Transactions with the business transfers paired
+   */
+  async pairTransfers(transactions, since, until = null) {
+    const bankAccounts = new Map((await this.xanoClient.getAccountMappings())
+      .filter(mapping => mapping.xero_bank_account_id)
+      .map(mapping => [mapping.actual_account_id, mapping.xero_bank_account_id]));
+
+    if (bankAccounts.size < 2) {
+      return transactions;
+    }
+
+    const legs = new Map((await this.actualClient.getTransfers(since, until)).map(leg => [leg.id, leg]));
+    const isBusinessTransfer = (transaction) => {
+      const other = transaction.transfer_id ? legs.get(transaction.transfer_id) : null;
+      return !!other && bankAccounts.has(transaction.account) && bankAccounts.has(other.account);
+    };
+
+    const paired = transactions.filter(transaction => !isBusinessTransfer(transaction));
+    let transferCount = 0;
+
+    for (const leg of legs.values()) {
+      if (leg.amount >= 0 || !isBusinessTransfer(leg)) {
+        continue;
+      }
+
+      const other = legs.get(leg.transfer_id);
+      if (bankAccounts.get(leg.account) === bankAccounts.get(other.account)) {
+        this.logger.debug(`Skipping transfer ${leg.id}: both accounts are mapped to the same Xero bank account`);
+        continue;
+      }
+
+      paired.push({ ...leg, transfer_account: other.account });
+      transferCount++;
+    }
+
+    if (transferCount > 0) {
+      this.logger.info(`Found ${transferCount} transfers between mapped bank accounts`);
+    }
+
+    return paired;
+  }
+
+  /**
+   * Build what the eligibility rules need besides the transaction itself
+   * Account names are only fetched when a rule lists accounts.
+   * @returns {Promise<Object>} - { now, accountNames }
+   */
+  async getEligibilityContext() {
+    const context = { now: new Date(), accountNames: new Map() };
+
+    if (this.eligibilityService.usesAccounts()) {
+      const accounts = await this.actualClient.getAccounts();
+      context.accountNames = new Map(accounts.map(account => [account.id, account.name]));
+    }
+
+    return context;
+  }
+
+  /**
+   * Show which transactions in a date range the eligibility rules would sync, and why
+   * Nothing is stored or imported.
+   * @param {Object} options - Preview options
+   * @param {Date} options.since - First date (default: sync_days_back plus the longest min_age_days)
+   * @param {Date} options.until - Last date (optional)
+   * @returns {Promise<Object>} - { since, until, rules, summary, transactions }
+   */
+  async previewEligibility(options = {}) {
+    const days = (this.config.sync_days_back || 7) + this.eligibilityService.getLookbackDays();
+    const since = options.since || new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const until = options.until || null;
+    const context = await this.getEligibilityContext();
+    const transactions = [];
+    const seen = new Set();
+
+    for (const route of this.getSyncRoutes()) {
+      const categoryGroupId = await this.resolveCategoryGroupId(route.categoryGroupId, route.categoryGroupName);
+      const fetched = (await this.pairTransfers(await this.actualClient.getTransactions(categoryGroupId, since, until), since, until))
+        .filter(transaction => !seen.has(transaction.id));
+
+      await this.addActualNames(fetched);
+
+      for (const transaction of fetched) {
+        const evaluation = this.eligibilityService.evaluate(transaction, context);
+        seen.add(transaction.id);
+
+        transactions.push({
+          id: transaction.id,
+          date: transaction.date,
+          amount: transaction.amount / 100,
+          payee_name: transaction.payee_name || null,
+          category_name: transaction.category_name || null,
+          account: context.accountNames.get(transaction.account) || transaction.account || null,
+          cleared: transaction.cleared === true,
+          reconciled: transaction.reconciled === true,
+          notes: transaction.notes || '',
+          eligible: evaluation.eligible,
+          rule: evaluation.rule,
+          reason: evaluation.reason
+        });
+      }
+    }
+
+    transactions.sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+    const eligibleCount = transactions.filter(transaction => transaction.eligible).length;
+
+    return {
+      since: since.toISOString().split('T')[0],
+      until: until ? until.toISOString().split('T')[0] : null,
+      rules: this.eligibilityService.getRules(),
+      summary: {
+        total: transactions.length,
+        eligible: eligibleCount,
+        ineligible: transactions.length - eligibleCount
+      },
+      transactions
+    };
+  }
+
+  /**
+   * Attach Actual category, payee and account names to transactions (and split lines)
+   * The names are stored in Xano and used to match Xero accounts, contacts and bank accounts.
+   * A failed lookup is logged and the transactions are stored without names.
+   * @param {Array} transactions - Transactions from Actual Budget
+   * @returns {Promise<void>}
+   */
+  async addActualNames(transactions) {
+    if (transactions.length === 0) {
+      return;
+    }
+
+    try {
+      const [categories, payees, accounts] = await Promise.all([
+        this.actualClient.getCategories(),
+        this.actualClient.getPayees(),
+        // Account names only help suggest bank accounts, so a server without /accounts isn't fatal
+        this.actualClient.getAccounts().catch(error => {
+          this.logger.warn(`Failed to load account names: ${error.message}`);
+          return [];
+        })
+      ]);
+
+      const categoryNames = new Map(categories.map(category => [category.id, category.name]));
+      // Income categories map to revenue accounts and their payees to customers
+      const incomeCategoryIds = new Set(categories.filter(category => category.is_income).map(category => category.id));
+      const payeeNames = new Map(payees.map(payee => [payee.id, payee.name]));
+      const accountNames = new Map(accounts.map(account => [account.id, account.name]));
+
+      for (const transaction of transactions) {
+        transaction.category_name = categoryNames.get(transaction.category) || null;
+        transaction.category_is_income = incomeCategoryIds.has(transaction.category);
+        transaction.payee_name = payeeNames.get(transaction.payee) || null;
+        transaction.account_name = accountNames.get(transaction.account) || null;
+        if (transaction.transfer_account) {
+          transaction.transfer_account_name = accountNames.get(transaction.transfer_account) || null;
+        }
+
+        (transaction.split_lines || []).forEach(line => {
+          line.category_name = categoryNames.get(line.category) || null;
+          line.category_is_income = incomeCategoryIds.has(line.category);
+        });
+      }
+
+      const uncategorised = transactions.filter(t => !t.category).length;
+      const withoutPayee = transactions.filter(t => !t.payee).length;
+
+      if (uncategorised > 0 || withoutPayee > 0) {
+        this.logger.info(`${uncategorised} uncategorised and ${withoutPayee} payee-less transactions will use the fallback mapping`);
+      }
+
+    } catch (error) {
+      this.logger.warn(`Failed to load Actual names: ${error.message}`);
+      // Names only help automatic mapping resolution, so don't fail the sync
+    }
+  }
+
+  /**
+   * Resolve a category group ID, looking it up by name if needed
+   * Defaults to the configured business category group
+   * @param {string} groupId - Category group ID
+   * @param {string} groupName - Category group name
+   * @returns {Promise<string>} - Category group ID
+   * @throws {Error} If the category group cannot be found
+   */
+  async resolveCategoryGroupId(groupId = null, groupName = null) {
+    if (!groupId && !groupName) {
+      groupId = this.config.business_category_group_id;
+      groupName = this.config.business_category_group_name;
+    }
+
+    let categoryGroupId = groupId;
+    
+    if (!categoryGroupId && groupName) {
+      this.logger.info(`Looking up category group by name: ${groupName}`);
+      const categoryGroup = await this.actualClient.findCategoryGroupByName(groupName);
+      
+      if (!categoryGroup) {
+        throw new Error(`Category group not found: ${groupName}`);
+      }
+      
+      categoryGroupId = categoryGroup.id;
+      this.logger.info(`Found category group ID: ${categoryGroupId}`);
+    }
+
+    return categoryGroupId;
+  }
+
   /**
    * Store transactions in Xano with duplicate prevention
    * @param {Array} transactions - Transactions from Actual Budget
@@ -267,30 +1348,37 @@ class SyncService {
     try {
       this.logger.debug(`Tagging ${storedTransactions.length} transactions with status tags`);
 
-      for (const transaction of storedTransactions) {
-        try {
-          // Determine tags based on transaction status
-          let tags = '#xano';
-          
-          if (transaction.status === 'mapped') {
-            tags += ' #mapped';
-          } else if (transaction.status === 'imported') {
-            tags += ' #mapped #xero';
-          } else if (transaction.status === 'failed') {
-            tags += ' #failed';
-          }
-          
-          // Add Xano ID reference
-          if (transaction.id) {
-            tags += ` xano:${transaction.id}`;
-          }
-          
-          await this.actualClient.updateTransactionNotes(transaction.actual_transaction_id, tags);
-          this.logger.debug(`Tagged transaction ${transaction.actual_transaction_id} with: ${tags}`);
-        } catch (error) {
-          this.logger.warn(`Failed to tag transaction ${transaction.actual_transaction_id}: ${error.message}`);
-          // Don't fail the entire sync for tagging errors
+      const updates = storedTransactions.flatMap(transaction => {
+        // Determine tags based on transaction status
+        let tags = '#xano';
+        
+        if (transaction.status === 'mapped') {
+          tags += ' #mapped';
+        } else if (transaction.status === 'imported') {
+          tags += ' #mapped #xero';
+        } else if (transaction.status === 'failed') {
+          tags += ' #failed';
+        }
+        
+        // Add Xano ID reference
+        if (transaction.id) {
+          tags += ` xano:${transaction.id}`;
         }
+
+        const update = { transactionId: transaction.actual_transaction_id, tags };
+
+        // The leg that received a transfer is stored with the one that sent it
+        return this.documentService.isTransfer(transaction) && transaction.actual_transfer_id
+          ? [update, { transactionId: transaction.actual_transfer_id, tags }]
+          : [update];
+      });
+
+      // Current notes come from the sync's own fetch and the tags are written in batches
+      const result = await this.actualClient.updateTransactionNotesBatch(updates);
+
+      for (const failure of result.failed) {
+        this.logger.warn(`Failed to tag transaction ${failure.transactionId}: ${failure.error}`);
+        // Don't fail the entire sync for tagging errors
       }
 
     } catch (error) {
@@ -300,7 +1388,7 @@ class SyncService {
   }
 
   /**
-   * Resolve category and payee mappings for transactions
+   * Resolve category, payee and account mappings for transactions
    * @param {Array} transactions - Transactions from Xano
    * @returns {Promise<Array>} - Transactions with resolved mappings
    */
@@ -308,14 +1396,16 @@ class SyncService {
     try {
       this.logger.info(`Resolving mappings for ${transactions.length} transactions`);
 
-      // Extract unique category and payee IDs
-      const categoryIds = [...new Set(transactions.map(t => t.actual_category_id).filter(id => id))];
+      // Extract unique category and payee IDs (split transactions contribute each line's category)
+      const categoryIds = this.documentService.getCategoryIds(transactions);
       const payeeIds = [...new Set(transactions.map(t => t.actual_payee_id).filter(id => id))];
+      const accountIds = this.documentService.getAccountIds(transactions);
 
-      this.logger.debug(`Found ${categoryIds.length} unique categories and ${payeeIds.length} unique payees`);
+      this.logger.debug(`Found ${categoryIds.length} unique categories, ${payeeIds.length} unique payees and ${accountIds.length} unique accounts`);
 
       // Batch retrieve existing mappings
       const mappings = await this.xanoClient.batchGetMappings(categoryIds, payeeIds);
+      const accountMappings = accountIds.length > 0 ? await this.xanoClient.getAccountMappings(accountIds) : [];
       
       // Create lookup maps for efficient access
       const categoryMappingMap = new Map();
@@ -328,46 +1418,74 @@ class SyncService {
         payeeMappingMap.set(mapping.actual_payee_id, mapping);
       });
 
+      const accountMappingMap = new Map();
+      accountMappings.forEach(mapping => {
+        accountMappingMap.set(mapping.actual_account_id, mapping);
+      });
+
       // Identify transactions with missing mappings for automatic resolution
       const transactionsNeedingResolution = [];
       const missingCategoryMappings = new Map();
       const missingPayeeMappings = new Map();
+      const missingAccountMappings = new Map();
 
       for (const transaction of transactions) {
-        const categoryMapping = categoryMappingMap.get(transaction.actual_category_id);
-        const payeeMapping = payeeMappingMap.get(transaction.actual_payee_id);
-
-        const hasValidCategoryMapping = categoryMapping && categoryMapping.xero_account_id;
-        const hasValidPayeeMapping = payeeMapping && payeeMapping.xero_contact_id;
+        const mappingResult = this.documentService.applyMappings(transaction, categoryMappingMap, payeeMappingMap, accountMappingMap);
 
-        if (!hasValidCategoryMapping || !hasValidPayeeMapping) {
+        if (!mappingResult.complete) {
           transactionsNeedingResolution.push(transaction);
 
-          // Track missing category mappings
-          if (!hasValidCategoryMapping && transaction.actual_category_id && transaction.actual_category_name) {
-            missingCategoryMappings.set(transaction.actual_category_id, {
-              actual_category_id: transaction.actual_category_id,
-              actual_category_name: transaction.actual_category_name
-            });
+          // Track missing category mappings, including those of split lines
+          const splitLines = this.documentService.getSplitLines(transaction) || [];
+          for (const categoryId of mappingResult.missingCategoryIds) {
+            const line = splitLines.find(splitLine => splitLine.actual_category_id === categoryId);
+            const source = line || transaction;
+
+            if (categoryId && source.actual_category_name) {
+              missingCategoryMappings.set(categoryId, {
+                actual_category_id: categoryId,
+                actual_category_name: source.actual_category_name,
+                is_income: !!source.actual_category_is_income
+              });
+            }
           }
 
-          // Track missing payee mappings
-          if (!hasValidPayeeMapping && transaction.actual_payee_id && transaction.actual_payee_name) {
+          // Track missing payee mappings (a payee with any income transaction becomes a customer)
+          if (mappingResult.missingPayee && transaction.actual_payee_id && transaction.actual_payee_name) {
+            const existing = missingPayeeMappings.get(transaction.actual_payee_id);
             missingPayeeMappings.set(transaction.actual_payee_id, {
               actual_payee_id: transaction.actual_payee_id,
-              actual_payee_name: transaction.actual_payee_name
+              actual_payee_name: transaction.actual_payee_name,
+              is_customer: !!existing?.is_customer || this.documentService.isIncome(transaction)
+            });
+          }
+
+          // Track missing account mappings (only when there is no xero_bank_account_code to fall back on)
+          if (mappingResult.missingAccount && transaction.actual_account_id && transaction.actual_account_name) {
+            missingAccountMappings.set(transaction.actual_account_id, {
+              actual_account_id: transaction.actual_account_id,
+              actual_account_name: transaction.actual_account_name
+            });
+          }
+
+          // Track the account a transfer went to
+          if (mappingResult.missingTransferAccount && transaction.actual_transfer_account_id && transaction.actual_transfer_account_name) {
+            missingAccountMappings.set(transaction.actual_transfer_account_id, {
+              actual_account_id: transaction.actual_transfer_account_id,
+              actual_account_name: transaction.actual_transfer_account_name
             });
           }
         }
       }
 
       // Attempt automatic mapping resolution for missing mappings
-      if (missingCategoryMappings.size > 0 || missingPayeeMappings.size > 0) {
-        this.logger.info(`Attempting automatic resolution for ${missingCategoryMappings.size} categories and ${missingPayeeMappings.size} payees`);
+      if (missingCategoryMappings.size > 0 || missingPayeeMappings.size > 0 || missingAccountMappings.size > 0) {
+        this.logger.info(`Attempting automatic resolution for ${missingCategoryMappings.size} categories, ${missingPayeeMappings.size} payees and ${missingAccountMappings.size} accounts`);
         
         const resolutionResults = await this.attemptAutomaticMappingResolution(
           Array.from(missingCategoryMappings.values()),
-          Array.from(missingPayeeMappings.values())
+          Array.from(missingPayeeMappings.values()),
+          Array.from(missingAccountMappings.values())
         );
 
         // Update mapping maps with newly resolved mappings
@@ -379,9 +1497,15 @@ class SyncService {
           payeeMappingMap.set(mapping.actual_payee_id, mapping);
         });
 
-        this.stats.mappingsResolved += resolutionResults.resolvedCategories.length + resolutionResults.resolvedPayees.length;
+        resolutionResults.resolvedAccounts.forEach(mapping => {
+          accountMappingMap.set(mapping.actual_account_id, mapping);
+        });
+
+        this.stats.mappingsResolved += resolutionResults.resolvedCategories.length +
+          resolutionResults.resolvedPayees.length +
+          resolutionResults.resolvedAccounts.length;
         
-        this.logger.info(`Automatic resolution complete: ${resolutionResults.resolvedCategories.length} categories, ${resolutionResults.resolvedPayees.length} payees resolved`);
+        this.logger.info(`Automatic resolution complete: ${resolutionResults.resolvedCategories.length} categories, ${resolutionResults.resolvedPayees.length} payees, ${resolutionResults.resolvedAccounts.length} accounts resolved`);
       }
 
       // Process transactions and resolve mappings
@@ -389,27 +1513,12 @@ class SyncService {
       const mappingUpdates = [];
 
       for (const transaction of transactions) {
-        const categoryMapping = categoryMappingMap.get(transaction.actual_category_id);
-        const payeeMapping = payeeMappingMap.get(transaction.actual_payee_id);
-
-        // Check if transaction has all required mappings
-        const hasValidCategoryMapping = categoryMapping && categoryMapping.xero_account_id;
-        const hasValidPayeeMapping = payeeMapping && payeeMapping.xero_contact_id;
+        // Copies the mappings onto the transaction (and each split line) when complete
+        const mappingResult = this.documentService.applyMappings(transaction, categoryMappingMap, payeeMappingMap, accountMappingMap);
 
-        if (hasValidCategoryMapping && hasValidPayeeMapping) {
+        if (mappingResult.complete) {
           // Transaction has all mappings, prepare for Xero import
-          const mappingUpdate = {
-            xano_id: transaction.id,
-            xero_account_id: categoryMapping.xero_account_id,
-            xero_contact_id: payeeMapping.xero_contact_id
-          };
-
-          mappingUpdates.push(mappingUpdate);
-          
-          // Add mapping info to transaction for Xero import
-          transaction.xero_account_id = categoryMapping.xero_account_id;
-          transaction.xero_contact_id = payeeMapping.xero_contact_id;
-          transaction.xero_account_code = categoryMapping.xero_account_code;
+          mappingUpdates.push(mappingResult.mappingUpdate);
           
           mappedTransactions.push(transaction);
           this.stats.transactionsMapped++;
@@ -417,8 +1526,10 @@ class SyncService {
         } else {
           // Transaction is still missing mappings after automatic resolution
           const missingMappings = [];
-          if (!hasValidCategoryMapping) missingMappings.push('category');
-          if (!hasValidPayeeMapping) missingMappings.push('payee');
+          if (mappingResult.missingCategoryIds.length > 0) missingMappings.push(transaction.actual_category_id ? 'category' : 'fallback category');
+          if (mappingResult.missingPayee) missingMappings.push(transaction.actual_payee_id ? 'payee' : 'fallback payee');
+          if (mappingResult.missingAccount) missingMappings.push('bank account');
+          if (mappingResult.missingTransferAccount) missingMappings.push('transfer bank account');
 
           const errorMessage = `Missing ${missingMappings.join(' and ')} mapping(s) - automatic resolution failed`;
           
@@ -436,6 +1547,7 @@ class SyncService {
             xano_id: transaction.id,
             category_name: transaction.actual_category_name,
             payee_name: transaction.actual_payee_name,
+            account_name: transaction.actual_account_name,
             timestamp: new Date().toISOString()
           });
         }
@@ -451,10 +1563,7 @@ class SyncService {
           // Try individual updates as fallback
           for (const update of mappingUpdates) {
             try {
-              await this.xanoClient.updateTransactionMapping(update.xano_id, {
-                xero_account_id: update.xero_account_id,
-                xero_contact_id: update.xero_contact_id
-              });
+              await this.xanoClient.updateTransactionMapping(update.xano_id, update);
             } catch (individualError) {
               this.logger.warn(`Failed to update mapping for transaction ${update.xano_id}: ${individualError.message}`);
             }
@@ -502,13 +1611,15 @@ class SyncService {
         this.logger.info('No transactions ready for Xero import');
         return {
           imported: 0,
+          adopted: 0,
           failed: validation.blocked.length,
           errors: validation.blocked.map(b => ({
             type: 'MISSING_MAPPINGS',
             transaction_id: b.transaction.actual_transaction_id,
             xano_id: b.transaction.id,
             message: `Missing ${b.missingCategory ? 'category' : ''} ${b.missingCategory && b.missingPayee ? 'and ' : ''}${b.missingPayee ? 'payee' : ''} mapping(s)`
-          }))
+          })),
+          duplicates: []
         };
       }
 
@@ -516,21 +1627,35 @@ class SyncService {
       const batches = this.createBatches(validation.ready, batchSize);
       const importResults = {
         imported: 0,
+        adopted: 0,
         failed: 0,
         errors: [],
-        xeroUpdates: []
+        duplicates: [],
+        xeroUpdates: [],
+        importedIds: []
       };
 
       for (let i = 0; i < batches.length; i++) {
         const batch = batches[i];
+
+        // Stop once today's Xero API quota is used up; reprocessing picks the rest up later
+        if (this.xeroClient.isQuotaExhausted && this.xeroClient.isQuotaExhausted()) {
+          const remaining = batches.slice(i).flat();
+          await this.deferTransactionsForQuota(remaining, importResults);
+          break;
+        }
+
         this.logger.debug(`Processing Xero import batch ${i + 1}/${batches.length} (${batch.length} transactions)`);
 
         const batchResults = await this.processBatchXeroImport(batch);
         
         importResults.imported += batchResults.imported;
+        importResults.adopted += batchResults.adopted;
         importResults.failed += batchResults.failed;
         importResults.errors.push(...batchResults.errors);
+        importResults.duplicates.push(...batchResults.duplicates);
         importResults.xeroUpdates.push(...batchResults.xeroUpdates);
+        importResults.importedIds.push(...batchResults.importedIds);
       }
 
       // Bulk update Xano with Xero import results
@@ -538,17 +1663,28 @@ class SyncService {
         await this.updateXanoWithXeroResults(importResults.xeroUpdates);
       }
 
+      // Tag imported transactions in Actual Budget
+      await this.tagTransactionsAsImported(importResults.importedIds);
+
       // Update statistics
       this.stats.transactionsImported += importResults.imported;
+      this.stats.transactionsAdopted += importResults.adopted;
       this.stats.transactionsFailed += importResults.failed + validation.blocked.length;
       this.stats.errors.push(...importResults.errors);
+      this.stats.xeroDuplicates.push(...importResults.duplicates);
+
+      this.logger.info(`Xero import complete: ${importResults.imported} imported (${importResults.adopted} already in Xero), ${importResults.failed + validation.blocked.length} failed`);
 
-      this.logger.info(`Xero import complete: ${importResults.imported} imported, ${importResults.failed + validation.blocked.length} failed`);
+      if (importResults.duplicates.length > 0) {
+        this.logger.warn(`${importResults.duplicates.length} references have duplicate documents in Xero, check them manually`);
+      }
 
       return {
         imported: importResults.imported,
+        adopted: importResults.adopted,
         failed: importResults.failed + validation.blocked.length,
-        errors: importResults.errors
+        errors: importResults.errors,
+        duplicates: importResults.duplicates
       };
 
     } catch (error) {
@@ -563,6 +1699,30 @@ class SyncService {
     }
   }
 
+  /**
+   * Leave transactions for a later run because the Xero daily API quota is used up
+   * They are marked as failed, so reprocessing retries them once the quota resets.
+   * @param {Array} transactions - Transactions not sent to Xero
+   * @param {Object} importResults - Import results to add the failures to
+   */
+  async deferTransactionsForQuota(transactions, importResults) {
+    const quota = this.xeroClient.getStatus().quota || {};
+    const message = `Xero daily API limit reached, retry after ${quota.resumeAt || 'the quota resets'}`;
+
+    this.logger.warn(`${message}: ${transactions.length} transactions left for reprocessing`);
+
+    importResults.failed += transactions.length;
+    importResults.errors.push({
+      type: 'XERO_QUOTA_EXHAUSTED',
+      message: `${message} (${transactions.length} transactions deferred)`,
+      timestamp: new Date().toISOString()
+    });
+
+    for (const transaction of transactions) {
+      await this.markTransactionAsFailed(transaction.id, message);
+    }
+  }
+
   /**
    * Process a batch of transactions for Xero import
    * @param {Array} batch - Batch of transactions to import
@@ -571,45 +1731,76 @@ class SyncService {
   async processBatchXeroImport(batch) {
     const results = {
       imported: 0,
+      adopted: 0,
       failed: 0,
       errors: [],
-      xeroUpdates: []
+      duplicates: [],
+      xeroUpdates: [],
+      // Actual Budget transactions to tag with #xero once all batches are done
+      importedIds: []
     };
 
-    for (const transaction of batch) {
-      try {
-        // Generate Xero reference using Xano ID
-        const xeroReference = this.generateXeroReference(transaction.id);
-        
-        // Format transaction for Xero with comprehensive validation
-        const xeroTransactionData = await this.formatTransactionForXero(transaction, xeroReference);
+    const items = batch.map(transaction => {
+      // Generate Xero reference using Xano ID
+      const xeroReference = this.generateXeroReference(transaction.id);
+      return {
+        transaction,
+        xeroReference,
+        // Retry logic for the Xero calls made by the direct sink; creates that got no response
+        // aren't retried, as Xero may have made them (reprocessing looks them up by reference)
+        runOperation: (operation, description) => this.retryXeroOperation(operation, description, transaction, xeroReference, { retryWithoutResponse: false })
+      };
+    });
 
-        // Validate Xero transaction data before sending
-        const validationResult = this.validateXeroTransactionData(xeroTransactionData);
-        if (!validationResult.isValid) {
-          throw new Error(`Transaction validation failed: ${validationResult.errors.join(', ')}`);
-        }
+    // With more than one transaction, bank transactions are created in a single Xero call
+    const referenceRange = `${items[0].xeroReference}..${items[items.length - 1].xeroReference}`;
+    const outcomes = await this.xeroSink.importBatch(items, {
+      batchCreate: batch.length > 1,
+      // Retrying a batch PUT without a response could create it twice; the failed transactions
+      // are looked up by reference when they are reprocessed instead
+      runBatchOperation: (operation, description) => this.retryXeroOperation(operation, description, null, referenceRange, { retryWithoutResponse: false })
+    });
 
-        // Create transaction in Xero with retry logic
-        const xeroResult = await this.createXeroTransactionWithRetry(xeroTransactionData, transaction);
+    for (const { transaction, xeroReference, result: xeroResult, error, adopted, duplicates } of outcomes) {
+      // More than one Xero document carries this reference
+      if (duplicates && duplicates.length > 0) {
+        results.duplicates.push({
+          transaction_id: transaction.actual_transaction_id,
+          xano_id: transaction.id,
+          xero_reference: xeroReference,
+          xero_ids: duplicates
+        });
+      }
 
+      if (!error) {
         // Prepare update for Xano
         results.xeroUpdates.push({
           xano_id: transaction.id,
           xero_transaction_id: xeroResult.xero_transaction_id,
+          xero_document_type: xeroResult.xero_document_type,
+          xero_invoice_id: xeroResult.xero_invoice_id,
+          xero_payment_id: xeroResult.xero_payment_id,
+          xero_bank_transfer_id: xeroResult.xero_bank_transfer_id || null,
+          ...this.documentService.getCurrencyAmounts(transaction, xeroResult.xero_currency_rate),
           xero_imported_date: new Date().toISOString(),
           xero_reference: xeroReference,
           xero_status: xeroResult.xero_status || 'AUTHORISED'
         });
 
         results.imported++;
+        if (adopted) {
+          results.adopted++;
+        }
 
-        // Tag transaction in Actual Budget
-        await this.tagTransactionAsImported(transaction.actual_transaction_id);
+        results.importedIds.push(transaction.actual_transaction_id);
 
-        this.logger.debug(`Successfully imported transaction ${transaction.id} to Xero: ${xeroResult.xero_transaction_id}`);
+        // Both legs of a transfer carry the tags
+        if (this.documentService.isTransfer(transaction) && transaction.actual_transfer_id) {
+          results.importedIds.push(transaction.actual_transfer_id);
+        }
 
-      } catch (error) {
+        this.logger.debug(`Successfully imported transaction ${transaction.id} to Xero via ${this.xeroSink.type} sink: ${xeroResult.xero_transaction_id}`);
+      } else {
         results.failed++;
         
         const errorDetails = {
@@ -618,15 +1809,16 @@ class SyncService {
           transaction_id: transaction.actual_transaction_id,
           xano_id: transaction.id,
           timestamp: new Date().toISOString(),
-          xero_reference: this.generateXeroReference(transaction.id)
+          xero_reference: xeroReference,
+          xero_sink: this.xeroSink.type
         };
 
         results.errors.push(errorDetails);
 
-        // Mark transaction as failed in Xano
-        await this.markTransactionAsFailed(transaction.id, `Xero import failed: ${error.message}`);
+        // Mark transaction as failed in Xano, keeping the ID of a bill or invoice that still needs paying
+        await this.markTransactionAsFailed(transaction.id, `Xero import failed: ${error.message}`, error.partialResult);
 
-        this.logger.error(`Failed to import transaction ${transaction.id} to Xero: ${error.message}`);
+        this.logger.error(`Failed to import transaction ${transaction.id} to Xero via ${this.xeroSink.type} sink: ${error.message}`);
       }
     }
 
@@ -649,66 +1841,11 @@ class SyncService {
    * Format transaction for Xero API with comprehensive validation
    * @param {Object} transaction - Transaction from Xano
    * @param {string} xeroReference - Xero reference
-   * @returns {Promise<Object>} - Xero-formatted transaction
+   * @returns {Promise<Object>} - Xero-formatted bank transaction, bill or invoice
    */
   async formatTransactionForXero(transaction, xeroReference) {
     try {
-      // Validate required fields
-      if (!transaction.xero_account_id) {
-        throw new Error('Xero account ID is required');
-      }
-      if (!transaction.xero_contact_id) {
-        throw new Error('Xero contact ID is required');
-      }
-      if (!transaction.amount || transaction.amount === 0) {
-        throw new Error('Transaction amount must be non-zero');
-      }
-
-      // Format date for Xero (YYYY-MM-DD)
-      const transactionDate = new Date(transaction.transaction_date);
-      if (isNaN(transactionDate.getTime())) {
-        throw new Error('Invalid transaction date');
-      }
-      const formattedDate = transactionDate.toISOString().split('T')[0];
-
-      // Determine transaction type and amount
-      const isSpend = transaction.amount < 0;
-      const absoluteAmount = Math.abs(transaction.amount);
-
-      // Validate amount is reasonable
-      if (absoluteAmount > 1000000) {
-        this.logger.warn(`Large transaction amount detected: ${absoluteAmount} for transaction ${transaction.id}`);
-      }
-
-      // Format description with fallback
-      const description = transaction.description || 
-                         `Transaction from Actual Budget (${transaction.actual_transaction_id})`;
-
-      // Build Xero transaction object
-      const xeroTransaction = {
-        Type: isSpend ? 'SPEND' : 'RECEIVE',
-        Contact: {
-          ContactID: transaction.xero_contact_id
-        },
-        Date: formattedDate,
-        Reference: xeroReference,
-        Status: 'AUTHORISED', // Automatically authorize the transaction
-        LineItems: [{
-          Description: description.substring(0, 4000), // Xero has a 4000 character limit
-          Quantity: 1,
-          UnitAmount: absoluteAmount,
-          AccountID: transaction.xero_account_id,
-          TaxType: 'NONE' // Default tax type, can be configured
-        }]
-      };
-
-      // Add account code if available
-      if (transaction.xero_account_code) {
-        xeroTransaction.LineItems[0].AccountCode = transaction.xero_account_code;
-      }
-
-      return xeroTransaction;
-
+      return this.documentService.formatDocument(transaction, xeroReference);
     } catch (error) {
       this.logger.error(`Failed to format transaction ${transaction.id} for Xero: ${error.message}`);
       throw error;
@@ -718,55 +1855,12 @@ class SyncService {
   /**
    * Validate Xero transaction data before sending to API
    * @param {Object} xeroTransaction - Formatted Xero transaction
+   * @param {string} documentType - Document type (default: bank_transaction)
+   * @param {Object} transaction - Transaction with resolved mappings (bills and invoices are paid from its bank account)
    * @returns {Object} - Validation result
    */
-  validateXeroTransactionData(xeroTransaction) {
-    const errors = [];
-
-    // Required fields validation
-    if (!xeroTransaction.Type || !['SPEND', 'RECEIVE'].includes(xeroTransaction.Type)) {
-      errors.push('Transaction type must be SPEND or RECEIVE');
-    }
-
-    if (!xeroTransaction.Contact?.ContactID) {
-      errors.push('Contact ID is required');
-    }
-
-    if (!xeroTransaction.Date || !/^\d{4}-\d{2}-\d{2}$/.test(xeroTransaction.Date)) {
-      errors.push('Date must be in YYYY-MM-DD format');
-    }
-
-    if (!xeroTransaction.Reference || xeroTransaction.Reference.length > 255) {
-      errors.push('Reference is required and must be 255 characters or less');
-    }
-
-    // Line items validation
-    if (!xeroTransaction.LineItems || xeroTransaction.LineItems.length === 0) {
-      errors.push('At least one line item is required');
-    } else {
-      const lineItem = xeroTransaction.LineItems[0];
-      
-      if (!lineItem.AccountID) {
-        errors.push('Account ID is required for line item');
-      }
-
-      if (!lineItem.UnitAmount || lineItem.UnitAmount <= 0) {
-        errors.push('Unit amount must be greater than zero');
-      }
-
-      if (lineItem.UnitAmount > 999999999.99) {
-        errors.push('Unit amount exceeds maximum allowed value');
-      }
-
-      if (!lineItem.Description || lineItem.Description.trim().length === 0) {
-        errors.push('Description is required for line item');
-      }
-    }
-
-    return {
-      isValid: errors.length === 0,
-      errors
-    };
+  validateXeroTransactionData(xeroTransaction, documentType, transaction = {}) {
+    return this.documentService.validateDocument(xeroTransaction, documentType, transaction);
   }
 
   /**
@@ -776,31 +1870,53 @@ class SyncService {
    * @returns {Promise<Object>} - Xero creation result
    */
   async createXeroTransactionWithRetry(xeroTransactionData, originalTransaction) {
+    return this.retryXeroOperation(
+      () => this.xeroClient.createTransaction({
+        ...xeroTransactionData,
+        xano_id: originalTransaction.id // Include for reference generation
+      }),
+      'transaction',
+      originalTransaction,
+      xeroTransactionData.Reference,
+      { retryWithoutResponse: false }
+    );
+  }
+
+  /**
+   * Run a Xero API call with retry logic for transient failures
+   * @param {Function} operation - Async function making the Xero call
+   * @param {string} description - What is being created (for logging)
+   * @param {Object} originalTransaction - Original transaction for context (null for a batch)
+   * @param {string} xeroReference - Xero reference (or reference range) for logging
+   * @param {Object} options - Retry options
+   * @param {boolean} options.retryWithoutResponse - Retry timeouts and network errors, where Xero may have
+   * processed the request (default: true)
+   * @returns {Promise<Object>} - Result of the operation
+   */
+  async retryXeroOperation(operation, description, originalTransaction, xeroReference, options = {}) {
     const maxRetries = 3;
     const baseDelay = 1000; // 1 second
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        this.logger.debug(`Creating Xero transaction (attempt ${attempt}/${maxRetries}): ${xeroTransactionData.Reference}`);
+        this.logger.debug(`Creating Xero ${description} (attempt ${attempt}/${maxRetries}): ${xeroReference}`);
 
-        const result = await this.xeroClient.createTransaction({
-          ...xeroTransactionData,
-          xano_id: originalTransaction.id // Include for reference generation
-        });
+        const result = await operation();
 
-        this.logger.debug(`Successfully created Xero transaction: ${result.xero_transaction_id}`);
+        this.logger.debug(`Successfully created Xero ${description}: ${xeroReference}`);
         return result;
 
       } catch (error) {
         const isLastAttempt = attempt === maxRetries;
-        const isRetryableError = this.isRetryableXeroError(error);
+        const isRetryableError = this.isRetryableXeroError(error) &&
+          (options.retryWithoutResponse !== false || !this.isNoResponseXeroError(error));
 
         if (isLastAttempt || !isRetryableError) {
           // Log detailed error information
-          this.logger.error(`Failed to create Xero transaction after ${attempt} attempts: ${error.message}`, {
-            transaction_id: originalTransaction.actual_transaction_id,
-            xano_id: originalTransaction.id,
-            xero_reference: xeroTransactionData.Reference,
+          this.logger.error(`Failed to create Xero ${description} after ${attempt} attempts: ${error.message}`, {
+            transaction_id: originalTransaction?.actual_transaction_id,
+            xano_id: originalTransaction?.id,
+            xero_reference: xeroReference,
             error_code: error.code,
             error_status: error.statusCode
           });
@@ -810,7 +1926,7 @@ class SyncService {
 
         // Wait before retry with exponential backoff
         const delay = baseDelay * Math.pow(2, attempt - 1);
-        this.logger.warn(`Xero transaction creation failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
+        this.logger.warn(`Xero ${description} creation failed (attempt ${attempt}), retrying in ${delay}ms: ${error.message}`);
         
         await new Promise(resolve => setTimeout(resolve, delay));
       }
@@ -930,9 +2046,11 @@ class SyncService {
 
       // Update status to mapped
       for (const update of resetUpdates) {
+        const transaction = transactionsWithMappings.find(t => t.id === update.xano_id);
         await this.xanoClient.updateTransactionMapping(update.xano_id, {
-          xero_account_id: transactionsWithMappings.find(t => t.id === update.xano_id).xero_account_id,
-          xero_contact_id: transactionsWithMappings.find(t => t.id === update.xano_id).xero_contact_id
+          xero_account_id: transaction.xero_account_id,
+          xero_contact_id: transaction.xero_contact_id,
+          xero_tax_type: transaction.xero_tax_type
         });
       }
 
@@ -1200,6 +2318,16 @@ class SyncService {
     return recommendations;
   }
 
+  /**
+   * Determine if a Xero call failed without a response (a timeout or network error),
+   * so Xero may or may not have processed it
+   * @param {Error} error - Error from Xero API
+   * @returns {boolean} - True if no HTTP response was received
+   */
+  isNoResponseXeroError(error) {
+    return !error.statusCode && !(error.originalError && error.originalError.statusCode);
+  }
+
   /**
    * Determine if a Xero error is retryable
    * @param {Error} error - Error from Xero API
@@ -1241,6 +2369,7 @@ class SyncService {
       const missingMappings = [];
       if (blocked.missingCategory) missingMappings.push('category');
       if (blocked.missingPayee) missingMappings.push('payee');
+      if (blocked.missingTransferAccounts) missingMappings.push('transfer bank account');
 
       const errorMessage = `Missing ${missingMappings.join(' and ')} mapping(s)`;
       
@@ -1292,10 +2421,7 @@ class SyncService {
       // Try individual updates as fallback
       for (const update of xeroUpdates) {
         try {
-          await this.xanoClient.updateTransactionXeroImport(update.xano_id, {
-            xero_transaction_id: update.xero_transaction_id,
-            xero_imported_date: update.xero_imported_date
-          });
+          await this.xanoClient.updateTransactionXeroImport(update.xano_id, update);
         } catch (individualError) {
           this.logger.warn(`Failed to update Xero import data for transaction ${update.xano_id}: ${individualError.message}`);
         }
@@ -1304,14 +2430,22 @@ class SyncService {
   }
 
   /**
-   * Tag transaction in Actual Budget as imported to Xero
-   * @param {string} actualTransactionId - Actual Budget transaction ID
+   * Tag transactions in Actual Budget as imported to Xero
+   * @param {string[]} actualTransactionIds - Actual Budget transaction IDs
    */
-  async tagTransactionAsImported(actualTransactionId) {
+  async tagTransactionsAsImported(actualTransactionIds) {
+    if (actualTransactionIds.length === 0) {
+      return;
+    }
+
     try {
-      await this.actualClient.addXeroTag(actualTransactionId);
+      const result = await this.actualClient.addXeroTags(actualTransactionIds);
+
+      for (const failure of result.failed) {
+        this.logger.warn(`Failed to tag transaction ${failure.transactionId} with #xero: ${failure.error}`);
+      }
     } catch (error) {
-      this.logger.warn(`Failed to tag transaction ${actualTransactionId} with #xero: ${error.message}`);
+      this.logger.warn(`Failed to tag ${actualTransactionIds.length} transactions with #xero: ${error.message}`);
       // Don't fail the import for tagging errors
     }
   }
@@ -1320,131 +2454,48 @@ class SyncService {
    * Mark transaction as failed in Xano
    * @param {number} xanoId - Xano transaction ID
    * @param {string} errorMessage - Error message
+   * @param {Object} xeroData - Xero IDs already created for the transaction (optional)
    */
-  async markTransactionAsFailed(xanoId, errorMessage) {
+  async markTransactionAsFailed(xanoId, errorMessage, xeroData = null) {
     try {
-      await this.xanoClient.markTransactionFailed(xanoId, errorMessage);
+      await this.xanoClient.markTransactionFailed(xanoId, errorMessage, xeroData);
     } catch (error) {
       this.logger.warn(`Failed to mark transaction ${xanoId} as failed: ${error.message}`);
       // Don't fail the import for status update errors
     }
   }
 
-  /**
-   * Create batches from an array of items
-   * @param {Array} items - Items to batch
-   * @param {number} batchSize - Size of each batch
-   * @returns {Array<Array>} - Array of batches
-   */
-  createBatches(items, batchSize) {
-    const batches = [];
-    for (let i = 0; i < items.length; i += batchSize) {
-      batches.push(items.slice(i, i + batchSize));
-    }
-    return batches;
-  }
-
-  /**
-   * Reset sync statistics
-   */
-  resetStats() {
-    this.stats = {
-      transactionsFetched: 0,
-      transactionsStored: 0,
-      duplicatesSkipped: 0,
-      transactionsMapped: 0,
-      transactionsImported: 0,
-      transactionsFailed: 0,
-      mappingsResolved: 0,
-      errors: []
-    };
-  }
-
-  /**
-   * Get sync results with statistics
-   * @param {number} startTime - Sync start time in milliseconds
-   * @returns {Object} - Sync results
-   */
-  getSyncResults(startTime) {
-    const endTime = Date.now();
-    const duration = endTime - startTime;
-
-    return {
-      success: this.stats.errors.filter(e => e.type !== 'MISSING_MAPPINGS').length === 0,
-      duration,
-      statistics: {
-        transactionsFetched: this.stats.transactionsFetched,
-        transactionsStored: this.stats.transactionsStored,
-        duplicatesSkipped: this.stats.duplicatesSkipped,
-        transactionsMapped: this.stats.transactionsMapped,
-        transactionsImported: this.stats.transactionsImported,
-        transactionsFailed: this.stats.transactionsFailed,
-        totalErrors: this.stats.errors.length,
-        mappingErrors: this.stats.errors.filter(e => e.type === 'MISSING_MAPPINGS').length
-      },
-      errors: this.stats.errors,
-      summary: this.generateSyncSummary()
-    };
-  }
-
-  /**
-   * Generate human-readable sync summary
-   * @returns {string} - Sync summary
-   */
-  generateSyncSummary() {
-    const lines = [];
-    
-    lines.push(`Sync Summary:`);
-    lines.push(`- Fetched ${this.stats.transactionsFetched} reconciled transactions`);
-    lines.push(`- Stored ${this.stats.transactionsStored} new transactions (${this.stats.duplicatesSkipped} duplicates skipped)`);
-    lines.push(`- Mapped ${this.stats.transactionsMapped} transactions with valid mappings`);
-    lines.push(`- Imported ${this.stats.transactionsImported} transactions to Xero`);
-    
-    if (this.stats.transactionsFailed > 0) {
-      lines.push(`- Failed ${this.stats.transactionsFailed} transactions (see errors for details)`);
-    }
-    
-    if (this.stats.errors.length > 0) {
-      const mappingErrors = this.stats.errors.filter(e => e.type === 'MISSING_MAPPINGS').length;
-      const otherErrors = this.stats.errors.length - mappingErrors;
-      
-      if (mappingErrors > 0) {
-        lines.push(`- ${mappingErrors} transactions skipped due to missing mappings`);
-      }
-      
-      if (otherErrors > 0) {
-        lines.push(`- ${otherErrors} other errors occurred during sync`);
-      }
-    }
-
-    return lines.join('\n');
-  }
-
   /**
    * Attempt automatic mapping resolution by searching Xero for missing mappings
-   * @param {Array} missingCategories - Categories needing resolution
-   * @param {Array} missingPayees - Payees needing resolution
+   * Income categories are matched to revenue accounts and customer payees created as customers.
+   * @param {Array} missingCategories - Categories needing resolution ({ actual_category_id, actual_category_name, is_income })
+   * @param {Array} missingPayees - Payees needing resolution ({ actual_payee_id, actual_payee_name, is_customer })
+   * @param {Array} missingAccounts - Accounts needing a Xero bank account (optional)
    * @returns {Promise<Object>} - Resolution results with resolved mappings
    */
-  async attemptAutomaticMappingResolution(missingCategories, missingPayees) {
+  async attemptAutomaticMappingResolution(missingCategories, missingPayees, missingAccounts = []) {
     try {
       this.logger.debug(`Attempting automatic resolution for ${missingCategories.length} categories and ${missingPayees.length} payees`);
 
       const results = {
         resolvedCategories: [],
         resolvedPayees: [],
+        resolvedAccounts: [],
         failedCategories: [],
-        failedPayees: []
+        failedPayees: [],
+        failedAccounts: []
       };
 
       // Resolve category mappings by searching Xero
       for (const categoryData of missingCategories) {
         try {
-          this.logger.debug(`Searching Xero for category: ${categoryData.actual_category_name}`);
+          this.logger.debug(`Searching Xero for ${categoryData.is_income ? 'income' : 'expense'} category: ${categoryData.actual_category_name}`);
 
-          // Search for matching account in Xero with fuzzy matching
+          const accountOptions = this.xeroClient.getCategoryAccountOptions(categoryData.is_income);
+
+          // Search for matching account of the right class in Xero with fuzzy matching
           const matchingAccounts = await this.xeroClient.searchAccounts(categoryData.actual_category_name, {
-            type: 'EXPENSE',
+            accountClass: accountOptions.accountClass,
             includeArchived: false,
             limit: 5
           });
@@ -1474,7 +2525,7 @@ class SyncService {
               try {
                 const newAccount = await this.xeroClient.createAccount({
                   name: categoryData.actual_category_name,
-                  type: 'EXPENSE',
+                  type: accountOptions.type,
                   code: this.generateAccountCode(categoryData.actual_category_name)
                 });
 
@@ -1553,8 +2604,8 @@ class SyncService {
               try {
                 const newContact = await this.xeroClient.createContact({
                   name: payeeData.actual_payee_name,
-                  isSupplier: true,
-                  isCustomer: false
+                  is_supplier: !payeeData.is_customer,
+                  is_customer: !!payeeData.is_customer
                 });
 
                 // Create mapping with new contact
@@ -1596,7 +2647,14 @@ class SyncService {
         }
       }
 
-      this.logger.debug(`Automatic resolution complete: ${results.resolvedCategories.length}/${missingCategories.length} categories, ${results.resolvedPayees.length}/${missingPayees.length} payees resolved`);
+      // Resolve account mappings by matching Xero bank account names
+      if (missingAccounts.length > 0) {
+        const accountResults = await this.suggestAccountMappings(missingAccounts);
+        results.resolvedAccounts = accountResults.resolved;
+        results.failedAccounts = accountResults.failed;
+      }
+
+      this.logger.debug(`Automatic resolution complete: ${results.resolvedCategories.length}/${missingCategories.length} categories, ${results.resolvedPayees.length}/${missingPayees.length} payees, ${results.resolvedAccounts.length}/${missingAccounts.length} accounts resolved`);
 
       return results;
 
@@ -1606,6 +2664,62 @@ class SyncService {
     }
   }
 
+  /**
+   * Map Actual accounts to the Xero bank accounts with the closest names
+   * Unlike categories and payees, no Xero bank account is created when nothing matches.
+   * @param {Array} accounts - Accounts needing resolution ({ actual_account_id, actual_account_name })
+   * @returns {Promise<Object>} - { resolved, failed }: stored mappings, and { account, reason }
+   */
+  async suggestAccountMappings(accounts) {
+    const results = { resolved: [], failed: [] };
+
+    let bankAccounts;
+    try {
+      bankAccounts = await this.xeroClient.getBankAccounts();
+    } catch (error) {
+      this.logger.warn(`Failed to get Xero bank accounts for account mapping: ${error.message}`);
+      results.failed = accounts.map(account => ({ account, reason: error.message }));
+      return results;
+    }
+
+    for (const accountData of accounts) {
+      try {
+        const suggestion = this.xeroClient.suggestBankAccount(accountData.actual_account_name, bankAccounts);
+
+        if (!suggestion) {
+          this.logger.debug(`No Xero bank account matches account "${accountData.actual_account_name}"`);
+          results.failed.push({
+            account: accountData,
+            reason: 'No Xero bank account with a matching name'
+          });
+          continue;
+        }
+
+        const bankAccount = suggestion.match;
+        const createdMapping = await this.xanoClient.upsertAccountMapping({
+          actual_account_id: accountData.actual_account_id,
+          actual_account_name: accountData.actual_account_name,
+          xero_bank_account_id: bankAccount.xero_account_id,
+          xero_bank_account_name: bankAccount.name,
+          xero_bank_account_code: bankAccount.code,
+          is_active: true
+        });
+        results.resolved.push(createdMapping);
+
+        this.logger.info(`Auto-resolved account mapping: "${accountData.actual_account_name}" -> "${bankAccount.name}" (score: ${suggestion.score.toFixed(2)})`);
+
+      } catch (error) {
+        this.logger.error(`Error resolving account mapping for "${accountData.actual_account_name}": ${error.message}`);
+        results.failed.push({
+          account: accountData,
+          reason: error.message
+        });
+      }
+    }
+
+    return results;
+  }
+
   /**
    * Generate a unique account code for new Xero accounts
    * @param {string} accountName - Account name to generate code from
@@ -1715,7 +2829,8 @@ class SyncService {
       if (transaction.actual_category_id && transaction.actual_category_name) {
         uniqueCategories.set(transaction.actual_category_id, {
           actual_category_id: transaction.actual_category_id,
-          actual_category_name: transaction.actual_category_name
+          actual_category_name: transaction.actual_category_name,
+          is_income: !!transaction.actual_category_is_income
         });
       }
     });
@@ -1732,7 +2847,7 @@ class SyncService {
 
         // Search for matching account in Xero
         const account = await this.xeroClient.findOrCreateAccount(categoryData.actual_category_name, {
-          type: 'EXPENSE',
+          ...this.xeroClient.getCategoryAccountOptions(categoryData.is_income),
           autoCreate: options.autoCreate,
           matchThreshold: options.matchThreshold
         });
@@ -1815,7 +2930,8 @@ class SyncService {
       if (transaction.actual_payee_id && transaction.actual_payee_name) {
         uniquePayees.set(transaction.actual_payee_id, {
           actual_payee_id: transaction.actual_payee_id,
-          actual_payee_name: transaction.actual_payee_name
+          actual_payee_name: transaction.actual_payee_name,
+          is_customer: !!uniquePayees.get(transaction.actual_payee_id)?.is_customer || this.documentService.isIncome(transaction)
         });
       }
     });
@@ -1832,8 +2948,7 @@ class SyncService {
 
         // Search for matching contact in Xero
         const contact = await this.xeroClient.findOrCreateContact(payeeData.actual_payee_name, {
-          isSupplier: true,
-          isCustomer: false,
+          ...this.xeroClient.getPayeeContactOptions(payeeData.is_customer),
           autoCreate: options.autoCreate,
           matchThreshold: options.matchThreshold
         });
@@ -1920,11 +3035,18 @@ class SyncService {
             active: 0,
             mapped: 0,
             unmapped: 0
+          },
+          accounts: {
+            total: 0,
+            active: 0,
+            mapped: 0,
+            unmapped: 0
           }
         },
         missingMappings: {
           categories: [],
-          payees: []
+          payees: [],
+          accounts: []
         }
       };
 
@@ -1970,6 +3092,26 @@ class SyncService {
         actual_payee_name: m.actual_payee_name
       }));
 
+      // Validate account mappings (accounts without one use xero_bank_account_code)
+      const allAccountMappings = await this.xanoClient.getAccountMappings();
+      const accountMappings = options.includeInactive
+        ? allAccountMappings
+        : allAccountMappings.filter(m => m.is_active);
+
+      validation.statistics.accounts.total = accountMappings.length;
+      validation.statistics.accounts.active = accountMappings.filter(m => m.is_active).length;
+
+      const mappedAccounts = accountMappings.filter(m => m.xero_bank_account_id);
+      validation.statistics.accounts.mapped = mappedAccounts.length;
+      validation.statistics.accounts.unmapped = accountMappings.length - mappedAccounts.length;
+
+      validation.missingMappings.accounts = accountMappings
+        .filter(m => !m.xero_bank_account_id)
+        .map(m => ({
+          actual_account_id: m.actual_account_id,
+          actual_account_name: m.actual_account_name
+        }));
+
       // Check for validation issues
       if (validation.statistics.categories.unmapped > 0) {
         validation.warnings.push(`${validation.statistics.categories.unmapped} categories are not mapped to Xero accounts`);
@@ -1979,6 +3121,12 @@ class SyncService {
         validation.warnings.push(`${validation.statistics.payees.unmapped} payees are not mapped to Xero contacts`);
       }
 
+      if (validation.statistics.accounts.unmapped > 0) {
+        validation.warnings.push(this.config.xero_bank_account_code
+          ? `${validation.statistics.accounts.unmapped} accounts are not mapped to Xero bank accounts and will use ${this.config.xero_bank_account_code}`
+          : `${validation.statistics.accounts.unmapped} accounts are not mapped to Xero bank accounts and can't be imported`);
+      }
+
       // Check for duplicate Xero IDs
       const xeroAccountIds = mappedCategories.map(m => m.xero_account_id);
       const duplicateAccountIds = xeroAccountIds.filter((id, index) => xeroAccountIds.indexOf(id) !== index);
@@ -2038,16 +3186,20 @@ class SyncService {
       };
 
       for (const transaction of transactions) {
-        const hasValidCategoryMapping = !!(transaction.xero_account_id && transaction.xero_account_id.trim());
-        const hasValidPayeeMapping = !!(transaction.xero_contact_id && transaction.xero_contact_id.trim());
+        // Transfers need the bank accounts on both sides instead of a category and payee
+        const isTransfer = this.documentService.isTransfer(transaction);
+        const hasValidCategoryMapping = isTransfer || !!(transaction.xero_account_id && transaction.xero_account_id.trim());
+        const hasValidPayeeMapping = isTransfer || !!(transaction.xero_contact_id && transaction.xero_contact_id.trim());
+        const hasValidTransferMapping = !isTransfer || !!(transaction.xero_bank_account_id && transaction.xero_to_bank_account_id);
 
-        if (hasValidCategoryMapping && hasValidPayeeMapping) {
+        if (hasValidCategoryMapping && hasValidPayeeMapping && hasValidTransferMapping) {
           validation.ready.push(transaction);
         } else {
           validation.blocked.push({
             transaction,
             missingCategory: !hasValidCategoryMapping,
-            missingPayee: !hasValidPayeeMapping
+            missingPayee: !hasValidPayeeMapping,
+            missingTransferAccounts: !hasValidTransferMapping
           });
 
           // Track missing mappings for reporting
@@ -2150,18 +3302,127 @@ class SyncService {
     }
   }
 
+  /**
+   * Sync and update account mappings from Actual Budget
+   * Accounts without a Xero bank account are then matched to one by name where possible.
+   * @returns {Promise<Object>} - Sync results, with the number of accounts matched in suggested
+   */
+  async syncAccountMappings() {
+    try {
+      this.logger.info('Syncing account mappings from Actual Budget');
+
+      // Get accounts from Actual Budget
+      const actualAccounts = await this.actualClient.getAccounts();
+
+      if (actualAccounts.length === 0) {
+        this.logger.warn('No accounts found in Actual Budget');
+        return { created: [], updated: [], errors: [], suggested: 0 };
+      }
+
+      // Prepare account mappings for bulk upsert (Xero fields are left alone)
+      const accountMappings = actualAccounts.map(account => ({
+        actual_account_id: account.id,
+        actual_account_name: account.name,
+        is_active: !account.closed
+      }));
+
+      const result = await this.xanoClient.bulkUpsertAccountMappings(accountMappings);
+
+      // Suggest a Xero bank account for open accounts that have none yet
+      const unmapped = (await this.xanoClient.getAccountMappings())
+        .filter(mapping => mapping.is_active && !mapping.xero_bank_account_id);
+      const suggestions = unmapped.length > 0
+        ? await this.suggestAccountMappings(unmapped)
+        : { resolved: [] };
+
+      this.logger.info(`Account mapping sync complete: ${result.created.length} created, ${result.updated.length} updated, ${suggestions.resolved.length} matched to Xero bank accounts`);
+
+      return { ...result, suggested: suggestions.resolved.length };
+
+    } catch (error) {
+      this.logger.error(`Failed to sync account mappings: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Refresh category, payee and account mappings in Xano from Actual Budget
+   * New categories, payees and accounts are added so they can be mapped before the next sync
+   * @returns {Promise<Object>} - Refresh results for categories, payees and accounts
+   */
+  async refreshMappings() {
+    const startTime = Date.now();
+
+    try {
+      this.logger.info('Refreshing category, payee and account mappings');
+
+      const categories = { created: 0, updated: 0, errors: 0 };
+      const payees = { created: 0, updated: 0, errors: 0 };
+      const accounts = { created: 0, updated: 0, errors: 0, suggested: 0 };
+      const refreshedTenants = new Set();
+
+      for (const route of this.getSyncRoutes()) {
+        // Mappings are scoped per tenant, so each route's categories go to its own tenant
+        await this.runForTenant(route.tenantId, async () => {
+          const categoryGroupId = await this.resolveCategoryGroupId(route.categoryGroupId, route.categoryGroupName);
+          const categoryResult = await this.syncCategoryMappings(categoryGroupId);
+          categories.created += categoryResult.created.length;
+          categories.updated += categoryResult.updated.length;
+          categories.errors += categoryResult.errors.length;
+
+          // Payees and accounts are shared across groups, so refresh them once per tenant
+          if (!refreshedTenants.has(route.tenantId)) {
+            const payeeResult = await this.syncPayeeMappings();
+            payees.created += payeeResult.created.length;
+            payees.updated += payeeResult.updated.length;
+            payees.errors += payeeResult.errors.length;
+
+            const accountResult = await this.syncAccountMappings();
+            accounts.created += accountResult.created.length;
+            accounts.updated += accountResult.updated.length;
+            accounts.errors += accountResult.errors.length;
+            accounts.suggested += accountResult.suggested;
+
+            refreshedTenants.add(route.tenantId);
+          }
+        });
+      }
+
+      return {
+        success: true,
+        timestamp: new Date().toISOString(),
+        duration: Date.now() - startTime,
+        categories,
+        payees,
+        accounts
+      };
+
+    } catch (error) {
+      this.logger.error(`Failed to refresh mappings: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Reset sync statistics for a new sync run
    */
   resetStats() {
     this.stats = {
       transactionsFetched: 0,
+      transactionsIneligible: 0,
       transactionsStored: 0,
       duplicatesSkipped: 0,
       transactionsMapped: 0,
       transactionsImported: 0,
+      transactionsAdopted: 0,
       transactionsFailed: 0,
       mappingsResolved: 0,
+      editsDetected: 0,
+      editsApplied: 0,
+      editConflicts: 0,
+      removalsDetected: 0,
+      transactionsVoided: 0,
+      xeroDuplicates: [],
       errors: []
     };
   }
@@ -2176,21 +3437,31 @@ class SyncService {
     const duration = endTime - startTime;
 
     return {
-      success: true,
+      // Missing mappings leave transactions failed for reprocessing rather than failing the sync
+      success: this.stats.errors.filter(e => e.type !== 'MISSING_MAPPINGS').length === 0,
       timestamp: new Date().toISOString(),
       duration,
       statistics: {
         transactionsFetched: this.stats.transactionsFetched,
+        transactionsIneligible: this.stats.transactionsIneligible,
         transactionsStored: this.stats.transactionsStored,
         duplicatesSkipped: this.stats.duplicatesSkipped,
         transactionsMapped: this.stats.transactionsMapped,
         transactionsImported: this.stats.transactionsImported,
+        transactionsAdopted: this.stats.transactionsAdopted,
         transactionsFailed: this.stats.transactionsFailed,
+        xeroDuplicates: this.stats.xeroDuplicates.length,
+        editsDetected: this.stats.editsDetected,
+        editsApplied: this.stats.editsApplied,
+        editConflicts: this.stats.editConflicts,
+        removalsDetected: this.stats.removalsDetected,
+        transactionsVoided: this.stats.transactionsVoided,
         mappingsResolved: this.stats.mappingsResolved,
         mappingErrors: this.stats.errors.filter(e => e.type === 'MISSING_MAPPINGS').length,
         totalErrors: this.stats.errors.length
       },
       errors: this.stats.errors,
+      xeroDuplicates: this.stats.xeroDuplicates,
       summary: {
         processed: this.stats.transactionsFetched,
         successful: this.stats.transactionsImported,
@@ -2238,7 +3509,9 @@ class SyncService {
         actual: this.actualClient?.getStatus(),
         xano: this.xanoClient?.getStatus(),
         xero: this.xeroClient?.getStatus()
-      }
+      },
+      xeroSink: this.xeroSink.getStatus(),
+      watermarks: this.watermarkStore.getAll()
     };
   }
 }
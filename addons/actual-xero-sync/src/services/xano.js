@@ -1,5 +1,7 @@
 const BaseApiClient = require('../utils/base-api-client');
 const XanoRateLimiter = require('../utils/rate-limiter');
+const { getScopedTenantId } = require('../utils/tenant-scope');
+const { Transaction } = require('../models/transaction');
 
 /**
  * XanoClient - API client for Xano backend with integrated rate limiting
@@ -9,7 +11,7 @@ const XanoRateLimiter = require('../utils/rate-limiter');
  */
 class XanoClient extends BaseApiClient {
   constructor(options = {}) {
-    const { apiUrl, apiKey, rateLimiter, ...baseOptions } = options;
+    const { apiUrl, apiKey, rateLimiter, tenantId, ...baseOptions } = options;
     
     // Initialize base client with Xano-specific defaults
     super({
@@ -23,6 +25,9 @@ class XanoClient extends BaseApiClient {
     });
 
     this.apiKey = apiKey;
+
+    // Default Xero tenant for mappings and transactions; see the tenantId getter
+    this.defaultTenantId = tenantId || null;
     this.rateLimiter = rateLimiter || new XanoRateLimiter({
       requestsPerMinute: options.requestsPerMinute || 18,
       maxRetries: 3,
@@ -38,6 +43,32 @@ class XanoClient extends BaseApiClient {
     };
   }
 
+  /**
+   * Xero tenant that mapping and transaction calls are scoped to: the one set by
+   * runWithTenant() for the current call chain, otherwise the default (null = unscoped)
+   * @returns {string|null} - Xero tenant ID
+   */
+  get tenantId() {
+    return getScopedTenantId(this.defaultTenantId);
+  }
+
+  /**
+   * Set the default Xero tenant, used outside runWithTenant()
+   * @param {string|null} tenantId - Xero tenant ID
+   */
+  setDefaultTenantId(tenantId) {
+    this.defaultTenantId = tenantId || null;
+  }
+
+  /**
+   * Add the current tenant to a request body or query object
+   * @param {Object} data - Request data
+   * @returns {Object} - Data with xero_tenant_id when a tenant is set
+   */
+  withTenant(data = {}) {
+    return this.tenantId ? { ...data, xero_tenant_id: this.tenantId } : data;
+  }
+
   /**
    * Store transaction in Xano with duplicate prevention
    * @param {Object} transaction - Transaction data from Actual Budget
@@ -47,7 +78,7 @@ class XanoClient extends BaseApiClient {
     // If transaction is already formatted for Xano (has actual_transaction_id), use as-is
     // Otherwise, format it from Actual Budget format
     const transactionData = transaction.actual_transaction_id 
-      ? transaction 
+      ? this.withTenant(transaction) 
       : this.formatTransactionForStorage(transaction);
     
     try {
@@ -97,7 +128,7 @@ class XanoClient extends BaseApiClient {
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
-        return await this.get(`/category-mappings/${encodeURIComponent(actualCategoryId)}`);
+        return await this.get(`/category-mappings/${encodeURIComponent(actualCategoryId)}`, { queryParams: this.withTenant() });
       });
 
       this.xanoStats.mappingsRetrieved++;
@@ -131,7 +162,7 @@ class XanoClient extends BaseApiClient {
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
-        return await this.get(`/payee-mappings/${encodeURIComponent(actualPayeeId)}`);
+        return await this.get(`/payee-mappings/${encodeURIComponent(actualPayeeId)}`, { queryParams: this.withTenant() });
       });
 
       this.xanoStats.mappingsRetrieved++;
@@ -159,13 +190,29 @@ class XanoClient extends BaseApiClient {
    * @param {Object} mappings - Resolved mappings
    * @param {string} mappings.xero_account_id - Xero account ID
    * @param {string} mappings.xero_contact_id - Xero contact ID
+   * @param {string} mappings.xero_tax_type - Xero tax type from the category mapping (optional)
+   * @param {string} mappings.xero_bank_account_id - Xero bank account ID from the account mapping (optional)
+   * @param {string} mappings.xero_bank_account_code - Xero bank account code when only xero_bank_account_code applies (optional)
+   * @param {string} mappings.xero_to_bank_account_id - Xero bank account a transfer went to (optional)
+   * @param {string} mappings.xero_to_bank_account_code - Code of the bank account a transfer went to (optional)
+   * @param {string} mappings.currency_code - Currency of the account mapping, when not the base currency (optional)
+   * @param {number} mappings.currency_rate - Manual exchange rate from the notes (optional)
+   * @param {Object[]} mappings.split_lines - Split lines with their own mappings (optional)
    * @returns {Promise<Object>} - Updated transaction
    */
   async updateTransactionMapping(xanoId, mappings) {
     const updateData = {
       xero_account_id: mappings.xero_account_id || null,
       xero_contact_id: mappings.xero_contact_id || null,
-      status: (mappings.xero_account_id && mappings.xero_contact_id) ? 'mapped' : 'pending'
+      xero_tax_type: mappings.xero_tax_type || null,
+      xero_bank_account_id: mappings.xero_bank_account_id || null,
+      xero_bank_account_code: mappings.xero_bank_account_code || null,
+      xero_to_bank_account_id: mappings.xero_to_bank_account_id || null,
+      xero_to_bank_account_code: mappings.xero_to_bank_account_code || null,
+      currency_code: mappings.currency_code || null,
+      currency_rate: mappings.currency_rate || null,
+      ...(mappings.split_lines && { split_lines: mappings.split_lines }),
+      status: this.getMappingStatus(mappings)
     };
 
     try {
@@ -186,12 +233,24 @@ class XanoClient extends BaseApiClient {
    * @param {number} xanoId - Xano transaction ID
    * @param {Object} xeroData - Xero import data
    * @param {string} xeroData.xero_transaction_id - Xero transaction ID
+   * @param {string} xeroData.xero_document_type - bank_transaction, bill, invoice or bank_transfer (optional)
+   * @param {string} xeroData.xero_invoice_id - Xero bill/invoice ID (optional)
+   * @param {string} xeroData.xero_payment_id - Xero payment ID (optional)
+   * @param {string} xeroData.xero_bank_transfer_id - Xero bank transfer ID (optional)
+   * @param {number} xeroData.currency_rate - Exchange rate the document was recorded at (optional)
+   * @param {number} xeroData.base_currency_amount - Amount in the organisation's base currency (optional)
    * @param {Date} xeroData.xero_imported_date - Import timestamp
    * @returns {Promise<Object>} - Updated transaction
    */
   async updateTransactionXeroImport(xanoId, xeroData) {
     const updateData = {
       xero_transaction_id: xeroData.xero_transaction_id,
+      xero_document_type: xeroData.xero_document_type || 'bank_transaction',
+      xero_invoice_id: xeroData.xero_invoice_id || null,
+      xero_payment_id: xeroData.xero_payment_id || null,
+      xero_bank_transfer_id: xeroData.xero_bank_transfer_id || null,
+      currency_rate: xeroData.currency_rate || null,
+      base_currency_amount: xeroData.base_currency_amount !== undefined ? xeroData.base_currency_amount : null,
       xero_imported_date: xeroData.xero_imported_date || new Date().toISOString(),
       status: 'imported'
     };
@@ -213,14 +272,20 @@ class XanoClient extends BaseApiClient {
    * Mark transaction as failed with error message
    * @param {number} xanoId - Xano transaction ID
    * @param {string} errorMessage - Error description
+   * @param {Object} xeroData - Xero IDs already created, e.g. an unpaid bill (optional)
    * @returns {Promise<Object>} - Updated transaction
    */
-  async markTransactionFailed(xanoId, errorMessage) {
+  async markTransactionFailed(xanoId, errorMessage, xeroData = null) {
     const updateData = {
       status: 'failed',
       error_message: errorMessage
     };
 
+    if (xeroData) {
+      updateData.xero_document_type = xeroData.xero_document_type;
+      updateData.xero_invoice_id = xeroData.xero_invoice_id || null;
+    }
+
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
         return await this.put(`/transactions/${xanoId}/status`, updateData);
@@ -234,20 +299,172 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Mark a transaction as voided after it was deleted or un-reconciled in Actual
+   * Any removal flag is cleared, and the Xero IDs are kept for reference.
+   * @param {number} xanoId - Xano transaction ID
+   * @param {string} reason - Why the transaction was voided
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async markTransactionVoided(xanoId, reason) {
+    const updateData = {
+      status: 'voided',
+      error_message: reason,
+      edit_status: null,
+      edit_conflict: null
+    };
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.put(`/transactions/${xanoId}/status`, updateData);
+      });
+
+      this.logger.info(`Marked transaction as voided for Xano ID ${xanoId}: ${reason}`);
+      return result.data;
+    } catch (error) {
+      this.logger.error(`Failed to mark transaction as voided for Xano ID ${xanoId}: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_STATUS_UPDATE_FAILED', error, { xanoId, reason });
+    }
+  }
+
+  /**
+   * Get a transaction by ID
+   * @param {number} xanoId - Xano transaction ID
+   * @returns {Promise<Object|null>} - Transaction, or null if not found
+   */
+  async getTransaction(xanoId) {
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.get(`/transactions/${xanoId}`);
+      });
+
+      return result.data || null;
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+
+      this.logger.error(`Failed to get transaction for Xano ID ${xanoId}: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_QUERY_FAILED', error, { xanoId });
+    }
+  }
+
+  /**
+   * Get stored transactions by their Actual Budget IDs
+   * @param {string[]} actualTransactionIds - Actual Budget transaction IDs
+   * @returns {Promise<Object[]>} - Stored transactions (IDs that aren't stored are left out)
+   */
+  async getTransactionsByActualIds(actualTransactionIds) {
+    if (!Array.isArray(actualTransactionIds) || actualTransactionIds.length === 0) {
+      return [];
+    }
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.post('/transactions/by-actual-ids', this.withTenant({
+          actual_transaction_ids: actualTransactionIds
+        }));
+      });
+
+      return result.data || [];
+    } catch (error) {
+      this.logger.error(`Failed to get transactions by Actual ID: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_QUERY_FAILED', error, { count: actualTransactionIds.length });
+    }
+  }
+
+  /**
+   * Get stored transactions by their Actual transaction date
+   * @param {string} since - First date (YYYY-MM-DD)
+   * @param {string} until - Last date (YYYY-MM-DD, optional)
+   * @returns {Promise<Object[]>} - Stored transactions dated within the range
+   */
+  async getTransactionsByDateRange(since, until = null) {
+    const queryParams = this.withTenant({ since });
+
+    if (until) {
+      queryParams.until = until;
+    }
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.get('/transactions/by-date', { queryParams });
+      });
+
+      return result.data || [];
+    } catch (error) {
+      this.logger.error(`Failed to get transactions dated from ${since}: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_QUERY_FAILED', error, { since, until });
+    }
+  }
+
+  /**
+   * Update the Actual content of a stored transaction after an edit
+   * Only the given fields change, e.g. content_hash alone to record a baseline,
+   * or edit_status and edit_conflict to flag a conflict.
+   * @param {number} xanoId - Xano transaction ID
+   * @param {Object} contentData - Fields to update
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateTransactionContent(xanoId, contentData) {
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.put(`/transactions/${xanoId}/content`, contentData);
+      });
+
+      this.logger.debug(`Updated transaction content for Xano ID ${xanoId}`);
+      return result.data;
+    } catch (error) {
+      this.logger.error(`Failed to update transaction content for Xano ID ${xanoId}: ${error.message}`);
+      throw this.createXanoError('TRANSACTION_CONTENT_UPDATE_FAILED', error, { xanoId });
+    }
+  }
+
+  /**
+   * Get transactions whose Actual edits conflict with Xero, or that were removed from Actual but not from Xero
+   * @param {Object} options - Query options
+   * @param {number} options.limit - Maximum number of transactions to return
+   * @returns {Promise<Object[]>} - Transactions with edit_status "conflict" or "removed"
+   */
+  async getTransactionConflicts(options = {}) {
+    const queryParams = this.withTenant({
+      limit: options.limit || 100
+    });
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.get('/transactions/conflicts', { queryParams });
+      });
+
+      return result.data || [];
+    } catch (error) {
+      this.logger.error(`Failed to get transaction conflicts: ${error.message}`);
+      throw this.createXanoError('CONFLICT_QUERY_FAILED', error, { options });
+    }
+  }
+
   /**
    * Create or update category mapping
    * @param {Object} categoryData - Category mapping data
    * @returns {Promise<Object>} - Created/updated mapping
    */
   async upsertCategoryMapping(categoryData) {
-    const mappingData = {
+    const mappingData = this.withTenant({
       actual_category_id: categoryData.actual_category_id,
       actual_category_name: categoryData.actual_category_name,
       xero_account_id: categoryData.xero_account_id || null,
       xero_account_name: categoryData.xero_account_name || null,
       xero_account_code: categoryData.xero_account_code || null,
       is_active: categoryData.is_active !== undefined ? categoryData.is_active : true
-    };
+    });
+
+    // Only send the document and tax types when set, so a refresh doesn't clear a choice made in Xano
+    if (categoryData.xero_document_type !== undefined) {
+      mappingData.xero_document_type = categoryData.xero_document_type || null;
+    }
+    if (categoryData.xero_tax_type !== undefined) {
+      mappingData.xero_tax_type = categoryData.xero_tax_type || null;
+    }
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
@@ -268,13 +485,18 @@ class XanoClient extends BaseApiClient {
    * @returns {Promise<Object>} - Created/updated mapping
    */
   async upsertPayeeMapping(payeeData) {
-    const mappingData = {
+    const mappingData = this.withTenant({
       actual_payee_id: payeeData.actual_payee_id,
       actual_payee_name: payeeData.actual_payee_name,
       xero_contact_id: payeeData.xero_contact_id || null,
       xero_contact_name: payeeData.xero_contact_name || null,
       is_active: payeeData.is_active !== undefined ? payeeData.is_active : true
-    };
+    });
+
+    // Only send the document type when set, so a refresh doesn't clear a choice made in Xano
+    if (payeeData.xero_document_type !== undefined) {
+      mappingData.xero_document_type = payeeData.xero_document_type || null;
+    }
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
@@ -299,7 +521,7 @@ class XanoClient extends BaseApiClient {
       return { created: [], updated: [], errors: [] };
     }
 
-    const mappingData = categoryMappings.map(category => ({
+    const mappingData = categoryMappings.map(category => this.withTenant({
       actual_category_id: category.actual_category_id,
       actual_category_name: category.actual_category_name,
       xero_account_id: category.xero_account_id || null,
@@ -338,7 +560,7 @@ class XanoClient extends BaseApiClient {
       return { created: [], updated: [], errors: [] };
     }
 
-    const mappingData = payeeMappings.map(payee => ({
+    const mappingData = payeeMappings.map(payee => this.withTenant({
       actual_payee_id: payee.actual_payee_id,
       actual_payee_name: payee.actual_payee_name,
       xero_contact_id: payee.xero_contact_id || null,
@@ -378,7 +600,7 @@ class XanoClient extends BaseApiClient {
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
-        const queryParams = {};
+        const queryParams = this.withTenant();
         
         if (uniqueCategoryIds.length > 0) {
           queryParams.category_ids = uniqueCategoryIds.join(',');
@@ -406,6 +628,120 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Get account mappings, each linking an Actual Budget account to a Xero bank account
+   * @param {string[]} accountIds - Array of Actual Budget account IDs (empty for every mapping)
+   * @returns {Promise<Object[]>} - Account mappings
+   */
+  async getAccountMappings(accountIds = []) {
+    const uniqueAccountIds = [...new Set(accountIds.filter(id => id))];
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        const queryParams = this.withTenant();
+
+        if (uniqueAccountIds.length > 0) {
+          queryParams.account_ids = uniqueAccountIds.join(',');
+        }
+
+        return await this.get('/account-mappings', { queryParams });
+      });
+
+      const mappings = result.data.accountMappings || result.data || [];
+      this.xanoStats.mappingsRetrieved += mappings.length;
+
+      return mappings;
+    } catch (error) {
+      // Xano workspaces set up before account mappings have no table for them yet
+      if (error.statusCode === 404) {
+        this.logger.debug('No account mappings endpoint in Xano, using xero_bank_account_code for every account');
+        return [];
+      }
+
+      this.logger.error(`Failed to get account mappings: ${error.message}`);
+      throw this.createXanoError('ACCOUNT_MAPPINGS_FAILED', error, { accountIds: uniqueAccountIds });
+    }
+  }
+
+  /**
+   * Create or update account mapping
+   * @param {Object} accountData - Account mapping data
+   * @returns {Promise<Object>} - Created/updated mapping
+   */
+  async upsertAccountMapping(accountData) {
+    const mappingData = this.formatAccountMapping(accountData);
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.post('/account-mappings', mappingData);
+      });
+
+      this.logger.debug(`Upserted account mapping: ${accountData.actual_account_name} -> ${accountData.xero_bank_account_name || 'unmapped'}`);
+      return result.data;
+    } catch (error) {
+      this.logger.error(`Failed to upsert account mapping for ${accountData.actual_account_id}: ${error.message}`);
+      throw this.createXanoError('ACCOUNT_MAPPING_UPSERT_FAILED', error, { accountData });
+    }
+  }
+
+  /**
+   * Bulk create or update account mappings
+   * @param {Object[]} accountMappings - Array of account mapping data
+   * @returns {Promise<Object>} - Bulk upsert results
+   */
+  async bulkUpsertAccountMappings(accountMappings) {
+    if (!Array.isArray(accountMappings) || accountMappings.length === 0) {
+      return { created: [], updated: [], errors: [] };
+    }
+
+    const mappingData = accountMappings.map(account => this.formatAccountMapping(account));
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.post('/account-mappings/bulk', { mappings: mappingData });
+      });
+
+      this.xanoStats.batchOperations++;
+
+      const created = result.data.created || [];
+      const updated = result.data.updated || [];
+      const errors = result.data.errors || [];
+
+      this.logger.info(`Bulk upserted account mappings: ${created.length} created, ${updated.length} updated, ${errors.length} errors`);
+
+      return { created, updated, errors };
+    } catch (error) {
+      this.logger.error(`Failed to bulk upsert account mappings: ${error.message}`);
+      throw this.createXanoError('BULK_ACCOUNT_UPSERT_FAILED', error, { mappingCount: accountMappings.length });
+    }
+  }
+
+  /**
+   * Format account mapping data for Xano
+   * The Xero bank account and currency are only sent when given, so a refresh from Actual doesn't clear them
+   * @param {Object} accountData - Account mapping data
+   * @returns {Object} - Mapping fields
+   */
+  formatAccountMapping(accountData) {
+    const mappingData = this.withTenant({
+      actual_account_id: accountData.actual_account_id,
+      actual_account_name: accountData.actual_account_name,
+      is_active: accountData.is_active !== undefined ? accountData.is_active : true
+    });
+
+    if (accountData.xero_bank_account_id !== undefined) {
+      mappingData.xero_bank_account_id = accountData.xero_bank_account_id || null;
+      mappingData.xero_bank_account_name = accountData.xero_bank_account_name || null;
+      mappingData.xero_bank_account_code = accountData.xero_bank_account_code || null;
+    }
+
+    if (accountData.currency_code !== undefined) {
+      mappingData.currency_code = accountData.currency_code || null;
+    }
+
+    return mappingData;
+  }
+
   /**
    * Bulk store multiple transactions
    * @param {Object[]} transactions - Array of transactions from Actual Budget
@@ -447,6 +783,14 @@ class XanoClient extends BaseApiClient {
    * @param {number} updates[].xano_id - Xano transaction ID
    * @param {string} updates[].xero_account_id - Xero account ID
    * @param {string} updates[].xero_contact_id - Xero contact ID
+   * @param {string} updates[].xero_tax_type - Xero tax type (optional)
+   * @param {string} updates[].xero_bank_account_id - Xero bank account ID (optional)
+   * @param {string} updates[].xero_bank_account_code - Xero bank account code (optional)
+   * @param {string} updates[].xero_to_bank_account_id - Xero bank account a transfer went to (optional)
+   * @param {string} updates[].xero_to_bank_account_code - Code of the bank account a transfer went to (optional)
+   * @param {string} updates[].currency_code - Currency of the account mapping (optional)
+   * @param {number} updates[].currency_rate - Manual exchange rate from the notes (optional)
+   * @param {Object[]} updates[].split_lines - Split lines with their own mappings (optional)
    * @returns {Promise<Object>} - Update results
    */
   async bulkUpdateTransactionMappings(updates) {
@@ -458,7 +802,15 @@ class XanoClient extends BaseApiClient {
       xano_id: update.xano_id,
       xero_account_id: update.xero_account_id || null,
       xero_contact_id: update.xero_contact_id || null,
-      status: (update.xero_account_id && update.xero_contact_id) ? 'mapped' : 'pending'
+      xero_tax_type: update.xero_tax_type || null,
+      xero_bank_account_id: update.xero_bank_account_id || null,
+      xero_bank_account_code: update.xero_bank_account_code || null,
+      xero_to_bank_account_id: update.xero_to_bank_account_id || null,
+      xero_to_bank_account_code: update.xero_to_bank_account_code || null,
+      currency_code: update.currency_code || null,
+      currency_rate: update.currency_rate || null,
+      ...(update.split_lines && { split_lines: update.split_lines }),
+      status: this.getMappingStatus(update)
     }));
 
     try {
@@ -487,6 +839,12 @@ class XanoClient extends BaseApiClient {
    * @param {Object[]} xeroUpdates - Array of Xero import updates
    * @param {number} xeroUpdates[].xano_id - Xano transaction ID
    * @param {string} xeroUpdates[].xero_transaction_id - Xero transaction ID
+   * @param {string} xeroUpdates[].xero_document_type - bank_transaction, bill, invoice or bank_transfer (optional)
+   * @param {string} xeroUpdates[].xero_invoice_id - Xero bill/invoice ID (optional)
+   * @param {string} xeroUpdates[].xero_payment_id - Xero payment ID (optional)
+   * @param {string} xeroUpdates[].xero_bank_transfer_id - Xero bank transfer ID (optional)
+   * @param {number} xeroUpdates[].currency_rate - Exchange rate the document was recorded at (optional)
+   * @param {number} xeroUpdates[].base_currency_amount - Amount in the organisation's base currency (optional)
    * @param {Date} xeroUpdates[].xero_imported_date - Import timestamp
    * @returns {Promise<Object>} - Update results
    */
@@ -498,6 +856,12 @@ class XanoClient extends BaseApiClient {
     const updateData = xeroUpdates.map(update => ({
       xano_id: update.xano_id,
       xero_transaction_id: update.xero_transaction_id,
+      xero_document_type: update.xero_document_type || 'bank_transaction',
+      xero_invoice_id: update.xero_invoice_id || null,
+      xero_payment_id: update.xero_payment_id || null,
+      xero_bank_transfer_id: update.xero_bank_transfer_id || null,
+      currency_rate: update.currency_rate || null,
+      base_currency_amount: update.base_currency_amount !== undefined ? update.base_currency_amount : null,
       xero_imported_date: update.xero_imported_date || new Date().toISOString(),
       status: 'imported'
     }));
@@ -558,18 +922,49 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Bulk record the content hash of transactions stored before edit detection
+   * @param {Object[]} updates - Array of { xano_id, content_hash }
+   * @returns {Promise<Object>} - Update results
+   */
+  async bulkUpdateContentHashes(updates) {
+    if (!Array.isArray(updates) || updates.length === 0) {
+      return { updated: [], errors: [] };
+    }
+
+    try {
+      const result = await this.rateLimiter.makeRequest(async () => {
+        return await this.put('/transactions/bulk-content-hash', { updates });
+      });
+
+      this.xanoStats.batchOperations++;
+
+      const updated = result.data.updated || [];
+      const errors = result.data.errors || [];
+
+      this.logger.debug(`Bulk recorded ${updated.length} content hashes, ${errors.length} errors`);
+
+      return { updated, errors };
+    } catch (error) {
+      this.logger.error(`Failed to bulk record content hashes: ${error.message}`);
+      throw this.createXanoError('BULK_CONTENT_HASH_UPDATE_FAILED', error, { updateCount: updates.length });
+    }
+  }
+
   /**
    * Get transactions ready for reprocessing (pending or failed with missing mappings)
    * @param {Object} options - Query options
    * @param {number} options.limit - Maximum number of transactions to return
+   * @param {number} options.offset - Number of transactions to skip, for paging (optional)
    * @param {string[]} options.statuses - Transaction statuses to include
    * @returns {Promise<Object[]>} - Array of transactions ready for reprocessing
    */
   async getTransactionsForReprocessing(options = {}) {
-    const queryParams = {
+    const queryParams = this.withTenant({
       limit: options.limit || 100,
+      ...(options.offset && { offset: options.offset }),
       statuses: (options.statuses || ['pending', 'failed']).join(',')
-    };
+    });
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
@@ -621,11 +1016,11 @@ class XanoClient extends BaseApiClient {
    * @returns {Promise<Object>} - Transactions grouped by missing mapping type
    */
   async getTransactionsWithMissingMappings(options = {}) {
-    const queryParams = {
+    const queryParams = this.withTenant({
       include_category_missing: options.includeCategoryMissing !== false,
       include_payee_missing: options.includePayeeMissing !== false,
       limit: options.limit || 100
-    };
+    });
 
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
@@ -676,20 +1071,59 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Get the status of a transaction after a mapping update
+   * Transfers need both bank accounts, every other transaction an account and a contact.
+   * @param {Object} mappings - Resolved mappings
+   * @returns {string} - 'mapped' or 'pending'
+   */
+  getMappingStatus(mappings) {
+    const mapped = (mappings.xero_account_id && mappings.xero_contact_id) ||
+      (mappings.xero_bank_account_id && mappings.xero_to_bank_account_id);
+    return mapped ? 'mapped' : 'pending';
+  }
+
   /**
    * Format transaction data for Xano storage
    * @param {Object} transaction - Raw transaction from Actual Budget
    * @returns {Object} - Formatted transaction data
    */
   formatTransactionForStorage(transaction) {
-    return {
+    const data = {
       actual_transaction_id: transaction.id,
       transaction_date: transaction.date,
       amount: transaction.amount / 100, // Convert from cents to dollars
       description: transaction.notes || transaction.imported_description || '',
-      actual_category_id: transaction.category,
-      actual_payee_id: transaction.payee
+      // Uncategorised or payee-less transactions are stored as such and use the fallback mapping
+      actual_category_id: transaction.category || null,
+      actual_category_name: transaction.category_name || null,
+      actual_category_is_income: !!transaction.category_is_income,
+      actual_payee_id: transaction.payee || null,
+      actual_payee_name: transaction.payee_name || null,
+      // The account picks the Xero bank account through the account mapping
+      actual_account_id: transaction.account || null,
+      actual_account_name: transaction.account_name || null,
+      // The other leg and account of a transfer between two mapped bank accounts
+      actual_transfer_id: transaction.transfer_id || null,
+      actual_transfer_account_id: transaction.transfer_account || null,
+      actual_transfer_account_name: transaction.transfer_account_name || null,
+      // Later syncs compare against this to spot edits made in Actual
+      content_hash: Transaction.computeContentHash(transaction)
     };
+
+    // Each business category line of a split, mapped individually later
+    if (Array.isArray(transaction.split_lines)) {
+      data.split_lines = transaction.split_lines.map(line => ({
+        actual_transaction_id: line.id,
+        actual_category_id: line.category,
+        actual_category_name: line.category_name || null,
+        actual_category_is_income: !!line.category_is_income,
+        amount: line.amount / 100,
+        description: line.notes || ''
+      }));
+    }
+
+    return this.withTenant(data);
   }
 
   /**
@@ -700,7 +1134,7 @@ class XanoClient extends BaseApiClient {
   async storeCategory(categoryData) {
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
-        return await this.post('/categories', categoryData);
+        return await this.post('/categories', this.withTenant(categoryData));
       });
 
       this.logger.debug(`Stored category: ${categoryData.actual_category_name}`);
@@ -725,7 +1159,7 @@ class XanoClient extends BaseApiClient {
   async storePayee(payeeData) {
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
-        return await this.post('/payees', payeeData);
+        return await this.post('/payees', this.withTenant(payeeData));
       });
 
       this.logger.debug(`Stored payee: ${payeeData.actual_payee_name}`);
@@ -749,7 +1183,7 @@ class XanoClient extends BaseApiClient {
   async getCategoryMappingStats() {
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
-        return await this.get('/categories/stats');
+        return await this.get('/categories/stats', { queryParams: this.withTenant() });
       });
 
       return result.data;
@@ -766,7 +1200,7 @@ class XanoClient extends BaseApiClient {
   async getPayeeMappingStats() {
     try {
       const result = await this.rateLimiter.makeRequest(async () => {
-        return await this.get('/payees/stats');
+        return await this.get('/payees/stats', { queryParams: this.withTenant() });
       });
 
       return result.data;
@@ -776,20 +1210,40 @@ class XanoClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Get account mapping statistics
+   * @returns {Promise<Object>} - { total, mapped }
+   */
+  async getAccountMappingStats() {
+    const mappings = await this.getAccountMappings();
+
+    return {
+      total: mappings.length,
+      mapped: mappings.filter(m => m.is_active && m.xero_bank_account_id).length
+    };
+  }
+
   /**
    * Trigger Xero import workflow for mapped transactions
    * @param {Object} options - Import options
    * @param {number} options.limit - Maximum number of transactions to import
    * @param {boolean} options.skipXeroImport - Skip Xero import step (for testing)
-   * @returns {Promise<Object>} - Import results
+   * @param {Array<number>} options.transactionIds - Only import these transactions (optional)
+   * @returns {Promise<Object>} - Import results, with a per-transaction results list
    */
   async triggerXeroImport(options = {}) {
     try {
+      const payload = {
+        transaction_limit: options.limit || 50,
+        skip_xero_import: options.skipXeroImport || false
+      };
+
+      if (options.transactionIds) {
+        payload.transaction_ids = options.transactionIds;
+      }
+
       const result = await this.rateLimiter.makeRequest(async () => {
-        return await this.post('/workflow/sync-all', {
-          transaction_limit: options.limit || 50,
-          skip_xero_import: options.skipXeroImport || false
-        });
+        return await this.post('/workflow/sync-all', this.withTenant(payload));
       });
 
       this.logger.info(`Xero import completed: ${result.data.statistics.transactions_imported} imported, ${result.data.statistics.transactions_failed} failed`);
@@ -829,6 +1283,7 @@ class XanoClient extends BaseApiClient {
     return {
       client: this.getStats(),
       rateLimiter: this.rateLimiter.getStatus(),
+      tenantId: this.tenantId,
       xano: { ...this.xanoStats }
     };
   }
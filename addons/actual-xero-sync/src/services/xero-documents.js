@@ -0,0 +1,1139 @@
+/**
+ * Xero document types a transaction can be recorded as
+ */
+const XeroDocumentType = {
+  BANK_TRANSACTION: 'bank_transaction',
+  BILL: 'bill',
+  INVOICE: 'invoice',
+  // Only used for transfers between two mapped bank accounts, never chosen by a mapping
+  BANK_TRANSFER: 'bank_transfer'
+};
+
+// Explicit tax override in transaction notes, e.g. "#tax:EXEMPTEXPENSES"
+const TAX_NOTE_PATTERN = /#tax:([A-Z0-9_]+)/i;
+
+// Manual exchange rate in transaction notes, e.g. "#rate:0.6523" (units of the account's currency per unit of base currency)
+const RATE_NOTE_PATTERN = /#rate:(\d+(?:\.\d+)?)(?![\w.])/i;
+
+// How long fetched tax rates are trusted before asking Xero again
+const TAX_RATE_CACHE_TTL = 60 * 60 * 1000;
+
+/**
+ * XeroDocumentService - Turns mapped transactions into Xero documents
+ *
+ * Each transaction is recorded as one of:
+ * - bank_transaction: a Spend / Receive Money bank transaction
+ * - bill: an ACCPAY bill plus a payment from the bank account (spend only)
+ * - invoice: an ACCREC invoice plus a payment into the bank account (receive only)
+ * - bank_transfer: a BankTransfer between two bank accounts, for Actual transfers
+ *
+ * The document type comes from the payee mapping, then the category mapping,
+ * then the xero_document_type setting. Bills and invoices that don't match the
+ * direction of the money fall back to a bank transaction.
+ *
+ * Transactions from an account mapped with a currency_code are sent in that
+ * currency, at the rate in their notes ("#rate:0.6523") or otherwise Xero's own.
+ *
+ * The tax type of each line comes from a tax tag in the transaction notes, then
+ * the category mapping, then xero_default_tax_type, and is checked against the
+ * organisation's active tax rates before anything is created.
+ *
+ * The bank account the money moved through comes from the mapping of the
+ * transaction's Actual account, then xero_bank_account_code. A transaction
+ * with neither is not imported.
+ *
+ * A transfer is stored once, from the leg the money left, and needs no category
+ * or payee mapping: both of its Actual accounts must be mapped to different Xero
+ * bank accounts instead, without falling back on xero_bank_account_code.
+ */
+class XeroDocumentService {
+  constructor(options = {}) {
+    this.xeroClient = options.xeroClient;
+    this.logger = options.logger || console;
+    this.config = options.config || {};
+
+    this.defaultDocumentType = this.config.xero_document_type || XeroDocumentType.BANK_TRANSACTION;
+    this.bankAccountCode = this.config.xero_bank_account_code || null;
+
+    // Tax settings: an empty default tax type lets Xero use the account's default tax rate
+    this.defaultTaxType = this.config.xero_default_tax_type !== undefined ? this.config.xero_default_tax_type : 'NONE';
+    this.lineAmountTypes = this.config.xero_line_amount_types || 'Inclusive';
+    this.taxNoteOverrides = this.config.xero_tax_note_overrides || [];
+
+    // Used for transactions without a category or payee in Actual
+    this.fallbackAccountId = this.config.xero_fallback_account_id || null;
+    this.fallbackContactId = this.config.xero_fallback_contact_id || null;
+
+    // Active tax rates per tenant, keyed by tenant ID
+    this.taxRateCache = new Map();
+
+    if (!this.xeroClient) {
+      throw new Error('XeroClient is required');
+    }
+  }
+
+  /**
+   * Get the split lines of a transaction
+   * @param {Object} transaction - Transaction from Xano
+   * @returns {Object[]|null} - Split lines, or null for a single-category transaction
+   */
+  getSplitLines(transaction) {
+    return Array.isArray(transaction.split_lines) && transaction.split_lines.length > 0
+      ? transaction.split_lines
+      : null;
+  }
+
+  /**
+   * Collect the Actual category IDs used by transactions, including split lines
+   * @param {Object[]} transactions - Transactions from Xano
+   * @returns {string[]} - Unique category IDs
+   */
+  getCategoryIds(transactions) {
+    const categoryIds = new Set();
+
+    for (const transaction of transactions) {
+      const lines = this.getSplitLines(transaction);
+      const ids = lines ? lines.map(line => line.actual_category_id) : [transaction.actual_category_id];
+      ids.filter(Boolean).forEach(id => categoryIds.add(id));
+    }
+
+    return [...categoryIds];
+  }
+
+  /**
+   * Collect the Actual account IDs of transactions, including the accounts transfers went to
+   * @param {Object[]} transactions - Transactions from Xano
+   * @returns {string[]} - Unique account IDs
+   */
+  getAccountIds(transactions) {
+    return [...new Set(transactions
+      .flatMap(transaction => [transaction.actual_account_id, transaction.actual_transfer_account_id])
+      .filter(Boolean))];
+  }
+
+  /**
+   * Whether a stored transaction is a transfer between two bank accounts
+   * @param {Object} transaction - Transaction from Xano
+   * @returns {boolean}
+   */
+  isTransfer(transaction) {
+    return !!transaction.actual_transfer_account_id;
+  }
+
+  /**
+   * Whether a stored transaction is income: its category, or a category of one of its split lines, is an Actual income category
+   * @param {Object} transaction - Transaction from Xano
+   * @returns {boolean}
+   */
+  isIncome(transaction) {
+    const lines = this.getSplitLines(transaction);
+    return lines
+      ? lines.some(line => line.actual_category_is_income)
+      : !!transaction.actual_category_is_income;
+  }
+
+  /**
+   * Copy the Xero bank accounts of both sides onto a transfer
+   * @param {Object} transaction - Transfer from Xano
+   * @param {Map} accountMappings - Account mappings keyed by Actual account ID
+   * @returns {Object} - Same shape as applyMappings()
+   */
+  applyTransferMappings(transaction, accountMappings) {
+    const fromMapping = accountMappings.get(transaction.actual_account_id);
+    const toMapping = accountMappings.get(transaction.actual_transfer_account_id);
+    const missingAccount = !(fromMapping && fromMapping.xero_bank_account_id);
+    const missingTransferAccount = !(toMapping && toMapping.xero_bank_account_id);
+
+    if (missingAccount || missingTransferAccount) {
+      return {
+        complete: false,
+        missingCategoryIds: [],
+        missingPayee: false,
+        missingAccount,
+        missingTransferAccount
+      };
+    }
+
+    transaction.xero_bank_account_id = fromMapping.xero_bank_account_id;
+    transaction.xero_bank_account_code = fromMapping.xero_bank_account_code || null;
+    transaction.xero_to_bank_account_id = toMapping.xero_bank_account_id;
+    transaction.xero_to_bank_account_code = toMapping.xero_bank_account_code || null;
+    transaction.xero_document_type = XeroDocumentType.BANK_TRANSFER;
+    this.applyCurrency(transaction, fromMapping);
+
+    return {
+      complete: true,
+      missingCategoryIds: [],
+      missingPayee: false,
+      missingAccount: false,
+      missingTransferAccount: false,
+      mappingUpdate: {
+        xano_id: transaction.id,
+        xero_bank_account_id: transaction.xero_bank_account_id,
+        xero_bank_account_code: transaction.xero_bank_account_code,
+        xero_to_bank_account_id: transaction.xero_to_bank_account_id,
+        xero_to_bank_account_code: transaction.xero_to_bank_account_code,
+        currency_code: transaction.currency_code,
+        currency_rate: transaction.currency_rate
+      }
+    };
+  }
+
+  /**
+   * Copy the currency of the Actual account, and a manual rate from the notes, onto a transaction
+   * @param {Object} transaction - Transaction from Xano
+   * @param {Object} accountMapping - Mapping of the account the money moved through (optional)
+   */
+  applyCurrency(transaction, accountMapping) {
+    transaction.currency_code = (accountMapping && accountMapping.currency_code) || null;
+    transaction.currency_rate = transaction.currency_code ? this.parseCurrencyRate(transaction.description) : null;
+  }
+
+  /**
+   * Copy the Xero mappings onto a transaction and each of its split lines
+   * @param {Object} transaction - Transaction from Xano
+   * @param {Map} categoryMappings - Category mappings keyed by Actual category ID
+   * @param {Map} payeeMappings - Payee mappings keyed by Actual payee ID
+   * @param {Map} accountMappings - Account mappings keyed by Actual account ID
+   * @returns {Object} - { complete, missingCategoryIds, missingPayee, missingAccount, missingTransferAccount, mappingUpdate }
+   */
+  applyMappings(transaction, categoryMappings, payeeMappings, accountMappings = new Map()) {
+    if (this.isTransfer(transaction)) {
+      return this.applyTransferMappings(transaction, accountMappings);
+    }
+
+    // Payee-less transactions use the fallback contact, if one is configured
+    const payeeMapping = transaction.actual_payee_id
+      ? payeeMappings.get(transaction.actual_payee_id)
+      : this.fallbackContactId && { xero_contact_id: this.fallbackContactId };
+    const missingPayee = !(payeeMapping && payeeMapping.xero_contact_id);
+    const missingCategoryIds = new Set();
+    const lines = this.getSplitLines(transaction);
+
+    // An account mapping wins over the xero_bank_account_code used for every other account
+    const accountMapping = transaction.actual_account_id ? accountMappings.get(transaction.actual_account_id) : null;
+    const bankAccountMapped = !!(accountMapping && accountMapping.xero_bank_account_id);
+    const missingAccount = !bankAccountMapped && !this.bankAccountCode;
+
+    const findCategoryMapping = (categoryId) => {
+      // Uncategorised transactions use the fallback account, if one is configured
+      const mapping = categoryId
+        ? categoryMappings.get(categoryId)
+        : this.fallbackAccountId && { xero_account_id: this.fallbackAccountId };
+      if (!mapping || !mapping.xero_account_id) {
+        missingCategoryIds.add(categoryId);
+        return null;
+      }
+      return mapping;
+    };
+
+    let categoryMapping;
+
+    if (lines) {
+      const lineMappings = lines.map(line => {
+        const lineMapping = findCategoryMapping(line.actual_category_id);
+        line.xero_account_id = lineMapping ? lineMapping.xero_account_id : null;
+        line.xero_account_code = lineMapping ? lineMapping.xero_account_code || null : null;
+        line.xero_tax_type = lineMapping ? lineMapping.xero_tax_type || null : null;
+        return lineMapping;
+      });
+      // The first line's mapping (including the fallback account) stands for the whole transaction
+      categoryMapping = lineMappings[0];
+    } else {
+      categoryMapping = findCategoryMapping(transaction.actual_category_id);
+    }
+
+    if (!categoryMapping) {
+      missingCategoryIds.add(lines ? lines[0].actual_category_id : transaction.actual_category_id);
+    }
+
+    if (missingPayee || missingCategoryIds.size > 0 || missingAccount) {
+      return {
+        complete: false,
+        missingCategoryIds: [...missingCategoryIds],
+        missingPayee,
+        missingAccount,
+        missingTransferAccount: false
+      };
+    }
+
+    // Add mapping info to transaction for Xero import
+    transaction.xero_account_id = categoryMapping.xero_account_id;
+    transaction.xero_contact_id = payeeMapping.xero_contact_id;
+    transaction.xero_account_code = categoryMapping.xero_account_code;
+    transaction.xero_tax_type = categoryMapping.xero_tax_type || null;
+    transaction.xero_bank_account_id = bankAccountMapped ? accountMapping.xero_bank_account_id : null;
+    transaction.xero_bank_account_code = bankAccountMapped
+      ? accountMapping.xero_bank_account_code || null
+      : this.bankAccountCode;
+    this.applyCurrency(transaction, bankAccountMapped ? accountMapping : null);
+
+    // Keep the document type of a bill or invoice that was already created
+    if (!transaction.xero_invoice_id) {
+      transaction.xero_document_type = this.getMappedDocumentType(categoryMapping, payeeMapping);
+    }
+
+    const mappingUpdate = {
+      xano_id: transaction.id,
+      xero_account_id: transaction.xero_account_id,
+      xero_contact_id: transaction.xero_contact_id,
+      xero_tax_type: transaction.xero_tax_type,
+      xero_bank_account_id: transaction.xero_bank_account_id,
+      xero_bank_account_code: transaction.xero_bank_account_code,
+      currency_code: transaction.currency_code,
+      currency_rate: transaction.currency_rate
+    };
+
+    if (lines) {
+      mappingUpdate.split_lines = lines;
+    }
+
+    return {
+      complete: true,
+      missingCategoryIds: [],
+      missingPayee: false,
+      missingAccount: false,
+      missingTransferAccount: false,
+      mappingUpdate
+    };
+  }
+
+  /**
+   * Get the Xero bank account the money of a transaction moved through
+   * Transactions mapped before account mappings existed use xero_bank_account_code.
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @returns {Object|null} - { AccountID } or { Code } for Xero, or null if there is none
+   */
+  getBankAccount(transaction) {
+    if (transaction.xero_bank_account_id) {
+      return { AccountID: transaction.xero_bank_account_id };
+    }
+
+    const code = transaction.xero_bank_account_code || this.bankAccountCode;
+    return code ? { Code: code } : null;
+  }
+
+  /**
+   * Get the Xero bank account a transfer went to
+   * @param {Object} transaction - Transfer with resolved mappings
+   * @returns {Object|null} - { AccountID } or { Code } for Xero, or null if it isn't mapped
+   */
+  getTransferBankAccount(transaction) {
+    if (transaction.xero_to_bank_account_id) {
+      return { AccountID: transaction.xero_to_bank_account_id };
+    }
+
+    return transaction.xero_to_bank_account_code ? { Code: transaction.xero_to_bank_account_code } : null;
+  }
+
+  /**
+   * Pick the document type from the mappings of a transaction
+   * @param {Object} categoryMapping - Category mapping from Xano (optional)
+   * @param {Object} payeeMapping - Payee mapping from Xano (optional)
+   * @returns {string|null} - Document type, or null to use the default
+   */
+  getMappedDocumentType(categoryMapping, payeeMapping) {
+    return (payeeMapping && payeeMapping.xero_document_type) ||
+           (categoryMapping && categoryMapping.xero_document_type) ||
+           null;
+  }
+
+  /**
+   * Find a tax override in transaction notes
+   * Supports "#tax:TAXTYPE" and the tags configured in xero_tax_note_overrides (e.g. "#gst-free")
+   * @param {string} notes - Transaction notes / description
+   * @returns {string|null} - Xero tax type, or null if the notes have no override
+   */
+  parseTaxOverride(notes) {
+    if (!notes) {
+      return null;
+    }
+
+    const explicit = notes.match(TAX_NOTE_PATTERN);
+    if (explicit) {
+      return explicit[1].toUpperCase();
+    }
+
+    for (const override of this.taxNoteOverrides) {
+      const tag = override.tag.replace(/^#/, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (new RegExp(`#${tag}(?![\\w-])`, 'i').test(notes)) {
+        return override.tax_type;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find a manual exchange rate in transaction notes ("#rate:0.6523")
+   * @param {string} notes - Transaction notes / description
+   * @returns {number|null} - Rate, or null to let Xero use its own
+   */
+  parseCurrencyRate(notes) {
+    const match = notes ? notes.match(RATE_NOTE_PATTERN) : null;
+    const rate = match ? parseFloat(match[1]) : null;
+    return rate > 0 ? rate : null;
+  }
+
+  /**
+   * Get a transaction's exchange rate and its amount in the Xero organisation's base currency
+   * Xero rates are units of the transaction's currency per unit of base currency.
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @param {number} xeroRate - Rate Xero recorded the document at (optional)
+   * @returns {Object} - { currency_rate, base_currency_amount }; the amount is null while the rate is unknown
+   */
+  getCurrencyAmounts(transaction, xeroRate = null) {
+    const amount = Number(transaction.amount);
+
+    if (!transaction.currency_code) {
+      return { currency_rate: null, base_currency_amount: amount };
+    }
+
+    const rate = Number(xeroRate || transaction.currency_rate) || null;
+    return {
+      currency_rate: rate,
+      base_currency_amount: rate ? Math.round((amount / rate) * 100) / 100 : null
+    };
+  }
+
+  /**
+   * Add the transaction's currency and manual rate to a Xero document
+   * @param {Object} document - Bank transaction or invoice
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @returns {Object} - The document
+   */
+  addCurrency(document, transaction) {
+    if (transaction.currency_code) {
+      document.CurrencyCode = transaction.currency_code;
+
+      if (transaction.currency_rate) {
+        document.CurrencyRate = transaction.currency_rate;
+      }
+    }
+
+    return document;
+  }
+
+  /**
+   * Resolve the tax type for a transaction's line item
+   * @param {Object} transaction - Mapped transaction (xero_tax_type comes from the category mapping)
+   * @returns {string|null} - Xero tax type, or null to use the account's default
+   */
+  resolveTaxType(transaction) {
+    if (this.lineAmountTypes === 'NoTax') {
+      return 'NONE';
+    }
+
+    return this.parseTaxOverride(transaction.description) ||
+           transaction.xero_tax_type ||
+           this.defaultTaxType ||
+           null;
+  }
+
+  /**
+   * Get the active tax rates for the current tenant, cached for an hour
+   * @param {boolean} forceRefresh - Ignore the cache
+   * @returns {Promise<Map<string, Object>>} - Tax rates keyed by tax type
+   */
+  async getTaxRates(forceRefresh = false) {
+    const cacheKey = this.xeroClient.tenantId || 'default';
+    const cached = this.taxRateCache.get(cacheKey);
+
+    if (!forceRefresh && cached && Date.now() - cached.fetchedAt < TAX_RATE_CACHE_TTL) {
+      return cached.rates;
+    }
+
+    const taxRates = await this.xeroClient.getTaxRates();
+    const rates = new Map(taxRates.map(rate => [rate.tax_type, rate]));
+
+    this.taxRateCache.set(cacheKey, { rates, fetchedAt: Date.now() });
+    return rates;
+  }
+
+  /**
+   * Check that every line item uses an active tax rate that applies to the direction of the money
+   * @param {Object} document - Document from formatDocument()
+   * @param {boolean} isSpend - Whether the transaction is money out
+   * @returns {Promise<string[]>} - Validation errors
+   */
+  async validateTaxTypes(document, isSpend) {
+    const taxTypes = [...new Set(document.LineItems.map(item => item.TaxType).filter(Boolean))];
+    if (taxTypes.length === 0) {
+      return [];
+    }
+
+    const rates = await this.getTaxRates();
+    const errors = [];
+
+    for (const taxType of taxTypes) {
+      const rate = rates.get(taxType);
+
+      if (!rate || rate.status !== 'ACTIVE') {
+        errors.push(`Tax type ${taxType} is not an active tax rate in this Xero organisation`);
+      } else if (isSpend && rate.can_apply_to_expenses === false) {
+        errors.push(`Tax type ${taxType} cannot be used on expenses`);
+      } else if (!isSpend && rate.can_apply_to_revenue === false) {
+        errors.push(`Tax type ${taxType} cannot be used on revenue`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Resolve the document type used to record a transaction
+   * @param {Object} transaction - Mapped transaction
+   * @returns {string} - Document type
+   */
+  resolveDocumentType(transaction) {
+    if (this.isTransfer(transaction)) {
+      return XeroDocumentType.BANK_TRANSFER;
+    }
+
+    const requestedType = transaction.xero_document_type || this.defaultDocumentType;
+    const isSpend = transaction.amount < 0;
+
+    if (requestedType === XeroDocumentType.BILL && !isSpend) {
+      this.logger.debug(`Transaction ${transaction.id} is money in, recording as a bank transaction instead of a bill`);
+      return XeroDocumentType.BANK_TRANSACTION;
+    }
+
+    if (requestedType === XeroDocumentType.INVOICE && isSpend) {
+      this.logger.debug(`Transaction ${transaction.id} is money out, recording as a bank transaction instead of an invoice`);
+      return XeroDocumentType.BANK_TRANSACTION;
+    }
+
+    return [XeroDocumentType.BILL, XeroDocumentType.INVOICE].includes(requestedType)
+      ? requestedType
+      : XeroDocumentType.BANK_TRANSACTION;
+  }
+
+  /**
+   * Build the Xero document for a transaction
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @param {string} xeroReference - Xero reference (Xano-{ID})
+   * @param {string} documentType - Document type (default: resolved from the transaction)
+   * @returns {Object} - Xero-formatted BankTransaction, Invoice or BankTransfer
+   */
+  formatDocument(transaction, xeroReference, documentType = null) {
+    const type = documentType || this.resolveDocumentType(transaction);
+
+    if (type === XeroDocumentType.BANK_TRANSFER) {
+      return this.formatBankTransfer(transaction, xeroReference);
+    }
+
+    // Validate required fields
+    if (!transaction.xero_account_id) {
+      throw new Error('Xero account ID is required');
+    }
+    if (!transaction.xero_contact_id) {
+      throw new Error('Xero contact ID is required');
+    }
+    if (!transaction.amount || transaction.amount === 0) {
+      throw new Error('Transaction amount must be non-zero');
+    }
+
+    // Format date for Xero (YYYY-MM-DD)
+    const transactionDate = new Date(transaction.transaction_date);
+    if (isNaN(transactionDate.getTime())) {
+      throw new Error('Invalid transaction date');
+    }
+    const formattedDate = transactionDate.toISOString().split('T')[0];
+
+    const absoluteAmount = Math.abs(transaction.amount);
+
+    // Validate amount is reasonable
+    if (absoluteAmount > 1000000) {
+      this.logger.warn(`Large transaction amount detected: ${absoluteAmount} for transaction ${transaction.id}`);
+    }
+
+    const lineItems = this.formatLineItems(transaction);
+
+    if (type === XeroDocumentType.BANK_TRANSACTION) {
+      const bankTransaction = {
+        Type: transaction.amount < 0 ? 'SPEND' : 'RECEIVE',
+        Contact: {
+          ContactID: transaction.xero_contact_id
+        },
+        Date: formattedDate,
+        Reference: xeroReference,
+        Status: 'AUTHORISED', // Automatically authorize the transaction
+        LineAmountTypes: this.lineAmountTypes,
+        LineItems: lineItems
+      };
+
+      const bankAccount = this.getBankAccount(transaction);
+      if (bankAccount) {
+        bankTransaction.BankAccount = bankAccount;
+      }
+
+      return this.addCurrency(bankTransaction, transaction);
+    }
+
+    const invoice = {
+      Type: type === XeroDocumentType.BILL ? 'ACCPAY' : 'ACCREC',
+      Contact: {
+        ContactID: transaction.xero_contact_id
+      },
+      Date: formattedDate,
+      DueDate: formattedDate, // Already paid, so due on the day it happened
+      Status: 'AUTHORISED',
+      LineAmountTypes: this.lineAmountTypes,
+      LineItems: lineItems
+    };
+
+    // Bills have no Reference field, the supplier invoice number plays that role
+    if (type === XeroDocumentType.BILL) {
+      invoice.InvoiceNumber = xeroReference;
+    } else {
+      invoice.Reference = xeroReference;
+    }
+
+    return this.addCurrency(invoice, transaction);
+  }
+
+  /**
+   * Build the Xero bank transfer for a transfer, from the account the money left
+   * @param {Object} transaction - Transfer with resolved mappings
+   * @param {string} xeroReference - Xero reference (Xano-{ID})
+   * @returns {Object} - Xero-formatted BankTransfer
+   */
+  formatBankTransfer(transaction, xeroReference) {
+    if (!transaction.amount || transaction.amount === 0) {
+      throw new Error('Transaction amount must be non-zero');
+    }
+
+    const transactionDate = new Date(transaction.transaction_date);
+    if (isNaN(transactionDate.getTime())) {
+      throw new Error('Invalid transaction date');
+    }
+
+    return {
+      FromBankAccount: this.getBankAccount(transaction),
+      ToBankAccount: this.getTransferBankAccount(transaction),
+      Amount: Math.round(Math.abs(transaction.amount) * 100) / 100,
+      Date: transactionDate.toISOString().split('T')[0],
+      Reference: xeroReference
+    };
+  }
+
+  /**
+   * Validate a Xero bank transfer before sending it to the API
+   * @param {Object} document - Document from formatBankTransfer()
+   * @returns {Object} - Validation result
+   */
+  validateBankTransfer(document) {
+    const errors = [];
+    const from = document.FromBankAccount || {};
+    const to = document.ToBankAccount || {};
+
+    if (!from.AccountID && !from.Code) {
+      errors.push('Bank account is required: map the Actual account the transfer left to a Xero bank account');
+    }
+
+    if (!to.AccountID && !to.Code) {
+      errors.push('Destination bank account is required: map the Actual account the transfer went to to a Xero bank account');
+    }
+
+    if ((from.AccountID && from.AccountID === to.AccountID) || (from.Code && from.Code === to.Code)) {
+      errors.push('A transfer must be between two different Xero bank accounts');
+    }
+
+    if (!(document.Amount > 0)) {
+      errors.push('Transfer amount must be more than zero');
+    }
+
+    if (!document.Date || !/^\d{4}-\d{2}-\d{2}$/.test(document.Date)) {
+      errors.push('Date must be in YYYY-MM-DD format');
+    }
+
+    if (!document.Reference || document.Reference.length > 255) {
+      errors.push('Reference is required and must be 255 characters or less');
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Build line items for a transaction, one per split line for split transactions
+   * Split lines going the opposite way to the total (e.g. a refund inside a purchase)
+   * become negative lines.
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @returns {Object[]} - Xero line items
+   */
+  formatLineItems(transaction) {
+    const direction = transaction.amount < 0 ? -1 : 1;
+
+    // Format description with fallback
+    const description = transaction.description ||
+                       `Transaction from Actual Budget (${transaction.actual_transaction_id})`;
+
+    const splitLines = this.getSplitLines(transaction);
+    const lines = splitLines || [{
+      amount: transaction.amount,
+      description,
+      xero_account_id: transaction.xero_account_id,
+      xero_account_code: transaction.xero_account_code,
+      xero_tax_type: transaction.xero_tax_type
+    }];
+
+    return lines.map(line => {
+      const lineItem = {
+        Description: (line.description || description).substring(0, 4000), // Xero has a 4000 character limit
+        Quantity: 1,
+        UnitAmount: Math.round(line.amount * direction * 100) / 100,
+        AccountID: line.xero_account_id
+      };
+
+      // A tax tag in the split line's notes wins over one on the whole transaction
+      const lineOverride = splitLines && this.lineAmountTypes !== 'NoTax'
+        ? this.parseTaxOverride(line.description)
+        : null;
+      const taxType = lineOverride || this.resolveTaxType({
+        description: transaction.description,
+        xero_tax_type: line.xero_tax_type
+      });
+
+      // Without a tax type Xero applies the account's default tax rate
+      if (taxType) {
+        lineItem.TaxType = taxType;
+      }
+
+      // Add account code if available
+      if (line.xero_account_code) {
+        lineItem.AccountCode = line.xero_account_code;
+      }
+
+      return lineItem;
+    });
+  }
+
+  /**
+   * Validate a Xero document before sending it to the API
+   * @param {Object} document - Document from formatDocument()
+   * @param {string} documentType - Document type
+   * @param {Object} transaction - Transaction the document is for (bills and invoices take their payment account from it)
+   * @returns {Object} - Validation result
+   */
+  validateDocument(document, documentType = XeroDocumentType.BANK_TRANSACTION, transaction = {}) {
+    if (documentType === XeroDocumentType.BANK_TRANSFER) {
+      return this.validateBankTransfer(document);
+    }
+
+    const errors = [];
+    const isBankTransaction = documentType === XeroDocumentType.BANK_TRANSACTION;
+
+    // Required fields validation
+    if (isBankTransaction) {
+      if (!document.Type || !['SPEND', 'RECEIVE'].includes(document.Type)) {
+        errors.push('Transaction type must be SPEND or RECEIVE');
+      }
+
+      if (!document.BankAccount?.AccountID && !document.BankAccount?.Code) {
+        errors.push('Bank account is required: map the Actual account to a Xero bank account or set xero_bank_account_code');
+      }
+    } else {
+      if (!document.Type || !['ACCPAY', 'ACCREC'].includes(document.Type)) {
+        errors.push('Invoice type must be ACCPAY or ACCREC');
+      }
+
+      if (!this.getBankAccount(transaction || {})) {
+        errors.push('Bank account is required to record bill and invoice payments: map the Actual account to a Xero bank account or set xero_bank_account_code');
+      }
+    }
+
+    if (!document.Contact?.ContactID) {
+      errors.push('Contact ID is required');
+    }
+
+    if (!document.Date || !/^\d{4}-\d{2}-\d{2}$/.test(document.Date)) {
+      errors.push('Date must be in YYYY-MM-DD format');
+    }
+
+    if (document.CurrencyCode !== undefined && !/^[A-Z]{3}$/.test(document.CurrencyCode)) {
+      errors.push('Currency code must be a three letter ISO 4217 code');
+    }
+
+    if (document.CurrencyRate !== undefined && !(document.CurrencyRate > 0)) {
+      errors.push('Currency rate must be greater than zero');
+    }
+
+    const reference = document.Reference || document.InvoiceNumber;
+    if (!reference || reference.length > 255) {
+      errors.push('Reference is required and must be 255 characters or less');
+    }
+
+    // Line items validation
+    if (!document.LineItems || document.LineItems.length === 0) {
+      errors.push('At least one line item is required');
+    } else {
+      document.LineItems.forEach((lineItem, index) => {
+        const label = document.LineItems.length > 1 ? `line item ${index + 1}` : 'line item';
+
+        if (!lineItem.AccountID) {
+          errors.push(`Account ID is required for ${label}`);
+        }
+
+        if (!lineItem.UnitAmount) {
+          errors.push(`Unit amount must be non-zero for ${label}`);
+        }
+
+        if (Math.abs(lineItem.UnitAmount) > 999999999.99) {
+          errors.push(`Unit amount exceeds maximum allowed value for ${label}`);
+        }
+
+        if (!lineItem.Description || lineItem.Description.trim().length === 0) {
+          errors.push(`Description is required for ${label}`);
+        }
+      });
+
+      const total = document.LineItems.reduce((sum, lineItem) => sum + (lineItem.UnitAmount || 0), 0);
+      if (total <= 0) {
+        errors.push('Line items must add up to more than zero');
+      }
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors
+    };
+  }
+
+  /**
+   * Create a document in Xero, paying bills and invoices from the bank account
+   * A bill or invoice that already exists (transaction.xero_invoice_id) is not created
+   * again, so a failed payment can be retried on its own.
+   * @param {Object} document - Document from formatDocument()
+   * @param {string} documentType - Document type
+   * @param {Object} transaction - Original transaction
+   * @param {Function} runOperation - Optional wrapper for each Xero call (e.g. retry logic)
+   * @returns {Promise<Object>} - Xero IDs and status for Xano
+   * @throws {Error} With partialResult set when the payment fails after the invoice was created
+   */
+  async createDocument(document, documentType, transaction, runOperation = (operation) => operation()) {
+    if (documentType === XeroDocumentType.BANK_TRANSFER) {
+      const result = await runOperation(() => this.xeroClient.createBankTransfer(document), 'bank transfer');
+
+      return {
+        xero_document_type: documentType,
+        xero_transaction_id: result.xero_bank_transfer_id,
+        xero_bank_transfer_id: result.xero_bank_transfer_id,
+        xero_invoice_id: null,
+        xero_payment_id: null,
+        xero_status: 'AUTHORISED',
+        xero_currency_rate: result.xero_currency_rate || null
+      };
+    }
+
+    if (documentType === XeroDocumentType.BANK_TRANSACTION) {
+      const result = await runOperation(() => this.xeroClient.createTransaction({
+        ...document,
+        xano_id: transaction.id
+      }), 'bank transaction');
+
+      return {
+        xero_document_type: documentType,
+        xero_transaction_id: result.xero_transaction_id,
+        xero_invoice_id: null,
+        xero_payment_id: null,
+        xero_status: result.xero_status || 'AUTHORISED',
+        xero_currency_rate: result.xero_currency_rate || null
+      };
+    }
+
+    let invoiceId = transaction.xero_invoice_id || null;
+    let invoiceStatus = 'AUTHORISED';
+    let currencyRate = null;
+
+    // Pay what the bill/invoice adds up to in Xero (tax exclusive amounts add tax on top)
+    let paymentAmount = Math.abs(transaction.amount);
+
+    if (invoiceId) {
+      this.logger.info(`Reusing existing Xero ${documentType} ${invoiceId} for transaction ${transaction.id}`);
+    } else {
+      const invoiceResult = await runOperation(() => this.xeroClient.createInvoice(document), documentType);
+      invoiceId = invoiceResult.xero_invoice_id;
+      invoiceStatus = invoiceResult.xero_status || invoiceStatus;
+      currencyRate = invoiceResult.xero_currency_rate || null;
+
+      if (typeof invoiceResult.xero_total === 'number') {
+        paymentAmount = invoiceResult.xero_total;
+      }
+    }
+
+    try {
+      const payment = {
+        Invoice: { InvoiceID: invoiceId },
+        Account: this.getBankAccount(transaction),
+        Date: document.Date,
+        Amount: Math.round(paymentAmount * 100) / 100,
+        Reference: document.Reference || document.InvoiceNumber
+      };
+
+      // A manual rate applies to the payment too, otherwise Xero uses its rate for the day
+      if (transaction.currency_code && transaction.currency_rate) {
+        payment.CurrencyRate = transaction.currency_rate;
+      }
+
+      const paymentResult = await runOperation(() => this.xeroClient.createPayment(payment), 'payment');
+
+      return {
+        xero_document_type: documentType,
+        xero_transaction_id: invoiceId,
+        xero_invoice_id: invoiceId,
+        xero_payment_id: paymentResult.xero_payment_id,
+        xero_status: 'PAID',
+        xero_currency_rate: currencyRate
+      };
+    } catch (error) {
+      error.partialResult = {
+        xero_document_type: documentType,
+        xero_invoice_id: invoiceId,
+        xero_status: invoiceStatus
+      };
+      throw error;
+    }
+  }
+
+  /**
+   * Look up documents already in Xero for a batch of transactions
+   * Bank transactions and transfers are matched on Reference, bills and invoices
+   * on their InvoiceNumber / Reference, so an import that reached Xero but was
+   * never recorded in Xano is found again instead of being created twice.
+   * @param {Array<Object>} items - Items of { transaction, xeroReference }
+   * @returns {Promise<Map<string, Object[]>>} - Existing documents by reference
+   */
+  async findExistingDocuments(items) {
+    const bankReferences = [];
+    const invoiceReferences = [];
+    const transferReferences = [];
+
+    for (const { transaction, xeroReference } of items) {
+      const documentType = this.resolveDocumentType(transaction);
+
+      if (documentType === XeroDocumentType.BANK_TRANSACTION) {
+        bankReferences.push(xeroReference);
+      } else if (documentType === XeroDocumentType.BANK_TRANSFER) {
+        transferReferences.push(xeroReference);
+      } else {
+        invoiceReferences.push(xeroReference);
+      }
+    }
+
+    const existing = new Map();
+    const add = (reference, document) => {
+      if (!existing.has(reference)) {
+        existing.set(reference, []);
+      }
+      existing.get(reference).push(document);
+    };
+
+    if (bankReferences.length > 0) {
+      const transactions = await this.xeroClient.findBankTransactionsByReference(bankReferences);
+      transactions.forEach(transaction => add(transaction.xero_reference, {
+        xero_document_type: XeroDocumentType.BANK_TRANSACTION,
+        xero_transaction_id: transaction.xero_transaction_id,
+        xero_status: transaction.xero_status
+      }));
+    }
+
+    if (invoiceReferences.length > 0) {
+      const invoices = await this.xeroClient.findInvoicesByReference(invoiceReferences);
+      invoices.forEach(invoice => add(invoice.xero_reference, {
+        xero_document_type: invoice.xero_invoice_type === 'ACCPAY' ? XeroDocumentType.BILL : XeroDocumentType.INVOICE,
+        xero_invoice_id: invoice.xero_invoice_id,
+        xero_payment_id: invoice.xero_payment_ids[0] || null,
+        xero_status: invoice.xero_status,
+        xero_amount_due: invoice.xero_amount_due
+      }));
+    }
+
+    if (transferReferences.length > 0) {
+      const transfers = await this.xeroClient.findBankTransfersByReference(transferReferences);
+      transfers.forEach(transfer => add(transfer.xero_reference, {
+        xero_document_type: XeroDocumentType.BANK_TRANSFER,
+        xero_transaction_id: transfer.xero_bank_transfer_id,
+        xero_bank_transfer_id: transfer.xero_bank_transfer_id
+      }));
+    }
+
+    return existing;
+  }
+
+  /**
+   * Adopt a document that is already in Xero for a transaction
+   * A bank transaction, a transfer or a paid bill/invoice is complete and its IDs are returned.
+   * An unpaid bill/invoice is set as the transaction's xero_invoice_id, so the
+   * import only adds the payment.
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @param {Object[]} documents - Existing documents for the transaction's reference
+   * @returns {Object|null} - Xero IDs and status for Xano, or null when the import should continue
+   */
+  adoptExistingDocument(transaction, documents) {
+    // Prefer a complete document when duplicates exist
+    const document = documents.find(doc => doc.xero_transaction_id || doc.xero_amount_due === 0) || documents[0];
+
+    if (document.xero_document_type === XeroDocumentType.BANK_TRANSFER) {
+      return {
+        xero_document_type: document.xero_document_type,
+        xero_transaction_id: document.xero_bank_transfer_id,
+        xero_bank_transfer_id: document.xero_bank_transfer_id,
+        xero_invoice_id: null,
+        xero_payment_id: null,
+        xero_status: 'AUTHORISED'
+      };
+    }
+
+    if (document.xero_document_type === XeroDocumentType.BANK_TRANSACTION) {
+      return {
+        xero_document_type: document.xero_document_type,
+        xero_transaction_id: document.xero_transaction_id,
+        xero_invoice_id: null,
+        xero_payment_id: null,
+        xero_status: document.xero_status || 'AUTHORISED'
+      };
+    }
+
+    if (document.xero_amount_due === 0) {
+      return {
+        xero_document_type: document.xero_document_type,
+        xero_transaction_id: document.xero_invoice_id,
+        xero_invoice_id: document.xero_invoice_id,
+        xero_payment_id: document.xero_payment_id,
+        xero_status: 'PAID'
+      };
+    }
+
+    transaction.xero_invoice_id = document.xero_invoice_id;
+    return null;
+  }
+
+  /**
+   * Format, validate and create the Xero document for a transaction
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @param {string} xeroReference - Xero reference (Xano-{ID})
+   * @param {Function} runOperation - Optional wrapper for each Xero call
+   * @returns {Promise<Object>} - Xero IDs and status for Xano
+   */
+  async importTransaction(transaction, xeroReference, runOperation) {
+    const { document, documentType } = await this.prepareDocument(transaction, xeroReference);
+    return this.createDocument(document, documentType, transaction, runOperation);
+  }
+
+  /**
+   * Update the Xero bank transaction of an edited transaction
+   * Reconciled bank transactions are left alone: changing them in Xero would
+   * undo the bank reconciliation, so the edit is returned as a conflict instead.
+   * @param {Object} transaction - Transaction with resolved mappings and its xero_transaction_id
+   * @param {string} xeroReference - Xero reference (Xano-{ID})
+   * @returns {Promise<Object>} - { result } with the Xero status, or { conflict } with the reason it wasn't updated
+   * @throws {Error} If the document fails validation or Xero rejects the update
+   */
+  async updateBankTransaction(transaction, xeroReference) {
+    const existing = await this.xeroClient.getBankTransaction(transaction.xero_transaction_id);
+
+    if (!existing || existing.xero_status === 'DELETED' || existing.xero_status === 'VOIDED') {
+      return { conflict: 'The bank transaction no longer exists in Xero' };
+    }
+
+    if (existing.is_reconciled) {
+      return { conflict: 'The bank transaction is reconciled in Xero' };
+    }
+
+    // The document type can't change once created, whatever the mappings say now
+    const { document } = await this.prepareDocument(transaction, xeroReference, XeroDocumentType.BANK_TRANSACTION);
+    const updated = await this.xeroClient.updateBankTransaction(transaction.xero_transaction_id, document);
+
+    return {
+      result: {
+        xero_transaction_id: updated.xero_transaction_id,
+        xero_status: updated.xero_status,
+        xero_currency_rate: updated.xero_currency_rate || null
+      }
+    };
+  }
+
+  /**
+   * Format and validate the Xero document for a transaction
+   * @param {Object} transaction - Transaction with resolved mappings
+   * @param {string} xeroReference - Xero reference (Xano-{ID})
+   * @param {string} documentType - Document type (default: resolved from the transaction)
+   * @returns {Promise<Object>} - { document, documentType }
+   * @throws {Error} If the document fails validation
+   */
+  async prepareDocument(transaction, xeroReference, documentType = null) {
+    documentType = documentType || this.resolveDocumentType(transaction);
+    const document = this.formatDocument(transaction, xeroReference, documentType);
+
+    const validationResult = this.validateDocument(document, documentType, transaction);
+    // Transfers have no line items to tax
+    const taxErrors = document.LineItems ? await this.validateTaxTypes(document, transaction.amount < 0) : [];
+    const errors = [...validationResult.errors, ...taxErrors];
+
+    if (errors.length > 0) {
+      throw new Error(`Transaction validation failed: ${errors.join(', ')}`);
+    }
+
+    return { document, documentType };
+  }
+
+  /**
+   * Format, validate and create bank transactions in as few Xero calls as possible
+   * Transactions that fail validation, locally or in Xero, fail on their own
+   * without affecting the rest of the batch.
+   * @param {Array<Object>} items - Items of { transaction, xeroReference } recorded as bank transactions
+   * @param {Function} runOperation - Optional wrapper for the Xero call (e.g. retry logic)
+   * @returns {Promise<Array<Object>>} - One entry per item, in order: { result } or { error }
+   */
+  async importBankTransactions(items, runOperation = (operation) => operation()) {
+    const outcomes = new Array(items.length);
+    const ready = [];
+
+    for (let index = 0; index < items.length; index++) {
+      const { transaction, xeroReference } = items[index];
+      try {
+        const { document } = await this.prepareDocument(transaction, xeroReference);
+        ready.push({ index, transaction, document });
+      } catch (error) {
+        outcomes[index] = { error };
+      }
+    }
+
+    if (ready.length === 0) {
+      return outcomes;
+    }
+
+    try {
+      const results = await runOperation(() => this.xeroClient.createTransactions(
+        ready.map(({ transaction, document }) => ({ ...document, xano_id: transaction.id }))
+      ), `batch of ${ready.length} bank transactions`);
+
+      results.forEach((result, position) => {
+        const { index } = ready[position];
+        outcomes[index] = result.success
+          ? {
+            result: {
+              xero_document_type: XeroDocumentType.BANK_TRANSACTION,
+              xero_transaction_id: result.xero_transaction_id,
+              xero_invoice_id: null,
+              xero_payment_id: null,
+              xero_status: result.xero_status || 'AUTHORISED',
+              xero_currency_rate: result.xero_currency_rate || null
+            }
+          }
+          : { error: new Error(`Xero validation failed: ${result.error}`) };
+      });
+    } catch (error) {
+      ready.forEach(({ index }) => {
+        outcomes[index] = { error };
+      });
+    }
+
+    return outcomes;
+  }
+}
+
+module.exports = { XeroDocumentService, XeroDocumentType };
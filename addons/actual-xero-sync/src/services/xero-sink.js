@@ -0,0 +1,244 @@
+const { XeroDocumentType } = require('./xero-documents');
+
+/**
+ * Xero sinks selectable with the xero_sink option
+ */
+const XeroSinkType = {
+  DIRECT: 'direct',
+  XANO_WORKFLOW: 'xano_workflow'
+};
+
+/**
+ * XeroSink - Shared outcome counting and status for the Xero import paths
+ *
+ * A sink takes a batch of mapped transactions and returns one outcome per
+ * transaction. Storing the results, tagging in Actual and marking failures is
+ * left to the caller, so it happens the same way whichever sink is used.
+ */
+class XeroSink {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.logger = options.logger || console;
+    this.stats = { batches: 0, imported: 0, adopted: 0, failed: 0, duplicates: 0 };
+  }
+
+  /**
+   * Count a batch of outcomes in the sink statistics
+   * @param {Array<Object>} outcomes - Outcomes returned by importBatch
+   */
+  recordOutcomes(outcomes) {
+    this.stats.batches++;
+    this.stats.imported += outcomes.filter(outcome => !outcome.error).length;
+    this.stats.adopted += outcomes.filter(outcome => outcome.adopted).length;
+    this.stats.failed += outcomes.filter(outcome => outcome.error).length;
+    this.stats.duplicates += outcomes.filter(outcome => outcome.duplicates && outcome.duplicates.length > 0).length;
+  }
+
+  /**
+   * Get sink type and statistics
+   * @returns {Object} - Sink status
+   */
+  getStatus() {
+    return {
+      type: this.type,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+/**
+ * DirectXeroSink - Creates Xero documents from the add-on through XeroClient
+ *
+ * Before creating anything, the batch's references are looked up in Xero.
+ * Documents that already exist (e.g. created just before a crash, but never
+ * recorded in Xano) are adopted instead of created again, and references
+ * found more than once are reported as duplicates.
+ */
+class DirectXeroSink extends XeroSink {
+  constructor(options = {}) {
+    super(XeroSinkType.DIRECT, options);
+    this.documentService = options.documentService;
+
+    if (!this.documentService) {
+      throw new Error('XeroDocumentService is required');
+    }
+  }
+
+  /**
+   * Import a batch of mapped transactions to Xero
+   * @param {Array<Object>} items - Items of { transaction, xeroReference, runOperation }
+   * @param {Object} options - Import options
+   * @param {boolean} options.batchCreate - Create bank transactions in one Xero call instead of one call each
+   * @param {Function} options.runBatchOperation - Optional wrapper for the batch Xero call (e.g. retry logic)
+   * @returns {Promise<Array<Object>>} - One outcome per item, in order: { transaction, xeroReference, result, adopted, duplicates } or { transaction, xeroReference, error }
+   */
+  async importBatch(items, options = {}) {
+    let existing;
+
+    try {
+      existing = await this.documentService.findExistingDocuments(items);
+    } catch (error) {
+      // Without the lookup a retry could create duplicates, so leave the batch for reprocessing
+      this.logger.error(`Could not check Xero for existing transactions, skipping batch of ${items.length}: ${error.message}`);
+      const outcomes = items.map(({ transaction, xeroReference }) => ({ transaction, xeroReference, error }));
+      this.recordOutcomes(outcomes);
+      return outcomes;
+    }
+
+    const outcomes = new Array(items.length);
+    const pending = [];
+
+    items.forEach((item, index) => {
+      const { transaction, xeroReference } = item;
+      const documents = existing.get(xeroReference) || [];
+      const duplicates = documents.length > 1
+        ? documents.map(document => document.xero_invoice_id || document.xero_transaction_id)
+        : [];
+
+      if (duplicates.length > 0) {
+        this.logger.warn(`Found ${documents.length} Xero documents with reference ${xeroReference}: ${duplicates.join(', ')}`);
+      }
+
+      const adopted = documents.length > 0
+        ? this.documentService.adoptExistingDocument(transaction, documents)
+        : null;
+
+      if (adopted) {
+        this.logger.info(`Adopted existing Xero ${adopted.xero_document_type} ${adopted.xero_transaction_id} for transaction ${transaction.id}`);
+        outcomes[index] = { transaction, xeroReference, result: adopted, adopted: true, duplicates };
+      } else {
+        pending.push({ item, index, duplicates });
+      }
+    });
+
+    // Bank transactions can go to Xero together; bills and invoices need a payment each
+    const batched = options.batchCreate
+      ? pending.filter(({ item }) => this.documentService.resolveDocumentType(item.transaction) === XeroDocumentType.BANK_TRANSACTION)
+      : [];
+
+    if (batched.length > 1) {
+      const results = await this.documentService.importBankTransactions(batched.map(({ item }) => item), options.runBatchOperation);
+      results.forEach((outcome, position) => {
+        const { item, index, duplicates } = batched[position];
+        outcomes[index] = { transaction: item.transaction, xeroReference: item.xeroReference, ...outcome, adopted: false, duplicates };
+      });
+    }
+
+    for (const { item, index, duplicates } of pending) {
+      if (outcomes[index]) {
+        continue;
+      }
+
+      const { transaction, xeroReference, runOperation } = item;
+      try {
+        const result = await this.documentService.importTransaction(transaction, xeroReference, runOperation);
+        outcomes[index] = { transaction, xeroReference, result, adopted: false, duplicates };
+      } catch (error) {
+        outcomes[index] = { transaction, xeroReference, error, duplicates };
+      }
+    }
+
+    this.recordOutcomes(outcomes);
+    return outcomes;
+  }
+}
+
+/**
+ * XanoWorkflowSink - Hands mapped transactions to Xano's /workflow/sync-all,
+ * which creates the Xero documents on the Xano side
+ *
+ * The workflow is asked for exactly the transactions in the batch and must
+ * return a result per transaction, so both sinks report the same outcomes and
+ * the sync pipeline records them the same way.
+ */
+class XanoWorkflowSink extends XeroSink {
+  constructor(options = {}) {
+    super(XeroSinkType.XANO_WORKFLOW, options);
+    this.xanoClient = options.xanoClient;
+
+    if (!this.xanoClient) {
+      throw new Error('XanoClient is required');
+    }
+  }
+
+  /**
+   * Import a batch of mapped transactions to Xero through the Xano workflow
+   * @param {Array<Object>} items - Items of { transaction, xeroReference }
+   * @returns {Promise<Array<Object>>} - One outcome per item: { transaction, xeroReference, result } or { transaction, xeroReference, error }
+   */
+  async importBatch(items) {
+    let results;
+
+    try {
+      const data = await this.xanoClient.triggerXeroImport({
+        limit: items.length,
+        transactionIds: items.map(item => item.transaction.id)
+      });
+      results = new Map((data.results || []).map(result => [result.id || result.xano_id, result]));
+    } catch (error) {
+      this.logger.error(`Xano workflow import failed for ${items.length} transactions: ${error.message}`);
+      const outcomes = items.map(({ transaction, xeroReference }) => ({ transaction, xeroReference, error }));
+      this.recordOutcomes(outcomes);
+      return outcomes;
+    }
+
+    const outcomes = items.map(({ transaction, xeroReference }) => {
+      const result = results.get(transaction.id);
+
+      if (!result) {
+        return { transaction, xeroReference, error: new Error('Xano workflow returned no result for this transaction') };
+      }
+
+      if (result.success === false || result.status === 'failed' || !result.xero_transaction_id) {
+        const error = new Error(result.error || result.message || 'Xano workflow did not import the transaction');
+        // Keep the ID of a bill or invoice that was created but not paid
+        if (result.xero_invoice_id) {
+          error.partialResult = { xero_invoice_id: result.xero_invoice_id, xero_document_type: result.xero_document_type };
+        }
+        return { transaction, xeroReference, error };
+      }
+
+      return {
+        transaction,
+        xeroReference,
+        result: {
+          xero_transaction_id: result.xero_transaction_id,
+          xero_document_type: result.xero_document_type,
+          xero_invoice_id: result.xero_invoice_id,
+          xero_payment_id: result.xero_payment_id,
+          xero_bank_transfer_id: result.xero_bank_transfer_id,
+          xero_status: result.xero_status,
+          xero_currency_rate: result.xero_currency_rate || result.currency_rate || null
+        }
+      };
+    });
+
+    this.recordOutcomes(outcomes);
+    return outcomes;
+  }
+}
+
+/**
+ * Create the Xero sink for the configured import path
+ * @param {Object} config - Validated configuration
+ * @param {Object} options - Sink dependencies
+ * @param {Object} options.documentService - XeroDocumentService (direct sink)
+ * @param {Object} options.xanoClient - Xano client (Xano workflow sink)
+ * @param {Object} options.logger - Logger instance
+ * @returns {DirectXeroSink|XanoWorkflowSink} - Xero sink
+ */
+function createXeroSink(config = {}, options = {}) {
+  if (config.xero_sink === XeroSinkType.XANO_WORKFLOW) {
+    return new XanoWorkflowSink({
+      xanoClient: options.xanoClient,
+      logger: options.logger
+    });
+  }
+
+  return new DirectXeroSink({
+    documentService: options.documentService,
+    logger: options.logger
+  });
+}
+
+module.exports = { XeroSink, DirectXeroSink, XanoWorkflowSink, XeroSinkType, createXeroSink };
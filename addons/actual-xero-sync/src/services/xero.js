@@ -1,6 +1,28 @@
 const BaseApiClient = require('../utils/base-api-client');
 const { AuthorizationCode } = require('simple-oauth2');
 const crypto = require('crypto');
+const XeroRateLimiter = require('../utils/xero-rate-limiter');
+const { getScopedTenantId } = require('../utils/tenant-scope');
+
+// offline_access is required for Xero to issue a refresh token
+const XERO_SCOPES = 'offline_access accounting.transactions accounting.contacts accounting.settings';
+const XERO_CONNECTIONS_URL = 'https://api.xero.com/connections';
+
+// References per where filter when looking up existing documents (keeps the URL short)
+const REFERENCE_LOOKUP_CHUNK_SIZE = 20;
+
+// Xero's recommended maximum number of elements per create request
+const XERO_BATCH_LIMIT = 50;
+
+// Attempts per call when Xero answers 429 Too Many Requests
+const RATE_LIMIT_MAX_ATTEMPTS = 3;
+
+// Xero account class matched, and account type created, for Actual expense and income categories.
+// Matching by class lets an income category map to a REVENUE, SALES or OTHERINCOME account.
+const CATEGORY_ACCOUNT_OPTIONS = {
+  expense: { accountClass: 'EXPENSE', type: 'EXPENSE' },
+  income: { accountClass: 'REVENUE', type: 'REVENUE' }
+};
 
 /**
  * XeroClient - API client for Xero with OAuth 2.0 authentication
@@ -10,7 +32,7 @@ const crypto = require('crypto');
  */
 class XeroClient extends BaseApiClient {
   constructor(options = {}) {
-    const { clientId, clientSecret, tenantId, redirectUri, ...baseOptions } = options;
+    const { clientId, clientSecret, tenantId, redirectUri, tokenStore, rateLimiter, ...baseOptions } = options;
     
     // Initialize base client with Xero API defaults
     super({
@@ -25,7 +47,8 @@ class XeroClient extends BaseApiClient {
 
     this.clientId = clientId;
     this.clientSecret = clientSecret;
-    this.tenantId = tenantId;
+    // The default tenant is the one stored with the tokens; see the tenantId getter
+    this.defaultTenantId = tenantId || null;
     this.redirectUri = redirectUri || 'http://localhost:8080/callback';
     
     // OAuth 2.0 configuration
@@ -45,9 +68,20 @@ class XeroClient extends BaseApiClient {
     this.accessToken = null;
     this.tokenExpiresAt = null;
 
+    // Optional persistent storage so the connection survives restarts
+    this.tokenStore = tokenStore || null;
+
+    // Keeps calls inside Xero's minute and daily limits
+    this.rateLimiter = rateLimiter || new XeroRateLimiter({ logger: this.logger });
+
     // Xero-specific statistics
     this.xeroStats = {
       transactionsCreated: 0,
+      transactionsUpdated: 0,
+      transactionsVoided: 0,
+      invoicesCreated: 0,
+      paymentsCreated: 0,
+      transfersCreated: 0,
       accountsSearched: 0,
       contactsSearched: 0,
       accountsCreated: 0,
@@ -66,7 +100,7 @@ class XeroClient extends BaseApiClient {
     
     const authorizationUri = this.oauth2Client.authorizeURL({
       redirect_uri: this.redirectUri,
-      scope: 'accounting.transactions accounting.contacts accounting.settings',
+      scope: XERO_SCOPES,
       state: authState
     });
 
@@ -85,7 +119,7 @@ class XeroClient extends BaseApiClient {
       const tokenParams = {
         code,
         redirect_uri: this.redirectUri,
-        scope: 'accounting.transactions accounting.contacts accounting.settings'
+        scope: XERO_SCOPES
       };
 
       const accessToken = await this.oauth2Client.getToken(tokenParams);
@@ -95,12 +129,16 @@ class XeroClient extends BaseApiClient {
       
       this.logger.info(`Successfully obtained Xero access token, expires at: ${this.tokenExpiresAt.toISOString()}`);
       
-      return {
+      const tokenData = {
         access_token: this.accessToken.access_token,
         refresh_token: this.accessToken.refresh_token,
         expires_at: this.tokenExpiresAt,
         scope: this.accessToken.scope
       };
+
+      await this.persistToken(tokenData);
+
+      return tokenData;
     } catch (error) {
       this.logger.error(`Failed to exchange code for token: ${error.message}`);
       throw this.createXeroError('TOKEN_EXCHANGE_FAILED', error, { code, state });
@@ -118,7 +156,8 @@ class XeroClient extends BaseApiClient {
     this.accessToken = {
       access_token: tokenData.access_token,
       refresh_token: tokenData.refresh_token,
-      expires_in: Math.floor((new Date(tokenData.expires_at) - Date.now()) / 1000)
+      expires_in: Math.floor((new Date(tokenData.expires_at) - Date.now()) / 1000),
+      scope: tokenData.scope
     };
     
     this.tokenExpiresAt = new Date(tokenData.expires_at);
@@ -135,11 +174,14 @@ class XeroClient extends BaseApiClient {
     }
 
     try {
-      const refreshParams = {
-        refresh_token: this.accessToken.refresh_token
-      };
+      // Use the refresh_token grant; Xero rotates the refresh token on every refresh
+      const currentToken = this.oauth2Client.createToken({
+        access_token: this.accessToken.access_token,
+        refresh_token: this.accessToken.refresh_token,
+        expires_at: this.tokenExpiresAt
+      });
 
-      const newAccessToken = await this.oauth2Client.getToken(refreshParams);
+      const newAccessToken = await currentToken.refresh();
       
       this.accessToken = newAccessToken.token;
       this.tokenExpiresAt = new Date(Date.now() + (this.accessToken.expires_in * 1000));
@@ -147,18 +189,99 @@ class XeroClient extends BaseApiClient {
       
       this.logger.info(`Successfully refreshed Xero access token, expires at: ${this.tokenExpiresAt.toISOString()}`);
       
-      return {
+      const tokenData = {
         access_token: this.accessToken.access_token,
         refresh_token: this.accessToken.refresh_token,
         expires_at: this.tokenExpiresAt,
         scope: this.accessToken.scope
       };
+
+      // Persist the rotated refresh token, otherwise the next restart would use a revoked one
+      await this.persistToken(tokenData);
+
+      return tokenData;
     } catch (error) {
       this.logger.error(`Failed to refresh access token: ${error.message}`);
       throw this.createXeroError('TOKEN_REFRESH_FAILED', error);
     }
   }
 
+  /**
+   * Write token data to the token store, if one is configured
+   * A storage failure is logged but does not fail the OAuth operation
+   * @param {Object} tokenData - Token data to persist
+   * @returns {Promise<void>}
+   */
+  async persistToken(tokenData) {
+    if (!this.tokenStore) {
+      return;
+    }
+
+    try {
+      await this.tokenStore.save({
+        ...tokenData,
+        tenant_id: this.defaultTenantId
+      });
+    } catch (error) {
+      this.logger.error(`Failed to persist Xero tokens: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load previously stored tokens from the token store
+   * @returns {Promise<boolean>} - True if a stored token was loaded
+   */
+  async loadStoredToken() {
+    if (!this.tokenStore) {
+      return false;
+    }
+
+    try {
+      const tokenData = await this.tokenStore.load();
+
+      if (!tokenData || !tokenData.refresh_token) {
+        this.logger.info('No stored Xero tokens found, connect to Xero from the web interface');
+        return false;
+      }
+
+      this.setAccessToken(tokenData);
+
+      // An organisation picked in the web interface takes precedence over the configured one
+      if (tokenData.tenant_id) {
+        this.defaultTenantId = tokenData.tenant_id;
+      }
+
+      return true;
+
+    } catch (error) {
+      this.logger.error(`Failed to load stored Xero tokens: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Forget the current tokens and remove them from storage
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    this.accessToken = null;
+    this.tokenExpiresAt = null;
+
+    if (this.tokenStore) {
+      await this.tokenStore.clear();
+    }
+
+    this.logger.info('Disconnected from Xero');
+  }
+
+  /**
+   * Check whether the client holds tokens that can be used or refreshed
+   * @returns {boolean} - True if connected
+   */
+  isConnected() {
+    return !!(this.accessToken && this.accessToken.refresh_token);
+  }
+
   /**
    * Ensure valid access token, refreshing if necessary
    * @returns {Promise<void>}
@@ -192,11 +315,133 @@ class XeroClient extends BaseApiClient {
     // Add OAuth token and tenant ID to headers
     const authHeaders = {
       'Authorization': `Bearer ${this.accessToken.access_token}`,
-      'Xero-tenant-id': this.tenantId,
       ...options.headers
     };
 
-    return super.makeRequest(method, path, data, { ...options, headers: authHeaders });
+    // The connections endpoint is the only call that is not tenant specific
+    if (options.skipTenant) {
+      return super.makeRequest(method, path, data, { ...options, headers: authHeaders });
+    }
+
+    if (!this.tenantId) {
+      throw this.createXeroError('NO_TENANT_SELECTED', new Error('No Xero organisation selected. Choose one in the web interface.'));
+    }
+    authHeaders['Xero-tenant-id'] = this.tenantId;
+
+    const tenantId = this.tenantId;
+
+    for (let attempt = 1; ; attempt++) {
+      // Pauses while the minute limit is used up, throws once the daily limit is
+      await this.rateLimiter.acquire(tenantId);
+
+      try {
+        const response = await super.makeRequest(method, path, data, { ...options, headers: authHeaders });
+        this.rateLimiter.record(tenantId, response.headers);
+        return response;
+      } catch (error) {
+        if (error.statusCode !== 429) {
+          if (error.headers) {
+            this.rateLimiter.record(tenantId, error.headers);
+          }
+          throw error;
+        }
+
+        // The limiter waits out Retry-After before the next attempt
+        this.rateLimiter.handleRateLimited(tenantId, error.headers);
+        if (attempt >= RATE_LIMIT_MAX_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+  }
+
+  /**
+   * Leave 429 responses to the rate limiter, which honours Retry-After
+   * @param {Error} error - Error object
+   * @returns {boolean} - True if retryable
+   */
+  isRetryableError(error) {
+    return error.statusCode !== 429 && super.isRetryableError(error);
+  }
+
+  /**
+   * Check whether today's Xero API quota for the current tenant is used up
+   * @returns {boolean} - True if no more calls can be made today
+   */
+  isQuotaExhausted() {
+    return this.rateLimiter.isQuotaExhausted(this.tenantId);
+  }
+
+  /**
+   * Get when a tenant's used-up daily quota frees up again
+   * @param {string} tenantId - Xero tenant ID (default: current tenant)
+   * @returns {Date|null} - When calls resume, or null if quota is left
+   */
+  getQuotaResumeAt(tenantId = this.tenantId) {
+    return this.rateLimiter.getDailyResumeAt(tenantId);
+  }
+
+  /**
+   * List the organisations (tenants) this connection is authorised for
+   * @returns {Promise<Object[]>} - Authorised tenants
+   */
+  async getConnections() {
+    try {
+      const result = await this.get(XERO_CONNECTIONS_URL, { skipTenant: true });
+
+      const connections = (result.data || []).map(connection => ({
+        connection_id: connection.id,
+        tenant_id: connection.tenantId,
+        tenant_name: connection.tenantName,
+        tenant_type: connection.tenantType,
+        created_at: connection.createdDateUtc,
+        updated_at: connection.updatedDateUtc
+      }));
+
+      this.logger.info(`Found ${connections.length} authorised Xero organisation(s)`);
+      return connections;
+    } catch (error) {
+      this.logger.error(`Failed to get Xero connections: ${error.message}`);
+      throw this.createXeroError('CONNECTIONS_FAILED', error);
+    }
+  }
+
+  /**
+   * Tenant used for API calls: the one set by runWithTenant() for the current call chain,
+   * for example a sync route's, otherwise the default stored with the tokens
+   * @returns {string|null} - Xero tenant ID
+   */
+  get tenantId() {
+    return getScopedTenantId(this.defaultTenantId);
+  }
+
+  /**
+   * Select the default organisation and remember it with the stored tokens
+   * @param {string} tenantId - Xero tenant ID from getConnections()
+   * @returns {Promise<Object>} - Selected connection
+   * @throws {Error} If the tenant is not authorised for this connection
+   */
+  async selectTenant(tenantId) {
+    const connections = await this.getConnections();
+    const connection = connections.find(c => c.tenant_id === tenantId);
+
+    if (!connection) {
+      throw this.createXeroError('TENANT_NOT_AUTHORISED', new Error(`Organisation ${tenantId} is not authorised for this connection`));
+    }
+
+    this.defaultTenantId = tenantId;
+
+    if (this.accessToken) {
+      await this.persistToken({
+        access_token: this.accessToken.access_token,
+        refresh_token: this.accessToken.refresh_token,
+        expires_at: this.tokenExpiresAt,
+        scope: this.accessToken.scope
+      });
+    }
+
+    this.logger.info(`Selected Xero organisation: ${connection.tenant_name} (${tenantId})`);
+    return connection;
   }
 
   /**
@@ -208,7 +453,9 @@ class XeroClient extends BaseApiClient {
    * @param {string} transactionData.transaction_date - Transaction date (YYYY-MM-DD)
    * @param {string} transactionData.xero_account_id - Xero account ID
    * @param {string} transactionData.xero_contact_id - Xero contact ID
-   * @returns {Promise<Object>} - Created transaction with Xero ID
+   * @param {string} transactionData.currency_code - Currency of the bank account, when not the base currency (optional)
+   * @param {number} transactionData.currency_rate - Manual exchange rate (optional, Xero's rate otherwise)
+   * @returns {Promise<Object>} - Created transaction with Xero ID and the exchange rate Xero used
    */
   async createTransaction(transactionData) {
     const xeroTransaction = this.formatTransactionForXero(transactionData);
@@ -216,7 +463,7 @@ class XeroClient extends BaseApiClient {
     try {
       const result = await this.put('/BankTransactions', {
         BankTransactions: [xeroTransaction]
-      });
+      }, { maxRetries: 0 });
 
       this.xeroStats.transactionsCreated++;
       
@@ -228,7 +475,8 @@ class XeroClient extends BaseApiClient {
         xero_reference: createdTransaction.Reference,
         xero_status: createdTransaction.Status,
         xero_total: createdTransaction.Total,
-        xero_date: createdTransaction.Date
+        xero_date: createdTransaction.Date,
+        xero_currency_rate: createdTransaction.CurrencyRate || null
       };
     } catch (error) {
       this.logger.error(`Failed to create Xero transaction for Xano ID ${transactionData.xano_id}: ${error.message}`);
@@ -236,11 +484,472 @@ class XeroClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Create several bank transactions, up to XERO_BATCH_LIMIT per request
+   * Requests use summarizeErrors=false, so one invalid transaction doesn't fail
+   * the rest; its validation errors are returned against its Xano ID instead.
+   * A request that gets no response may still have created its transactions,
+   * so it is not resent; reprocessing looks the references up before trying again.
+   * @param {Object[]} transactionsData - Transactions as for createTransaction (with xano_id)
+   * @returns {Promise<Object[]>} - One result per transaction, in order: { xano_id, success, xero_transaction_id, ... } or { xano_id, success: false, error }
+   */
+  async createTransactions(transactionsData) {
+    const results = [];
+
+    for (let i = 0; i < transactionsData.length; i += XERO_BATCH_LIMIT) {
+      const chunk = transactionsData.slice(i, i + XERO_BATCH_LIMIT);
+      const xeroTransactions = chunk.map(transactionData => this.formatTransactionForXero(transactionData));
+
+      let result;
+      try {
+        result = await this.put('/BankTransactions', {
+          BankTransactions: xeroTransactions
+        }, { queryParams: { summarizeErrors: 'false' }, maxRetries: 0 });
+      } catch (error) {
+        this.logger.error(`Failed to create batch of ${chunk.length} Xero transactions: ${error.message}`);
+        throw this.createXeroError('TRANSACTION_BATCH_CREATE_FAILED', error, { xanoIds: chunk.map(t => t.xano_id) });
+      }
+
+      // Elements come back in the order they were sent
+      const created = result.data.BankTransactions || [];
+      const chunkResults = chunk.map((transactionData, index) => {
+        const createdTransaction = created[index];
+        const validationErrors = (createdTransaction && createdTransaction.ValidationErrors) || [];
+
+        if (!createdTransaction || createdTransaction.StatusAttributeString === 'ERROR' || validationErrors.length > 0) {
+          const message = validationErrors.map(validationError => validationError.Message).join(', ') || 'No result returned by Xero';
+          this.logger.error(`Xero rejected transaction for Xano ID ${transactionData.xano_id}: ${message}`);
+          return { xano_id: transactionData.xano_id, success: false, error: message };
+        }
+
+        this.xeroStats.transactionsCreated++;
+        return {
+          xano_id: transactionData.xano_id,
+          success: true,
+          xero_transaction_id: createdTransaction.BankTransactionID,
+          xero_reference: createdTransaction.Reference,
+          xero_status: createdTransaction.Status,
+          xero_total: createdTransaction.Total,
+          xero_date: createdTransaction.Date,
+          xero_currency_rate: createdTransaction.CurrencyRate || null
+        };
+      });
+
+      this.logger.info(`Created ${chunkResults.filter(r => r.success).length} of ${chunk.length} Xero transactions in batch`);
+      results.push(...chunkResults);
+    }
+
+    return results;
+  }
+
+  /**
+   * Get a bank transaction by ID
+   * @param {string} bankTransactionId - Xero BankTransactionID
+   * @returns {Promise<Object|null>} - { xero_transaction_id, xero_status, is_reconciled, ... } or null if not found
+   */
+  async getBankTransaction(bankTransactionId) {
+    try {
+      const result = await this.get(`/BankTransactions/${bankTransactionId}`);
+      const transaction = (result.data.BankTransactions || [])[0];
+
+      if (!transaction) {
+        return null;
+      }
+
+      return {
+        xero_transaction_id: transaction.BankTransactionID,
+        xero_reference: transaction.Reference,
+        xero_status: transaction.Status,
+        xero_total: transaction.Total,
+        xero_date: transaction.Date,
+        is_reconciled: transaction.IsReconciled === true
+      };
+    } catch (error) {
+      if (error.statusCode === 404) {
+        return null;
+      }
+
+      this.logger.error(`Failed to get Xero bank transaction ${bankTransactionId}: ${error.message}`);
+      throw this.createXeroError('TRANSACTION_LOOKUP_FAILED', error, { bankTransactionId });
+    }
+  }
+
+  /**
+   * Update an existing bank transaction
+   * Xero replaces the line items with the ones sent, so the whole document is sent.
+   * @param {string} bankTransactionId - Xero BankTransactionID
+   * @param {Object} transactionData - Xero-formatted bank transaction
+   * @returns {Promise<Object>} - Updated transaction
+   */
+  async updateBankTransaction(bankTransactionId, transactionData) {
+    const xeroTransaction = {
+      ...this.formatTransactionForXero(transactionData),
+      BankTransactionID: bankTransactionId
+    };
+
+    try {
+      const result = await this.post(`/BankTransactions/${bankTransactionId}`, {
+        BankTransactions: [xeroTransaction]
+      });
+
+      this.xeroStats.transactionsUpdated++;
+
+      const updatedTransaction = result.data.BankTransactions[0];
+      this.logger.info(`Updated Xero transaction: ${updatedTransaction.BankTransactionID} (Reference: ${xeroTransaction.Reference})`);
+
+      return {
+        xero_transaction_id: updatedTransaction.BankTransactionID,
+        xero_reference: updatedTransaction.Reference,
+        xero_status: updatedTransaction.Status,
+        xero_total: updatedTransaction.Total,
+        xero_date: updatedTransaction.Date,
+        xero_currency_rate: updatedTransaction.CurrencyRate || null
+      };
+    } catch (error) {
+      this.logger.error(`Failed to update Xero transaction ${bankTransactionId}: ${error.message}`);
+      throw this.createXeroError('TRANSACTION_UPDATE_FAILED', error, { bankTransactionId });
+    }
+  }
+
+  /**
+   * Void the Xero document of a synced transaction
+   * Bank transactions are deleted. Bills and invoices can't be voided while paid,
+   * so their payment is deleted first and then the bill or invoice is voided.
+   * Xero refuses both for documents that are reconciled. Bank transfers can't be
+   * deleted through the API at all.
+   * @param {Object} xeroIds - Xero IDs stored with the transaction
+   * @param {string} xeroIds.xero_transaction_id - BankTransactionID (bank transactions)
+   * @param {string} xeroIds.xero_invoice_id - InvoiceID (bills and invoices)
+   * @param {string} xeroIds.xero_payment_id - PaymentID of the bill or invoice payment, if any
+   * @param {string} xeroIds.xero_bank_transfer_id - BankTransferID (transfers)
+   * @returns {Promise<Object>} - { xero_status } of the voided document
+   */
+  async voidTransaction(xeroIds) {
+    const { xero_transaction_id: bankTransactionId, xero_invoice_id: invoiceId, xero_payment_id: paymentId } = xeroIds;
+
+    if (!bankTransactionId && !invoiceId) {
+      throw this.createXeroError('TRANSACTION_VOID_FAILED', new Error('The transaction has no Xero document to void'));
+    }
+
+    if (xeroIds.xero_bank_transfer_id) {
+      throw this.createXeroError('TRANSACTION_VOID_FAILED', new Error(`Bank transfer ${xeroIds.xero_bank_transfer_id} can't be deleted through the Xero API, delete it in Xero`));
+    }
+
+    try {
+      if (!invoiceId) {
+        const result = await this.post(`/BankTransactions/${bankTransactionId}`, {
+          BankTransactions: [{ BankTransactionID: bankTransactionId, Status: 'DELETED' }]
+        });
+
+        this.xeroStats.transactionsVoided++;
+        this.logger.info(`Deleted Xero bank transaction: ${bankTransactionId}`);
+
+        return { xero_status: result.data.BankTransactions[0].Status };
+      }
+
+      if (paymentId) {
+        await this.post(`/Payments/${paymentId}`, { Status: 'DELETED' });
+        this.logger.info(`Deleted Xero payment: ${paymentId} for invoice ${invoiceId}`);
+      }
+
+      const result = await this.post(`/Invoices/${invoiceId}`, {
+        Invoices: [{ InvoiceID: invoiceId, Status: 'VOIDED' }]
+      });
+
+      this.xeroStats.transactionsVoided++;
+      this.logger.info(`Voided Xero invoice: ${invoiceId}`);
+
+      return { xero_status: result.data.Invoices[0].Status };
+    } catch (error) {
+      this.logger.error(`Failed to void Xero document ${invoiceId || bankTransactionId}: ${error.message}`);
+      throw this.createXeroError('TRANSACTION_VOID_FAILED', error, { bankTransactionId, invoiceId, paymentId });
+    }
+  }
+
+  /**
+   * Create a bill (ACCPAY) or sales invoice (ACCREC) in Xero
+   * @param {Object} invoiceData - Xero-formatted invoice
+   * @returns {Promise<Object>} - Created invoice with Xero ID
+   */
+  async createInvoice(invoiceData) {
+    try {
+      const result = await this.put('/Invoices', {
+        Invoices: [invoiceData]
+      }, { maxRetries: 0 });
+
+      this.xeroStats.invoicesCreated++;
+
+      const createdInvoice = result.data.Invoices[0];
+      this.logger.info(`Created Xero ${createdInvoice.Type} invoice: ${createdInvoice.InvoiceID} (Reference: ${invoiceData.Reference || invoiceData.InvoiceNumber})`);
+
+      return {
+        xero_invoice_id: createdInvoice.InvoiceID,
+        xero_invoice_number: createdInvoice.InvoiceNumber,
+        xero_invoice_type: createdInvoice.Type,
+        xero_status: createdInvoice.Status,
+        xero_total: createdInvoice.Total,
+        xero_amount_due: createdInvoice.AmountDue,
+        xero_currency_rate: createdInvoice.CurrencyRate || null
+      };
+    } catch (error) {
+      this.logger.error(`Failed to create Xero invoice (Reference: ${invoiceData.Reference || invoiceData.InvoiceNumber}): ${error.message}`);
+      throw this.createXeroError('INVOICE_CREATE_FAILED', error, { invoiceData });
+    }
+  }
+
+  /**
+   * Create a transfer between two bank accounts in Xero
+   * @param {Object} transferData - Xero-formatted bank transfer
+   * @param {Object} transferData.FromBankAccount - Bank account the money left ({ AccountID } or { Code })
+   * @param {Object} transferData.ToBankAccount - Bank account the money went to ({ AccountID } or { Code })
+   * @param {number} transferData.Amount - Transfer amount
+   * @param {string} transferData.Date - Transfer date (YYYY-MM-DD)
+   * @param {string} transferData.Reference - Reference (e.g. "Xano-123")
+   * @returns {Promise<Object>} - Created transfer with Xero ID
+   */
+  async createBankTransfer(transferData) {
+    try {
+      const result = await this.put('/BankTransfers', {
+        BankTransfers: [transferData]
+      }, { maxRetries: 0 });
+
+      this.xeroStats.transfersCreated++;
+
+      const createdTransfer = result.data.BankTransfers[0];
+      this.logger.info(`Created Xero bank transfer: ${createdTransfer.BankTransferID} (Reference: ${transferData.Reference})`);
+
+      return {
+        xero_bank_transfer_id: createdTransfer.BankTransferID,
+        xero_reference: createdTransfer.Reference,
+        xero_amount: createdTransfer.Amount,
+        xero_date: createdTransfer.Date,
+        xero_currency_rate: createdTransfer.CurrencyRate || null
+      };
+    } catch (error) {
+      this.logger.error(`Failed to create Xero bank transfer (Reference: ${transferData.Reference}): ${error.message}`);
+      throw this.createXeroError('TRANSFER_CREATE_FAILED', error, { transferData });
+    }
+  }
+
+  /**
+   * Apply a payment to an invoice or bill in Xero
+   * @param {Object} paymentData - Xero-formatted payment
+   * @param {Object} paymentData.Invoice - Invoice being paid ({ InvoiceID })
+   * @param {Object} paymentData.Account - Bank account the payment is made from/to ({ Code } or { AccountID })
+   * @param {string} paymentData.Date - Payment date (YYYY-MM-DD)
+   * @param {number} paymentData.Amount - Payment amount
+   * @param {number} paymentData.CurrencyRate - Manual exchange rate for foreign currency payments (optional)
+   * @returns {Promise<Object>} - Created payment with Xero ID
+   */
+  async createPayment(paymentData) {
+    try {
+      const result = await this.put('/Payments', {
+        Payments: [paymentData]
+      }, { maxRetries: 0 });
+
+      this.xeroStats.paymentsCreated++;
+
+      const createdPayment = result.data.Payments[0];
+      this.logger.info(`Created Xero payment: ${createdPayment.PaymentID} for invoice ${paymentData.Invoice.InvoiceID}`);
+
+      return {
+        xero_payment_id: createdPayment.PaymentID,
+        xero_status: createdPayment.Status,
+        xero_amount: createdPayment.Amount,
+        xero_date: createdPayment.Date
+      };
+    } catch (error) {
+      this.logger.error(`Failed to create Xero payment for invoice ${paymentData.Invoice && paymentData.Invoice.InvoiceID}: ${error.message}`);
+      throw this.createXeroError('PAYMENT_CREATE_FAILED', error, { paymentData });
+    }
+  }
+
+  /**
+   * Find bank transactions by Reference, skipping deleted ones
+   * References are looked up in chunks with a single where filter per request.
+   * @param {string[]} references - References to look for (e.g. "Xano-123")
+   * @returns {Promise<Object[]>} - Matching bank transactions
+   */
+  async findBankTransactionsByReference(references) {
+    const found = [];
+
+    try {
+      for (const chunk of this.chunkReferences(references)) {
+        const where = `(${chunk.map(reference => `Reference==${this.quoteWhereValue(reference)}`).join(' OR ')}) AND Status!="DELETED"`;
+        const result = await this.get('/BankTransactions', { queryParams: { where } });
+
+        found.push(...(result.data.BankTransactions || []).map(transaction => ({
+          xero_transaction_id: transaction.BankTransactionID,
+          xero_reference: transaction.Reference,
+          xero_status: transaction.Status,
+          xero_total: transaction.Total,
+          xero_date: transaction.Date
+        })));
+      }
+
+      this.logger.debug(`Found ${found.length} Xero bank transactions for ${references.length} references`);
+      return found;
+    } catch (error) {
+      this.logger.error(`Failed to look up Xero bank transactions by reference: ${error.message}`);
+      throw this.createXeroError('TRANSACTION_LOOKUP_FAILED', error, { references });
+    }
+  }
+
+  /**
+   * Find bills and invoices by InvoiceNumber (bills) or Reference (sales invoices),
+   * skipping deleted and voided ones
+   * @param {string[]} references - References to look for (e.g. "Xano-123")
+   * @returns {Promise<Object[]>} - Matching invoices with their payments
+   */
+  async findInvoicesByReference(references) {
+    const found = [];
+
+    try {
+      for (const chunk of this.chunkReferences(references)) {
+        const matches = chunk.map(reference => {
+          const value = this.quoteWhereValue(reference);
+          return `InvoiceNumber==${value} OR Reference==${value}`;
+        });
+        const where = `(${matches.join(' OR ')}) AND Status!="DELETED" AND Status!="VOIDED"`;
+        const result = await this.get('/Invoices', { queryParams: { where } });
+
+        found.push(...(result.data.Invoices || []).map(invoice => ({
+          xero_invoice_id: invoice.InvoiceID,
+          xero_invoice_type: invoice.Type,
+          // Bills carry the reference in InvoiceNumber, sales invoices in Reference
+          xero_reference: invoice.Type === 'ACCPAY' ? invoice.InvoiceNumber : invoice.Reference,
+          xero_status: invoice.Status,
+          xero_total: invoice.Total,
+          xero_amount_due: invoice.AmountDue,
+          xero_payment_ids: (invoice.Payments || []).map(payment => payment.PaymentID)
+        })));
+      }
+
+      this.logger.debug(`Found ${found.length} Xero invoices for ${references.length} references`);
+      return found;
+    } catch (error) {
+      this.logger.error(`Failed to look up Xero invoices by reference: ${error.message}`);
+      throw this.createXeroError('INVOICE_LOOKUP_FAILED', error, { references });
+    }
+  }
+
+  /**
+   * Find bank transfers by Reference
+   * @param {string[]} references - References to look for (e.g. "Xano-123")
+   * @returns {Promise<Object[]>} - Matching bank transfers
+   */
+  async findBankTransfersByReference(references) {
+    const found = [];
+
+    try {
+      for (const chunk of this.chunkReferences(references)) {
+        const where = chunk.map(reference => `Reference==${this.quoteWhereValue(reference)}`).join(' OR ');
+        const result = await this.get('/BankTransfers', { queryParams: { where } });
+
+        found.push(...(result.data.BankTransfers || []).map(transfer => ({
+          xero_bank_transfer_id: transfer.BankTransferID,
+          xero_reference: transfer.Reference,
+          xero_amount: transfer.Amount,
+          xero_date: transfer.Date
+        })));
+      }
+
+      this.logger.debug(`Found ${found.length} Xero bank transfers for ${references.length} references`);
+      return found;
+    } catch (error) {
+      this.logger.error(`Failed to look up Xero bank transfers by reference: ${error.message}`);
+      throw this.createXeroError('TRANSFER_LOOKUP_FAILED', error, { references });
+    }
+  }
+
+  /**
+   * Split references into chunks small enough for one where filter
+   * @param {string[]} references - References
+   * @returns {Array<string[]>} - Chunks of unique references
+   */
+  chunkReferences(references) {
+    const unique = [...new Set(references.filter(Boolean))];
+    const chunks = [];
+    for (let i = 0; i < unique.length; i += REFERENCE_LOOKUP_CHUNK_SIZE) {
+      chunks.push(unique.slice(i, i + REFERENCE_LOOKUP_CHUNK_SIZE));
+    }
+    return chunks;
+  }
+
+  /**
+   * Quote a value for a Xero where filter
+   * @param {string} value - Value to quote
+   * @returns {string} - Quoted value
+   */
+  quoteWhereValue(value) {
+    return `"${String(value).replace(/"/g, '\\"')}"`;
+  }
+
+  /**
+   * Get the organisation's tax rates
+   * @returns {Promise<Object[]>} - Tax rates with their tax type codes
+   */
+  async getTaxRates() {
+    try {
+      const result = await this.get('/TaxRates');
+
+      const taxRates = (result.data.TaxRates || []).map(rate => ({
+        tax_type: rate.TaxType,
+        name: rate.Name,
+        status: rate.Status,
+        effective_rate: rate.EffectiveRate,
+        display_rate: rate.DisplayTaxRate,
+        report_tax_type: rate.ReportTaxType,
+        can_apply_to_expenses: rate.CanApplyToExpenses,
+        can_apply_to_revenue: rate.CanApplyToRevenue
+      }));
+
+      this.logger.debug(`Retrieved ${taxRates.length} Xero tax rates`);
+      return taxRates;
+    } catch (error) {
+      this.logger.error(`Failed to get Xero tax rates: ${error.message}`);
+      throw this.createXeroError('TAX_RATES_FAILED', error);
+    }
+  }
+
+  /**
+   * Get the organisation's bank accounts (accounts of type BANK, including credit cards)
+   * @param {Object} options - Options
+   * @param {boolean} options.includeArchived - Include archived bank accounts (default: false)
+   * @returns {Promise<Object[]>} - Bank accounts
+   */
+  async getBankAccounts(options = {}) {
+    try {
+      const result = await this.get('/Accounts', { queryParams: { where: 'Type=="BANK"' } });
+
+      this.xeroStats.accountsSearched++;
+
+      const bankAccounts = (result.data.Accounts || [])
+        .filter(account => options.includeArchived || account.Status !== 'ARCHIVED')
+        .map(account => ({
+          xero_account_id: account.AccountID,
+          name: account.Name,
+          code: account.Code || null,
+          bank_account_number: account.BankAccountNumber || null,
+          bank_account_type: account.BankAccountType || null,
+          currency_code: account.CurrencyCode || null,
+          status: account.Status
+        }));
+
+      this.logger.debug(`Retrieved ${bankAccounts.length} Xero bank accounts`);
+      return bankAccounts;
+    } catch (error) {
+      this.logger.error(`Failed to get Xero bank accounts: ${error.message}`);
+      throw this.createXeroError('BANK_ACCOUNTS_FAILED', error);
+    }
+  }
+
   /**
    * Search for accounts in Xero by name
    * @param {string} accountName - Account name to search for
    * @param {Object} options - Search options
    * @param {boolean} options.exactMatch - Whether to search for exact matches only
+   * @param {string} options.accountClass - Only match accounts of this class (EXPENSE, REVENUE, etc.)
    * @param {number} options.limit - Maximum number of results
    * @returns {Promise<Object[]>} - Array of matching accounts
    */
@@ -256,9 +965,13 @@ class XeroClient extends BaseApiClient {
 
     try {
       // Use Xero's where parameter for filtering
-      const whereClause = options.exactMatch 
+      let whereClause = options.exactMatch 
         ? `Name="${searchName.replace(/"/g, '\\"')}"` 
         : `Name.Contains("${searchName.replace(/"/g, '\\"')}")`;
+
+      if (options.accountClass) {
+        whereClause += ` AND Class=="${options.accountClass}"`;
+      }
       
       const queryParams = {
         where: whereClause
@@ -278,6 +991,7 @@ class XeroClient extends BaseApiClient {
         name: account.Name,
         code: account.Code,
         type: account.Type,
+        class: account.Class,
         status: account.Status,
         description: account.Description
       }));
@@ -426,6 +1140,12 @@ class XeroClient extends BaseApiClient {
    * @returns {Object} - Xero-formatted transaction
    */
   formatTransactionForXero(transactionData) {
+    // Transactions already formatted by the sync pipeline are sent as-is
+    if (Array.isArray(transactionData.LineItems)) {
+      const { xano_id, ...xeroTransaction } = transactionData;
+      return xeroTransaction;
+    }
+
     // Generate reference using Xano ID
     const reference = `Xano-${transactionData.xano_id}`;
     
@@ -436,7 +1156,7 @@ class XeroClient extends BaseApiClient {
     const isSpend = transactionData.amount < 0;
     const absoluteAmount = Math.abs(transactionData.amount);
     
-    return {
+    const xeroTransaction = {
       Type: isSpend ? 'SPEND' : 'RECEIVE',
       Contact: {
         ContactID: transactionData.xero_contact_id
@@ -446,12 +1166,30 @@ class XeroClient extends BaseApiClient {
         Quantity: 1,
         UnitAmount: absoluteAmount,
         AccountCode: transactionData.xero_account_code || undefined,
-        AccountID: transactionData.xero_account_id
+        AccountID: transactionData.xero_account_id,
+        TaxType: transactionData.xero_tax_type || undefined // Account default when not mapped
       }],
       Date: transactionDate,
       Reference: reference,
       Status: 'AUTHORISED' // Automatically authorize the transaction
     };
+
+    // Bank account from the account mapping, otherwise the xero_bank_account_code one
+    if (transactionData.xero_bank_account_id) {
+      xeroTransaction.BankAccount = { AccountID: transactionData.xero_bank_account_id };
+    } else if (transactionData.xero_bank_account_code) {
+      xeroTransaction.BankAccount = { Code: transactionData.xero_bank_account_code };
+    }
+
+    // Foreign currency accounts; without a rate Xero uses its own for the day
+    if (transactionData.currency_code) {
+      xeroTransaction.CurrencyCode = transactionData.currency_code;
+      if (transactionData.currency_rate) {
+        xeroTransaction.CurrencyRate = transactionData.currency_rate;
+      }
+    }
+
+    return xeroTransaction;
   }
 
   /**
@@ -539,9 +1277,12 @@ class XeroClient extends BaseApiClient {
       client: this.getStats(),
       oauth: {
         hasToken: !!this.accessToken,
+        connected: this.isConnected(),
         tokenExpiresAt: this.tokenExpiresAt,
-        tenantId: this.tenantId
+        tenantId: this.defaultTenantId,
+        persistent: !!this.tokenStore
       },
+      quota: this.rateLimiter.getStatus(this.tenantId),
       xero: { ...this.xeroStats }
     };
   }
@@ -551,6 +1292,7 @@ class XeroClient extends BaseApiClient {
    * @param {string} accountName - Account name to find or create
    * @param {Object} options - Search and creation options
    * @param {string} options.type - Account type for creation (default: 'EXPENSE')
+   * @param {string} options.accountClass - Only match accounts of this class (default: any)
    * @param {number} options.matchThreshold - Fuzzy match threshold (0-1, default: 0.8)
    * @param {boolean} options.autoCreate - Whether to auto-create if not found
    * @returns {Promise<Object>} - Found or created account
@@ -566,7 +1308,7 @@ class XeroClient extends BaseApiClient {
 
     try {
       // First try exact match
-      let accounts = await this.searchAccounts(cleanName, { exactMatch: true, limit: 1 });
+      let accounts = await this.searchAccounts(cleanName, { exactMatch: true, accountClass: options.accountClass, limit: 1 });
       
       if (accounts.length > 0) {
         this.logger.debug(`Found exact account match for "${cleanName}": ${accounts[0].name}`);
@@ -574,7 +1316,7 @@ class XeroClient extends BaseApiClient {
       }
 
       // Try fuzzy search
-      accounts = await this.searchAccounts(cleanName, { exactMatch: false, limit: 10 });
+      accounts = await this.searchAccounts(cleanName, { exactMatch: false, accountClass: options.accountClass, limit: 10 });
       
       if (accounts.length > 0) {
         // Find best fuzzy match
@@ -669,8 +1411,52 @@ class XeroClient extends BaseApiClient {
     }
   }
 
+  /**
+   * Get the account search and creation options for an Actual category
+   * @param {boolean} isIncome - Whether the category is an Actual income category
+   * @returns {Object} - { accountClass, type } for searchAccounts, findOrCreateAccount and createAccount
+   */
+  getCategoryAccountOptions(isIncome) {
+    return { ...(isIncome ? CATEGORY_ACCOUNT_OPTIONS.income : CATEGORY_ACCOUNT_OPTIONS.expense) };
+  }
+
+  /**
+   * Get the contact creation options for an Actual payee
+   * Payees of income transactions are customers, all others suppliers.
+   * @param {boolean} isCustomer - Whether the payee is a customer
+   * @returns {Object} - { isSupplier, isCustomer } for findOrCreateContact
+   */
+  getPayeeContactOptions(isCustomer) {
+    return { isSupplier: !isCustomer, isCustomer: !!isCustomer };
+  }
+
+  /**
+   * Suggest the Xero bank account for an Actual Budget account by name
+   * Bank accounts are never created: a Xero bank account needs bank details only the user has.
+   * @param {string} accountName - Actual Budget account name
+   * @param {Object[]} bankAccounts - Bank accounts from getBankAccounts()
+   * @param {number} matchThreshold - Fuzzy match threshold (0-1, default: 0.8)
+   * @returns {Object|null} - Best match with score, or null if no good match
+   */
+  suggestBankAccount(accountName, bankAccounts, matchThreshold = 0.8) {
+    if (!accountName || typeof accountName !== 'string') {
+      return null;
+    }
+
+    const cleanName = accountName.trim().toLowerCase();
+
+    const exactMatch = bankAccounts.find(account => account.name && account.name.trim().toLowerCase() === cleanName);
+    if (exactMatch) {
+      return { match: exactMatch, score: 1 };
+    }
+
+    return this.findBestFuzzyMatch(cleanName, bankAccounts, matchThreshold);
+  }
+
   /**
    * Batch resolve mappings for categories and payees
+   * Income categories (is_income) resolve to revenue accounts and customer payees
+   * (is_customer) to customer contacts; everything else to expense accounts and suppliers.
    * @param {Object[]} categoryMappings - Array of category mappings to resolve
    * @param {Object[]} payeeMappings - Array of payee mappings to resolve
    * @param {Object} options - Resolution options
@@ -697,7 +1483,7 @@ class XeroClient extends BaseApiClient {
       try {
         if (!categoryMapping.xero_account_id && categoryMapping.actual_category_name) {
           const account = await this.findOrCreateAccount(categoryMapping.actual_category_name, {
-            type: 'EXPENSE',
+            ...this.getCategoryAccountOptions(categoryMapping.is_income),
             autoCreate: options.autoCreate !== false,
             matchThreshold: options.matchThreshold
           });
@@ -740,8 +1526,7 @@ class XeroClient extends BaseApiClient {
       try {
         if (!payeeMapping.xero_contact_id && payeeMapping.actual_payee_name) {
           const contact = await this.findOrCreateContact(payeeMapping.actual_payee_name, {
-            isSupplier: true,
-            isCustomer: false,
+            ...this.getPayeeContactOptions(payeeMapping.is_customer),
             autoCreate: options.autoCreate !== false,
             matchThreshold: options.matchThreshold
           });
@@ -990,6 +1775,11 @@ class XeroClient extends BaseApiClient {
     super.resetStats();
     this.xeroStats = {
       transactionsCreated: 0,
+      transactionsUpdated: 0,
+      transactionsVoided: 0,
+      invoicesCreated: 0,
+      paymentsCreated: 0,
+      transfersCreated: 0,
       accountsSearched: 0,
       contactsSearched: 0,
       accountsCreated: 0,
@@ -207,7 +207,7 @@ class BaseApiClient {
 
     // Check for HTTP error status codes
     if (statusCode >= 400) {
-      throw this.createHttpError(statusCode, statusMessage, data, requestOptions);
+      throw this.createHttpError(statusCode, statusMessage, data, requestOptions, headers);
     }
 
     // Parse response data
@@ -360,6 +360,7 @@ class BaseApiClient {
     if (originalError.statusCode) error.statusCode = originalError.statusCode;
     if (originalError.code) error.code = originalError.code;
     if (originalError.response) error.response = originalError.response;
+    if (originalError.headers) error.headers = originalError.headers;
     
     return error;
   }
@@ -370,9 +371,10 @@ class BaseApiClient {
    * @param {string} statusMessage - HTTP status message
    * @param {string} responseData - Response body
    * @param {Object} requestOptions - Request options
+   * @param {Object} headers - Response headers (optional)
    * @returns {Error} - HTTP error
    */
-  createHttpError(statusCode, statusMessage, responseData, requestOptions) {
+  createHttpError(statusCode, statusMessage, responseData, requestOptions, headers = {}) {
     let errorMessage = `HTTP ${statusCode}: ${statusMessage}`;
     
     // Try to extract error message from response
@@ -395,6 +397,7 @@ class BaseApiClient {
     error.statusCode = statusCode;
     error.statusMessage = statusMessage;
     error.response = responseData;
+    error.headers = headers;
     error.request = {
       method: requestOptions.method,
       url: `${requestOptions.protocol}//${requestOptions.hostname}${requestOptions.path}`
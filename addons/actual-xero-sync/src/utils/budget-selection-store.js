@@ -0,0 +1,91 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * BudgetSelectionStore - Remembers the Actual budget chosen in the web interface
+ *
+ * The choice is kept in a JSON file under /data with the budget_id and budget_name
+ * options in effect when it was made, so that changing those options can replace it.
+ * Without a file path it only lasts until restart.
+ */
+class BudgetSelectionStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.logger = options.logger || console;
+    this.selection = null;
+  }
+
+  /**
+   * Load the saved selection
+   * @returns {Promise<Object|null>} - { budget_id, budget_name, configured_budget_id, configured_budget_name, selected_at },
+   * or null if none was saved
+   */
+  async load() {
+    if (!this.filePath) {
+      return this.selection;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+
+      this.selection = data.budget_id ? data : null;
+      return this.selection;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load budget selection: ${error.message}`);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Save the selected budget
+   * @param {Object} budget - Selected budget
+   * @param {string} budget.id - Budget ID
+   * @param {string} budget.name - Budget name
+   * @param {Object} configured - Budget options in effect
+   * @param {string} configured.budgetId - budget_id option
+   * @param {string} configured.budgetName - budget_name option
+   * @returns {Promise<void>}
+   */
+  async save(budget, configured = {}) {
+    this.selection = {
+      budget_id: budget.id,
+      budget_name: budget.name || null,
+      configured_budget_id: configured.budgetId || null,
+      configured_budget_name: configured.budgetName || null,
+      selected_at: new Date().toISOString()
+    };
+
+    if (!this.filePath) {
+      return;
+    }
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(this.selection, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Forget the saved selection
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.selection = null;
+
+    if (!this.filePath) {
+      return;
+    }
+
+    try {
+      await fs.unlink(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = BudgetSelectionStore;
@@ -1,3 +1,5 @@
+const { AsyncResource } = require('async_hooks');
+
 /**
  * XanoRateLimiter - Manages API request rate limiting for Xano API
  * 
@@ -31,7 +33,9 @@ class XanoRateLimiter {
   async makeRequest(apiCall) {
     return new Promise((resolve, reject) => {
       const requestItem = {
-        apiCall,
+        // The queue may be worked by another caller, so run the call in this caller's
+        // async context (it carries the Xero tenant set by runWithTenant)
+        apiCall: AsyncResource.bind(apiCall),
         resolve,
         reject,
         timestamp: Date.now()
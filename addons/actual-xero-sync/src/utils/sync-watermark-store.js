@@ -0,0 +1,101 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * SyncWatermarkStore - Remembers how far each sync route has got
+ *
+ * A watermark is the latest transaction date a route has synced, plus the IDs
+ * of the transactions on that date. The next sync fetches from that date and
+ * drops those IDs, so only newer transactions reach Xano. Watermarks are kept
+ * in a JSON file under /data; without a file path they only last until restart.
+ */
+class SyncWatermarkStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.logger = options.logger || console;
+
+    // Watermarks keyed by route
+    this.watermarks = new Map();
+  }
+
+  /**
+   * Load saved watermarks
+   * @returns {Promise<boolean>} - True if watermarks were loaded
+   */
+  async load() {
+    if (!this.filePath) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+
+      this.watermarks = new Map(Object.entries(data.routes || {}));
+      this.logger.debug(`Loaded ${this.watermarks.size} sync watermarks from ${this.filePath}`);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load sync watermarks: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Write watermarks to disk
+   * @returns {Promise<void>}
+   */
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const payload = {
+      version: 1,
+      saved_at: new Date().toISOString(),
+      routes: Object.fromEntries(this.watermarks)
+    };
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(payload, null, 2));
+    await fs.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Get the watermark for a route
+   * @param {string} key - Route key
+   * @returns {Object|null} - { date, boundary_ids, updated_at }, or null if the route hasn't synced yet
+   */
+  get(key) {
+    return this.watermarks.get(key) || null;
+  }
+
+  /**
+   * Store a route's watermark
+   * @param {string} key - Route key
+   * @param {Object} watermark - Watermark
+   * @param {string} watermark.date - Latest synced transaction date (YYYY-MM-DD)
+   * @param {string[]} watermark.boundary_ids - IDs of the synced transactions on that date
+   * @returns {Promise<void>}
+   */
+  async set(key, watermark) {
+    this.watermarks.set(key, {
+      date: watermark.date,
+      boundary_ids: watermark.boundary_ids || [],
+      updated_at: new Date().toISOString()
+    });
+
+    await this.save();
+  }
+
+  /**
+   * Get all watermarks
+   * @returns {Object} - Watermarks keyed by route
+   */
+  getAll() {
+    return Object.fromEntries(this.watermarks);
+  }
+}
+
+module.exports = SyncWatermarkStore;
@@ -0,0 +1,31 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Xero tenant set by runWithTenant(), kept separately for each async call chain
+const tenantScope = new AsyncLocalStorage();
+
+/**
+ * Run a function with the Xero, Xano and local store clients scoped to a tenant
+ * Only calls made from inside the function see the tenant; API requests handled at
+ * the same time keep using the clients' default tenant.
+ * @param {string|null} tenantId - Xero tenant ID (null = the clients' default)
+ * @param {Function} fn - Function to run
+ * @returns {*} - What the function returns
+ */
+function runWithTenant(tenantId, fn) {
+  return tenantScope.run({ tenantId: tenantId || null }, fn);
+}
+
+/**
+ * Get the tenant for the current call chain
+ * @param {string|null} defaultTenantId - Tenant to use outside runWithTenant()
+ * @returns {string|null} - Xero tenant ID
+ */
+function getScopedTenantId(defaultTenantId) {
+  const scope = tenantScope.getStore();
+  return (scope && scope.tenantId) || defaultTenantId || null;
+}
+
+module.exports = {
+  runWithTenant,
+  getScopedTenantId
+};
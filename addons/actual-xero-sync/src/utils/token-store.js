@@ -0,0 +1,123 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * TokenStore - Encrypted file storage for OAuth tokens
+ *
+ * Tokens are encrypted with AES-256-GCM using a key derived from the supplied
+ * secret, so the file under /data is useless without the add-on configuration.
+ */
+class TokenStore {
+  constructor(options = {}) {
+    this.filePath = options.filePath;
+    this.secret = options.secret;
+    this.logger = options.logger || console;
+
+    if (!this.filePath) {
+      throw new Error('Token store file path is required');
+    }
+    if (!this.secret) {
+      throw new Error('Token store encryption secret is required');
+    }
+  }
+
+  /**
+   * Derive the encryption key for a given salt
+   * @param {Buffer} salt - Random salt stored alongside the ciphertext
+   * @returns {Buffer} - 32 byte key
+   */
+  deriveKey(salt) {
+    return crypto.scryptSync(this.secret, salt, 32);
+  }
+
+  /**
+   * Encrypt and write token data to disk
+   * @param {Object} tokenData - Token data to persist
+   * @returns {Promise<void>}
+   */
+  async save(tokenData) {
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.deriveKey(salt), iv);
+
+    const plaintext = JSON.stringify({
+      ...tokenData,
+      saved_at: new Date().toISOString()
+    });
+
+    const encrypted = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    const payload = {
+      version: 1,
+      salt: salt.toString('base64'),
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64')
+    };
+
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Write to a temporary file first so a crash never leaves a half-written token file
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(payload), { mode: 0o600 });
+    await fs.rename(tempPath, this.filePath);
+
+    this.logger.debug(`Saved encrypted tokens to ${this.filePath}`);
+  }
+
+  /**
+   * Read and decrypt token data from disk
+   * @returns {Promise<Object|null>} - Token data, or null if nothing is stored
+   * @throws {Error} If the file exists but cannot be decrypted
+   */
+  async load() {
+    let raw;
+
+    try {
+      raw = await fs.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+
+    try {
+      const payload = JSON.parse(raw);
+      const decipher = crypto.createDecipheriv(
+        'aes-256-gcm',
+        this.deriveKey(Buffer.from(payload.salt, 'base64')),
+        Buffer.from(payload.iv, 'base64')
+      );
+      decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+
+      const decrypted = Buffer.concat([
+        decipher.update(Buffer.from(payload.data, 'base64')),
+        decipher.final()
+      ]);
+
+      return JSON.parse(decrypted.toString('utf8'));
+
+    } catch (error) {
+      throw new Error(`Failed to decrypt stored tokens (was the client secret changed?): ${error.message}`);
+    }
+  }
+
+  /**
+   * Delete stored tokens
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    try {
+      await fs.unlink(this.filePath);
+      this.logger.info(`Removed stored tokens at ${this.filePath}`);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  }
+}
+
+module.exports = TokenStore;
@@ -0,0 +1,369 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Xero's limits per organisation: 60 calls a minute and 5000 a day
+const DEFAULT_MINUTE_LIMIT = 60;
+const DEFAULT_DAY_LIMIT = 5000;
+
+// Longest pause taken in the middle of a sync; anything longer stops the sync instead
+const DEFAULT_MAX_WAIT_MS = 5 * 60 * 1000;
+
+// How long to wait before writing usage to disk, so a busy sync doesn't write on every call
+const SAVE_DELAY_MS = 1000;
+
+/**
+ * XeroRateLimiter - Keeps Xero API calls inside the minute and daily limits
+ *
+ * Xero reports what is left on every response (X-MinLimit-Remaining,
+ * X-DayLimit-Remaining, X-AppMinLimit-Remaining) and sends Retry-After with a
+ * 429. Calls pause until the minute window frees up; when the daily limit is
+ * used up, calls fail fast with a XERO_QUOTA_EXHAUSTED error until it resets.
+ * Daily usage is written to /data so a restart doesn't forget it.
+ */
+class XeroRateLimiter {
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.logger = options.logger || console;
+    this.minuteLimit = options.minuteLimit || DEFAULT_MINUTE_LIMIT;
+    this.dayLimit = options.dayLimit || DEFAULT_DAY_LIMIT;
+    this.maxWaitMs = options.maxWaitMs !== undefined ? options.maxWaitMs : DEFAULT_MAX_WAIT_MS;
+
+    // Usage per tenant, keyed by tenant ID
+    this.tenants = new Map();
+
+    // The app-wide minute limit applies across all tenants
+    this.appMinuteRemaining = null;
+    this.appPausedUntil = 0;
+
+    this.saveTimer = null;
+    this.saveQueue = Promise.resolve();
+
+    this.stats = {
+      requests: 0,
+      pauses: 0,
+      totalPauseMs: 0,
+      rateLimitHits: 0,
+      quotaRejections: 0
+    };
+  }
+
+  /**
+   * Get today's usage record for a tenant, starting a new one each UTC day
+   * @param {string} tenantId - Xero tenant ID
+   * @returns {Object} - Usage record
+   */
+  getUsage(tenantId) {
+    const key = tenantId || 'default';
+    const today = new Date().toISOString().slice(0, 10);
+    let usage = this.tenants.get(key);
+
+    if (!usage || usage.date !== today) {
+      usage = {
+        date: today,
+        used: 0,
+        minuteRemaining: null,
+        dayRemaining: null,
+        pausedUntil: usage ? usage.pausedUntil : 0,
+        dayPausedUntil: usage ? usage.dayPausedUntil : 0,
+        updatedAt: 0,
+        recent: []
+      };
+      this.tenants.set(key, usage);
+    }
+
+    return usage;
+  }
+
+  /**
+   * Load persisted daily usage
+   * @returns {Promise<boolean>} - True if usage was loaded
+   */
+  async load() {
+    if (!this.filePath) {
+      return false;
+    }
+
+    try {
+      const data = JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+
+      for (const [tenantId, saved] of Object.entries(data.tenants || {})) {
+        const usage = this.getUsage(tenantId);
+
+        // Only today's call count still counts, a pause may carry over midnight
+        if (saved.date === usage.date) {
+          usage.used = saved.used || 0;
+          usage.dayRemaining = typeof saved.day_remaining === 'number' ? saved.day_remaining : null;
+          usage.updatedAt = saved.updated_at || 0;
+        }
+        usage.dayPausedUntil = saved.day_paused_until || 0;
+      }
+
+      this.logger.debug(`Loaded Xero API usage from ${this.filePath}`);
+      return true;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        this.logger.warn(`Failed to load Xero API usage: ${error.message}`);
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Write daily usage to disk after a short delay
+   */
+  scheduleSave() {
+    if (!this.filePath || this.saveTimer) {
+      return;
+    }
+
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, SAVE_DELAY_MS);
+
+    // Don't keep the process alive just to save usage
+    if (this.saveTimer.unref) {
+      this.saveTimer.unref();
+    }
+  }
+
+  /**
+   * Write daily usage to disk
+   * @returns {Promise<void>}
+   */
+  save() {
+    if (!this.filePath) {
+      return Promise.resolve();
+    }
+
+    const tenants = {};
+    for (const [tenantId, usage] of this.tenants) {
+      tenants[tenantId] = {
+        date: usage.date,
+        used: usage.used,
+        day_remaining: usage.dayRemaining,
+        day_paused_until: usage.dayPausedUntil,
+        updated_at: usage.updatedAt
+      };
+    }
+
+    const payload = JSON.stringify({ version: 1, saved_at: new Date().toISOString(), tenants }, null, 2);
+
+    // Serialize writes so an older snapshot never overwrites a newer one
+    this.saveQueue = this.saveQueue.then(async () => {
+      try {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, payload);
+        await fs.rename(tempPath, this.filePath);
+      } catch (error) {
+        this.logger.warn(`Failed to save Xero API usage: ${error.message}`);
+      }
+    });
+
+    return this.saveQueue;
+  }
+
+  /**
+   * Wait until a call to the tenant is allowed
+   * @param {string} tenantId - Xero tenant ID
+   * @returns {Promise<void>}
+   * @throws {Error} XERO_QUOTA_EXHAUSTED when the daily limit is used up or the wait is too long
+   */
+  async acquire(tenantId) {
+    const usage = this.getUsage(tenantId);
+    const dailyResumeAt = this.getDailyResumeAt(tenantId);
+
+    if (dailyResumeAt) {
+      this.stats.quotaRejections++;
+      throw this.createQuotaError(`Xero daily API limit reached, calls resume after ${dailyResumeAt.toISOString()}`, dailyResumeAt);
+    }
+
+    const now = Date.now();
+    let waitUntil = Math.max(usage.pausedUntil, this.appPausedUntil);
+
+    // Our own count of calls in the last minute
+    usage.recent = usage.recent.filter(timestamp => now - timestamp < 60000);
+    if (usage.recent.length >= this.minuteLimit) {
+      waitUntil = Math.max(waitUntil, usage.recent[0] + 60000);
+    }
+
+    // Xero's count, which also includes calls made by other apps' sessions
+    if (usage.minuteRemaining !== null && usage.minuteRemaining <= 0 && now - usage.updatedAt < 60000) {
+      waitUntil = Math.max(waitUntil, usage.updatedAt + 60000);
+    }
+
+    const waitMs = waitUntil - now;
+
+    if (waitMs > 0) {
+      if (waitMs > this.maxWaitMs) {
+        this.stats.quotaRejections++;
+        const resumeAt = new Date(waitUntil);
+        throw this.createQuotaError(`Xero API limit reached, calls resume after ${resumeAt.toISOString()}`, resumeAt);
+      }
+
+      this.stats.pauses++;
+      this.stats.totalPauseMs += waitMs;
+      this.logger.info(`Xero API limit reached, pausing for ${Math.ceil(waitMs / 1000)}s`);
+      await this.wait(waitMs);
+      this.logger.info('Resuming Xero API calls');
+    }
+
+    usage.recent.push(Date.now());
+    usage.used++;
+    this.stats.requests++;
+    this.scheduleSave();
+  }
+
+  /**
+   * Record the remaining limits reported on a Xero response
+   * @param {string} tenantId - Xero tenant ID
+   * @param {Object} headers - Response headers (lower-case names)
+   */
+  record(tenantId, headers = {}) {
+    const usage = this.getUsage(tenantId);
+    const minuteRemaining = this.parseHeader(headers['x-minlimit-remaining']);
+    const dayRemaining = this.parseHeader(headers['x-daylimit-remaining']);
+    const appMinuteRemaining = this.parseHeader(headers['x-appminlimit-remaining']);
+
+    if (minuteRemaining !== null) {
+      usage.minuteRemaining = minuteRemaining;
+    }
+    if (dayRemaining !== null) {
+      usage.dayRemaining = dayRemaining;
+    }
+    if (appMinuteRemaining !== null) {
+      this.appMinuteRemaining = appMinuteRemaining;
+    }
+
+    usage.updatedAt = Date.now();
+    this.scheduleSave();
+  }
+
+  /**
+   * Pause calls after a 429 from Xero for as long as Retry-After says
+   * @param {string} tenantId - Xero tenant ID
+   * @param {Object} headers - Response headers (lower-case names)
+   * @returns {number} - Pause in milliseconds
+   */
+  handleRateLimited(tenantId, headers = {}) {
+    const usage = this.getUsage(tenantId);
+    const retryAfterMs = (this.parseHeader(headers['retry-after']) || 60) * 1000;
+    const problem = String(headers['x-rate-limit-problem'] || 'minute').toLowerCase();
+    const pausedUntil = Date.now() + retryAfterMs;
+
+    this.stats.rateLimitHits++;
+
+    if (problem === 'day') {
+      usage.dayRemaining = 0;
+      usage.dayPausedUntil = pausedUntil;
+    } else if (problem === 'appminute') {
+      this.appPausedUntil = pausedUntil;
+    } else {
+      usage.pausedUntil = pausedUntil;
+    }
+
+    this.logger.warn(`Xero ${problem} rate limit hit, retry after ${Math.ceil(retryAfterMs / 1000)}s`);
+    this.scheduleSave();
+    return retryAfterMs;
+  }
+
+  /**
+   * Get when the daily limit frees up again, if it is used up
+   * @param {string} tenantId - Xero tenant ID
+   * @returns {Date|null} - Resume time, or null when calls are allowed
+   */
+  getDailyResumeAt(tenantId) {
+    const usage = this.getUsage(tenantId);
+    const now = Date.now();
+
+    if (usage.dayPausedUntil > now) {
+      return new Date(usage.dayPausedUntil);
+    }
+
+    // A zero reported before the last daily pause ended is out of date
+    const exhausted = (usage.dayRemaining !== null && usage.dayRemaining <= 0 && usage.updatedAt > usage.dayPausedUntil) ||
+                      usage.used >= this.dayLimit;
+
+    if (exhausted) {
+      // Without a Retry-After, assume the quota frees up at the next UTC midnight
+      const nextDay = new Date(`${usage.date}T00:00:00.000Z`);
+      nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+      return nextDay;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether the daily limit for a tenant is used up
+   * @param {string} tenantId - Xero tenant ID
+   * @returns {boolean} - True if no more calls are allowed today
+   */
+  isQuotaExhausted(tenantId) {
+    return this.getDailyResumeAt(tenantId) !== null;
+  }
+
+  /**
+   * Parse a numeric header value
+   * @param {string|string[]} value - Header value
+   * @returns {number|null} - Parsed number, or null if missing
+   */
+  parseHeader(value) {
+    const number = parseInt(Array.isArray(value) ? value[0] : value, 10);
+    return Number.isNaN(number) ? null : number;
+  }
+
+  /**
+   * Create an error for calls refused because of the Xero limits
+   * @param {string} message - Error message
+   * @param {Date} resumeAt - When calls are allowed again
+   * @returns {Error} - Quota error
+   */
+  createQuotaError(message, resumeAt) {
+    const error = new Error(message);
+    error.name = 'XeroQuotaError';
+    error.code = 'XERO_QUOTA_EXHAUSTED';
+    error.resumeAt = resumeAt;
+    return error;
+  }
+
+  /**
+   * Wait for specified milliseconds
+   * @param {number} ms - Milliseconds to wait
+   * @returns {Promise} - Resolves after wait time
+   */
+  wait(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Get remaining quota and statistics for a tenant
+   * @param {string} tenantId - Xero tenant ID
+   * @returns {Object} - Quota status
+   */
+  getStatus(tenantId) {
+    const usage = this.getUsage(tenantId);
+    const now = Date.now();
+    const recentCalls = usage.recent.filter(timestamp => now - timestamp < 60000).length;
+    const minuteFresh = usage.minuteRemaining !== null && now - usage.updatedAt < 60000;
+    const resumeAt = this.getDailyResumeAt(tenantId);
+    const pausedUntil = Math.max(usage.pausedUntil, this.appPausedUntil);
+
+    return {
+      tenantId: tenantId || null,
+      minuteLimit: this.minuteLimit,
+      dayLimit: this.dayLimit,
+      minuteRemaining: minuteFresh ? usage.minuteRemaining : Math.max(0, this.minuteLimit - recentCalls),
+      dayRemaining: usage.dayRemaining !== null ? usage.dayRemaining : Math.max(0, this.dayLimit - usage.used),
+      appMinuteRemaining: this.appMinuteRemaining,
+      dayUsed: usage.used,
+      pausedUntil: pausedUntil > now ? new Date(pausedUntil).toISOString() : null,
+      quotaExhausted: !!resumeAt,
+      resumeAt: resumeAt ? resumeAt.toISOString() : null,
+      stats: { ...this.stats }
+    };
+  }
+}
+
+module.exports = XeroRateLimiter;
@@ -0,0 +1,118 @@
+const { EligibilityService, EligibilityStatus, EligibilityAction } = require('../src/services/eligibility');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createService(rules) {
+  return new EligibilityService({ logger, config: { sync_eligibility_rules: rules } });
+}
+
+function actualTransaction(overrides = {}) {
+  return {
+    id: 'actual-1',
+    date: '2026-10-01',
+    amount: -4550,
+    account: 'account-1',
+    notes: 'Printer paper',
+    cleared: true,
+    reconciled: false,
+    ...overrides
+  };
+}
+
+describe('EligibilityService', () => {
+  const now = new Date('2026-10-19T10:00:00.000Z');
+
+  test('syncs reconciled transactions only when no rules are set', () => {
+    const service = createService([]);
+
+    expect(service.evaluate(actualTransaction({ reconciled: true }), { now })).toMatchObject({ eligible: true, rule: 'Reconciled' });
+    expect(service.evaluate(actualTransaction(), { now })).toEqual({
+      eligible: false,
+      rule: null,
+      reason: 'No rule matched: "Reconciled" not reconciled'
+    });
+  });
+
+  test('counts reconciled transactions as cleared', () => {
+    const service = createService([{ status: EligibilityStatus.CLEARED }]);
+
+    expect(service.evaluate(actualTransaction({ cleared: false, reconciled: true }), { now }).eligible).toBe(true);
+    expect(service.evaluate(actualTransaction({ cleared: false }), { now }).eligible).toBe(false);
+  });
+
+  test('waits until a transaction is old enough', () => {
+    const service = createService([{ name: 'Settled', min_age_days: 14 }]);
+
+    expect(service.evaluate(actualTransaction({ date: '2026-10-05' }), { now })).toMatchObject({
+      eligible: true,
+      reason: 'Included by "Settled": 14 days old'
+    });
+    expect(service.evaluate(actualTransaction({ date: '2026-10-06' }), { now })).toMatchObject({
+      eligible: false,
+      reason: 'No rule matched: "Settled" only 13 of 14 days old'
+    });
+  });
+
+  test('matches accounts by ID or name', () => {
+    const service = createService([{ accounts: 'account-2, Business Card' }]);
+    const accountNames = new Map([['account-1', 'Business Card'], ['account-3', 'Savings']]);
+
+    expect(service.usesAccounts()).toBe(true);
+    expect(service.evaluate(actualTransaction(), { now, accountNames }).eligible).toBe(true);
+    expect(service.evaluate(actualTransaction({ account: 'account-2' }), { now, accountNames }).eligible).toBe(true);
+    expect(service.evaluate(actualTransaction({ account: 'account-3' }), { now, accountNames })).toMatchObject({
+      eligible: false,
+      reason: 'No rule matched: "Rule 1" account Savings not listed'
+    });
+  });
+
+  test('compares the size of the amount, ignoring its sign', () => {
+    const service = createService([{ min_amount: 10, max_amount: 100 }]);
+
+    expect(service.evaluate(actualTransaction({ amount: -4550 }), { now }).eligible).toBe(true);
+    expect(service.evaluate(actualTransaction({ amount: 4550 }), { now }).eligible).toBe(true);
+    expect(service.evaluate(actualTransaction({ amount: -999 }), { now }).reason).toContain('amount 9.99 below 10');
+    expect(service.evaluate(actualTransaction({ amount: 10001 }), { now }).reason).toContain('amount 100.01 above 100');
+  });
+
+  test('looks for text in the notes, ignoring case', () => {
+    const service = createService([{ notes_contains: '#Business' }]);
+
+    expect(service.evaluate(actualTransaction({ notes: 'Lunch #business' }), { now }).eligible).toBe(true);
+    expect(service.evaluate(actualTransaction({ notes: null }), { now }).eligible).toBe(false);
+  });
+
+  test('lets the first matching rule decide', () => {
+    const service = createService([
+      { name: 'Personal', action: EligibilityAction.EXCLUDE, notes_contains: '#personal' },
+      { name: 'Cleared', status: EligibilityStatus.CLEARED }
+    ]);
+
+    expect(service.evaluate(actualTransaction({ notes: 'Dinner #personal' }), { now })).toEqual({
+      eligible: false,
+      rule: 'Personal',
+      reason: 'Excluded by "Personal": notes contain "#personal"'
+    });
+    expect(service.evaluate(actualTransaction(), { now })).toMatchObject({ eligible: true, rule: 'Cleared' });
+  });
+
+  test('splits transactions into eligible and ineligible', () => {
+    const service = createService([{ status: EligibilityStatus.RECONCILED }]);
+    const reconciled = actualTransaction({ id: 'actual-1', reconciled: true });
+    const cleared = actualTransaction({ id: 'actual-2' });
+
+    const { eligible, ineligible } = service.filter([reconciled, cleared], { now });
+
+    expect(eligible).toEqual([reconciled]);
+    expect(ineligible).toEqual([{ transaction: cleared, rule: null, reason: 'No rule matched: "Rule 1" not reconciled' }]);
+  });
+
+  test('looks back as far as the oldest include rule needs', () => {
+    expect(createService([]).getLookbackDays()).toBe(0);
+    expect(createService([
+      { min_age_days: 7 },
+      { min_age_days: 30, action: EligibilityAction.EXCLUDE },
+      { min_age_days: 14 }
+    ]).getLookbackDays()).toBe(14);
+  });
+});
@@ -0,0 +1,52 @@
+const SchedulerService = require('../src/services/scheduler');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('SchedulerService.getNextRunTime', () => {
+  const from = new Date('2026-10-19T00:00:00.000Z'); // a Monday
+
+  test('finds the next minute matching a daily schedule', () => {
+    const scheduler = new SchedulerService({ logger, timezone: 'UTC' });
+
+    expect(scheduler.getNextRunTime('30 2 * * *', from).toISOString()).toBe('2026-10-19T02:30:00.000Z');
+    expect(scheduler.getNextRunTime('0 0 * * *', from).toISOString()).toBe('2026-10-20T00:00:00.000Z');
+  });
+
+  test('handles lists, ranges and steps', () => {
+    const scheduler = new SchedulerService({ logger, timezone: 'UTC' });
+
+    expect(scheduler.getNextRunTime('*/15 9-17 * * 1-5', from).toISOString()).toBe('2026-10-19T09:00:00.000Z');
+    expect(scheduler.getNextRunTime('0 8,20 * * *', new Date('2026-10-19T09:00:00.000Z')).toISOString())
+      .toBe('2026-10-19T20:00:00.000Z');
+  });
+
+  test('handles day and month names', () => {
+    const scheduler = new SchedulerService({ logger, timezone: 'UTC' });
+
+    expect(scheduler.getNextRunTime('0 2 * * SUN', from).toISOString()).toBe('2026-10-25T02:00:00.000Z');
+    expect(scheduler.getNextRunTime('0 0 1 jan *', from).toISOString()).toBe('2027-01-01T00:00:00.000Z');
+    expect(scheduler.getNextRunTime('0 3 * * 7', from).toISOString()).toBe('2026-10-25T03:00:00.000Z');
+  });
+
+  test('needs both day fields to match, as node-cron does', () => {
+    const scheduler = new SchedulerService({ logger, timezone: 'UTC' });
+
+    // 1 February 2027 is the next first of the month that falls on a Monday
+    expect(scheduler.getNextRunTime('0 0 1 * MON', from).toISOString()).toBe('2027-02-01T00:00:00.000Z');
+  });
+
+  test('matches the wall clock in the scheduler timezone', () => {
+    const scheduler = new SchedulerService({ logger, timezone: 'Australia/Sydney' });
+
+    // 02:00 in Sydney (UTC+11 in daylight time) is 15:00 UTC the day before
+    expect(scheduler.getNextRunTime('0 2 * * *', from).toISOString()).toBe('2026-10-19T15:00:00.000Z');
+  });
+
+  test('returns null for missing or invalid schedules', () => {
+    const scheduler = new SchedulerService({ logger });
+
+    expect(scheduler.getNextRunTime('', from)).toBeNull();
+    expect(scheduler.getNextRunTime('not a schedule', from)).toBeNull();
+    expect(scheduler.getNextRunTime('61 * * * *', from)).toBeNull();
+  });
+});
@@ -0,0 +1,74 @@
+const SyncService = require('../src/services/sync');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createService({ accountMappings, transfers }) {
+  return new SyncService({
+    logger,
+    config: { business_category_group_id: 'group-1' },
+    actualClient: { getTransfers: jest.fn().mockResolvedValue(transfers) },
+    xanoClient: { getAccountMappings: jest.fn().mockResolvedValue(accountMappings) },
+    xeroClient: {}
+  });
+}
+
+// Both legs of a transfer of 250.00 from one Actual account to another
+function transferLegs(id, fromAccount, toAccount) {
+  return [
+    { id: `${id}-out`, account: fromAccount, amount: -25000, transfer_id: `${id}-in`, date: '2026-10-01' },
+    { id: `${id}-in`, account: toAccount, amount: 25000, transfer_id: `${id}-out`, date: '2026-10-01' }
+  ];
+}
+
+describe('SyncService.pairTransfers', () => {
+  const since = new Date('2026-10-01T00:00:00.000Z');
+  const accountMappings = [
+    { actual_account_id: 'cheque', xero_bank_account_id: 'bank-cheque' },
+    { actual_account_id: 'savings', xero_bank_account_id: 'bank-savings' },
+    { actual_account_id: 'offset', xero_bank_account_id: 'bank-savings' },
+    { actual_account_id: 'personal', xero_bank_account_id: null }
+  ];
+
+  test('keeps one transaction per transfer between mapped bank accounts', async () => {
+    const legs = transferLegs('transfer-1', 'cheque', 'savings');
+    const expense = { id: 'expense-1', account: 'cheque', amount: -4550, category: 'category-1' };
+    const service = createService({ accountMappings, transfers: legs });
+
+    const paired = await service.pairTransfers([expense, legs[1]], since);
+
+    expect(paired).toEqual([expense, { ...legs[0], transfer_account: 'savings' }]);
+    expect(service.actualClient.getTransfers).toHaveBeenCalledWith(since, null);
+  });
+
+  test('adds transfers whose legs were not in the category group', async () => {
+    const legs = transferLegs('transfer-1', 'savings', 'cheque');
+    const service = createService({ accountMappings, transfers: legs });
+
+    expect(await service.pairTransfers([], since)).toEqual([{ ...legs[0], transfer_account: 'cheque' }]);
+  });
+
+  test('drops transfers between accounts mapped to the same Xero bank account', async () => {
+    const legs = transferLegs('transfer-1', 'savings', 'offset');
+    const service = createService({ accountMappings, transfers: legs });
+
+    expect(await service.pairTransfers(legs, since)).toEqual([]);
+  });
+
+  test('leaves transfers to unmapped accounts as they are', async () => {
+    const legs = transferLegs('transfer-1', 'cheque', 'personal');
+    const service = createService({ accountMappings, transfers: legs });
+
+    expect(await service.pairTransfers([legs[0]], since)).toEqual([legs[0]]);
+  });
+
+  test('does nothing with fewer than two mapped bank accounts', async () => {
+    const legs = transferLegs('transfer-1', 'cheque', 'savings');
+    const service = createService({
+      accountMappings: [{ actual_account_id: 'cheque', xero_bank_account_id: 'bank-cheque' }],
+      transfers: legs
+    });
+
+    expect(await service.pairTransfers(legs, since)).toEqual(legs);
+    expect(service.actualClient.getTransfers).not.toHaveBeenCalled();
+  });
+});
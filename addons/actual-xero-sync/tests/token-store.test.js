@@ -0,0 +1,70 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TokenStore = require('../src/utils/token-store');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('TokenStore', () => {
+  let dir;
+  let filePath;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'token-store-'));
+    filePath = path.join(dir, 'xero-tokens.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('returns null when nothing is stored', async () => {
+    const store = new TokenStore({ filePath, secret: 'secret', logger });
+
+    await expect(store.load()).resolves.toBeNull();
+  });
+
+  test('reads back the tokens it saved', async () => {
+    const store = new TokenStore({ filePath, secret: 'secret', logger });
+    const tokens = { access_token: 'access', refresh_token: 'refresh', expires_at: '2026-10-19T01:00:00.000Z', tenant_id: 'tenant-1' };
+
+    await store.save(tokens);
+    const loaded = await store.load();
+
+    expect(loaded).toMatchObject(tokens);
+    expect(loaded.saved_at).toEqual(expect.any(String));
+  });
+
+  test('does not write the tokens in plain text', async () => {
+    const store = new TokenStore({ filePath, secret: 'secret', logger });
+
+    await store.save({ access_token: 'access-token-value', refresh_token: 'refresh-token-value' });
+    const raw = fs.readFileSync(filePath, 'utf8');
+
+    expect(raw).not.toContain('access-token-value');
+    expect(raw).not.toContain('refresh-token-value');
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+
+  test('fails to load with a different secret', async () => {
+    await new TokenStore({ filePath, secret: 'secret', logger }).save({ refresh_token: 'refresh' });
+
+    await expect(new TokenStore({ filePath, secret: 'other', logger }).load())
+      .rejects.toThrow('Failed to decrypt stored tokens');
+  });
+
+  test('clears stored tokens', async () => {
+    const store = new TokenStore({ filePath, secret: 'secret', logger });
+
+    await store.save({ refresh_token: 'refresh' });
+    await store.clear();
+    await store.clear();
+
+    await expect(store.load()).resolves.toBeNull();
+  });
+
+  test('requires a file path and a secret', () => {
+    expect(() => new TokenStore({ secret: 'secret', logger })).toThrow('file path is required');
+    expect(() => new TokenStore({ filePath, logger })).toThrow('encryption secret is required');
+  });
+});
@@ -0,0 +1,62 @@
+const { Transaction } = require('../src/models/transaction');
+
+function actualTransaction(overrides = {}) {
+  return {
+    id: 'actual-1',
+    date: '2026-10-01',
+    amount: -4550,
+    category: 'category-1',
+    payee: 'payee-1',
+    account: 'account-1',
+    notes: 'Printer paper',
+    ...overrides
+  };
+}
+
+describe('Transaction.computeContentHash', () => {
+  test('gives the same hash for the same content', () => {
+    const hash = Transaction.computeContentHash(actualTransaction());
+
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
+    expect(Transaction.computeContentHash(actualTransaction())).toBe(hash);
+  });
+
+  test('ignores notes and the transaction ID', () => {
+    const hash = Transaction.computeContentHash(actualTransaction());
+
+    expect(Transaction.computeContentHash(actualTransaction({ notes: 'Printer paper #xero' }))).toBe(hash);
+    expect(Transaction.computeContentHash(actualTransaction({ id: 'actual-2' }))).toBe(hash);
+  });
+
+  test('changes when a synced field changes', () => {
+    const hash = Transaction.computeContentHash(actualTransaction());
+
+    expect(Transaction.computeContentHash(actualTransaction({ date: '2026-10-02' }))).not.toBe(hash);
+    expect(Transaction.computeContentHash(actualTransaction({ amount: -4551 }))).not.toBe(hash);
+    expect(Transaction.computeContentHash(actualTransaction({ category: 'category-2' }))).not.toBe(hash);
+    expect(Transaction.computeContentHash(actualTransaction({ payee: 'payee-2' }))).not.toBe(hash);
+  });
+
+  test('changes when the transaction moves to another account', () => {
+    const hash = Transaction.computeContentHash(actualTransaction());
+
+    expect(Transaction.computeContentHash(actualTransaction({ account: 'account-2' }))).not.toBe(hash);
+    expect(Transaction.computeContentHash(actualTransaction({ transfer_account: 'account-3' }))).not.toBe(hash);
+  });
+
+  test('changes when a split line changes', () => {
+    const splitLines = [
+      { id: 'line-1', category: 'category-1', amount: -3000 },
+      { id: 'line-2', category: 'category-2', amount: -1550 }
+    ];
+    const hash = Transaction.computeContentHash(actualTransaction({ split_lines: splitLines }));
+
+    expect(hash).not.toBe(Transaction.computeContentHash(actualTransaction()));
+    expect(Transaction.computeContentHash(actualTransaction({
+      split_lines: [splitLines[0], { ...splitLines[1], category: 'category-3' }]
+    }))).not.toBe(hash);
+    expect(Transaction.computeContentHash(actualTransaction({
+      split_lines: [{ ...splitLines[0], amount: -2000 }, { ...splitLines[1], amount: -2550 }]
+    }))).not.toBe(hash);
+  });
+});
@@ -0,0 +1,247 @@
+const { XeroDocumentService, XeroDocumentType } = require('../src/services/xero-documents');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+function createService(config = {}) {
+  return new XeroDocumentService({
+    xeroClient: { tenantId: 'tenant-1' },
+    logger,
+    config: { xero_bank_account_code: '090', xero_default_tax_type: '', ...config }
+  });
+}
+
+function mappedTransaction(overrides = {}) {
+  return {
+    id: 12,
+    actual_transaction_id: 'actual-12',
+    transaction_date: '2026-10-01',
+    amount: -45.5,
+    description: 'Printer paper',
+    xero_account_id: 'account-400',
+    xero_account_code: '400',
+    xero_contact_id: 'contact-1',
+    ...overrides
+  };
+}
+
+describe('XeroDocumentService.formatDocument', () => {
+  test('records money out as a spend money bank transaction', () => {
+    const service = createService();
+    const document = service.formatDocument(mappedTransaction(), 'Xano-12');
+
+    expect(document).toEqual({
+      Type: 'SPEND',
+      Contact: { ContactID: 'contact-1' },
+      Date: '2026-10-01',
+      Reference: 'Xano-12',
+      Status: 'AUTHORISED',
+      LineAmountTypes: 'Inclusive',
+      LineItems: [{
+        Description: 'Printer paper',
+        Quantity: 1,
+        UnitAmount: 45.5,
+        AccountID: 'account-400',
+        AccountCode: '400'
+      }],
+      BankAccount: { Code: '090' }
+    });
+  });
+
+  test('records a bill with the reference as its invoice number', () => {
+    const service = createService();
+    const transaction = mappedTransaction({ xero_document_type: XeroDocumentType.BILL, xero_bank_account_id: 'bank-1' });
+
+    expect(service.resolveDocumentType(transaction)).toBe(XeroDocumentType.BILL);
+
+    const document = service.formatDocument(transaction, 'Xano-12');
+
+    expect(document).toMatchObject({
+      Type: 'ACCPAY',
+      Contact: { ContactID: 'contact-1' },
+      Date: '2026-10-01',
+      DueDate: '2026-10-01',
+      InvoiceNumber: 'Xano-12',
+      Status: 'AUTHORISED'
+    });
+    expect(document.Reference).toBeUndefined();
+    expect(document.LineItems[0].UnitAmount).toBe(45.5);
+    expect(service.validateDocument(document, XeroDocumentType.BILL, transaction)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('records an invoice for money in', () => {
+    const service = createService({ xero_document_type: XeroDocumentType.INVOICE });
+    const transaction = mappedTransaction({ amount: 120 });
+
+    expect(service.resolveDocumentType(transaction)).toBe(XeroDocumentType.INVOICE);
+
+    const document = service.formatDocument(transaction, 'Xano-12');
+
+    expect(document).toMatchObject({ Type: 'ACCREC', Reference: 'Xano-12' });
+    expect(document.InvoiceNumber).toBeUndefined();
+    expect(service.validateDocument(document, XeroDocumentType.INVOICE, transaction).isValid).toBe(true);
+  });
+
+  test('falls back to a bank transaction when a bill or invoice goes the wrong way', () => {
+    const service = createService();
+
+    expect(service.resolveDocumentType(mappedTransaction({ amount: 10, xero_document_type: XeroDocumentType.BILL })))
+      .toBe(XeroDocumentType.BANK_TRANSACTION);
+    expect(service.resolveDocumentType(mappedTransaction({ amount: -10, xero_document_type: XeroDocumentType.INVOICE })))
+      .toBe(XeroDocumentType.BANK_TRANSACTION);
+  });
+
+  test('rejects transactions without an account, a contact or an amount', () => {
+    const service = createService();
+
+    expect(() => service.formatDocument(mappedTransaction({ xero_account_id: null }), 'Xano-12')).toThrow('Xero account ID is required');
+    expect(() => service.formatDocument(mappedTransaction({ xero_contact_id: null }), 'Xano-12')).toThrow('Xero contact ID is required');
+    expect(() => service.formatDocument(mappedTransaction({ amount: 0 }), 'Xano-12')).toThrow('Transaction amount must be non-zero');
+  });
+});
+
+describe('XeroDocumentService.validateDocument', () => {
+  test('accepts a complete bank transaction', () => {
+    const service = createService();
+    const document = service.formatDocument(mappedTransaction(), 'Xano-12');
+
+    expect(service.validateDocument(document)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('needs a bank account', () => {
+    const service = createService({ xero_bank_account_code: null });
+    const transaction = mappedTransaction();
+
+    expect(service.validateDocument(service.formatDocument(transaction, 'Xano-12')).errors)
+      .toContain('Bank account is required: map the Actual account to a Xero bank account or set xero_bank_account_code');
+
+    const bill = service.formatDocument(transaction, 'Xano-12', XeroDocumentType.BILL);
+    expect(service.validateDocument(bill, XeroDocumentType.BILL, transaction).errors)
+      .toContain('Bank account is required to record bill and invoice payments: map the Actual account to a Xero bank account or set xero_bank_account_code');
+  });
+
+  test('reports missing fields', () => {
+    const service = createService();
+    const result = service.validateDocument({
+      Type: 'TRANSFER',
+      BankAccount: { Code: '090' },
+      Contact: {},
+      Date: '01/10/2026',
+      LineItems: []
+    });
+
+    expect(result.isValid).toBe(false);
+    expect(result.errors).toEqual([
+      'Transaction type must be SPEND or RECEIVE',
+      'Contact ID is required',
+      'Date must be in YYYY-MM-DD format',
+      'Reference is required and must be 255 characters or less',
+      'At least one line item is required'
+    ]);
+  });
+});
+
+describe('XeroDocumentService split transactions', () => {
+  const splitTransaction = () => mappedTransaction({
+    amount: -100,
+    description: 'Office supplies',
+    split_lines: [
+      { id: 'line-1', amount: -80, description: 'Paper #tax:GSTONEXPENSES', xero_account_id: 'account-400', xero_account_code: '400' },
+      { id: 'line-2', amount: -30, description: 'Postage', xero_account_id: 'account-420', xero_tax_type: 'EXEMPTEXPENSES' },
+      { id: 'line-3', amount: 10, description: 'Refund', xero_account_id: 'account-400' }
+    ]
+  });
+
+  test('builds one line item per split line', () => {
+    const service = createService();
+    const document = service.formatDocument(splitTransaction(), 'Xano-12');
+
+    expect(document.LineItems).toEqual([
+      { Description: 'Paper #tax:GSTONEXPENSES', Quantity: 1, UnitAmount: 80, AccountID: 'account-400', TaxType: 'GSTONEXPENSES', AccountCode: '400' },
+      { Description: 'Postage', Quantity: 1, UnitAmount: 30, AccountID: 'account-420', TaxType: 'EXEMPTEXPENSES' },
+      { Description: 'Refund', Quantity: 1, UnitAmount: -10, AccountID: 'account-400' }
+    ]);
+    expect(service.validateDocument(document)).toEqual({ isValid: true, errors: [] });
+  });
+
+  test('labels errors with the split line they belong to', () => {
+    const service = createService();
+    const transaction = splitTransaction();
+    transaction.split_lines[1].xero_account_id = null;
+
+    expect(service.validateDocument(service.formatDocument(transaction, 'Xano-12')).errors)
+      .toEqual(['Account ID is required for line item 2']);
+  });
+
+  test('needs the lines to add up to more than zero', () => {
+    const service = createService();
+    const document = service.formatDocument(mappedTransaction({
+      amount: -5,
+      split_lines: [
+        { id: 'line-1', amount: -5, xero_account_id: 'account-400' },
+        { id: 'line-2', amount: 5, xero_account_id: 'account-400' }
+      ]
+    }), 'Xano-12');
+
+    expect(service.validateDocument(document).errors).toContain('Line items must add up to more than zero');
+  });
+});
+
+describe('XeroDocumentService foreign currency', () => {
+  test('takes the currency from the account mapping and the rate from the notes', () => {
+    const service = createService();
+    const transaction = mappedTransaction({ description: 'Conference ticket #rate:0.65' });
+
+    service.applyCurrency(transaction, { currency_code: 'USD' });
+
+    expect(transaction.currency_code).toBe('USD');
+    expect(transaction.currency_rate).toBe(0.65);
+
+    service.applyCurrency(transaction, { currency_code: null });
+
+    expect(transaction.currency_code).toBeNull();
+    expect(transaction.currency_rate).toBeNull();
+  });
+
+  test('reads manual rates from notes', () => {
+    const service = createService();
+
+    expect(service.parseCurrencyRate('Hotel #rate:0.6523')).toBe(0.6523);
+    expect(service.parseCurrencyRate('Hotel #RATE:1.2 paid')).toBe(1.2);
+    expect(service.parseCurrencyRate('Hotel #rate:0')).toBeNull();
+    expect(service.parseCurrencyRate('Hotel')).toBeNull();
+    expect(service.parseCurrencyRate(null)).toBeNull();
+  });
+
+  test('sends the currency and manual rate with bank transactions and bills', () => {
+    const service = createService();
+    const transaction = mappedTransaction({ currency_code: 'USD', currency_rate: 0.65 });
+
+    expect(service.formatDocument(transaction, 'Xano-12')).toMatchObject({ CurrencyCode: 'USD', CurrencyRate: 0.65 });
+    expect(service.formatDocument(transaction, 'Xano-12', XeroDocumentType.BILL)).toMatchObject({ CurrencyCode: 'USD', CurrencyRate: 0.65 });
+
+    const withoutRate = service.formatDocument(mappedTransaction({ currency_code: 'USD', currency_rate: null }), 'Xano-12');
+    expect(withoutRate.CurrencyCode).toBe('USD');
+    expect(withoutRate.CurrencyRate).toBeUndefined();
+    expect(service.validateDocument(withoutRate).isValid).toBe(true);
+  });
+
+  test('converts amounts to the base currency', () => {
+    const service = createService();
+    const transaction = mappedTransaction({ amount: -100, currency_code: 'USD', currency_rate: 0.65 });
+
+    expect(service.getCurrencyAmounts(transaction)).toEqual({ currency_rate: 0.65, base_currency_amount: -153.85 });
+    expect(service.getCurrencyAmounts(transaction, 0.8)).toEqual({ currency_rate: 0.8, base_currency_amount: -125 });
+    expect(service.getCurrencyAmounts({ ...transaction, currency_rate: null })).toEqual({ currency_rate: null, base_currency_amount: null });
+    expect(service.getCurrencyAmounts(mappedTransaction({ amount: -100 }))).toEqual({ currency_rate: null, base_currency_amount: -100 });
+  });
+
+  test('rejects invalid currency codes and rates', () => {
+    const service = createService();
+    const document = service.formatDocument(mappedTransaction(), 'Xano-12');
+
+    expect(service.validateDocument({ ...document, CurrencyCode: 'usd', CurrencyRate: 0 }).errors).toEqual([
+      'Currency code must be a three letter ISO 4217 code',
+      'Currency rate must be greater than zero'
+    ]);
+  });
+});
@@ -0,0 +1,104 @@
+const XeroRateLimiter = require('../src/utils/xero-rate-limiter');
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('XeroRateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2026-10-19T10:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('records the limits Xero reports on each response', () => {
+    const limiter = new XeroRateLimiter({ logger });
+
+    limiter.record('tenant-1', {
+      'x-minlimit-remaining': '42',
+      'x-daylimit-remaining': ['4800'],
+      'x-appminlimit-remaining': '9000'
+    });
+
+    expect(limiter.getStatus('tenant-1')).toMatchObject({
+      tenantId: 'tenant-1',
+      minuteRemaining: 42,
+      dayRemaining: 4800,
+      appMinuteRemaining: 9000,
+      quotaExhausted: false,
+      resumeAt: null
+    });
+  });
+
+  test('keeps earlier values when a header is missing or not a number', () => {
+    const limiter = new XeroRateLimiter({ logger });
+
+    limiter.record('tenant-1', { 'x-minlimit-remaining': '42', 'x-daylimit-remaining': '4800' });
+    limiter.record('tenant-1', { 'x-minlimit-remaining': 'soon' });
+
+    expect(limiter.getStatus('tenant-1')).toMatchObject({ minuteRemaining: 42, dayRemaining: 4800 });
+  });
+
+  test('keeps each tenant separate', () => {
+    const limiter = new XeroRateLimiter({ logger });
+
+    limiter.record('tenant-1', { 'x-daylimit-remaining': '0' });
+
+    expect(limiter.isQuotaExhausted('tenant-1')).toBe(true);
+    expect(limiter.isQuotaExhausted('tenant-2')).toBe(false);
+  });
+
+  test('treats a daily limit used up without Retry-After as freeing up at UTC midnight', async () => {
+    const limiter = new XeroRateLimiter({ logger });
+
+    limiter.record('tenant-1', { 'x-daylimit-remaining': '0' });
+
+    expect(limiter.getDailyResumeAt('tenant-1').toISOString()).toBe('2026-10-20T00:00:00.000Z');
+    await expect(limiter.acquire('tenant-1')).rejects.toMatchObject({
+      code: 'XERO_QUOTA_EXHAUSTED',
+      resumeAt: new Date('2026-10-20T00:00:00.000Z')
+    });
+  });
+
+  test('pauses for as long as Retry-After says after a 429', () => {
+    const limiter = new XeroRateLimiter({ logger });
+
+    expect(limiter.handleRateLimited('tenant-1', { 'retry-after': '30' })).toBe(30000);
+    expect(limiter.getStatus('tenant-1').pausedUntil).toBe('2026-10-19T10:00:30.000Z');
+    expect(limiter.isQuotaExhausted('tenant-1')).toBe(false);
+
+    expect(limiter.handleRateLimited('tenant-1', {})).toBe(60000);
+  });
+
+  test('applies the 429 to the limit Xero says was hit', () => {
+    const limiter = new XeroRateLimiter({ logger });
+
+    limiter.handleRateLimited('tenant-1', { 'retry-after': '3600', 'x-rate-limit-problem': 'Day' });
+    expect(limiter.getDailyResumeAt('tenant-1').toISOString()).toBe('2026-10-19T11:00:00.000Z');
+
+    limiter.handleRateLimited('tenant-1', { 'retry-after': '20', 'x-rate-limit-problem': 'AppMinute' });
+    expect(limiter.getStatus('tenant-2').pausedUntil).toBe('2026-10-19T10:00:20.000Z');
+  });
+
+  test('refuses calls that would wait longer than the longest pause', async () => {
+    const limiter = new XeroRateLimiter({ logger, maxWaitMs: 10000 });
+
+    limiter.handleRateLimited('tenant-1', { 'retry-after': '30' });
+
+    await expect(limiter.acquire('tenant-1')).rejects.toMatchObject({
+      code: 'XERO_QUOTA_EXHAUSTED',
+      resumeAt: new Date('2026-10-19T10:00:30.000Z')
+    });
+  });
+
+  test('counts calls against the daily limit', async () => {
+    const limiter = new XeroRateLimiter({ logger, dayLimit: 2 });
+
+    await limiter.acquire('tenant-1');
+    await limiter.acquire('tenant-1');
+
+    expect(limiter.getStatus('tenant-1')).toMatchObject({ dayUsed: 2, dayRemaining: 0, quotaExhausted: true });
+    await expect(limiter.acquire('tenant-1')).rejects.toMatchObject({ code: 'XERO_QUOTA_EXHAUSTED' });
+  });
+});
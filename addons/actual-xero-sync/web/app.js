@@ -5,6 +5,7 @@ class ActualXeroSyncUI {
         this.statusElements = {
             systemStatus: document.getElementById('system-status'),
             lastSync: document.getElementById('last-sync'),
+            nextSync: document.getElementById('next-sync'),
             configStatus: document.getElementById('config-status'),
             syncStatus: document.getElementById('sync-status'),
             lastResult: document.getElementById('last-result')
@@ -28,12 +29,26 @@ class ActualXeroSyncUI {
         
         this.buttons = {
             triggerSync: document.getElementById('trigger-sync'),
+            triggerFullRescan: document.getElementById('trigger-full-rescan'),
             triggerReprocess: document.getElementById('trigger-reprocess'),
             refreshStatus: document.getElementById('refresh-status'),
             clearLogs: document.getElementById('clear-logs'),
             syncCategories: document.getElementById('sync-categories'),
             syncPayees: document.getElementById('sync-payees'),
-            refreshMappings: document.getElementById('refresh-mappings')
+            refreshMappings: document.getElementById('refresh-mappings'),
+            xeroConnect: document.getElementById('xero-connect'),
+            xeroDisconnect: document.getElementById('xero-disconnect'),
+            backfillStart: document.getElementById('backfill-start-button'),
+            backfillResume: document.getElementById('backfill-resume'),
+            backfillCancel: document.getElementById('backfill-cancel'),
+            refreshConflicts: document.getElementById('refresh-conflicts')
+        };
+        
+        this.xeroElements = {
+            connectionStatus: document.getElementById('xero-connection-status'),
+            tokenExpires: document.getElementById('xero-token-expires'),
+            quota: document.getElementById('xero-quota'),
+            tenantSelect: document.getElementById('xero-tenant')
         };
         
         this.mappingElements = {
@@ -50,12 +65,25 @@ class ActualXeroSyncUI {
             text: document.getElementById('progress-text')
         };
         
+        this.backfillElements = {
+            startDate: document.getElementById('backfill-start'),
+            endDate: document.getElementById('backfill-end'),
+            windowDays: document.getElementById('backfill-window'),
+            status: document.getElementById('backfill-status'),
+            progressContainer: document.getElementById('backfill-progress'),
+            progressFill: document.getElementById('backfill-progress-fill'),
+            progressText: document.getElementById('backfill-progress-text')
+        };
+        
+        this.budgetSelect = document.getElementById('actual-budget');
+        this.conflictList = document.getElementById('conflict-list');
         this.activityLog = document.getElementById('activity-log');
         this.logFilter = document.getElementById('log-filter');
         
         // Application state
         this.isSyncing = false;
         this.isReprocessing = false;
+        this.isBackfilling = false;
         this.currentFilter = 'all';
         this.logEntries = [];
         this.lastStatusUpdate = null;
@@ -65,12 +93,22 @@ class ActualXeroSyncUI {
 
     init() {
         this.setupEventListeners();
+        this.handleXeroCallbackResult();
         this.loadStatus();
         this.loadConfiguration();
+        this.loadBudgets();
         this.loadMappingStatus();
+        this.loadXeroStatus();
+        this.loadBackfillStatus();
+        this.loadConflicts();
         
         // Auto-refresh status every 15 seconds
         setInterval(() => this.loadStatus(), 15000);
+        setInterval(() => {
+            if (!this.isBackfilling) {
+                this.loadBackfillStatus();
+            }
+        }, 15000);
         
         // Check for real-time updates every 5 seconds when syncing
         setInterval(() => {
@@ -82,12 +120,21 @@ class ActualXeroSyncUI {
 
     setupEventListeners() {
         this.buttons.triggerSync.addEventListener('click', () => this.triggerSync());
+        this.buttons.triggerFullRescan.addEventListener('click', () => this.triggerSync(true));
         this.buttons.triggerReprocess.addEventListener('click', () => this.triggerReprocess());
         this.buttons.refreshStatus.addEventListener('click', () => this.loadStatus());
         this.buttons.clearLogs.addEventListener('click', () => this.clearLogs());
         this.buttons.syncCategories.addEventListener('click', () => this.syncCategories());
         this.buttons.syncPayees.addEventListener('click', () => this.syncPayees());
         this.buttons.refreshMappings.addEventListener('click', () => this.loadMappingStatus());
+        this.buttons.xeroConnect.addEventListener('click', () => this.connectXero());
+        this.buttons.xeroDisconnect.addEventListener('click', () => this.disconnectXero());
+        this.xeroElements.tenantSelect.addEventListener('change', (e) => this.selectXeroTenant(e.target.value));
+        this.budgetSelect.addEventListener('change', (e) => this.selectBudget(e.target.value));
+        this.buttons.backfillStart.addEventListener('click', () => this.startBackfill(true));
+        this.buttons.backfillResume.addEventListener('click', () => this.startBackfill(false));
+        this.buttons.backfillCancel.addEventListener('click', () => this.cancelBackfill());
+        this.buttons.refreshConflicts.addEventListener('click', () => this.loadConflicts());
         
         this.logFilter.addEventListener('change', (e) => {
             this.currentFilter = e.target.value;
@@ -157,7 +204,7 @@ class ActualXeroSyncUI {
 
         // Configuration status
         const configOk = status.actual_budget_configured && 
-                        status.xano_configured && 
+                        status.storage_configured && 
                         status.xero_configured;
         
         this.statusElements.configStatus.innerHTML = configOk ? 
@@ -165,6 +212,11 @@ class ActualXeroSyncUI {
             '<span class="status-indicator warning"></span>Incomplete';
         this.statusElements.configStatus.className = configOk ? 'value' : 'value warning';
 
+        // Scheduled sync time
+        const syncJob = status.scheduler && status.scheduler.jobs && status.scheduler.jobs.sync;
+        this.statusElements.nextSync.textContent = syncJob && syncJob.next_run ?
+            new Date(syncJob.next_run).toLocaleString() : 'Not scheduled';
+
         // Sync status
         if (this.isSyncing) {
             this.statusElements.syncStatus.innerHTML = '<span class="status-indicator warning"></span>Syncing';
@@ -218,28 +270,31 @@ class ActualXeroSyncUI {
         this.configElements.syncSchedule.textContent = config.sync_schedule || '-';
         this.configElements.syncDaysBack.textContent = config.sync_days_back || '-';
         this.configElements.batchSize.textContent = config.batch_size || '-';
-        this.configElements.rateLimit.textContent = (config.xano_rate_limit || '-') + ' calls/min';
+        this.configElements.rateLimit.textContent = config.storage_backend === 'local' ?
+            'None (local storage)' : (config.xano_rate_limit || '-') + ' calls/min';
     }
 
-    async triggerSync() {
+    async triggerSync(fullRescan = false) {
         if (this.isSyncing || this.isReprocessing) return;
         
         this.isSyncing = true;
-        this.showProgress('Initializing sync...');
+        this.showProgress(fullRescan ? 'Initializing full rescan...' : 'Initializing sync...');
         this.updateButtonState(this.buttons.triggerSync, true, 'Syncing...');
+        this.buttons.triggerFullRescan.disabled = true;
         
         try {
             const response = await fetch('/api/sync/trigger', {
                 method: 'POST',
                 headers: {
                     'Content-Type': 'application/json'
-                }
+                },
+                body: JSON.stringify({ full_rescan: fullRescan })
             });
             
             const result = await response.json();
             
             if (response.ok) {
-                this.addLogEntry('Manual sync started successfully', 'success');
+                this.addLogEntry(fullRescan ? 'Full rescan started successfully' : 'Manual sync started successfully', 'success');
                 this.statusElements.lastSync.textContent = new Date().toLocaleString();
                 
                 // Start monitoring sync progress
@@ -255,6 +310,7 @@ class ActualXeroSyncUI {
             this.isSyncing = false;
             this.hideProgress();
             this.updateButtonState(this.buttons.triggerSync, false, 'Trigger Manual Sync');
+            this.buttons.triggerFullRescan.disabled = false;
         }
     }
 
@@ -350,6 +406,7 @@ class ActualXeroSyncUI {
         this.isSyncing = false;
         this.hideProgress();
         this.updateButtonState(this.buttons.triggerSync, false, 'Trigger Manual Sync');
+        this.buttons.triggerFullRescan.disabled = false;
         
         if (progress.status === 'completed') {
             // Create detailed success message
@@ -379,6 +436,7 @@ class ActualXeroSyncUI {
         
         // Refresh status to get updated stats
         this.loadStatus();
+        this.loadConflicts();
     }
 
     handleReprocessComplete(progress) {
@@ -497,6 +555,7 @@ class ActualXeroSyncUI {
                     this.isReprocessing = false;
                     this.hideProgress();
                     this.updateButtonState(this.buttons.triggerSync, false, 'Trigger Manual Sync');
+                    this.buttons.triggerFullRescan.disabled = false;
                     this.updateButtonState(this.buttons.triggerReprocess, false, 'Reprocess Failed');
                 }
             }
@@ -613,6 +672,484 @@ class ActualXeroSyncUI {
         this.mappingElements.progressContainer.classList.add('hidden');
         this.mappingElements.progressFill.style.width = '0%';
     }
+
+    // Xero connection methods
+    handleXeroCallbackResult() {
+        const params = new URLSearchParams(window.location.search);
+        const result = params.get('xero');
+        
+        if (!result) return;
+        
+        if (result === 'connected') {
+            this.addLogEntry('Connected to Xero successfully', 'success');
+        } else {
+            this.addLogEntry('Xero connection failed: ' + (params.get('message') || 'Unknown error'), 'error');
+        }
+        
+        // Remove the callback parameters so a refresh doesn't repeat the message
+        window.history.replaceState({}, document.title, window.location.pathname);
+    }
+
+    async loadXeroStatus() {
+        try {
+            const response = await fetch('/api/xero/status');
+            if (!response.ok) {
+                throw new Error('Failed to load Xero status');
+            }
+            
+            const status = await response.json();
+            this.updateXeroStatus(status);
+        } catch (error) {
+            console.error('Failed to load Xero status:', error);
+            this.xeroElements.connectionStatus.innerHTML = '<span class="status-indicator offline"></span>Unknown';
+            this.xeroElements.connectionStatus.className = 'value error';
+        }
+    }
+
+    updateXeroStatus(status) {
+        if (status.connected) {
+            this.xeroElements.connectionStatus.innerHTML = '<span class="status-indicator online"></span>Connected';
+            this.xeroElements.connectionStatus.className = 'value';
+        } else {
+            this.xeroElements.connectionStatus.innerHTML = '<span class="status-indicator warning"></span>Not connected';
+            this.xeroElements.connectionStatus.className = 'value warning';
+        }
+        
+        this.xeroElements.tokenExpires.textContent = status.connected && status.token_expires_at ?
+            new Date(status.token_expires_at).toLocaleString() : '-';
+        
+        this.updateXeroQuota(status.connected ? status.quota : null);
+        
+        this.buttons.xeroDisconnect.disabled = !status.connected;
+        this.updateButtonState(this.buttons.xeroConnect, false, status.connected ? 'Reconnect to Xero' : 'Connect to Xero');
+        
+        if (status.connected) {
+            this.loadXeroTenants();
+        } else {
+            this.xeroElements.tenantSelect.innerHTML = '<option value="">Not connected</option>';
+            this.xeroElements.tenantSelect.disabled = true;
+        }
+    }
+
+    updateXeroQuota(quota) {
+        const element = this.xeroElements.quota;
+        
+        if (!quota) {
+            element.textContent = '-';
+            element.className = 'value';
+            return;
+        }
+        
+        if (quota.exhausted) {
+            element.innerHTML = '<span class="status-indicator offline"></span>Daily limit reached, resumes ' +
+                new Date(quota.resume_at).toLocaleString();
+            element.className = 'value error';
+        } else if (quota.paused_until) {
+            element.innerHTML = '<span class="status-indicator warning"></span>Paused until ' +
+                new Date(quota.paused_until).toLocaleTimeString();
+            element.className = 'value warning';
+        } else {
+            element.textContent = `${quota.day_remaining}/${quota.day_limit} today, ${quota.minute_remaining}/${quota.minute_limit} this minute`;
+            element.className = 'value';
+        }
+    }
+
+    async loadXeroTenants() {
+        const select = this.xeroElements.tenantSelect;
+        
+        try {
+            const response = await fetch('/api/xero/tenants');
+            if (!response.ok) {
+                throw new Error('Failed to load Xero organisations');
+            }
+            
+            const result = await response.json();
+            
+            select.innerHTML = '';
+            
+            if (!result.selected_tenant_id) {
+                select.appendChild(new Option('Select an organisation...', ''));
+            }
+            
+            result.tenants.forEach(tenant => {
+                select.appendChild(new Option(tenant.tenant_name, tenant.tenant_id, false, tenant.selected));
+            });
+            
+            select.disabled = result.tenants.length === 0;
+        } catch (error) {
+            console.error('Failed to load Xero organisations:', error);
+            select.innerHTML = '<option value="">Unavailable</option>';
+            select.disabled = true;
+        }
+    }
+
+    async selectXeroTenant(tenantId) {
+        if (!tenantId) return;
+        
+        try {
+            const response = await fetch('/api/xero/tenant', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ tenant_id: tenantId })
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.addLogEntry(result.message, 'success');
+                this.loadMappingStatus();
+            } else {
+                this.addLogEntry('Failed to select Xero organisation: ' + result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to select Xero organisation:', error);
+            this.addLogEntry('Failed to select Xero organisation: Connection error', 'error');
+        } finally {
+            this.loadXeroTenants();
+        }
+    }
+
+    async loadBudgets() {
+        const select = this.budgetSelect;
+        
+        try {
+            const response = await fetch('/api/actual/budgets');
+            if (!response.ok) {
+                throw new Error('Failed to load budgets');
+            }
+            
+            const result = await response.json();
+            
+            select.innerHTML = '';
+            
+            if (!result.selected_budget_id) {
+                select.appendChild(new Option('Select a budget...', ''));
+            }
+            
+            result.budgets.forEach(budget => {
+                select.appendChild(new Option(budget.name || budget.id, budget.id, false, budget.selected));
+            });
+            
+            select.disabled = result.budgets.length === 0;
+            select.title = result.error || '';
+            
+            if (result.error) {
+                this.addLogEntry(`Actual budget: ${result.error}`, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to load budgets:', error);
+            select.innerHTML = '<option value="">Unavailable</option>';
+            select.disabled = true;
+        }
+    }
+
+    async selectBudget(budgetId) {
+        if (!budgetId) return;
+        
+        try {
+            const response = await fetch('/api/actual/budget', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ budget_id: budgetId })
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.addLogEntry(result.message, 'success');
+                this.loadMappingStatus();
+            } else {
+                this.addLogEntry('Failed to select budget: ' + result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to select budget:', error);
+            this.addLogEntry('Failed to select budget: Connection error', 'error');
+        } finally {
+            this.loadBudgets();
+        }
+    }
+
+    connectXero() {
+        this.addLogEntry('Redirecting to Xero for authorization...', 'info');
+        window.location.href = '/api/xero/connect';
+    }
+
+    async disconnectXero() {
+        if (!confirm('Disconnect from Xero? Syncing to Xero will stop until you connect again.')) return;
+        
+        try {
+            const response = await fetch('/api/xero/disconnect', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.addLogEntry('Disconnected from Xero', 'warning');
+            } else {
+                this.addLogEntry('Failed to disconnect from Xero: ' + result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to disconnect from Xero:', error);
+            this.addLogEntry('Failed to disconnect from Xero: Connection error', 'error');
+        } finally {
+            this.loadXeroStatus();
+        }
+    }
+
+    // Backfill methods
+    async loadBackfillStatus() {
+        try {
+            const response = await fetch('/api/sync/backfill');
+            if (!response.ok) {
+                throw new Error('Failed to load backfill status');
+            }
+            
+            const result = await response.json();
+            this.updateBackfillStatus(result.backfill);
+        } catch (error) {
+            console.error('Failed to load backfill status:', error);
+            this.backfillElements.status.textContent = 'Unknown';
+            this.backfillElements.status.className = 'value error';
+        }
+    }
+
+    updateBackfillStatus(backfill) {
+        const element = this.backfillElements.status;
+        
+        if (!backfill) {
+            element.textContent = 'Not started';
+            element.className = 'value';
+            this.buttons.backfillResume.disabled = true;
+            this.buttons.backfillCancel.disabled = true;
+            return;
+        }
+        
+        const range = `${backfill.start_date} to ${backfill.end_date}`;
+        const windows = `${backfill.windows_completed}/${backfill.total_windows} windows`;
+        const imported = `${backfill.totals.imported} imported, ${backfill.totals.failed} failed`;
+        
+        switch (backfill.status) {
+            case 'running':
+                element.textContent = `Running ${range}: ${windows}, next from ${backfill.next_date}`;
+                element.className = 'value';
+                break;
+            case 'paused':
+                element.textContent = `Paused until ${new Date(backfill.resume_at).toLocaleString()} (Xero daily limit): ${windows}`;
+                element.className = 'value warning';
+                break;
+            case 'failed':
+                element.textContent = `Stopped at ${backfill.next_date}: ${backfill.last_error}`;
+                element.className = 'value error';
+                break;
+            default:
+                element.textContent = `${backfill.status.charAt(0).toUpperCase() + backfill.status.slice(1)} ${range}: ${windows}, ${imported}`;
+                element.className = 'value';
+        }
+        
+        const unfinished = ['running', 'paused', 'failed'].includes(backfill.status);
+        this.buttons.backfillResume.disabled = !unfinished || backfill.running;
+        this.buttons.backfillCancel.disabled = !unfinished;
+    }
+
+    async startBackfill(newRange) {
+        if (this.isBackfilling) return;
+        
+        const body = {};
+        
+        if (newRange) {
+            if (!this.backfillElements.startDate.value) {
+                this.addLogEntry('Choose a start date for the backfill', 'warning');
+                return;
+            }
+            
+            body.start_date = this.backfillElements.startDate.value;
+            body.end_date = this.backfillElements.endDate.value || undefined;
+            body.window_days = this.backfillElements.windowDays.value;
+        }
+        
+        try {
+            const response = await fetch('/api/sync/backfill', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Backfill failed to start');
+            }
+            
+            this.addLogEntry(result.message, 'success');
+            this.updateBackfillStatus(result.backfill);
+            this.monitorBackfillProgress(result.syncId);
+        } catch (error) {
+            console.error('Backfill failed to start:', error);
+            this.addLogEntry('Backfill failed to start: ' + error.message, 'error');
+        }
+    }
+
+    async cancelBackfill() {
+        try {
+            const response = await fetch('/api/sync/backfill/cancel', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' }
+            });
+            
+            const result = await response.json();
+            
+            if (result.success) {
+                this.addLogEntry(result.message, 'warning');
+                this.updateBackfillStatus(result.backfill);
+            } else {
+                this.addLogEntry('Failed to cancel backfill: ' + result.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to cancel backfill:', error);
+            this.addLogEntry('Failed to cancel backfill: Connection error', 'error');
+        }
+    }
+
+    monitorBackfillProgress(syncId) {
+        this.isBackfilling = true;
+        this.buttons.backfillStart.disabled = true;
+        this.backfillElements.progressContainer.classList.remove('hidden');
+        
+        const checkProgress = async () => {
+            try {
+                const response = await fetch(`/api/sync/progress/${syncId}`);
+                if (response.ok) {
+                    const progress = await response.json();
+                    
+                    this.backfillElements.progressText.textContent = progress.message;
+                    this.backfillElements.progressFill.style.width = `${progress.progress}%`;
+                    if (progress.backfill) {
+                        this.updateBackfillStatus(progress.backfill);
+                    }
+                    
+                    if (progress.status !== 'running') {
+                        this.handleBackfillComplete(progress);
+                        return;
+                    }
+                }
+            } catch (error) {
+                console.error('Failed to check backfill progress:', error);
+            }
+            
+            setTimeout(checkProgress, 2000);
+        };
+        
+        checkProgress();
+    }
+
+    handleBackfillComplete(progress) {
+        this.isBackfilling = false;
+        this.buttons.backfillStart.disabled = false;
+        this.backfillElements.progressContainer.classList.add('hidden');
+        
+        const type = {
+            completed: 'success',
+            paused: 'warning',
+            cancelled: 'warning'
+        }[progress.status] || 'error';
+        
+        this.addLogEntry(progress.message || `Backfill ${progress.status}`, type);
+        this.loadBackfillStatus();
+        this.loadStatus();
+    }
+
+    // Edit conflict methods
+    async loadConflicts() {
+        try {
+            const response = await fetch('/api/transactions/conflicts');
+            if (!response.ok) {
+                throw new Error('Failed to load edit conflicts');
+            }
+            
+            const result = await response.json();
+            this.renderConflicts(result.conflicts);
+        } catch (error) {
+            console.error('Failed to load edit conflicts:', error);
+            this.conflictList.innerHTML = '<p class="conflict-empty">Unavailable</p>';
+        }
+    }
+
+    renderConflicts(conflicts) {
+        this.conflictList.innerHTML = '';
+        
+        if (conflicts.length === 0) {
+            this.conflictList.innerHTML = '<p class="conflict-empty">No conflicts</p>';
+            return;
+        }
+        
+        conflicts.forEach(transaction => {
+            const conflict = transaction.edit_conflict || {};
+            const item = document.createElement('div');
+            item.className = 'conflict-item';
+            
+            const details = document.createElement('div');
+            details.className = 'conflict-details';
+            
+            const title = document.createElement('span');
+            const payee = transaction.actual_payee_name || 'No payee';
+            title.textContent = `Xano-${transaction.id}: ${payee}, ${transaction.amount}`;
+            
+            const isRemoval = transaction.edit_status === 'removed';
+            const changes = document.createElement('span');
+            changes.textContent = isRemoval
+                ? 'Removed in Actual, still in Xero'
+                : (conflict.changes || [])
+                    .map(change => `${change.field}: ${change.from} → ${change.to}`)
+                    .join('; ') || 'Edited in Actual';
+            
+            const reason = document.createElement('span');
+            reason.className = 'conflict-reason';
+            reason.textContent = conflict.reason || '';
+            
+            details.append(title, changes, reason);
+            
+            const actions = document.createElement('div');
+            actions.className = 'conflict-actions';
+            
+            const retry = document.createElement('button');
+            retry.className = 'btn btn-small';
+            retry.textContent = isRemoval ? 'Void in Xero' : 'Retry';
+            retry.addEventListener('click', () => this.resolveConflict(transaction, isRemoval ? 'void' : 'retry'));
+            
+            const dismiss = document.createElement('button');
+            dismiss.className = 'btn btn-small';
+            dismiss.textContent = 'Dismiss';
+            dismiss.addEventListener('click', () => this.resolveConflict(transaction, 'dismiss'));
+            
+            actions.append(retry, dismiss);
+            item.append(details, actions);
+            this.conflictList.appendChild(item);
+        });
+    }
+
+    async resolveConflict(transaction, action) {
+        try {
+            const response = await fetch(`/api/transactions/${transaction.id}/conflict`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ action, tenant_id: transaction.xero_tenant_id })
+            });
+            
+            const result = await response.json();
+            
+            if (!response.ok) {
+                throw new Error(result.error || 'Request failed');
+            }
+            
+            this.addLogEntry(`Xano-${transaction.id}: ${result.message}`, result.resolved ? 'success' : 'warning');
+            this.loadConflicts();
+        } catch (error) {
+            console.error('Failed to resolve edit conflict:', error);
+            this.addLogEntry(`Failed to resolve conflict on Xano-${transaction.id}: ${error.message}`, 'error');
+        }
+    }
 }
 
 // Initialize the UI when DOM is loaded